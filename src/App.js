@@ -5,61 +5,121 @@ import AdminDashboard from "./pages/admin/AdminDashboard";
 import AdminManagement from "./pages/admin/AdminManagement";
 import PeternakManagement from "./pages/admin/PeternakManagement";
 import LaporanPeternak from "./pages/admin/LaporanPeternak";
+import FaqManagement from "./pages/admin/FaqManagement";
+import AuditLogPage from "./pages/admin/AuditLogPage";
+import TempatSampahPage from "./pages/admin/TempatSampahPage";
+import SilsilahGaduhPage from "./pages/admin/SilsilahGaduhPage";
+import JadwalKesehatanPage from "./pages/admin/JadwalKesehatanPage";
+import LaporanTerlambatPage from "./pages/admin/LaporanTerlambatPage";
 import PeternakTransparencyPage from "./pages/peternak/TransparencyPage";
 import PeternakFAQPage from "./pages/peternak/PeternakFAQPage";
 import NotificationTestPage from "./pages/NotificationTestPage";
 import ProtectedRoute from "./utils/ProtectedRoute";
+import { AuthProvider } from "./contexts/AuthContext";
 
 function App() {
   return (
     <BrowserRouter>
-      <Routes>
-        {/* Public Routes */}
-        <Route path="/" element={<LandingPage />} />
-        <Route path="/admin/login" element={<LoginPage />} />
-        <Route
-          path="/peternak/transparency"
-          element={<PeternakTransparencyPage />}
-        />
-        <Route path="/peternak/faq" element={<PeternakFAQPage />} />
+      <AuthProvider>
+        <Routes>
+          {/* Public Routes */}
+          <Route path="/" element={<LandingPage />} />
+          <Route path="/admin/login" element={<LoginPage />} />
+          <Route
+            path="/peternak/transparency"
+            element={<PeternakTransparencyPage />}
+          />
+          <Route path="/peternak/faq" element={<PeternakFAQPage />} />
 
-        {/* Development Test Routes */}
-        <Route path="/test/notifications" element={<NotificationTestPage />} />
+          {/* Development Test Routes */}
+          <Route
+            path="/test/notifications"
+            element={<NotificationTestPage />}
+          />
 
-        {/* Protected Admin Routes */}
-        <Route
-          path="/admin/dashboard"
-          element={
-            <ProtectedRoute>
-              <AdminDashboard />
-            </ProtectedRoute>
-          }
-        />
-        <Route
-          path="/admin/management"
-          element={
-            <ProtectedRoute>
-              <AdminManagement />
-            </ProtectedRoute>
-          }
-        />
-        <Route
-          path="/admin/peternak"
-          element={
-            <ProtectedRoute>
-              <PeternakManagement />
-            </ProtectedRoute>
-          }
-        />
-        <Route
-          path="/admin/laporan"
-          element={
-            <ProtectedRoute>
-              <LaporanPeternak />
-            </ProtectedRoute>
-          }
-        />
-      </Routes>
+          {/* Protected Admin Routes */}
+          <Route
+            path="/admin/dashboard"
+            element={
+              <ProtectedRoute>
+                <AdminDashboard />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/management"
+            element={
+              <ProtectedRoute roles={["Super Admin"]}>
+                <AdminManagement />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/peternak"
+            element={
+              <ProtectedRoute>
+                <PeternakManagement />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/laporan"
+            element={
+              <ProtectedRoute>
+                <LaporanPeternak />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/silsilah"
+            element={
+              <ProtectedRoute>
+                <SilsilahGaduhPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/kesehatan"
+            element={
+              <ProtectedRoute>
+                <JadwalKesehatanPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/laporan-terlambat"
+            element={
+              <ProtectedRoute>
+                <LaporanTerlambatPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/faq"
+            element={
+              <ProtectedRoute>
+                <FaqManagement />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/audit"
+            element={
+              <ProtectedRoute>
+                <AuditLogPage />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/admin/sampah"
+            element={
+              <ProtectedRoute>
+                <TempatSampahPage />
+              </ProtectedRoute>
+            }
+          />
+        </Routes>
+      </AuthProvider>
     </BrowserRouter>
   );
 }
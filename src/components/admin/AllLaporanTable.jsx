@@ -1,6 +1,21 @@
 import { Calendar, AlertCircle, CheckCircle, Info, User } from 'lucide-react';
+import LaporanExportActions from './LaporanExportActions';
+import PaginationControls from '../common/PaginationControls';
 
-const AllLaporanTable = ({ laporan, peternakData, className = "" }) => {
+// laporan berisi satu halaman dari useLaporanPage (state halaman di pagination);
+// getExportLaporan mengambil semua laporan sesuai filter untuk diekspor
+const AllLaporanTable = ({
+    laporan,
+    peternakData,
+    pagination = null,
+    getExportLaporan,
+    exportFileName,
+    kartuPeternak = null,
+    getKartuLaporan,
+    onExportSuccess,
+    onExportError,
+    className = ""
+}) => {
     const getBadgeColor = (type, value) => {
         const colors = {
             'lahir': 'bg-green-100 text-green-800',
@@ -37,12 +52,30 @@ const AllLaporanTable = ({ laporan, peternakData, className = "" }) => {
                     <h3 className="text-lg font-medium text-gray-900 mb-2">Belum ada laporan</h3>
                     <p className="text-gray-500">Laporan triwulan dari semua peternak akan ditampilkan di sini</p>
                 </div>
+                {pagination && <PaginationControls {...pagination} />}
             </div>
         );
     }
 
     return (
         <div className={`bg-white rounded-lg shadow overflow-hidden ${className}`}>
+            {exportFileName && (
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 sm:px-6 py-3 border-b border-gray-200">
+                    <div className="text-sm text-gray-500">
+                        Ekspor mengikuti filter yang sedang aktif
+                    </div>
+                    <LaporanExportActions
+                        laporan={laporan}
+                        getLaporan={getExportLaporan}
+                        peternakData={peternakData}
+                        fileName={exportFileName}
+                        kartuPeternak={kartuPeternak}
+                        getKartuLaporan={getKartuLaporan}
+                        onSuccess={onExportSuccess}
+                        onError={onExportError}
+                    />
+                </div>
+            )}
             <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                     <thead className="bg-gray-50">
@@ -102,10 +135,10 @@ const AllLaporanTable = ({ laporan, peternakData, className = "" }) => {
                                             <Calendar className="h-4 w-4 text-blue-500 mr-2 flex-shrink-0" />
                                             <div>
                                                 <div className="text-sm font-medium text-gray-900">
-                                                    Triwulan {item.quarter || item.quarterNumber || item.triwulan}
+                                                    Triwulan {item.quarter}
                                                 </div>
                                                 <div className="text-sm text-gray-500">
-                                                    {item.year || item.quarterInfo?.year || item.tahun}
+                                                    {item.year}
                                                 </div>
                                             </div>
                                         </div>
@@ -166,7 +199,7 @@ const AllLaporanTable = ({ laporan, peternakData, className = "" }) => {
                                     <td colSpan="8" className="px-4 sm:px-6 py-4">
                                         <div className="space-y-3">
                                             <div className="text-xs font-medium text-gray-700 border-b border-gray-200 pb-2">
-                                                Detail Laporan {getPeternakName(item.idPeternak)} - Triwulan {item.quarter || item.quarterNumber || item.triwulan} {item.year || item.quarterInfo?.year || item.tahun}
+                                                Detail Laporan {getPeternakName(item.idPeternak)} - Triwulan {item.quarter} {item.year}
                                             </div>
 
                                             <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
@@ -223,6 +256,7 @@ const AllLaporanTable = ({ laporan, peternakData, className = "" }) => {
                     </tbody>
                 </table>
             </div>
+            {pagination && <PaginationControls {...pagination} />}
         </div>
     );
 };
@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Camera, X } from 'lucide-react';
+import { uploadFotoLaporan, deleteFotoTidakDipakai } from '../../services/fotoService';
+import { KATEGORI_FOTO, KATEGORI_FOTO_LABEL, MAKS_FOTO_LAPORAN } from '../../utils/foto';
+
+// Foto bukti laporan triwulan: foto ternak dan kondisi kandang.
+// Foto langsung diunggah saat dipilih; pathTersimpan berisi foto yang sudah
+// tersimpan di laporan sehingga hanya dihapus service saat laporan disimpan.
+const FotoLaporanFields = ({ idPeternak, fotoList, onChange, pathTersimpan = [], onUploadingChange }) => {
+    const [uploading, setUploading] = useState(false);
+    const [error, setError] = useState('');
+
+    const setUploadingState = (value) => {
+        setUploading(value);
+        if (onUploadingChange) onUploadingChange(value);
+    };
+
+    const handleFileChange = async (e, kategori) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        const sisaSlot = MAKS_FOTO_LAPORAN - fotoList.length;
+        if (files.length > sisaSlot) {
+            setError(`Maksimal ${MAKS_FOTO_LAPORAN} foto per laporan`);
+            return;
+        }
+
+        setError('');
+        setUploadingState(true);
+        const fotoBaru = [];
+        try {
+            for (const file of files) {
+                fotoBaru.push(await uploadFotoLaporan(idPeternak, file, kategori));
+            }
+        } catch (err) {
+            setError(err.message);
+        }
+        if (fotoBaru.length > 0) {
+            onChange([...fotoList, ...fotoBaru]);
+        }
+        setUploadingState(false);
+    };
+
+    const hapusFoto = (foto) => {
+        onChange(fotoList.filter(item => item.path !== foto.path));
+        // Foto yang baru diunggah di form ini belum dirujuk laporan mana pun
+        if (!pathTersimpan.includes(foto.path)) {
+            deleteFotoTidakDipakai([foto.path]);
+        }
+    };
+
+    return (
+        <div>
+            <h4 className="text-lg font-medium text-gray-900 mb-1">Foto Bukti</h4>
+            <p className="text-sm text-gray-500 mb-4">
+                Foto ternak dan kondisi kandang triwulan ini. Foto dikompres otomatis sebelum diunggah (maksimal {MAKS_FOTO_LAPORAN} foto).
+            </p>
+
+            {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+
+            <div className="flex flex-wrap gap-2 mb-4">
+                {Object.values(KATEGORI_FOTO).map(kategori => (
+                    <label
+                        key={kategori}
+                        className={`inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white ${uploading || fotoList.length >= MAKS_FOTO_LAPORAN ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50 cursor-pointer'}`}
+                    >
+                        <Camera className="h-4 w-4 mr-2 text-gray-500" />
+                        {KATEGORI_FOTO_LABEL[kategori]}
+                        <input
+                            type="file"
+                            accept="image/*"
+                            multiple
+                            disabled={uploading || fotoList.length >= MAKS_FOTO_LAPORAN}
+                            onChange={(e) => handleFileChange(e, kategori)}
+                            className="hidden"
+                        />
+                    </label>
+                ))}
+                {uploading && (
+                    <div className="inline-flex items-center text-sm text-gray-600">
+                        <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-green-600 mr-2"></div>
+                        Mengunggah foto...
+                    </div>
+                )}
+            </div>
+
+            {fotoList.length > 0 && (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                    {fotoList.map(foto => (
+                        <div key={foto.path} className="relative rounded-lg overflow-hidden border border-gray-200">
+                            <img src={foto.url} alt={KATEGORI_FOTO_LABEL[foto.kategori]} className="w-full h-28 object-cover" />
+                            <span className="absolute bottom-1 left-1 px-2 py-0.5 text-xs font-medium rounded-full bg-white/90 text-gray-700">
+                                {KATEGORI_FOTO_LABEL[foto.kategori]}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => hapusFoto(foto)}
+                                className="absolute top-1 right-1 p-1 bg-white/90 text-red-600 hover:bg-red-100 rounded-full"
+                                title="Hapus Foto"
+                            >
+                                <X size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default FotoLaporanFields;
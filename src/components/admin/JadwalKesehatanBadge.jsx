@@ -0,0 +1,18 @@
+import { STATUS_JADWAL } from '../../utils/kesehatan';
+
+const STATUS_CONFIG = {
+    [STATUS_JADWAL.TERLAMBAT]: { label: 'Terlambat', className: 'bg-red-100 text-red-800' },
+    [STATUS_JADWAL.SEGERA]: { label: 'Segera', className: 'bg-yellow-100 text-yellow-800' },
+    [STATUS_JADWAL.TERJADWAL]: { label: 'Terjadwal', className: 'bg-green-100 text-green-800' }
+};
+
+const JadwalKesehatanBadge = ({ status }) => {
+    const config = STATUS_CONFIG[status] || STATUS_CONFIG[STATUS_JADWAL.TERJADWAL];
+    return (
+        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${config.className}`}>
+            {config.label}
+        </span>
+    );
+};
+
+export default JadwalKesehatanBadge;
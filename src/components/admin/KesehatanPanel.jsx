@@ -0,0 +1,224 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, Syringe, AlertCircle } from 'lucide-react';
+import { getKesehatanByPeternak, createKesehatan, deleteKesehatan } from '../../services/kesehatanService';
+import { getTernakByPeternak } from '../../services/ternakService';
+import { JENIS_KESEHATAN, JENIS_KESEHATAN_LABEL, getJadwalKesehatan } from '../../utils/kesehatan';
+import { isTernakHidup } from '../../utils/ternak';
+import JadwalKesehatanBadge from './JadwalKesehatanBadge';
+import { toDateString } from '../../utils/programQuarter';
+
+const today = () => toDateString(new Date());
+
+const formatTanggal = (dateString) =>
+    new Date(dateString).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' });
+
+const emptyForm = () => ({
+    jenis: JENIS_KESEHATAN.VAKSINASI,
+    tanggal: today(),
+    namaObat: '',
+    dosis: '',
+    petugas: '',
+    idTernak: '',
+    tanggalJatuhTempo: '',
+    keterangan: ''
+});
+
+// Catatan pengobatan, vaksinasi dan obat cacing satu peternak beserta jadwal berikutnya
+const KesehatanPanel = ({ peternak }) => {
+    const [catatanList, setCatatanList] = useState([]);
+    const [ternakList, setTernakList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(emptyForm());
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadKesehatan = async () => {
+        setLoading(true);
+        try {
+            const [kesehatanData, ternakData] = await Promise.all([
+                getKesehatanByPeternak(peternak.id),
+                getTernakByPeternak(peternak.id)
+            ]);
+            setCatatanList(kesehatanData);
+            setTernakList(ternakData);
+        } catch (err) {
+            setError(err.message);
+        }
+        setLoading(false);
+    };
+
+    useEffect(() => {
+        loadKesehatan();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [peternak.id]);
+
+    const jadwalList = getJadwalKesehatan(catatanList, today());
+    const getNomorTag = (idTernak) => ternakList.find(ternak => ternak.id === idTernak)?.nomorTag || 'Ternak tidak ditemukan';
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await createKesehatan({ ...formData, idPeternak: peternak.id });
+            setFormData(emptyForm());
+            setShowForm(false);
+            await loadKesehatan();
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    const handleDelete = async (catatan) => {
+        if (!window.confirm(`Hapus catatan ${JENIS_KESEHATAN_LABEL[catatan.jenis]} ${catatan.namaObat} tanggal ${catatan.tanggal}?`)) {
+            return;
+        }
+        setError('');
+        try {
+            await deleteKesehatan(catatan.id);
+            await loadKesehatan();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm";
+
+    return (
+        <div className="mt-6 pt-4 border-t" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-800">Kesehatan Ternak</h4>
+                {!showForm && (
+                    <button
+                        onClick={() => setShowForm(true)}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-50 hover:bg-green-100"
+                    >
+                        <Plus className="h-3.5 w-3.5 mr-1" />
+                        Catat Tindakan
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-3 flex items-start bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                    <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="mb-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Jenis Tindakan</label>
+                        <select name="jenis" value={formData.jenis} onChange={handleChange} className={inputClass}>
+                            {Object.values(JENIS_KESEHATAN).map(jenis => (
+                                <option key={jenis} value={jenis}>{JENIS_KESEHATAN_LABEL[jenis]}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Tanggal</label>
+                        <input type="date" name="tanggal" value={formData.tanggal} onChange={handleChange} max={today()} className={inputClass} required />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Obat / Vaksin</label>
+                        <input type="text" name="namaObat" value={formData.namaObat} onChange={handleChange} placeholder="Contoh: Vaksin PMK, Ivermectin" className={inputClass} required />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Dosis</label>
+                        <input type="text" name="dosis" value={formData.dosis} onChange={handleChange} placeholder="Contoh: 2 ml" className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Petugas</label>
+                        <input type="text" name="petugas" value={formData.petugas} onChange={handleChange} placeholder="Nama dokter hewan / petugas" className={inputClass} required />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Ternak</label>
+                        <select name="idTernak" value={formData.idTernak} onChange={handleChange} className={inputClass}>
+                            <option value="">Semua ternak peternak</option>
+                            {ternakList.filter(isTernakHidup).map(ternak => (
+                                <option key={ternak.id} value={ternak.id}>{ternak.nomorTag}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Jadwal Berikutnya</label>
+                        <input type="date" name="tanggalJatuhTempo" value={formData.tanggalJatuhTempo} onChange={handleChange} min={formData.tanggal} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Keterangan</label>
+                        <input type="text" name="keterangan" value={formData.keterangan} onChange={handleChange} className={inputClass} />
+                    </div>
+                    <div className="sm:col-span-2 flex justify-end space-x-2">
+                        <button type="button" onClick={() => { setShowForm(false); setError(''); }} className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50">
+                            {saving ? 'Menyimpan...' : 'Simpan'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {jadwalList.length > 0 && (
+                <div className="mb-3 space-y-1">
+                    {jadwalList.map(jadwal => (
+                        <div key={jadwal.id} className="flex flex-wrap items-center gap-2 text-xs text-gray-700">
+                            <JadwalKesehatanBadge status={jadwal.statusJadwal} />
+                            <span>
+                                {JENIS_KESEHATAN_LABEL[jadwal.jenis]} berikutnya {formatTanggal(jadwal.tanggalJatuhTempo)}
+                                {jadwal.idTernak && ` • ${getNomorTag(jadwal.idTernak)}`}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-4">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+                </div>
+            ) : catatanList.length === 0 ? (
+                <div className="text-center py-4 bg-gray-100 rounded-lg">
+                    <Syringe className="h-6 w-6 text-gray-400 mx-auto mb-1" />
+                    <p className="text-sm text-gray-600">Belum ada catatan kesehatan</p>
+                </div>
+            ) : (
+                <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                    {catatanList.map(catatan => (
+                        <div key={catatan.id} className="flex items-start justify-between p-3">
+                            <div>
+                                <p className="text-sm font-medium text-gray-800">
+                                    {JENIS_KESEHATAN_LABEL[catatan.jenis]} • {catatan.namaObat}{catatan.dosis && ` (${catatan.dosis})`}
+                                </p>
+                                <p className="text-xs text-gray-500">
+                                    {formatTanggal(catatan.tanggal)} • {catatan.petugas}
+                                    {catatan.idTernak && ` • ${getNomorTag(catatan.idTernak)}`}
+                                </p>
+                                {catatan.keterangan && (
+                                    <p className="text-xs text-gray-500">{catatan.keterangan}</p>
+                                )}
+                            </div>
+                            <button
+                                onClick={() => handleDelete(catatan)}
+                                className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-100 rounded-full transition-colors"
+                                title="Hapus Catatan Kesehatan"
+                            >
+                                <Trash2 size={14} />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default KesehatanPanel;
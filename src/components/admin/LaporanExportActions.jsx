@@ -0,0 +1,79 @@
+import { FileText, FileSpreadsheet, Printer } from 'lucide-react';
+import { buildLaporanRows, exportLaporanCsv, exportLaporanXlsx } from '../../utils/laporanExport';
+import { printKartuProgram } from '../../utils/kartuProgram';
+
+// Tombol ekspor untuk laporan yang sedang ditampilkan (sudah difilter).
+// Jika tabel hanya memuat satu halaman, getLaporan mengambil semua laporan
+// sesuai filter saat tombol ditekan.
+// Kartu program hanya tersedia jika satu peternak dipilih (kartuPeternak);
+// laporannya dibaca lewat getKartuLaporan saat tombol cetak ditekan.
+const LaporanExportActions = ({
+    laporan,
+    getLaporan,
+    peternakData,
+    fileName,
+    kartuPeternak = null,
+    getKartuLaporan,
+    onSuccess,
+    onError,
+    className = ""
+}) => {
+    const handleExport = async (format) => {
+        try {
+            const rows = buildLaporanRows(getLaporan ? await getLaporan() : laporan, peternakData);
+            if (format === 'CSV') {
+                exportLaporanCsv(rows, fileName);
+            } else {
+                exportLaporanXlsx(rows, fileName);
+            }
+            onSuccess?.(rows.length, format);
+        } catch (error) {
+            console.error('Error exporting laporan:', error);
+            onError?.(error.message);
+        }
+    };
+
+    const handlePrintKartu = async () => {
+        try {
+            printKartuProgram(kartuPeternak, await getKartuLaporan());
+        } catch (error) {
+            console.error('Error printing kartu program:', error);
+            onError?.(error.message);
+        }
+    };
+
+    const buttonClass = "inline-flex items-center justify-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed";
+
+    return (
+        <div className={`flex flex-wrap gap-2 ${className}`}>
+            <button
+                onClick={() => handleExport('CSV')}
+                disabled={laporan.length === 0}
+                className={buttonClass}
+            >
+                <FileText className="h-4 w-4 mr-2" />
+                Ekspor CSV
+            </button>
+            <button
+                onClick={() => handleExport('Excel')}
+                disabled={laporan.length === 0}
+                className={buttonClass}
+            >
+                <FileSpreadsheet className="h-4 w-4 mr-2 text-green-600" />
+                Ekspor Excel
+            </button>
+            {kartuPeternak && (
+                <button
+                    onClick={handlePrintKartu}
+                    className={buttonClass}
+                    title="Kartu program 8 triwulan dengan kolom tanda tangan"
+                >
+                    <Printer className="h-4 w-4 mr-2" />
+                    Cetak Kartu Program
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default LaporanExportActions;
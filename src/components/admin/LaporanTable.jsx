@@ -1,6 +1,9 @@
 import { Calendar, Edit, Trash2, AlertCircle, CheckCircle, Info } from 'lucide-react';
+import FotoGaleri from '../common/FotoGaleri';
+import PaginationControls from '../common/PaginationControls';
 
-const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
+// pagination (opsional) berisi state dari useLaporanPage
+const LaporanTable = ({ laporan, onEdit, onDelete, pagination = null, className = "" }) => {
     const getBadgeColor = (type, value) => {
         const colors = {
             'lahir': 'bg-green-100 text-green-800',
@@ -31,6 +34,7 @@ const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
                     <h3 className="text-lg font-medium text-gray-900 mb-2">Belum ada laporan</h3>
                     <p className="text-gray-500">Laporan triwulan akan ditampilkan di sini</p>
                 </div>
+                {pagination && <PaginationControls {...pagination} />}
             </div>
         );
     }
@@ -85,10 +89,10 @@ const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
                                             <Calendar className="h-4 w-4 text-blue-500 mr-2 flex-shrink-0" />
                                             <div>
                                                 <div className="text-sm font-medium text-gray-900">
-                                                    Triwulan {item.quarter || item.quarterNumber || item.triwulan}
+                                                    Triwulan {item.quarter}
                                                 </div>
                                                 <div className="text-sm text-gray-500">
-                                                    {item.year || item.quarterInfo?.year || item.tahun}
+                                                    {item.year}
                                                 </div>
                                             </div>
                                         </div>
@@ -162,14 +166,14 @@ const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
                             );
                         })}
 
-                        {/* Detail Informasi untuk setiap laporan (Kendala, Solusi, Keterangan) */}
+                        {/* Detail Informasi untuk setiap laporan (Kendala, Solusi, Keterangan, Foto) */}
                         {laporan.map((item) =>
-                            (item.kendala || item.solusi || item.keterangan || item.catatan) && (
+                            (item.kendala || item.solusi || item.keterangan || item.catatan || item.fotoLaporan?.length > 0) && (
                                 <tr key={`${item.id}-details`} className="bg-gray-50 border-t-0">
                                     <td colSpan="8" className="px-4 sm:px-6 py-4">
                                         <div className="space-y-3">
                                             <div className="text-xs font-medium text-gray-700 border-b border-gray-200 pb-2">
-                                                Detail Laporan Triwulan {item.quarter || item.quarterNumber || item.triwulan} {item.year || item.quarterInfo?.year || item.tahun}
+                                                Detail Laporan Triwulan {item.quarter} {item.year}
                                             </div>
 
                                             <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
@@ -218,6 +222,14 @@ const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
                                                     </div>
                                                 )}
                                             </div>
+
+                                            {/* Foto Bukti */}
+                                            {item.fotoLaporan?.length > 0 && (
+                                                <div>
+                                                    <div className="text-xs font-medium text-gray-700 mb-2">Foto Bukti</div>
+                                                    <FotoGaleri fotoList={item.fotoLaporan} judul={`Triwulan ${item.quarter} ${item.year}`} />
+                                                </div>
+                                            )}
                                         </div>
                                     </td>
                                 </tr>
@@ -226,6 +238,7 @@ const LaporanTable = ({ laporan, onEdit, onDelete, className = "" }) => {
                     </tbody>
                 </table>
             </div>
+            {pagination && <PaginationControls {...pagination} />}
         </div>
     );
 };
@@ -4,15 +4,46 @@ import {
     getNextAllowedQuarter,
     calculatePrefillData
 } from '../../services/laporanService';
+import { validateLaporanData, LaporanValidationError } from '../../utils/laporanValidation';
+import { hitungJumlahDikembalikan } from '../../utils/pengembalian';
+import { getTernakByPeternak } from '../../services/ternakService';
+import { deleteFotoTidakDipakai } from '../../services/fotoService';
+import { getPathFoto } from '../../utils/foto';
+import {
+    PERISTIWA_LAPORAN_KOSONG,
+    hasPeristiwaTernak,
+    hitungJumlahPeristiwa,
+    validateKelahiran
+} from '../../utils/ternak';
+import PeristiwaTernakFields from './PeristiwaTernakFields';
+import FotoLaporanFields from './FotoLaporanFields';
 import { useLaporanNotification } from '../../hooks/useLaporanNotification';
 import NotificationToast from '../common/NotificationToast';
 
-const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCancel, triwulan }) => {
+// Nama field laporan (Firestore) -> nama field form
+const FORM_FIELD_MAP = {
+    jumlahTernakAwal: 'jumlah_awal',
+    jumlahLahir: 'jumlah_lahir',
+    jumlahKematian: 'jumlah_mati',
+    jumlahTerjual: 'jumlah_dijual',
+    jumlahDikembalikan: 'jumlah_dikembalikan',
+    jumlahTernakSaatIni: 'logika',
+    tanggalLaporan: 'tanggal_laporan'
+};
+
+const toFormErrors = (fieldErrors) =>
+    Object.entries(fieldErrors).reduce((result, [field, message]) => ({
+        ...result,
+        [FORM_FIELD_MAP[field] || 'submit']: message
+    }), {});
+
+const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCancel }) => {
     const [formData, setFormData] = useState({
         jumlah_awal: '',
         jumlah_lahir: '',
         jumlah_mati: '',
         jumlah_dijual: '',
+        jumlah_dikembalikan: '0',
         jumlah_saat_ini: '',
         kendala: '',
         solusi: '',
@@ -26,6 +57,10 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
     const [loading, setLoading] = useState(false);
     const [initialLoading, setInitialLoading] = useState(true);
     const [canCreateReport, setCanCreateReport] = useState(false);
+    const [ternakList, setTernakList] = useState([]);
+    const [peristiwa, setPeristiwa] = useState(PERISTIWA_LAPORAN_KOSONG);
+    const [fotoLaporan, setFotoLaporan] = useState([]);
+    const [uploadingFoto, setUploadingFoto] = useState(false);
 
     // Notification hook
     const {
@@ -36,85 +71,44 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
         notifyUpdateSuccess,
         notifyUpdateError,
         notifyValidationError,
-        notifyActionConfirm
+        notifyActionConfirm,
+        notifyQueued
     } = useLaporanNotification();
 
     useEffect(() => {
         const loadQuarterInfo = async () => {
             try {
-                if (!laporan) {
-                    // Mode tambah laporan baru
-                    // Gunakan data peternak yang dikirim dari parent untuk development
-                    if (peternakData) {
-                        // Mode development - simulasi dengan data peternak yang ada
-                        const mockExistingReports = []; // Kosong untuk simulasi peternak baru
-                        let nextQuarter = triwulan + 1;
-
-                        // Validasi maksimal 8 triwulan
-                        if (nextQuarter > 8) {
-                            setCanCreateReport(false);
-                            setInitialLoading(false);
-                            return;
-                        }
-
-                        const quarterInfo = {
-                            quarter: nextQuarter,
-                            year: new Date().getFullYear(),
-                            startDate: peternakData.tanggalDaftar || new Date().toISOString().split('T')[0],
-                            endDate: new Date().toISOString().split('T')[0],
-                            displayPeriod: `Triwulan ${nextQuarter} ${new Date().getFullYear()}`
-                        };
-
-                        setQuarterInfo({
-                            quarterNumber: nextQuarter,
-                            quarterInfo: quarterInfo,
-                            canCreate: true,
-                            existingReports: mockExistingReports
-                        });
-                        setCanCreateReport(true);
-
-                        // Calculate prefill data
-                        const prefill = {
-                            jumlah_awal: peternakData.jumlahTernakAwal || 5,
-                            jumlah_saat_ini: peternakData.jumlahTernakAwal || 5
-                        };
-                        setPrefillInfo(prefill);
-
-                        setFormData(prev => ({
-                            ...prev,
-                            jumlah_awal: prefill.jumlah_awal.toString(),
-                            jumlah_saat_ini: prefill.jumlah_awal.toString(),
-                            tanggal_laporan: new Date().toISOString().split('T')[0]
-                        }));
-
-                    } else {
-                        // Fallback ke service asli jika tidak ada data peternak
-                        const nextQuarterInfo = await getNextAllowedQuarter(peternakId);
-
-                        if (!nextQuarterInfo || !nextQuarterInfo.canCreate) {
-                            setCanCreateReport(false);
-                            setInitialLoading(false);
-                            return;
-                        }
-
-                        setQuarterInfo(nextQuarterInfo);
-                        setCanCreateReport(true);
+                // Registri ternak opsional: peternak tanpa ternak terdaftar tetap mengisi jumlah manual
+                setTernakList(await getTernakByPeternak(peternakId).catch(() => []));
 
-                        // Calculate prefill data
-                        const lastReport = nextQuarterInfo.existingReports.length > 0
-                            ? nextQuarterInfo.existingReports[nextQuarterInfo.existingReports.length - 1]
-                            : null;
-
-                        const prefill = calculatePrefillData(lastReport);
-                        setPrefillInfo(prefill);
+                if (!laporan) {
+                    // Mode tambah laporan baru: triwulan berikutnya dihitung service
+                    const nextQuarterInfo = await getNextAllowedQuarter(peternakId);
+                    setQuarterInfo(nextQuarterInfo);
 
-                        setFormData(prev => ({
-                            ...prev,
-                            jumlah_awal: prefill.jumlah_awal.toString(),
-                            jumlah_saat_ini: prefill.jumlah_awal.toString(),
-                            tanggal_laporan: new Date().toISOString().split('T')[0]
-                        }));
+                    if (!nextQuarterInfo.canCreate) {
+                        setCanCreateReport(false);
+                        return;
                     }
+                    setCanCreateReport(true);
+
+                    // Jumlah awal diambil dari laporan sebelumnya (atau data peternak)
+                    const prefillData = await calculatePrefillData(peternakId);
+                    const prefill = {
+                        jumlah_awal: prefillData.jumlahTernakAwal,
+                        jumlah_dikembalikan: prefillData.jumlahDikembalikan,
+                        jumlah_saat_ini: prefillData.jumlahTernakSaatIni,
+                        pengembalianTertunda: prefillData.pengembalianTertunda
+                    };
+                    setPrefillInfo(prefill);
+
+                    setFormData(prev => ({
+                        ...prev,
+                        jumlah_awal: prefill.jumlah_awal.toString(),
+                        jumlah_dikembalikan: prefill.jumlah_dikembalikan.toString(),
+                        jumlah_saat_ini: prefill.jumlah_saat_ini.toString(),
+                        tanggal_laporan: new Date().toISOString().split('T')[0]
+                    }));
 
                 } else {
                     // Mode edit laporan existing
@@ -124,6 +118,7 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                         jumlah_lahir: laporan.jumlahLahir?.toString() || laporan.jumlah_lahir?.toString() || '',
                         jumlah_mati: laporan.jumlahKematian?.toString() || laporan.jumlah_mati?.toString() || '',
                         jumlah_dijual: laporan.jumlahTerjual?.toString() || laporan.jumlah_dijual?.toString() || '',
+                        jumlah_dikembalikan: laporan.jumlahDikembalikan?.toString() || '0',
                         jumlah_saat_ini: laporan.jumlahTernakSaatIni?.toString() || laporan.jumlah_saat_ini?.toString() || '',
                         kendala: laporan.kendala || '',
                         solusi: laporan.solusi || '',
@@ -131,10 +126,19 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                         tanggal_laporan: laporan.tanggalLaporan || new Date().toISOString().split('T')[0]
                     });
 
+                    setPeristiwa({ ...PERISTIWA_LAPORAN_KOSONG, ...laporan.peristiwaTernak });
+                    setFotoLaporan(laporan.fotoLaporan || []);
+
                     // Set quarter info dari laporan yang sedang diedit
                     setQuarterInfo({
-                        quarterNumber: laporan.quarterNumber,
-                        quarterInfo: laporan.quarterInfo
+                        quarterNumber: laporan.quarter,
+                        quarterInfo: {
+                            quarter: laporan.quarter,
+                            year: laporan.year,
+                            startDate: laporan.startDate,
+                            endDate: laporan.endDate,
+                            displayPeriod: laporan.displayPeriod
+                        }
                     });
                 }
 
@@ -149,7 +153,31 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
         if (peternakId) {
             loadQuarterInfo();
         }
-    }, [peternakId, laporan, peternakData]);
+    }, [peternakId, laporan]);
+
+    // Pengembalian yang masuk laporan baru bergantung pada tanggal laporan
+    useEffect(() => {
+        if (laporan || !prefillInfo) return;
+
+        const dikembalikan = hitungJumlahDikembalikan(prefillInfo.pengembalianTertunda, null, formData.tanggal_laporan);
+        setFormData(prev => ({ ...prev, jumlah_dikembalikan: dikembalikan.toString() }));
+    }, [laporan, prefillInfo, formData.tanggal_laporan]);
+
+    // Laporan baru peternak dengan registri ternak menghitung jumlah dari peristiwa;
+    // laporan lama yang punya peristiwa terkunci pada jumlah peristiwanya
+    const pakaiRegistri = laporan ? hasPeristiwaTernak(laporan.peristiwaTernak) : ternakList.length > 0;
+
+    useEffect(() => {
+        if (laporan || !pakaiRegistri) return;
+
+        const jumlah = hitungJumlahPeristiwa(peristiwa);
+        setFormData(prev => ({
+            ...prev,
+            jumlah_lahir: jumlah.jumlahLahir.toString(),
+            jumlah_mati: jumlah.jumlahKematian.toString(),
+            jumlah_dijual: jumlah.jumlahTerjual.toString()
+        }));
+    }, [laporan, pakaiRegistri, peristiwa]);
 
     // Auto calculate jumlah_saat_ini when other values change
     useEffect(() => {
@@ -159,60 +187,39 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
         const lahir = parseInt(formData.jumlah_lahir) || 0;
         const mati = parseInt(formData.jumlah_mati) || 0;
         const dijual = parseInt(formData.jumlah_dijual) || 0;
+        const dikembalikan = parseInt(formData.jumlah_dikembalikan) || 0;
 
-        const saatIni = awal + lahir - mati - dijual;
+        const saatIni = awal + lahir - mati - dijual - dikembalikan;
         setFormData(prev => ({
             ...prev,
             jumlah_saat_ini: Math.max(0, saatIni).toString()
         }));
-    }, [formData.jumlah_awal, formData.jumlah_lahir, formData.jumlah_mati, formData.jumlah_dijual]);
+    }, [formData.jumlah_awal, formData.jumlah_lahir, formData.jumlah_mati, formData.jumlah_dijual, formData.jumlah_dikembalikan]);
 
+    // Validasi memakai modul yang sama dengan laporanService
     const validateForm = () => {
-        const newErrors = {};
-
-        // Validasi jumlah
-        if (!formData.jumlah_awal.trim()) {
-            newErrors.jumlah_awal = 'Jumlah awal harus diisi';
-        } else if (isNaN(formData.jumlah_awal) || parseInt(formData.jumlah_awal) < 0) {
-            newErrors.jumlah_awal = 'Jumlah awal harus berupa angka positif';
-        }
-
-        if (!formData.jumlah_lahir.trim()) {
-            newErrors.jumlah_lahir = 'Jumlah lahir harus diisi (minimal 0)';
-        } else if (isNaN(formData.jumlah_lahir) || parseInt(formData.jumlah_lahir) < 0) {
-            newErrors.jumlah_lahir = 'Jumlah lahir harus berupa angka positif atau 0';
-        }
-
-        if (!formData.jumlah_mati.trim()) {
-            newErrors.jumlah_mati = 'Jumlah mati harus diisi (minimal 0)';
-        } else if (isNaN(formData.jumlah_mati) || parseInt(formData.jumlah_mati) < 0) {
-            newErrors.jumlah_mati = 'Jumlah mati harus berupa angka positif atau 0';
-        }
-
-        if (!formData.jumlah_dijual.trim()) {
-            newErrors.jumlah_dijual = 'Jumlah dijual harus diisi (minimal 0)';
-        } else if (isNaN(formData.jumlah_dijual) || parseInt(formData.jumlah_dijual) < 0) {
-            newErrors.jumlah_dijual = 'Jumlah dijual harus berupa angka positif atau 0';
-        }
-
-        // Validasi logika bisnis
-        const awal = parseInt(formData.jumlah_awal) || 0;
-        const mati = parseInt(formData.jumlah_mati) || 0;
-        const dijual = parseInt(formData.jumlah_dijual) || 0;
-
-        if ((mati + dijual) > awal) {
-            newErrors.logika = 'Total kambing yang mati dan dijual tidak boleh melebihi jumlah awal';
-        }
-
-        // Validasi tanggal laporan
-        if (!formData.tanggal_laporan.trim()) {
-            newErrors.tanggal_laporan = 'Tanggal laporan harus diisi';
-        } else {
-            const selectedDate = new Date(formData.tanggal_laporan);
-            const today = new Date();
-            if (selectedDate > today) {
-                newErrors.tanggal_laporan = 'Tanggal laporan tidak boleh di masa depan';
+        const fieldErrors = validateLaporanData(
+            {
+                jumlahTernakAwal: formData.jumlah_awal,
+                jumlahLahir: formData.jumlah_lahir,
+                jumlahKematian: formData.jumlah_mati,
+                jumlahTerjual: formData.jumlah_dijual,
+                jumlahDikembalikan: formData.jumlah_dikembalikan,
+                jumlahTernakSaatIni: formData.jumlah_saat_ini,
+                tanggalLaporan: formData.tanggal_laporan
+            },
+            {
+                jumlahTernakAwalSeharusnya: !laporan && prefillInfo ? prefillInfo.jumlah_awal : undefined,
+                jumlahDikembalikanSeharusnya: !laporan && prefillInfo
+                    ? hitungJumlahDikembalikan(prefillInfo.pengembalianTertunda, null, formData.tanggal_laporan)
+                    : undefined,
+                periode: quarterInfo?.quarterInfo
             }
+        );
+        const newErrors = toFormErrors(fieldErrors);
+        const kelahiranError = !laporan && pakaiRegistri && validateKelahiran(peristiwa.lahir, formData.tanggal_laporan);
+        if (kelahiranError) {
+            newErrors.peristiwa = kelahiranError;
         }
 
         setErrors(newErrors);
@@ -233,10 +240,17 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
         if (errors.logika) setErrors(prev => ({ ...prev, logika: '' }));
     };
 
+    // Foto yang diunggah di form ini dihapus lagi jika laporan batal disimpan
+    const pathTersimpan = getPathFoto(laporan?.fotoLaporan);
+    const handleCancel = () => {
+        deleteFotoTidakDipakai(getPathFoto(fotoLaporan).filter(path => !pathTersimpan.includes(path)));
+        onCancel();
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
 
-        if (loading) return;
+        if (loading || uploadingFoto) return;
 
         if (!validateForm()) return;
 
@@ -250,51 +264,60 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
             // Hanya kirim field yang dibutuhkan Firestore
             const dataToSave = {
                 idPeternak: peternakId,
-                quarter: quarterInfo?.quarterNumber || quarterInfo?.quarter || 1,
-                year: quarterInfo?.quarterInfo?.year || new Date().getFullYear(),
-                startDate: quarterInfo?.quarterInfo?.startDate || new Date().toISOString().split('T')[0],
-                endDate: quarterInfo?.quarterInfo?.endDate || new Date().toISOString().split('T')[0],
-                displayPeriod: quarterInfo?.quarterInfo?.displayPeriod || `Triwulan ${quarterInfo?.quarterNumber || 1} ${quarterInfo?.quarterInfo?.year || new Date().getFullYear()}`,
+                quarter: quarterInfo.quarterNumber,
+                year: quarterInfo.quarterInfo.year,
+                startDate: quarterInfo.quarterInfo.startDate,
+                endDate: quarterInfo.quarterInfo.endDate,
+                displayPeriod: quarterInfo.quarterInfo.displayPeriod,
                 jumlahTernakAwal: parseInt(formData.jumlah_awal) || 0,
                 jumlahTernakSaatIni: parseInt(formData.jumlah_saat_ini) || 0,
                 targetPengembalian: peternakData?.targetPengembalian || 0,
                 jumlahKematian: parseInt(formData.jumlah_mati) || 0,
                 jumlahLahir: parseInt(formData.jumlah_lahir) || 0,
                 jumlahTerjual: parseInt(formData.jumlah_dijual) || 0,
+                jumlahDikembalikan: parseInt(formData.jumlah_dikembalikan) || 0,
                 catatan: formData.keterangan || "",
                 kendala: formData.kendala || "",
                 solusi: formData.solusi || "",
                 tanggalLaporan: formData.tanggal_laporan,
+                fotoLaporan,
+                ...(!laporan && pakaiRegistri && { peristiwaTernak: peristiwa }),
             };
 
-            let result;
+            // Parent component yang menangani actual create/update lewat laporanService
             if (laporan) {
-                // Untuk edit, langsung return data yang akan diupdate tanpa memanggil updateLaporan
-                // Biarkan parent component yang menangani actual update
-                result = {
-                    id: laporan.id,
-                    ...dataToSave
-                };
+                const result = await onSave({ id: laporan.id, ...dataToSave });
+                if (result?.antrian) {
+                    notifyQueued(dataToSave.quarter, dataToSave.year);
+                    return;
+                }
                 notifyUpdateSuccess(
                     peternakData?.namaLengkap || 'Peternak',
                     dataToSave.quarter,
                     dataToSave.year
                 );
             } else {
-                // Untuk create, langsung return data yang akan dibuat tanpa memanggil createLaporan
-                // Biarkan parent component yang menangani actual create
-                result = dataToSave;
+                const result = await onSave(dataToSave);
+                if (result?.antrian) {
+                    notifyQueued(dataToSave.quarter, dataToSave.year);
+                    return;
+                }
                 notifyCreateSuccess(
                     peternakData?.namaLengkap || 'Peternak',
                     dataToSave.quarter,
                     dataToSave.year
                 );
             }
-
-            onSave(result);
         } catch (error) {
             console.error('Error saving laporan:', error);
 
+            // Error validasi dari service ditampilkan per field
+            if (error instanceof LaporanValidationError) {
+                setErrors(toFormErrors(error.fieldErrors));
+                notifyValidationError(error.message);
+                return;
+            }
+
             if (laporan) {
                 notifyUpdateError(error.message);
             } else {
@@ -325,7 +348,7 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                     <AlertCircle className="mx-auto h-12 w-12 text-red-500 mb-4" />
                     <h3 className="text-lg font-medium text-gray-900 mb-2">Tidak Dapat Membuat Laporan</h3>
                     <p className="text-gray-600 mb-4">
-                        Program peternak ini mungkin sudah selesai atau terdapat masalah dalam data.
+                        {quarterInfo?.reason || 'Program peternak ini mungkin sudah selesai atau terdapat masalah dalam data.'}
                     </p>
                     <button
                         onClick={onCancel}
@@ -360,6 +383,11 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                                     Jumlah awal otomatis diisi berdasarkan laporan sebelumnya: {prefillInfo.jumlah_awal} kambing
                                 </p>
                             )}
+                            {prefillInfo?.pengembalianTertunda?.length > 0 && (
+                                <p className="text-sm text-blue-700 mt-1">
+                                    Tercatat {prefillInfo.pengembalianTertunda.length} pengembalian ({hitungJumlahDikembalikan(prefillInfo.pengembalianTertunda)} kambing) sejak laporan sebelumnya
+                                </p>
+                            )}
                         </div>
                     </div>
                 </div>
@@ -412,6 +440,20 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                         {errors.tanggal_laporan && <p className="mt-1 text-sm text-red-600">{errors.tanggal_laporan}</p>}
                     </div>
 
+                    {pakaiRegistri && (
+                        <PeristiwaTernakFields
+                            ternakList={ternakList}
+                            peristiwa={peristiwa}
+                            onChange={(peristiwaBaru) => {
+                                setPeristiwa(peristiwaBaru);
+                                if (errors.peristiwa) setErrors(prev => ({ ...prev, peristiwa: '' }));
+                            }}
+                            tanggalLaporan={formData.tanggal_laporan}
+                            error={errors.peristiwa}
+                            readOnly={Boolean(laporan)}
+                        />
+                    )}
+
                     <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
                         {/* Jumlah Awal */}
                         <div>
@@ -452,7 +494,10 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                                 value={formData.jumlah_lahir}
                                 onChange={handleChange}
                                 min="0"
-                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${errors.jumlah_lahir ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
+                                readOnly={pakaiRegistri}
+                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${pakaiRegistri
+                                    ? 'bg-gray-50 border-gray-200 text-gray-600'
+                                    : errors.jumlah_lahir ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
                                     }`}
                                 placeholder="0"
                             />
@@ -470,7 +515,10 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                                 value={formData.jumlah_mati}
                                 onChange={handleChange}
                                 min="0"
-                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${errors.jumlah_mati ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
+                                readOnly={pakaiRegistri}
+                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${pakaiRegistri
+                                    ? 'bg-gray-50 border-gray-200 text-gray-600'
+                                    : errors.jumlah_mati ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
                                     }`}
                                 placeholder="0"
                             />
@@ -488,15 +536,36 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                                 value={formData.jumlah_dijual}
                                 onChange={handleChange}
                                 min="0"
-                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${errors.jumlah_dijual ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
+                                readOnly={pakaiRegistri}
+                                className={`block w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-1 ${pakaiRegistri
+                                    ? 'bg-gray-50 border-gray-200 text-gray-600'
+                                    : errors.jumlah_dijual ? 'border-red-300 focus:ring-red-500 focus:border-red-500' : 'border-gray-300 focus:ring-green-500 focus:border-green-500'
                                     }`}
                                 placeholder="0"
                             />
                             {errors.jumlah_dijual && <p className="mt-1 text-sm text-red-600">{errors.jumlah_dijual}</p>}
                         </div>
 
+                        {/* Jumlah Dikembalikan */}
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                                Dikembalikan ke Program
+                            </label>
+                            <input
+                                type="number"
+                                name="jumlah_dikembalikan"
+                                value={formData.jumlah_dikembalikan}
+                                readOnly
+                                className={`block w-full px-3 py-2 border rounded-md bg-gray-50 text-gray-600 ${errors.jumlah_dikembalikan ? 'border-red-300' : 'border-gray-200'}`}
+                            />
+                            <p className="mt-1 text-xs text-gray-500">
+                                Otomatis dari catatan pengembalian sejak laporan sebelumnya
+                            </p>
+                            {errors.jumlah_dikembalikan && <p className="mt-1 text-sm text-red-600">{errors.jumlah_dikembalikan}</p>}
+                        </div>
+
                         {/* Jumlah Saat Ini */}
-                        <div className="sm:col-span-2 lg:col-span-1">
+                        <div>
                             <label className="block text-sm font-medium text-gray-700 mb-1">
                                 Jumlah Saat Ini
                             </label>
@@ -511,7 +580,7 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                                 <CheckCircle className="absolute right-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-green-500" />
                             </div>
                             <p className="mt-1 text-xs text-gray-500">
-                                Otomatis: Awal + Lahir - Mati - Dijual
+                                Otomatis: Awal + Lahir - Mati - Dijual - Dikembalikan
                             </p>
                         </div>
                     </div>
@@ -566,11 +635,20 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                     </div>
                 </div>
 
+                {/* Foto Bukti */}
+                <FotoLaporanFields
+                    idPeternak={peternakId}
+                    fotoList={fotoLaporan}
+                    onChange={setFotoLaporan}
+                    pathTersimpan={pathTersimpan}
+                    onUploadingChange={setUploadingFoto}
+                />
+
                 {/* Buttons */}
                 <div className="flex flex-col-reverse sm:flex-row sm:space-x-3 pt-4 space-y-2 space-y-reverse sm:space-y-0">
                     <button
                         type="button"
-                        onClick={onCancel}
+                        onClick={handleCancel}
                         disabled={loading}
                         className="flex-1 justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
                     >
@@ -578,7 +656,7 @@ const LaporanTriwulanForm = ({ laporan, peternakId, peternakData, onSave, onCanc
                     </button>
                     <button
                         type="submit"
-                        disabled={loading}
+                        disabled={loading || uploadingFoto}
                         className="flex-1 justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                         {loading ? (
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { User, Menu } from 'lucide-react';
+import SinkronIndicator from './SinkronIndicator';
 
 const Navbar = ({ onToggleSidebar }) => {
   const [currentUser, setCurrentUser] = useState(null);
@@ -56,6 +57,9 @@ const Navbar = ({ onToggleSidebar }) => {
 
         {/* Right side - User info */}
         <div className="flex items-center space-x-2 sm:space-x-3 ml-auto">
+          {/* Status sinkronisasi laporan offline */}
+          <SinkronIndicator />
+
           {/* User info */}
           <div className="flex items-center space-x-2 sm:space-x-3">
             <div className="text-right">
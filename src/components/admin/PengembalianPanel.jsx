@@ -0,0 +1,220 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, RotateCcw, AlertCircle, GitBranch } from 'lucide-react';
+import {
+    getPengembalianByPeternak,
+    createPengembalian,
+    deletePengembalian
+} from '../../services/pengembalianService';
+import { getTernakByPeternak } from '../../services/ternakService';
+import { isTernakHidup } from '../../utils/ternak';
+import { toDateString } from '../../utils/programQuarter';
+
+const today = () => toDateString(new Date());
+
+const emptyForm = () => ({
+    tanggalPengembalian: today(),
+    jumlahTernak: '1',
+    idTernak: [],
+    detailTernak: '',
+    keterangan: ''
+});
+
+// Riwayat dan pencatatan pengembalian ternak satu peternak.
+// onChange dipanggil setelah pengembalian ditambah/dihapus agar halaman
+// memuat ulang jumlahDikembalikan peternak. peternakList dipakai untuk
+// menampilkan nama peternak generasi berikutnya yang menerima ternaknya.
+const PengembalianPanel = ({ peternak, peternakList = [], onChange }) => {
+    const [pengembalianList, setPengembalianList] = useState([]);
+    const [ternakHidup, setTernakHidup] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(emptyForm());
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+
+    const loadPengembalian = async () => {
+        setLoading(true);
+        try {
+            const [pengembalianData, ternakData] = await Promise.all([
+                getPengembalianByPeternak(peternak.id),
+                getTernakByPeternak(peternak.id)
+            ]);
+            setPengembalianList(pengembalianData);
+            setTernakHidup(ternakData.filter(isTernakHidup));
+        } catch (err) {
+            setError(err.message);
+        }
+        setLoading(false);
+    };
+
+    useEffect(() => {
+        loadPengembalian();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [peternak.id]);
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    // Jika ternak terdaftar dipilih, jumlah ternak mengikuti pilihan
+    const toggleTernak = (idTernak) => {
+        setFormData(prev => {
+            const idTernakBaru = prev.idTernak.includes(idTernak)
+                ? prev.idTernak.filter(id => id !== idTernak)
+                : [...prev.idTernak, idTernak];
+            return {
+                ...prev,
+                idTernak: idTernakBaru,
+                jumlahTernak: idTernakBaru.length > 0 ? idTernakBaru.length.toString() : prev.jumlahTernak
+            };
+        });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await createPengembalian({ ...formData, idPeternak: peternak.id });
+            setFormData(emptyForm());
+            setShowForm(false);
+            await loadPengembalian();
+            onChange?.();
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    const handleDelete = async (pengembalian) => {
+        if (!window.confirm(`Hapus catatan pengembalian ${pengembalian.jumlahTernak} ekor tanggal ${pengembalian.tanggalPengembalian}?`)) {
+            return;
+        }
+        setError('');
+        try {
+            await deletePengembalian(pengembalian.id);
+            await loadPengembalian();
+            onChange?.();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm";
+
+    return (
+        <div className="mt-6 pt-4 border-t" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-800">Riwayat Pengembalian</h4>
+                {!showForm && (
+                    <button
+                        onClick={() => setShowForm(true)}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-50 hover:bg-green-100"
+                    >
+                        <Plus className="h-3.5 w-3.5 mr-1" />
+                        Catat Pengembalian
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-3 flex items-start bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                    <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="mb-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Tanggal Pengembalian</label>
+                        <input type="date" name="tanggalPengembalian" value={formData.tanggalPengembalian} onChange={handleChange} max={today()} className={inputClass} required />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Jumlah Ternak</label>
+                        <input type="number" name="jumlahTernak" value={formData.jumlahTernak} onChange={handleChange} min="1" readOnly={formData.idTernak.length > 0} className={`${inputClass} read-only:bg-gray-100`} required />
+                    </div>
+                    {ternakHidup.length > 0 && (
+                        <div className="sm:col-span-2">
+                            <label className="block text-xs font-medium text-gray-700 mb-1">Ternak yang Dikembalikan</label>
+                            <div className="flex flex-wrap gap-2">
+                                {ternakHidup.map(ternak => (
+                                    <label key={ternak.id} className={`inline-flex items-center px-2 py-1 border rounded-md text-xs cursor-pointer ${formData.idTernak.includes(ternak.id) ? 'border-green-500 bg-green-50 text-green-800' : 'border-gray-300 bg-white text-gray-700'}`}>
+                                        <input type="checkbox" checked={formData.idTernak.includes(ternak.id)} onChange={() => toggleTernak(ternak.id)} className="mr-1.5 h-3 w-3 text-green-600" />
+                                        {ternak.nomorTag} ({ternak.jenisKelamin})
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+                    <div className="sm:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700">Detail Ternak</label>
+                        <input type="text" name="detailTernak" value={formData.detailTernak} onChange={handleChange} placeholder="Contoh: 1 betina dewasa, 1 jantan umur 8 bulan" className={inputClass} />
+                    </div>
+                    <div className="sm:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700">Keterangan</label>
+                        <input type="text" name="keterangan" value={formData.keterangan} onChange={handleChange} className={inputClass} />
+                    </div>
+                    <div className="sm:col-span-2 flex justify-end space-x-2">
+                        <button type="button" onClick={() => { setShowForm(false); setError(''); }} className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50">
+                            {saving ? 'Menyimpan...' : 'Simpan'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-4">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+                </div>
+            ) : pengembalianList.length === 0 ? (
+                <div className="text-center py-4 bg-gray-100 rounded-lg">
+                    <RotateCcw className="h-6 w-6 text-gray-400 mx-auto mb-1" />
+                    <p className="text-sm text-gray-600">Belum ada ternak yang dikembalikan</p>
+                </div>
+            ) : (
+                <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                    {pengembalianList.map(pengembalian => (
+                        <div key={pengembalian.id} className="flex items-start justify-between p-3">
+                            <div>
+                                <p className="text-sm font-medium text-gray-800">
+                                    {pengembalian.jumlahTernak} ekor • {new Date(pengembalian.tanggalPengembalian).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' })}
+                                </p>
+                                {pengembalian.detailTernak && (
+                                    <p className="text-sm text-gray-600">{pengembalian.detailTernak}</p>
+                                )}
+                                {pengembalian.keterangan && (
+                                    <p className="text-xs text-gray-500">{pengembalian.keterangan}</p>
+                                )}
+                                <p className="text-xs text-gray-400 mt-1">
+                                    Diterima oleh {pengembalian.diterimaOleh?.name || '-'}
+                                </p>
+                                {pengembalian.idPeternakPenerima && (
+                                    <p className="inline-flex items-center text-xs text-purple-700 mt-1">
+                                        <GitBranch className="h-3.5 w-3.5 mr-1" />
+                                        Diteruskan ke {peternakList.find(p => p.id === pengembalian.idPeternakPenerima)?.namaLengkap || 'peternak generasi berikutnya'}
+                                    </p>
+                                )}
+                            </div>
+                            {!pengembalian.idPeternakPenerima && (
+                                <button
+                                    onClick={() => handleDelete(pengembalian)}
+                                    className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-100 rounded-full transition-colors"
+                                    title="Hapus Catatan Pengembalian"
+                                >
+                                    <Trash2 size={14} />
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PengembalianPanel;
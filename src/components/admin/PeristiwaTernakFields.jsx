@@ -0,0 +1,147 @@
+import { Plus, X, Tag } from 'lucide-react';
+import { JENIS_KELAMIN_TERNAK, isTernakHidup } from '../../utils/ternak';
+
+const PILIHAN_STATUS = [
+    { key: 'mati', label: 'Ternak Mati', activeClass: 'border-red-500 bg-red-50 text-red-800' },
+    { key: 'dijual', label: 'Ternak Dijual', activeClass: 'border-blue-500 bg-blue-50 text-blue-800' }
+];
+
+// Pilih ternak yang lahir, mati dan dijual pada laporan triwulan.
+// peristiwa: { lahir: [{ nomorTag, jenisKelamin, tanggalLahir, idInduk }], mati: [id], dijual: [id] }
+// readOnly dipakai saat mengedit laporan: peristiwa yang sudah tercatat hanya ditampilkan.
+const PeristiwaTernakFields = ({ ternakList, peristiwa, onChange, tanggalLaporan, error, readOnly = false }) => {
+    const ternakHidup = ternakList.filter(isTernakHidup);
+    const indukOptions = ternakList.filter(ternak => ternak.jenisKelamin === 'Betina');
+    const getNomorTag = (idTernak) => ternakList.find(ternak => ternak.id === idTernak)?.nomorTag || 'Ternak tidak ditemukan';
+
+    const tambahKelahiran = () => {
+        onChange({
+            ...peristiwa,
+            lahir: [...peristiwa.lahir, { nomorTag: '', jenisKelamin: 'Betina', tanggalLahir: tanggalLaporan, idInduk: '' }]
+        });
+    };
+
+    const ubahKelahiran = (index, field, value) => {
+        onChange({
+            ...peristiwa,
+            lahir: peristiwa.lahir.map((anak, i) => (i === index ? { ...anak, [field]: value } : anak))
+        });
+    };
+
+    const hapusKelahiran = (index) => {
+        onChange({ ...peristiwa, lahir: peristiwa.lahir.filter((_, i) => i !== index) });
+    };
+
+    // Satu ekor hanya bisa masuk salah satu daftar mati/dijual
+    const toggleTernak = (key, idTernak) => {
+        const terpilih = peristiwa[key].includes(idTernak);
+        onChange({
+            ...peristiwa,
+            [key]: terpilih ? peristiwa[key].filter(id => id !== idTernak) : [...peristiwa[key], idTernak]
+        });
+    };
+
+    const inputClass = "block w-full px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-green-500 focus:border-green-500";
+
+    if (readOnly) {
+        return (
+            <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200 text-sm text-gray-700 space-y-1">
+                <h5 className="font-medium text-gray-900 mb-2">Peristiwa Ternak Tercatat</h5>
+                <p>Lahir: {peristiwa.lahir.length > 0 ? peristiwa.lahir.map(anak => anak.nomorTag).join(', ') : '-'}</p>
+                <p>Mati: {peristiwa.mati.length > 0 ? peristiwa.mati.map(getNomorTag).join(', ') : '-'}</p>
+                <p>Dijual: {peristiwa.dijual.length > 0 ? peristiwa.dijual.map(getNomorTag).join(', ') : '-'}</p>
+                <p className="text-xs text-gray-500 pt-1">
+                    Peristiwa ternak tidak dapat diubah. Hapus laporan ini lalu buat ulang jika ada kesalahan.
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="mb-6 p-4 bg-green-50 rounded-lg border border-green-200 space-y-4">
+            <div className="flex items-start">
+                <Tag className="h-5 w-5 text-green-600 mt-0.5 mr-3 flex-shrink-0" />
+                <p className="text-sm text-green-800">
+                    Peternak ini memakai registri ternak. Jumlah lahir, mati dan dijual dihitung dari ternak yang dipilih di bawah.
+                </p>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div>
+                <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-700">Ternak Lahir</label>
+                    <button
+                        type="button"
+                        onClick={tambahKelahiran}
+                        className="inline-flex items-center px-2 py-1 text-xs font-medium rounded-md text-green-700 bg-white border border-green-300 hover:bg-green-100"
+                    >
+                        <Plus className="h-3.5 w-3.5 mr-1" />
+                        Tambah Kelahiran
+                    </button>
+                </div>
+                {peristiwa.lahir.length === 0 ? (
+                    <p className="text-xs text-gray-500">Tidak ada kelahiran</p>
+                ) : (
+                    <div className="space-y-2">
+                        {peristiwa.lahir.map((anak, index) => (
+                            <div key={index} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-center">
+                                <input type="text" value={anak.nomorTag} onChange={(e) => ubahKelahiran(index, 'nomorTag', e.target.value)} placeholder="Nomor eartag" pattern="[A-Za-z0-9\-\s]+" title="Hanya huruf, angka dan tanda hubung" className={inputClass} />
+                                <select value={anak.jenisKelamin} onChange={(e) => ubahKelahiran(index, 'jenisKelamin', e.target.value)} className={inputClass}>
+                                    {JENIS_KELAMIN_TERNAK.map(jenisKelamin => (
+                                        <option key={jenisKelamin} value={jenisKelamin}>{jenisKelamin}</option>
+                                    ))}
+                                </select>
+                                <input type="date" value={anak.tanggalLahir} onChange={(e) => ubahKelahiran(index, 'tanggalLahir', e.target.value)} max={tanggalLaporan} className={inputClass} />
+                                <select value={anak.idInduk} onChange={(e) => ubahKelahiran(index, 'idInduk', e.target.value)} className={inputClass}>
+                                    <option value="">Induk tidak diketahui</option>
+                                    {indukOptions.map(induk => (
+                                        <option key={induk.id} value={induk.id}>Induk {induk.nomorTag}</option>
+                                    ))}
+                                </select>
+                                <button type="button" onClick={() => hapusKelahiran(index)} className="justify-self-start p-1.5 text-red-600 hover:bg-red-100 rounded-full" title="Hapus Kelahiran">
+                                    <X size={14} />
+                                </button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {PILIHAN_STATUS.map(({ key, label, activeClass }) => {
+                const lainnya = key === 'mati' ? peristiwa.dijual : peristiwa.mati;
+                return (
+                    <div key={key}>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+                        {ternakHidup.length === 0 ? (
+                            <p className="text-xs text-gray-500">Tidak ada ternak hidup terdaftar</p>
+                        ) : (
+                            <div className="flex flex-wrap gap-2">
+                                {ternakHidup.map(ternak => (
+                                    <label
+                                        key={ternak.id}
+                                        className={`inline-flex items-center px-2 py-1 border rounded-md text-xs ${lainnya.includes(ternak.id)
+                                            ? 'border-gray-200 bg-gray-100 text-gray-400 cursor-not-allowed'
+                                            : peristiwa[key].includes(ternak.id) ? `${activeClass} cursor-pointer` : 'border-gray-300 bg-white text-gray-700 cursor-pointer'
+                                            }`}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={peristiwa[key].includes(ternak.id)}
+                                            disabled={lainnya.includes(ternak.id)}
+                                            onChange={() => toggleTernak(key, ternak.id)}
+                                            className="mr-1.5 h-3 w-3"
+                                        />
+                                        {ternak.nomorTag} ({ternak.jenisKelamin})
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PeristiwaTernakFields;
@@ -1,7 +1,12 @@
 import { useState, useEffect } from 'react';
+import { Camera, User, X } from 'lucide-react';
 import SearchableDropdown from '../common/SearchableDropdown';
+import { getPengembalianTersedia } from '../../services/pengembalianService';
+import { uploadFotoPeternak, deleteFotoTidakDipakai } from '../../services/fotoService';
+import { toDateString } from '../../utils/programQuarter';
 
-const PeternakForm = ({ initialData, onSave, onCancel }) => {
+// peternakList dipakai untuk menampilkan nama peternak asal pengembalian
+const PeternakForm = ({ initialData, peternakList = [], onSave, onCancel }) => {
     const [formData, setFormData] = useState({
         namaLengkap: '',
         nik: '',
@@ -9,10 +14,16 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
         nomorTelepon: '',
         jenisKelamin: '',
         statusSiklus: 'Mulai', // Default Mulai
-        tanggalDaftar: new Date().toISOString().split('T')[0], // Default hari ini
+        tanggalDaftar: toDateString(new Date()), // Default hari ini
         jumlahTernakAwal: 5, // Default 5 kambing
         targetPengembalian: 6, // Default 6 kambing untuk pengembalian
+        idPengembalianSumber: '', // Kosong = distribusi awal (generasi 1)
+        urlFotoPeternak: '',
+        pathFotoPeternak: '',
     });
+    const [pengembalianTersedia, setPengembalianTersedia] = useState([]);
+    const [uploadingFoto, setUploadingFoto] = useState(false);
+    const [fotoError, setFotoError] = useState('');
 
     const statusSiklusOptions = [
         { value: 'Mulai', label: 'Mulai' },
@@ -28,13 +39,47 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
                 nomorTelepon: initialData.nomorTelepon || '',
                 jenisKelamin: initialData.jenisKelamin || '',
                 statusSiklus: initialData.statusSiklus || 'Mulai',
-                tanggalDaftar: initialData.tanggalDaftar || new Date().toISOString().split('T')[0],
+                tanggalDaftar: initialData.tanggalDaftar || toDateString(new Date()),
                 jumlahTernakAwal: initialData.jumlahTernakAwal || 5,
                 targetPengembalian: initialData.targetPengembalian || 6,
+                urlFotoPeternak: initialData.urlFotoPeternak || '',
+                pathFotoPeternak: initialData.pathFotoPeternak || '',
             });
         }
     }, [initialData]);
 
+    // Sumber ternak hanya dipilih saat pendaftaran peternak baru
+    useEffect(() => {
+        if (initialData) return;
+        getPengembalianTersedia()
+            .then(setPengembalianTersedia)
+            .catch(error => console.error('Error loading pengembalian tersedia:', error));
+    }, [initialData]);
+
+    const getNamaPeternak = (idPeternak) =>
+        peternakList.find(p => p.id === idPeternak)?.namaLengkap || 'Peternak tidak ditemukan';
+
+    const sumberTernakOptions = pengembalianTersedia.map(pengembalian => ({
+        value: pengembalian.id,
+        label: `Pengembalian ${getNamaPeternak(pengembalian.idPeternak)}`,
+        subtitle: `${pengembalian.jumlahTernak} ekor • ${pengembalian.tanggalPengembalian}`
+    }));
+
+    const handleSumberTernakChange = (idPengembalian) => {
+        const pengembalian = pengembalianTersedia.find(p => p.id === idPengembalian);
+        setFormData(prev => ({
+            ...prev,
+            idPengembalianSumber: idPengembalian || '',
+            jumlahTernakAwal: pengembalian ? pengembalian.jumlahTernak : prev.jumlahTernakAwal
+        }));
+    };
+
+    // Ternak awal generasi berikutnya mengikuti jumlah ternak pengembalian sumbernya
+    const jumlahTernakTerkunci = Boolean(formData.idPengembalianSumber || initialData?.idPengembalianSumber);
+    // Periode triwulan dan saldo ternak laporan dihitung dari tanggal daftar dan
+    // jumlah ternak awal, jadi keduanya terkunci setelah ada laporan
+    const sudahAdaLaporan = Number(initialData?.jumlahLaporan) > 0;
+
     const handleChange = (e) => {
         const { name, value } = e.target;
         setFormData(prev => ({ ...prev, [name]: value }));
@@ -44,8 +89,44 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    // Foto yang diunggah di form ini tetapi tidak jadi dipakai dihapus dari Storage;
+    // foto yang sudah tersimpan dihapus service setelah perubahan disimpan
+    const hapusFotoSementara = (path) => {
+        if (path && path !== initialData?.pathFotoPeternak) {
+            deleteFotoTidakDipakai([path]);
+        }
+    };
+
+    const handleFotoChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setFotoError('');
+        setUploadingFoto(true);
+        try {
+            const foto = await uploadFotoPeternak(file);
+            hapusFotoSementara(formData.pathFotoPeternak);
+            setFormData(prev => ({ ...prev, urlFotoPeternak: foto.url, pathFotoPeternak: foto.path }));
+        } catch (error) {
+            setFotoError(error.message);
+        }
+        setUploadingFoto(false);
+    };
+
+    const handleHapusFoto = () => {
+        hapusFotoSementara(formData.pathFotoPeternak);
+        setFormData(prev => ({ ...prev, urlFotoPeternak: '', pathFotoPeternak: '' }));
+    };
+
+    const handleCancel = () => {
+        hapusFotoSementara(formData.pathFotoPeternak);
+        onCancel();
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
+        if (uploadingFoto) return;
 
         // Validasi basic sebelum submit
         if (!formData.namaLengkap || !formData.nik || !formData.alamat || !formData.nomorTelepon || !formData.jenisKelamin || !formData.statusSiklus) {
@@ -66,6 +147,36 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
         <div className="bg-white rounded-lg shadow p-4 sm:p-6 animate-in fade-in duration-300">
             <form onSubmit={handleSubmit}>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {/* Foto Peternak */}
+                    <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Foto Peternak</label>
+                        <div className="flex items-center space-x-4">
+                            {formData.urlFotoPeternak ? (
+                                <img src={formData.urlFotoPeternak} alt={formData.namaLengkap || 'Foto peternak'} className="h-20 w-20 rounded-full object-cover border border-gray-200" />
+                            ) : (
+                                <User className="h-20 w-20 text-gray-400 bg-gray-100 rounded-full p-4" />
+                            )}
+                            <div className="flex flex-wrap items-center gap-2">
+                                <label className={`inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white ${uploadingFoto ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50 cursor-pointer'}`}>
+                                    <Camera className="h-4 w-4 mr-2 text-gray-500" />
+                                    {uploadingFoto ? 'Mengunggah...' : formData.urlFotoPeternak ? 'Ganti Foto' : 'Unggah Foto'}
+                                    <input type="file" accept="image/*" onChange={handleFotoChange} disabled={uploadingFoto} className="hidden" />
+                                </label>
+                                {formData.urlFotoPeternak && !uploadingFoto && (
+                                    <button
+                                        type="button"
+                                        onClick={handleHapusFoto}
+                                        className="inline-flex items-center px-3 py-2 rounded-md text-sm font-medium text-red-600 hover:bg-red-50"
+                                    >
+                                        <X className="h-4 w-4 mr-1" />
+                                        Hapus Foto
+                                    </button>
+                                )}
+                            </div>
+                        </div>
+                        {fotoError && <p className="mt-1 text-xs text-red-600">{fotoError}</p>}
+                        <p className="mt-1 text-xs text-gray-500">Foto tampil di halaman transparansi. Foto dikompres otomatis sebelum diunggah.</p>
+                    </div>
                     {/* Nama Lengkap */}
                     <div>
                         <label htmlFor="namaLengkap" className="block text-sm font-medium text-gray-700">Nama Lengkap</label>
@@ -151,10 +262,33 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
                             id="tanggalDaftar"
                             value={formData.tanggalDaftar}
                             onChange={handleChange}
-                            className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                            max={toDateString(new Date())} // Tidak boleh pilih tanggal masa depan
+                            disabled={sudahAdaLaporan}
+                            className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm disabled:bg-gray-100 disabled:text-gray-500"
                             required
                         />
+                        {sudahAdaLaporan && (
+                            <p className="mt-1 text-xs text-gray-500">Tidak dapat diubah karena peternak sudah memiliki laporan</p>
+                        )}
                     </div>
+                    {/* Sumber Ternak */}
+                    {!initialData && (
+                        <div className="md:col-span-2">
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Sumber Ternak</label>
+                            <SearchableDropdown
+                                options={sumberTernakOptions}
+                                defaultOption={{ value: '', label: 'Distribusi awal (Generasi 1)', subtitle: 'Ternak baru dari program desa' }}
+                                value={formData.idPengembalianSumber}
+                                onChange={handleSumberTernakChange}
+                                placeholder="Pilih sumber ternak..."
+                                valueKey="value"
+                                displayKey="label"
+                            />
+                            <p className="mt-1 text-xs text-gray-500">
+                                Pilih pengembalian peternak lain untuk mendaftarkan peternak generasi berikutnya dari ternak tersebut.
+                            </p>
+                        </div>
+                    )}
                     {/* Jumlah Ternak Awal */}
                     <div>
                         <label htmlFor="jumlahTernakAwal" className="block text-sm font-medium text-gray-700">Jumlah Kambing Awal</label>
@@ -165,9 +299,15 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
                             value={formData.jumlahTernakAwal}
                             onChange={handleChange}
                             min="1"
-                            className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm"
+                            disabled={jumlahTernakTerkunci || sudahAdaLaporan}
+                            className="mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm disabled:bg-gray-100 disabled:text-gray-500"
                             required
                         />
+                        {jumlahTernakTerkunci ? (
+                            <p className="mt-1 text-xs text-gray-500">Mengikuti jumlah ternak pada pengembalian sumber</p>
+                        ) : sudahAdaLaporan && (
+                            <p className="mt-1 text-xs text-gray-500">Tidak dapat diubah karena peternak sudah memiliki laporan</p>
+                        )}
                     </div>
                     {/* Wajib Pengembalian */}
                     <div>
@@ -188,14 +328,15 @@ const PeternakForm = ({ initialData, onSave, onCancel }) => {
                 <div className="flex flex-col-reverse sm:flex-row sm:space-x-3 pt-4 space-y-2 space-y-reverse sm:space-y-0 mt-8">
                     <button
                         type="button"
-                        onClick={onCancel}
+                        onClick={handleCancel}
                         className="flex-1 justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
                     >
                         Batal
                     </button>
                     <button
                         type="submit"
-                        className="flex-1 justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                        disabled={uploadingFoto}
+                        className="flex-1 justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50"
                     >
                         Simpan
                     </button>
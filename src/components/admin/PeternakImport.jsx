@@ -0,0 +1,229 @@
+import { useState } from 'react';
+import { Upload, Download, CheckCircle, AlertCircle, FileSpreadsheet } from 'lucide-react';
+import { IMPORT_COLUMNS, readImportFile, validateImportRows, downloadImportTemplate } from '../../utils/peternakImport';
+import { getNikTerdaftar, importPeternak } from '../../services/peternakService';
+
+// Impor peternak dari CSV/XLSX: pilih file -> preview validasi per baris -> simpan baris valid
+const PeternakImport = ({ onImported, onCancel }) => {
+    const [fileName, setFileName] = useState('');
+    const [rows, setRows] = useState([]);
+    const [fileError, setFileError] = useState('');
+    const [reading, setReading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    // Peternak yang sudah tersimpan saat impor sebelumnya berhenti di tengah jalan
+    const [tersimpan, setTersimpan] = useState([]);
+
+    const nikTersimpan = new Set(tersimpan.map(peternak => peternak.nik));
+    const isTersimpan = (row) => nikTersimpan.has(row.data.nik);
+    const validRows = rows.filter(row => row.errors.length === 0 && !isTersimpan(row));
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+
+        setFileName(file.name);
+        setRows([]);
+        setFileError('');
+        setTersimpan([]);
+        setReading(true);
+        try {
+            const [rawRows, nikTerdaftar] = await Promise.all([
+                readImportFile(file),
+                getNikTerdaftar()
+            ]);
+            setRows(validateImportRows(rawRows, nikTerdaftar));
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            setFileError(error.message);
+        }
+        setReading(false);
+    };
+
+    const handleImport = async () => {
+        if (validRows.length === 0) return;
+        setSaving(true);
+        try {
+            const created = await importPeternak(validRows.map(row => row.data));
+            onImported(tersimpan.length + created.length, invalidRows.length);
+        } catch (error) {
+            console.error('Error importing peternak:', error);
+            // Batch yang sudah tersimpan tidak dibatalkan; sisanya bisa diimpor ulang
+            const created = error.created || [];
+            if (created.length > 0) {
+                setTersimpan(prev => [...prev, ...created]);
+                setFileError(`${error.message}. ${created.length} peternak sudah tersimpan, ${validRows.length - created.length} baris valid lainnya belum tersimpan dan bisa diimpor ulang.`);
+            } else {
+                setFileError(error.message);
+            }
+        }
+        setSaving(false);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-4">
+                    <div>
+                        <h3 className="text-lg font-medium text-gray-900">Pilih File</h3>
+                        <p className="text-sm text-gray-500 mt-1">
+                            Format CSV atau Excel (.xlsx). Baris pertama berisi judul kolom.
+                        </p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={downloadImportTemplate}
+                        className="inline-flex items-center justify-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+                    >
+                        <Download className="h-4 w-4 mr-2" />
+                        Unduh Template
+                    </button>
+                </div>
+
+                <div className="text-xs text-gray-500 mb-4">
+                    Kolom wajib: {IMPORT_COLUMNS.map(column => column.label).join(', ')}
+                </div>
+
+                <label className="flex flex-col items-center justify-center w-full h-32 border-2 border-dashed border-gray-300 rounded-lg cursor-pointer hover:bg-gray-50">
+                    {reading ? (
+                        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600"></div>
+                    ) : (
+                        <>
+                            <Upload className="h-8 w-8 text-gray-400 mb-2" />
+                            <span className="text-sm text-gray-600">
+                                {fileName || 'Klik untuk memilih file'}
+                            </span>
+                        </>
+                    )}
+                    <input
+                        type="file"
+                        accept=".csv,.xlsx,.xls"
+                        onChange={handleFileChange}
+                        disabled={reading || saving}
+                        className="hidden"
+                    />
+                </label>
+
+                {fileError && (
+                    <div className="mt-4 flex items-start bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                        <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                        {fileError}
+                    </div>
+                )}
+            </div>
+
+            {rows.length > 0 && (
+                <div className="bg-white rounded-lg shadow overflow-hidden">
+                    <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 px-4 sm:px-6 py-4 border-b border-gray-200">
+                        <div className="flex items-center text-sm text-gray-700">
+                            <FileSpreadsheet className="h-5 w-5 text-green-600 mr-2" />
+                            <span>
+                                {rows.length} baris • <span className="text-green-700 font-medium">{validRows.length} valid</span>
+                                {tersimpan.length > 0 && (
+                                    <>
+                                        {' • '}
+                                        <span className="text-blue-700 font-medium">{tersimpan.length} sudah tersimpan</span>
+                                    </>
+                                )}
+                                {' • '}
+                                <span className="text-red-700 font-medium">{invalidRows.length} bermasalah</span>
+                            </span>
+                        </div>
+                        {invalidRows.length > 0 && (
+                            <div className="text-xs text-gray-500">
+                                Baris bermasalah tidak ikut disimpan
+                            </div>
+                        )}
+                    </div>
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full divide-y divide-gray-200">
+                            <thead className="bg-gray-50">
+                                <tr>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Baris</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Nama / NIK</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Kontak</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Program</th>
+                                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Keterangan</th>
+                                </tr>
+                            </thead>
+                            <tbody className="bg-white divide-y divide-gray-200">
+                                {rows.map(row => {
+                                    const valid = row.errors.length === 0;
+                                    return (
+                                        <tr key={row.rowNumber} className={valid ? '' : 'bg-red-50'}>
+                                            <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">{row.rowNumber}</td>
+                                            <td className="px-4 py-3 whitespace-nowrap">
+                                                {valid && isTersimpan(row) ? (
+                                                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                                        <CheckCircle className="h-3 w-3 mr-1" />
+                                                        Tersimpan
+                                                    </span>
+                                                ) : valid ? (
+                                                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                                        <CheckCircle className="h-3 w-3 mr-1" />
+                                                        Valid
+                                                    </span>
+                                                ) : (
+                                                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                                                        <AlertCircle className="h-3 w-3 mr-1" />
+                                                        Bermasalah
+                                                    </span>
+                                                )}
+                                            </td>
+                                            <td className="px-4 py-3 text-sm whitespace-nowrap">
+                                                <div className="font-medium text-gray-900">{row.data.namaLengkap || '-'}</div>
+                                                <div className="text-gray-500">{row.data.nik || '-'}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700">
+                                                <div>{row.data.nomorTelepon || '-'}</div>
+                                                <div className="text-gray-500">{row.data.alamat || '-'}</div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">
+                                                <div>{row.data.jenisKelamin || '-'} • {row.data.statusSiklus || '-'}</div>
+                                                <div className="text-gray-500">
+                                                    {row.data.tanggalDaftar || '-'} • {row.data.jumlahTernakAwal || 0} ekor / target {row.data.targetPengembalian || 0}
+                                                </div>
+                                            </td>
+                                            <td className="px-4 py-3 text-sm text-red-700">
+                                                {row.errors.length > 0 && (
+                                                    <ul className="list-disc list-inside space-y-0.5">
+                                                        {row.errors.map(message => (
+                                                            <li key={message}>{message}</li>
+                                                        ))}
+                                                    </ul>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
+            <div className="flex flex-col-reverse sm:flex-row sm:space-x-3 space-y-2 space-y-reverse sm:space-y-0">
+                <button
+                    type="button"
+                    onClick={onCancel}
+                    disabled={saving}
+                    className="flex-1 justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500"
+                >
+                    Batal
+                </button>
+                <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={saving || reading || validRows.length === 0}
+                    className="flex-1 justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    {saving ? 'Menyimpan...' : `Impor ${validRows.length} Peternak Valid`}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default PeternakImport;
@@ -1,11 +1,12 @@
 import { CheckCircle, Clock, AlertTriangle } from 'lucide-react';
+import { TOTAL_TRIWULAN_PROGRAM, getProgramQuarters } from '../../utils/programQuarter';
 
 const ProgramProgressIndicator = ({ peternakData, laporanData }) => {
     const calculateProgress = () => {
         if (!peternakData?.tanggalDaftar) {
             return {
                 currentQuarter: 0,
-                totalQuarters: 8,
+                totalQuarters: TOTAL_TRIWULAN_PROGRAM,
                 percentage: 0,
                 status: 'not-started',
                 nextQuarter: 1,
@@ -13,7 +14,7 @@ const ProgramProgressIndicator = ({ peternakData, laporanData }) => {
             };
         }
 
-        const totalQuarters = 8; // 2 tahun
+        const totalQuarters = TOTAL_TRIWULAN_PROGRAM; // 2 tahun
         const completedQuarters = laporanData?.length || 0;
         const percentage = (completedQuarters / totalQuarters) * 100;
 
@@ -35,40 +36,29 @@ const ProgramProgressIndicator = ({ peternakData, laporanData }) => {
     const getQuarterPeriods = () => {
         if (!peternakData?.tanggalDaftar) return [];
 
-        const startDate = new Date(peternakData.tanggalDaftar);
-        const periods = [];
-
-        for (let quarter = 1; quarter <= 8; quarter++) {
-            const quarterStartDate = new Date(startDate);
-            quarterStartDate.setMonth(startDate.getMonth() + ((quarter - 1) * 3));
-
-            const quarterEndDate = new Date(quarterStartDate);
-            quarterEndDate.setMonth(quarterStartDate.getMonth() + 3);
-            quarterEndDate.setDate(quarterEndDate.getDate() - 1);
-
-            const hasReport = laporanData?.some(l => l.quarterNumber === quarter);
-            const today = new Date();
-            const isActive = today >= quarterStartDate && today <= quarterEndDate;
-            const isPast = today > quarterEndDate;
-
-            periods.push({
-                quarter,
-                year: quarterStartDate.getFullYear(),
-                startDate: quarterStartDate,
-                endDate: quarterEndDate,
-                hasReport,
-                isActive,
-                isPast,
-                displayPeriod: `${quarterStartDate.toLocaleDateString('id-ID', {
+        const today = new Date();
+        const periods = getProgramQuarters(peternakData.tanggalDaftar).map((period) => {
+            const startDate = new Date(`${period.startDate}T00:00:00`);
+            const endDate = new Date(`${period.endDate}T23:59:59`);
+
+            return {
+                quarter: period.quarter,
+                year: period.year,
+                startDate,
+                endDate,
+                hasReport: laporanData?.some(l => Number(l.quarter) === period.quarter),
+                isActive: today >= startDate && today <= endDate,
+                isPast: today > endDate,
+                displayPeriod: `${startDate.toLocaleDateString('id-ID', {
                     day: 'numeric',
                     month: 'short'
-                })} - ${quarterEndDate.toLocaleDateString('id-ID', {
+                })} - ${endDate.toLocaleDateString('id-ID', {
                     day: 'numeric',
                     month: 'short',
                     year: 'numeric'
                 })}`
-            });
-        }
+            };
+        });
 
         return periods;
     };
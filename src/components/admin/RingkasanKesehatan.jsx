@@ -0,0 +1,86 @@
+import { useState, useEffect } from 'react';
+import { Syringe } from 'lucide-react';
+import { getKesehatanByPeternak } from '../../services/kesehatanService';
+import { JENIS_KESEHATAN_LABEL, getJadwalKesehatan } from '../../utils/kesehatan';
+import JadwalKesehatanBadge from './JadwalKesehatanBadge';
+import { toDateString } from '../../utils/programQuarter';
+
+const JUMLAH_CATATAN_TERBARU = 5;
+
+const today = () => toDateString(new Date());
+
+const formatTanggal = (dateString) =>
+    new Date(dateString).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Ringkasan tindakan kesehatan terbaru dan jadwal berikutnya di detail laporan peternak
+const RingkasanKesehatan = ({ peternakId }) => {
+    const [catatanList, setCatatanList] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let aktif = true;
+        setLoading(true);
+        getKesehatanByPeternak(peternakId)
+            .then(data => {
+                if (aktif) setCatatanList(data);
+            })
+            .catch(() => {
+                if (aktif) setCatatanList([]);
+            })
+            .finally(() => {
+                if (aktif) setLoading(false);
+            });
+        return () => {
+            aktif = false;
+        };
+    }, [peternakId]);
+
+    const jadwalList = getJadwalKesehatan(catatanList, today());
+
+    return (
+        <div className="bg-white rounded-lg shadow mb-6 p-5 sm:p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-5">Kesehatan Ternak</h3>
+            {loading ? (
+                <div className="flex justify-center py-4">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+                </div>
+            ) : catatanList.length === 0 ? (
+                <div className="text-center py-4 bg-gray-50 rounded-lg">
+                    <Syringe className="h-6 w-6 text-gray-400 mx-auto mb-1" />
+                    <p className="text-sm text-gray-600">Belum ada catatan kesehatan</p>
+                </div>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-2">Tindakan Terbaru</h4>
+                        <ul className="space-y-2">
+                            {catatanList.slice(0, JUMLAH_CATATAN_TERBARU).map(catatan => (
+                                <li key={catatan.id} className="text-sm text-gray-700">
+                                    <span className="font-medium">{JENIS_KESEHATAN_LABEL[catatan.jenis]}</span> • {catatan.namaObat}
+                                    <span className="block text-xs text-gray-500">{formatTanggal(catatan.tanggal)} • {catatan.petugas}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                    <div>
+                        <h4 className="text-sm font-semibold text-gray-700 mb-2">Jadwal Berikutnya</h4>
+                        {jadwalList.length === 0 ? (
+                            <p className="text-sm text-gray-500">Tidak ada jadwal</p>
+                        ) : (
+                            <ul className="space-y-2">
+                                {jadwalList.map(jadwal => (
+                                    <li key={jadwal.id} className="flex items-center justify-between text-sm text-gray-700">
+                                        <span>{JENIS_KESEHATAN_LABEL[jadwal.jenis]} • {formatTanggal(jadwal.tanggalJatuhTempo)}</span>
+                                        <JadwalKesehatanBadge status={jadwal.statusJadwal} />
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RingkasanKesehatan;
@@ -0,0 +1,43 @@
+import { ShieldAlert, ShieldCheck } from 'lucide-react';
+import { LEVEL_RISIKO, LEVEL_RISIKO_LABEL } from '../../utils/risikoPeternak';
+
+const LEVEL_CONFIG = {
+    [LEVEL_RISIKO.RENDAH]: { icon: ShieldCheck, className: 'bg-green-100 text-green-800' },
+    [LEVEL_RISIKO.SEDANG]: { icon: ShieldAlert, className: 'bg-yellow-100 text-yellow-800' },
+    [LEVEL_RISIKO.TINGGI]: { icon: ShieldAlert, className: 'bg-red-100 text-red-800' }
+};
+
+// Badge level risiko; alasan tampil sebagai tooltip, atau sebagai daftar
+// di bawah badge jika showAlasan aktif
+const RisikoBadge = ({ risiko, showAlasan = false }) => {
+    if (!risiko) return null;
+
+    const config = LEVEL_CONFIG[risiko.level] || LEVEL_CONFIG[LEVEL_RISIKO.RENDAH];
+    const Icon = config.icon;
+    const tooltip = risiko.alasan.length > 0
+        ? risiko.alasan.map(item => `- ${item.pesan}`).join('\n')
+        : 'Tidak ada tanda risiko dari laporan';
+
+    return (
+        <div className="inline-block">
+            <span
+                className={`inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full ${config.className}`}
+                title={tooltip}
+            >
+                <Icon className="h-3.5 w-3.5 mr-1" />
+                {LEVEL_RISIKO_LABEL[risiko.level]}
+            </span>
+            {showAlasan && risiko.alasan.length > 0 && (
+                <ul className="mt-2 space-y-1 text-sm">
+                    {risiko.alasan.map(item => (
+                        <li key={item.pesan} className={item.level === LEVEL_RISIKO.TINGGI ? 'text-red-700' : 'text-yellow-700'}>
+                            • {item.pesan}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default RisikoBadge;
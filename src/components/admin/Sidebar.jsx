@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Home, Users, UserCheck, Settings, LogOut, ArrowLeft, FileText } from 'lucide-react';
+import { Home, Users, UserCheck, Settings, LogOut, ArrowLeft, FileText, HelpCircle, History, Trash2, GitBranch, Syringe, BellRing } from 'lucide-react';
 import logoDomba from '../../assets/icon/logo_domba.png';
 
 const Sidebar = ({ activeItem, isMobileMenuOpen, setIsMobileMenuOpen, onLogout }) => {
@@ -43,6 +43,48 @@ const Sidebar = ({ activeItem, isMobileMenuOpen, setIsMobileMenuOpen, onLogout }
             path: '/admin/laporan'
             // Bisa diakses Super Admin dan Admin
         },
+        {
+            id: 'silsilah',
+            label: 'Silsilah Gaduh',
+            icon: GitBranch,
+            path: '/admin/silsilah'
+            // Bisa diakses Super Admin dan Admin
+        },
+        {
+            id: 'kesehatan',
+            label: 'Jadwal Kesehatan',
+            icon: Syringe,
+            path: '/admin/kesehatan'
+            // Bisa diakses Super Admin dan Admin
+        },
+        {
+            id: 'laporanTerlambat',
+            label: 'Laporan Terlambat',
+            icon: BellRing,
+            path: '/admin/laporan-terlambat'
+            // Bisa diakses Super Admin dan Admin
+        },
+        {
+            id: 'faq',
+            label: 'Kelola FAQ',
+            icon: HelpCircle,
+            path: '/admin/faq'
+            // Bisa diakses Super Admin dan Admin
+        },
+        {
+            id: 'audit',
+            label: 'Riwayat Perubahan',
+            icon: History,
+            path: '/admin/audit'
+            // Bisa diakses Super Admin dan Admin
+        },
+        {
+            id: 'sampah',
+            label: 'Tempat Sampah',
+            icon: Trash2,
+            path: '/admin/sampah'
+            // Bisa diakses Super Admin dan Admin, hapus permanen hanya Super Admin
+        },
         {
             id: 'settings',
             label: 'Pengaturan',
@@ -0,0 +1,140 @@
+import { useState, useEffect, useRef } from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { useAntrianLaporan } from '../../hooks/useAntrianLaporan';
+import { pakaiDataLokal, buangAntrian } from '../../services/antrianLaporanService';
+import { JENIS_ANTRIAN, STATUS_ANTRIAN } from '../../utils/antrianLaporan';
+
+// Indikator koneksi dan laporan yang menunggu sinkronisasi di Navbar.
+// Laporan yang konflik diselesaikan di sini: pakai data offline atau buang.
+const SinkronIndicator = () => {
+    const { antrian, isOnline, isSyncing, sinkronkan } = useAntrianLaporan();
+    const [isOpen, setIsOpen] = useState(false);
+    const [prosesId, setProsesId] = useState(null);
+    const containerRef = useRef(null);
+
+    useEffect(() => {
+        const handleClickOutside = (event) => {
+            if (containerRef.current && !containerRef.current.contains(event.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, []);
+
+    const jumlahKonflik = antrian.filter(item => item.status === STATUS_ANTRIAN.KONFLIK).length;
+
+    // Tidak ada yang perlu ditampilkan saat online dan antrian kosong
+    if (isOnline && antrian.length === 0) return null;
+
+    const handlePakaiLokal = async (item) => {
+        setProsesId(item.id);
+        try {
+            await pakaiDataLokal(item.id);
+        } catch (error) {
+            // Pesan error disimpan di item antrian dan tampil di daftar
+        }
+        setProsesId(null);
+    };
+
+    const handleBuang = (item) => {
+        if (window.confirm(`Buang laporan offline ${item.label}? Data yang belum terkirim akan hilang.`)) {
+            buangAntrian(item.id);
+        }
+    };
+
+    const status = !isOnline
+        ? { icon: CloudOff, label: 'Offline', className: 'bg-gray-100 text-gray-700' }
+        : jumlahKonflik > 0
+            ? { icon: AlertTriangle, label: `${jumlahKonflik} konflik`, className: 'bg-red-100 text-red-700' }
+            : { icon: isSyncing ? RefreshCw : Cloud, label: isSyncing ? 'Menyinkronkan...' : 'Menunggu sinkron', className: 'bg-yellow-100 text-yellow-800' };
+    const StatusIcon = status.icon;
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className={`inline-flex items-center px-2 sm:px-3 py-1.5 rounded-full text-xs font-medium ${status.className}`}
+                title="Status sinkronisasi laporan"
+            >
+                <StatusIcon className={`h-4 w-4 sm:mr-1.5 ${isSyncing ? 'animate-spin' : ''}`} />
+                <span className="hidden sm:inline">{status.label}</span>
+                {antrian.length > 0 && (
+                    <span className="ml-1.5 inline-flex items-center justify-center h-5 min-w-5 px-1 rounded-full bg-white text-gray-800">
+                        {antrian.length}
+                    </span>
+                )}
+            </button>
+
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white rounded-lg shadow-lg border border-gray-200 z-50">
+                    <div className="p-3 border-b border-gray-100">
+                        <p className="text-sm font-semibold text-gray-900">Laporan Offline</p>
+                        <p className="text-xs text-gray-500">
+                            {isOnline
+                                ? 'Laporan dikirim otomatis saat koneksi tersedia.'
+                                : 'Tidak ada koneksi. Laporan disimpan di perangkat ini dan dikirim saat online.'}
+                        </p>
+                    </div>
+
+                    {antrian.length === 0 ? (
+                        <p className="p-3 text-sm text-gray-500">Tidak ada laporan yang menunggu</p>
+                    ) : (
+                        <ul className="max-h-80 overflow-auto divide-y divide-gray-100">
+                            {antrian.map(item => (
+                                <li key={item.id} className="p-3 text-sm">
+                                    <div className="flex items-center justify-between">
+                                        <span className="font-medium text-gray-900">{item.label}</span>
+                                        <span className="text-xs text-gray-500">
+                                            {item.jenis === JENIS_ANTRIAN.CREATE ? 'Laporan baru' : 'Perubahan'}
+                                        </span>
+                                    </div>
+                                    {item.status === STATUS_ANTRIAN.KONFLIK ? (
+                                        <>
+                                            <p className="mt-1 text-xs text-red-600">{item.pesan}</p>
+                                            <div className="mt-2 flex space-x-2">
+                                                <button
+                                                    onClick={() => handlePakaiLokal(item)}
+                                                    disabled={!isOnline || prosesId === item.id}
+                                                    className="px-2 py-1 text-xs font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+                                                >
+                                                    {prosesId === item.id ? 'Mengirim...' : 'Pakai Data Saya'}
+                                                </button>
+                                                <button
+                                                    onClick={() => handleBuang(item)}
+                                                    disabled={prosesId === item.id}
+                                                    className="px-2 py-1 text-xs font-medium rounded-md text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50"
+                                                >
+                                                    Buang
+                                                </button>
+                                            </div>
+                                        </>
+                                    ) : (
+                                        <p className="mt-1 text-xs text-gray-500">
+                                            Menunggu sejak {new Date(item.dibuatPada).toLocaleString('id-ID', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}
+                                        </p>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+
+                    {isOnline && antrian.some(item => item.status === STATUS_ANTRIAN.MENUNGGU) && (
+                        <div className="p-3 border-t border-gray-100">
+                            <button
+                                onClick={sinkronkan}
+                                disabled={isSyncing}
+                                className="w-full inline-flex items-center justify-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-50 hover:bg-green-100 disabled:opacity-50"
+                            >
+                                <RefreshCw className={`h-3.5 w-3.5 mr-1.5 ${isSyncing ? 'animate-spin' : ''}`} />
+                                Sinkronkan Sekarang
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SinkronIndicator;
@@ -13,17 +13,19 @@ const StatsCard = ({ stats }) => {
                 <div className={`${stat.color} rounded-lg p-3`}>
                   <Icon className="h-6 w-6 text-white" />
                 </div>
-                <div className="flex items-center text-sm">
-                  {stat.changeType === 'increase' ? (
-                    <TrendingUp className="h-4 w-4 text-green-600 mr-1" />
-                  ) : (
-                    <TrendingDown className="h-4 w-4 text-red-600 mr-1" />
-                  )}
-                  <span className={`font-medium ${stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
-                    }`}>
-                    {stat.change}
-                  </span>
-                </div>
+                {stat.change && (
+                  <div className="flex items-center text-sm">
+                    {stat.changeType === 'increase' ? (
+                      <TrendingUp className="h-4 w-4 text-green-600 mr-1" />
+                    ) : (
+                      <TrendingDown className="h-4 w-4 text-red-600 mr-1" />
+                    )}
+                    <span className={`font-medium ${stat.changeType === 'increase' ? 'text-green-600' : 'text-red-600'
+                      }`}>
+                      {stat.change}
+                    </span>
+                  </div>
+                )}
               </div>
 
               <div>
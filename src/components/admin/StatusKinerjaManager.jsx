@@ -36,8 +36,8 @@ const StatusKinerjaManager = ({ peternakData, laporanData, onStatusUpdate }) =>
 
         setIsUpdating(true);
         try {
-            await updateStatusKinerjaFinal(peternakData.id, selectedStatus);
-            onStatusUpdate && onStatusUpdate(selectedStatus);
+            const result = await updateStatusKinerjaFinal(peternakData.id, selectedStatus);
+            onStatusUpdate && onStatusUpdate(selectedStatus, result);
             setSelectedStatus('');
         } catch (error) {
             console.error('Error updating status:', error);
@@ -117,7 +117,8 @@ const StatusKinerjaManager = ({ peternakData, laporanData, onStatusUpdate }) =>
                 {['Bagus', 'Biasa', 'Kurang'].includes(peternakData.statusKinerja) && (
                     <p className="text-sm text-gray-600">
                         Status final setelah program 2 tahun selesai. Program telah selesai pada{' '}
-                        {peternakData.tanggalSelesai && new Date(peternakData.tanggalSelesai).toLocaleDateString('id-ID')}.
+                        {peternakData.tanggalSelesai && new Date(peternakData.tanggalSelesai).toLocaleDateString('id-ID')}
+                        {peternakData.statusKinerjaDiubahOleh?.name && ` oleh ${peternakData.statusKinerjaDiubahOleh.name}`}.
                     </p>
                 )}
             </div>
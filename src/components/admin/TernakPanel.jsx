@@ -0,0 +1,219 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, Tag, AlertCircle, ChevronDown, ChevronUp } from 'lucide-react';
+import { getTernakByPeternak, createTernak, deleteTernak } from '../../services/ternakService';
+import {
+    STATUS_TERNAK,
+    STATUS_TERNAK_LABEL,
+    JENIS_KELAMIN_TERNAK,
+    PERISTIWA_TERNAK,
+    PERISTIWA_TERNAK_LABEL
+} from '../../utils/ternak';
+import { toDateString } from '../../utils/programQuarter';
+
+const STATUS_CLASS = {
+    [STATUS_TERNAK.HIDUP]: 'bg-green-100 text-green-800',
+    [STATUS_TERNAK.MATI]: 'bg-red-100 text-red-800',
+    [STATUS_TERNAK.DIJUAL]: 'bg-blue-100 text-blue-800',
+    [STATUS_TERNAK.DIKEMBALIKAN]: 'bg-purple-100 text-purple-800'
+};
+
+const emptyForm = () => ({
+    nomorTag: '',
+    jenisKelamin: 'Betina',
+    tanggalLahir: '',
+    idInduk: '',
+    keterangan: ''
+});
+
+const formatTanggal = (dateString) =>
+    dateString ? new Date(dateString).toLocaleDateString('id-ID', { day: 'numeric', month: 'short', year: 'numeric' }) : '-';
+
+// Registri ternak per ekor milik satu peternak beserta riwayat peristiwanya.
+// Kelahiran, kematian dan penjualan dicatat lewat laporan triwulan; panel ini
+// hanya mendaftarkan ternak yang sudah ada (mis. distribusi awal).
+const TernakPanel = ({ peternak }) => {
+    const [ternakList, setTernakList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(emptyForm());
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState('');
+    const [expandedId, setExpandedId] = useState(null);
+
+    const loadTernak = async () => {
+        setLoading(true);
+        try {
+            setTernakList(await getTernakByPeternak(peternak.id));
+        } catch (err) {
+            setError(err.message);
+        }
+        setLoading(false);
+    };
+
+    // Dimuat ulang juga saat pengembalian berubah karena status ternak ikut berubah
+    useEffect(() => {
+        loadTernak();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [peternak.id, peternak.jumlahDikembalikan]);
+
+    const indukOptions = ternakList.filter(ternak => ternak.jenisKelamin === 'Betina');
+    const jumlahHidup = ternakList.filter(ternak => ternak.status === STATUS_TERNAK.HIDUP).length;
+    const getNomorTag = (idTernak) => ternakList.find(ternak => ternak.id === idTernak)?.nomorTag || '-';
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            await createTernak({ ...formData, idPeternak: peternak.id });
+            setFormData(emptyForm());
+            setShowForm(false);
+            await loadTernak();
+        } catch (err) {
+            setError(err.message);
+        }
+        setSaving(false);
+    };
+
+    const handleDelete = async (ternak) => {
+        if (!window.confirm(`Hapus ternak ${ternak.nomorTag} dari registri?`)) {
+            return;
+        }
+        setError('');
+        try {
+            await deleteTernak(ternak.id);
+            await loadTernak();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const inputClass = "mt-1 block w-full px-3 py-2 bg-white border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-green-500 focus:border-green-500 sm:text-sm";
+
+    return (
+        <div className="mt-6 pt-4 border-t" onClick={(e) => e.stopPropagation()}>
+            <div className="flex items-center justify-between mb-3">
+                <h4 className="text-sm font-semibold text-gray-800">
+                    Registri Ternak {ternakList.length > 0 && <span className="font-normal text-gray-500">({jumlahHidup} hidup dari {ternakList.length} ekor)</span>}
+                </h4>
+                {!showForm && (
+                    <button
+                        onClick={() => setShowForm(true)}
+                        className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-50 hover:bg-green-100"
+                    >
+                        <Plus className="h-3.5 w-3.5 mr-1" />
+                        Daftarkan Ternak
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="mb-3 flex items-start bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700">
+                    <AlertCircle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                    {error}
+                </div>
+            )}
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="mb-4 p-4 bg-gray-50 rounded-lg grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Nomor Eartag</label>
+                        <input type="text" name="nomorTag" value={formData.nomorTag} onChange={handleChange} placeholder="Contoh: BONO-0012" pattern="[A-Za-z0-9\-\s]+" title="Hanya huruf, angka dan tanda hubung" className={inputClass} required />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Jenis Kelamin</label>
+                        <select name="jenisKelamin" value={formData.jenisKelamin} onChange={handleChange} className={inputClass}>
+                            {JENIS_KELAMIN_TERNAK.map(jenisKelamin => (
+                                <option key={jenisKelamin} value={jenisKelamin}>{jenisKelamin}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Tanggal Lahir (jika diketahui)</label>
+                        <input type="date" name="tanggalLahir" value={formData.tanggalLahir} onChange={handleChange} max={toDateString(new Date())} className={inputClass} />
+                    </div>
+                    <div>
+                        <label className="block text-xs font-medium text-gray-700">Induk</label>
+                        <select name="idInduk" value={formData.idInduk} onChange={handleChange} className={inputClass}>
+                            <option value="">Tidak diketahui</option>
+                            {indukOptions.map(induk => (
+                                <option key={induk.id} value={induk.id}>{induk.nomorTag}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div className="sm:col-span-2">
+                        <label className="block text-xs font-medium text-gray-700">Keterangan</label>
+                        <input type="text" name="keterangan" value={formData.keterangan} onChange={handleChange} className={inputClass} />
+                    </div>
+                    <div className="sm:col-span-2 flex justify-end space-x-2">
+                        <button type="button" onClick={() => { setShowForm(false); setError(''); }} className="px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50">
+                            Batal
+                        </button>
+                        <button type="submit" disabled={saving} className="px-3 py-1.5 rounded-md text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50">
+                            {saving ? 'Menyimpan...' : 'Simpan'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-4">
+                    <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-green-600"></div>
+                </div>
+            ) : ternakList.length === 0 ? (
+                <div className="text-center py-4 bg-gray-100 rounded-lg">
+                    <Tag className="h-6 w-6 text-gray-400 mx-auto mb-1" />
+                    <p className="text-sm text-gray-600">Belum ada ternak terdaftar. Jumlah ternak di laporan diisi manual.</p>
+                </div>
+            ) : (
+                <div className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+                    {ternakList.map(ternak => (
+                        <div key={ternak.id} className="p-3">
+                            <div className="flex items-start justify-between">
+                                <button onClick={() => setExpandedId(expandedId === ternak.id ? null : ternak.id)} className="text-left flex-1">
+                                    <div className="flex flex-wrap items-center gap-2">
+                                        <span className="text-sm font-medium text-gray-800">{ternak.nomorTag}</span>
+                                        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${STATUS_CLASS[ternak.status] || 'bg-gray-100 text-gray-800'}`}>
+                                            {STATUS_TERNAK_LABEL[ternak.status] || ternak.status}
+                                        </span>
+                                        {expandedId === ternak.id ? <ChevronUp size={14} className="text-gray-400" /> : <ChevronDown size={14} className="text-gray-400" />}
+                                    </div>
+                                    <p className="text-xs text-gray-500 mt-0.5">
+                                        {ternak.jenisKelamin} • lahir {formatTanggal(ternak.tanggalLahir)} • induk {ternak.idInduk ? getNomorTag(ternak.idInduk) : '-'}
+                                    </p>
+                                </button>
+                                {(ternak.riwayat || []).every(riwayat => riwayat.peristiwa === PERISTIWA_TERNAK.DIDAFTARKAN) && (
+                                    <button
+                                        onClick={() => handleDelete(ternak)}
+                                        className="p-1.5 text-red-600 hover:text-red-800 hover:bg-red-100 rounded-full transition-colors"
+                                        title="Hapus dari Registri"
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                )}
+                            </div>
+                            {expandedId === ternak.id && (
+                                <ul className="mt-2 ml-1 pl-3 border-l-2 border-gray-200 space-y-1">
+                                    {(ternak.riwayat || []).map((riwayat, index) => (
+                                        <li key={index} className="text-xs text-gray-600">
+                                            <span className="font-medium text-gray-800">{PERISTIWA_TERNAK_LABEL[riwayat.peristiwa] || riwayat.peristiwa}</span>
+                                            {' • '}{formatTanggal(riwayat.tanggal)}
+                                            {riwayat.dicatatOleh?.name && <> • dicatat {riwayat.dicatatOleh.name}</>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TernakPanel;
@@ -29,7 +29,7 @@ const CommonDeleteModal = ({
         },
         peternak: {
             title: 'Konfirmasi Hapus Peternak',
-            message: `Anda akan menghapus data peternak dengan nama <strong class="font-semibold">${item.namaLengkap}</strong>. Tindakan ini tidak dapat diurungkan.`,
+            message: customMessage || `Anda akan menghapus data peternak dengan nama <strong class="font-semibold">${item.namaLengkap}</strong>. Tindakan ini tidak dapat diurungkan.`,
             confirmLabel: `Untuk melanjutkan, silakan ketik <strong class="font-semibold text-red-600">${item.nik}</strong> di bawah ini.`,
             confirmValue: item.nik,
             confirmField: 'NIK',
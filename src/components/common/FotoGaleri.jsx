@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { KATEGORI_FOTO_LABEL } from '../../utils/foto';
+
+// Galeri foto laporan dengan tampilan layar penuh; navigasi panah kiri/kanan dan Escape
+const FotoGaleri = ({ fotoList, judul }) => {
+    const [indexAktif, setIndexAktif] = useState(null);
+
+    const tutup = () => setIndexAktif(null);
+    const geser = (arah) => setIndexAktif(prev => (prev + arah + fotoList.length) % fotoList.length);
+
+    useEffect(() => {
+        if (indexAktif === null) return;
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') setIndexAktif(null);
+            if (e.key === 'ArrowLeft') setIndexAktif(prev => (prev - 1 + fotoList.length) % fotoList.length);
+            if (e.key === 'ArrowRight') setIndexAktif(prev => (prev + 1) % fotoList.length);
+        };
+        document.addEventListener('keydown', handleKeyDown);
+        return () => document.removeEventListener('keydown', handleKeyDown);
+    }, [indexAktif, fotoList.length]);
+
+    if (!fotoList || fotoList.length === 0) return null;
+
+    const fotoAktif = indexAktif !== null ? fotoList[indexAktif] : null;
+
+    return (
+        <>
+            <div className="flex flex-wrap gap-2">
+                {fotoList.map((foto, index) => (
+                    <button
+                        key={foto.path}
+                        type="button"
+                        onClick={() => setIndexAktif(index)}
+                        className="relative w-24 h-24 rounded-lg overflow-hidden border border-gray-200 hover:opacity-90 focus:outline-none focus:ring-2 focus:ring-green-500"
+                        title={KATEGORI_FOTO_LABEL[foto.kategori]}
+                    >
+                        <img src={foto.url} alt={KATEGORI_FOTO_LABEL[foto.kategori]} loading="lazy" className="w-full h-full object-cover" />
+                    </button>
+                ))}
+            </div>
+
+            {fotoAktif && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/80 p-4" onClick={tutup}>
+                    <div className="relative max-w-4xl w-full" onClick={(e) => e.stopPropagation()}>
+                        <button
+                            type="button"
+                            onClick={tutup}
+                            className="absolute -top-10 right-0 p-1.5 text-white hover:bg-white/20 rounded-full"
+                            title="Tutup"
+                        >
+                            <X size={20} />
+                        </button>
+                        <img src={fotoAktif.url} alt={KATEGORI_FOTO_LABEL[fotoAktif.kategori]} className="w-full max-h-[80vh] object-contain rounded-lg" />
+                        <div className="mt-2 flex items-center justify-between text-sm text-white">
+                            <span>
+                                {judul && `${judul} • `}{KATEGORI_FOTO_LABEL[fotoAktif.kategori]} ({indexAktif + 1}/{fotoList.length})
+                            </span>
+                            {fotoList.length > 1 && (
+                                <div className="flex space-x-2">
+                                    <button type="button" onClick={() => geser(-1)} className="p-1.5 hover:bg-white/20 rounded-full" title="Sebelumnya">
+                                        <ChevronLeft size={20} />
+                                    </button>
+                                    <button type="button" onClick={() => geser(1)} className="p-1.5 hover:bg-white/20 rounded-full" title="Berikutnya">
+                                        <ChevronRight size={20} />
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+};
+
+export default FotoGaleri;
@@ -0,0 +1,125 @@
+import { TrendingDown, AlertTriangle } from 'lucide-react';
+import { buatDataTren, getPeringatanTren, getSkalaTren, TRIWULAN_TREN } from '../../utils/trenTernak';
+
+// Ukuran dasar SVG; grafik diskalakan mengikuti lebar container
+const LEBAR = 640;
+const TINGGI = 240;
+const PADDING = { kiri: 36, kanan: 12, atas: 12, bawah: 28 };
+const LEBAR_PLOT = LEBAR - PADDING.kiri - PADDING.kanan;
+const TINGGI_PLOT = TINGGI - PADDING.atas - PADDING.bawah;
+const LEBAR_SLOT = LEBAR_PLOT / TRIWULAN_TREN.length;
+const LEBAR_BATANG = 12;
+
+const SERI_BATANG = [
+    { key: 'jumlahLahir', label: 'Lahir', className: 'fill-green-500' },
+    { key: 'jumlahKematian', label: 'Mati', className: 'fill-red-500' },
+    { key: 'jumlahTerjual', label: 'Terjual', className: 'fill-blue-500' }
+];
+
+// Grafik batang kelahiran, kematian dan penjualan per triwulan program,
+// garis jumlah ternak saat ini, dan garis putus-putus targetPengembalian.
+const GrafikTrenTernak = ({ laporan = [], targetPengembalian = 0, className = "" }) => {
+    const dataTren = buatDataTren(laporan);
+    const target = Number(targetPengembalian) || 0;
+    const { maks, langkah } = getSkalaTren(dataTren, target);
+    const peringatan = getPeringatanTren(dataTren, target);
+
+    const getX = (quarter) => PADDING.kiri + LEBAR_SLOT * (quarter - 0.5);
+    const getY = (nilai) => PADDING.atas + TINGGI_PLOT - (nilai / maks) * TINGGI_PLOT;
+    const garisBantu = Array.from({ length: maks / langkah + 1 }, (_, index) => index * langkah);
+    const titikGaris = dataTren.map(titik => `${getX(titik.quarter)},${getY(titik.jumlahTernakSaatIni)}`).join(' ');
+
+    return (
+        <div className={`bg-white rounded-lg ${className}`}>
+            <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2 mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Tren Ternak per Triwulan</h3>
+                {dataTren.length > 1 && (
+                    <span className={`text-sm ${peringatan.selisih < 0 ? 'text-red-600' : 'text-gray-500'}`}>
+                        {peringatan.selisih < 0 ? 'Turun' : 'Naik'} {Math.abs(peringatan.selisih)} ekor sejak Triwulan {dataTren[0].quarter}
+                    </span>
+                )}
+            </div>
+
+            {(peringatan.turunBeruntun || peringatan.diBawahTarget) && (
+                <div className="mb-4 space-y-2">
+                    {peringatan.turunBeruntun && (
+                        <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                            <TrendingDown className="h-4 w-4 mr-2 flex-shrink-0" />
+                            Jumlah ternak turun dua triwulan berturut-turut
+                        </div>
+                    )}
+                    {peringatan.diBawahTarget && (
+                        <div className="flex items-center p-3 bg-orange-50 border border-orange-200 rounded-lg text-sm text-orange-700">
+                            <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+                            Jumlah ternak ({dataTren[dataTren.length - 1].jumlahTernakSaatIni} ekor) di bawah target pengembalian ({target} ekor)
+                        </div>
+                    )}
+                </div>
+            )}
+
+            {dataTren.length === 0 ? (
+                <p className="text-sm text-gray-500 text-center py-8">Belum ada laporan untuk ditampilkan di grafik</p>
+            ) : (
+                <>
+                    <svg viewBox={`0 0 ${LEBAR} ${TINGGI}`} className="w-full h-auto" role="img" aria-label="Grafik tren ternak per triwulan">
+                        {/* Garis bantu dan sumbu Y */}
+                        {garisBantu.map(nilai => (
+                            <g key={nilai}>
+                                <line x1={PADDING.kiri} x2={LEBAR - PADDING.kanan} y1={getY(nilai)} y2={getY(nilai)} className="stroke-gray-200" />
+                                <text x={PADDING.kiri - 6} y={getY(nilai) + 4} textAnchor="end" className="fill-gray-500 text-[11px]">{nilai}</text>
+                            </g>
+                        ))}
+
+                        {/* Sumbu X: semua triwulan program agar sisa waktu terlihat */}
+                        {TRIWULAN_TREN.map(quarter => (
+                            <text key={quarter} x={getX(quarter)} y={TINGGI - 8} textAnchor="middle" className="fill-gray-500 text-[11px]">T{quarter}</text>
+                        ))}
+
+                        {/* Batang lahir, mati, terjual */}
+                        {dataTren.map(titik => SERI_BATANG.map((seri, index) => (
+                            <rect
+                                key={`${titik.quarter}-${seri.key}`}
+                                x={getX(titik.quarter) + (index - 1.5) * LEBAR_BATANG + (index - 1) * 2}
+                                y={getY(titik[seri.key])}
+                                width={LEBAR_BATANG}
+                                height={getY(0) - getY(titik[seri.key])}
+                                className={seri.className}
+                            >
+                                <title>{`Triwulan ${titik.quarter} - ${seri.label}: ${titik[seri.key]} ekor`}</title>
+                            </rect>
+                        )))}
+
+                        {/* Target pengembalian */}
+                        {target > 0 && (
+                            <g>
+                                <line x1={PADDING.kiri} x2={LEBAR - PADDING.kanan} y1={getY(target)} y2={getY(target)} strokeDasharray="6 4" strokeWidth="2" className="stroke-orange-500" />
+                                <text x={LEBAR - PADDING.kanan} y={getY(target) - 4} textAnchor="end" className="fill-orange-600 text-[11px]">Target {target} ekor</text>
+                            </g>
+                        )}
+
+                        {/* Jumlah ternak saat ini */}
+                        <polyline points={titikGaris} fill="none" strokeWidth="2" className="stroke-gray-800" />
+                        {dataTren.map(titik => (
+                            <circle key={titik.quarter} cx={getX(titik.quarter)} cy={getY(titik.jumlahTernakSaatIni)} r="4" className="fill-white stroke-gray-800" strokeWidth="2">
+                                <title>{`Triwulan ${titik.quarter} - Jumlah ternak: ${titik.jumlahTernakSaatIni} ekor`}</title>
+                            </circle>
+                        ))}
+                    </svg>
+
+                    {/* Legenda */}
+                    <div className="flex flex-wrap gap-x-4 gap-y-2 mt-3 text-xs text-gray-600">
+                        <span className="inline-flex items-center"><span className="h-3 w-3 rounded-sm bg-green-500 mr-1.5" />Lahir</span>
+                        <span className="inline-flex items-center"><span className="h-3 w-3 rounded-sm bg-red-500 mr-1.5" />Mati</span>
+                        <span className="inline-flex items-center"><span className="h-3 w-3 rounded-sm bg-blue-500 mr-1.5" />Terjual</span>
+                        <span className="inline-flex items-center"><span className="h-0.5 w-4 bg-gray-800 mr-1.5" />Jumlah ternak</span>
+                        {target > 0 && (
+                            <span className="inline-flex items-center"><span className="w-4 border-t-2 border-dashed border-orange-500 mr-1.5" />Target pengembalian</span>
+                        )}
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default GrafikTrenTernak;
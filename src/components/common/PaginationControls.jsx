@@ -0,0 +1,35 @@
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Tombol halaman untuk daftar berbasis cursor: hanya tahu ada halaman
+// sebelum/sesudah, bukan jumlah total halaman.
+const PaginationControls = ({
+    nomorHalaman,
+    hasPrev,
+    hasNext,
+    halamanSebelumnya,
+    halamanBerikutnya,
+    loading = false,
+    className = ""
+}) => {
+    if (!hasPrev && !hasNext) return null;
+
+    const buttonClass = "inline-flex items-center px-3 py-1.5 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed";
+
+    return (
+        <div className={`flex items-center justify-between px-4 sm:px-6 py-3 border-t border-gray-200 ${className}`}>
+            <button onClick={halamanSebelumnya} disabled={!hasPrev || loading} className={buttonClass}>
+                <ChevronLeft className="h-4 w-4 mr-1" />
+                Sebelumnya
+            </button>
+            <span className="text-sm text-gray-500">
+                Halaman <span className="font-medium text-gray-900">{nomorHalaman}</span>
+            </span>
+            <button onClick={halamanBerikutnya} disabled={!hasNext || loading} className={buttonClass}>
+                Berikutnya
+                <ChevronRight className="h-4 w-4 ml-1" />
+            </button>
+        </div>
+    );
+};
+
+export default PaginationControls;
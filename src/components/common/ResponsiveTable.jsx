@@ -1,5 +1,4 @@
-import { Eye, EyeOff, User, Edit, Trash2 } from 'lucide-react';
-import { useState } from 'react';
+import { Eye, User, Edit, Trash2 } from 'lucide-react';
 
 const ResponsiveTable = ({
     data,
@@ -8,18 +7,8 @@ const ResponsiveTable = ({
     onDelete,
     onView,
     className = "",
-    showPasswordToggle = false,
     currentUserEmail = ''
 }) => {
-    const [visiblePasswords, setVisiblePasswords] = useState({});
-
-    const togglePasswordVisibility = (itemId) => {
-        setVisiblePasswords(prev => ({
-            ...prev,
-            [itemId]: !prev[itemId]
-        }));
-    };
-
     const getRoleBadge = (role) => {
         const isAdmin = role === 'Super Admin';
         return (
@@ -62,27 +51,6 @@ const ResponsiveTable = ({
             return getStatusBadge(value);
         }
 
-        if (column.key === 'password' && showPasswordToggle) {
-            // Hanya tampilkan password untuk admin biasa, tidak untuk Super Admin
-            if (item.role === 'Super Admin') {
-                return <span className="text-sm text-gray-400 italic">Tersembunyi</span>;
-            }
-
-            return (
-                <div className="flex items-center">
-                    <span className="text-sm text-gray-900 mr-2 font-mono">
-                        {visiblePasswords[item.id] ? (item.generatedPassword || value) : '••••••••••••••'}
-                    </span>
-                    <button
-                        onClick={() => togglePasswordVisibility(item.id)}
-                        className="text-gray-400 hover:text-gray-600 transition-colors"
-                    >
-                        {visiblePasswords[item.id] ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
-                    </button>
-                </div>
-            );
-        }
-
         if (column.key === 'admin' || column.key === 'peternak') {
             const entity = column.render(item);
             return (
@@ -0,0 +1,86 @@
+import { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import authService from '../services/authService';
+
+const AuthContext = createContext();
+
+// Interval pengecekan ulang sesi selama aplikasi terbuka
+const SESSION_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+export const useAuth = () => {
+    const context = useContext(AuthContext);
+    if (!context) {
+        throw new Error('useAuth must be used within an AuthProvider');
+    }
+    return context;
+};
+
+const clearStoredSession = () => {
+    localStorage.removeItem('adminToken');
+    localStorage.removeItem('adminUser');
+};
+
+export const AuthProvider = ({ children }) => {
+    const [currentUser, setCurrentUser] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    const refreshSession = useCallback(async () => {
+        const token = localStorage.getItem('adminToken');
+        const user = await authService.validateSession(token);
+
+        if (user) {
+            localStorage.setItem('adminUser', JSON.stringify(user));
+        } else {
+            clearStoredSession();
+        }
+        setCurrentUser(user);
+        return user;
+    }, []);
+
+    // Validasi sesi saat aplikasi dimuat ulang, lalu cek berkala
+    useEffect(() => {
+        refreshSession().finally(() => setLoading(false));
+
+        const interval = setInterval(() => {
+            if (localStorage.getItem('adminToken')) {
+                refreshSession();
+            }
+        }, SESSION_CHECK_INTERVAL_MS);
+
+        return () => clearInterval(interval);
+    }, [refreshSession]);
+
+    const login = async (email, password) => {
+        const user = await authService.login(email, password);
+        const sessionUser = {
+            id: user.uid,
+            email: user.email,
+            name: user.fullName,
+            role: user.role
+        };
+
+        localStorage.setItem('adminToken', user.accessToken);
+        localStorage.setItem('adminUser', JSON.stringify(sessionUser));
+        setCurrentUser(sessionUser);
+        return sessionUser;
+    };
+
+    const logout = async () => {
+        await authService.logout(localStorage.getItem('adminToken'));
+        clearStoredSession();
+        setCurrentUser(null);
+    };
+
+    const value = {
+        currentUser,
+        loading,
+        login,
+        logout,
+        refreshSession
+    };
+
+    return (
+        <AuthContext.Provider value={value}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
@@ -0,0 +1,605 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import {
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  serverTimestamp,
+  setDoc,
+  Timestamp,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import {
+  AKUN,
+  bacaDokumen,
+  buatTestEnv,
+  describeEmulator,
+  seedAkun,
+  seedDokumen,
+} from "../testing/emulatorTest";
+
+const JAM_MS = 60 * 60 * 1000;
+const HASH_ADMIN = "pbkdf2-sha256$210000$c2FsdA==$aGFzaA==";
+
+let testEnv;
+
+const dbPublik = () => testEnv.unauthenticatedContext().firestore();
+const dbAkun = (akun) => testEnv.authenticatedContext(akun.uid).firestore();
+
+const getDocAkun = (akun, path) => getDoc(doc(dbAkun(akun), path));
+
+const buatSesi = (data = {}) => ({
+  createdAt: serverTimestamp(),
+  expiresAt: Timestamp.fromMillis(Date.now() + 8 * JAM_MS),
+  ...data,
+});
+
+describeEmulator("firestore.rules", () => {
+  beforeAll(async () => {
+    testEnv = await buatTestEnv();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seedAkun(testEnv);
+    await seedDokumen(testEnv, {
+      "peternak/p1": {
+        namaLengkap: "Budi Santoso",
+        nik: "3201010101010001",
+        tanggalDaftar: "2025-01-10",
+        jumlahLaporan: 1,
+      },
+      "peternak/p2": {
+        namaLengkap: "Siti Aminah",
+        nik: "3201010101010002",
+        tanggalDaftar: "2025-02-10",
+        jumlahLaporan: 0,
+      },
+      "peternakPublik/p1": { namaLengkap: "Budi Santoso" },
+      "laporan/aktif": { idPeternak: "p1", quarter: 1, deletedAt: null },
+      "laporan/dihapus": {
+        idPeternak: "p1",
+        quarter: 2,
+        deletedAt: "2025-08-01T00:00:00.000Z",
+      },
+      "faq/publik": { kendala: "Ternak kurus", status: "Dipublikasikan" },
+      "faq/draft": { kendala: "Kandang bocor", status: "Draft" },
+      "auditLog/a1": { actorId: "admin", entity: "peternak" },
+      "adminLogin/admin%40e-gaduh.test": {
+        userId: "admin",
+        algorithm: "pbkdf2-sha256",
+        iterations: 210000,
+        salt: "c2FsdA==",
+      },
+      "pengembalian/k1": { idPeternak: "p1", jumlahTernak: 2 },
+      "ternak/t1": { idPeternak: "p1", nomorTag: "BONO-001" },
+      "eartag/BONO-001": { idTernak: "t1", createdAt: "2025-01-10" },
+      "kesehatan/h1": { idPeternak: "p1", jenis: "vaksinasi" },
+    });
+  });
+
+  describe("publik tanpa login", () => {
+    test("bisa membaca peternakPublik", async () => {
+      await assertSucceeds(getDoc(doc(dbPublik(), "peternakPublik/p1")));
+      await assertSucceeds(getDocs(collection(dbPublik(), "peternakPublik")));
+    });
+
+    test.each([
+      "peternak/p1",
+      "users/admin",
+      "sessions/anonim-admin",
+      "auditLog/a1",
+      "pengembalian/k1",
+      "ternak/t1",
+      "eartag/BONO-001",
+      "kesehatan/h1",
+    ])("tidak bisa membaca %s", (path) =>
+      assertFails(getDoc(doc(dbPublik(), path)))
+    );
+
+    test("tidak bisa menulis peternakPublik", () =>
+      assertFails(
+        setDoc(doc(dbPublik(), "peternakPublik/p1"), { namaLengkap: "X" })
+      ));
+
+    test("hanya membaca laporan di luar Tempat Sampah", async () => {
+      await assertSucceeds(getDoc(doc(dbPublik(), "laporan/aktif")));
+      await assertFails(getDoc(doc(dbPublik(), "laporan/dihapus")));
+      await assertSucceeds(
+        getDocs(
+          query(
+            collection(dbPublik(), "laporan"),
+            where("deletedAt", "==", null)
+          )
+        )
+      );
+      await assertFails(getDocs(collection(dbPublik(), "laporan")));
+    });
+
+    test("hanya membaca FAQ yang dipublikasikan", async () => {
+      await assertSucceeds(getDoc(doc(dbPublik(), "faq/publik")));
+      await assertFails(getDoc(doc(dbPublik(), "faq/draft")));
+      await assertSucceeds(
+        getDocs(
+          query(
+            collection(dbPublik(), "faq"),
+            where("status", "==", "Dipublikasikan")
+          )
+        )
+      );
+    });
+
+    test("bisa membaca data login satu email, tidak bisa daftarnya", async () => {
+      await assertSucceeds(
+        getDoc(doc(dbPublik(), "adminLogin/admin%40e-gaduh.test"))
+      );
+      await assertFails(getDocs(collection(dbPublik(), "adminLogin")));
+    });
+
+    test("tidak bisa menulis laporan, FAQ dan auditLog", async () => {
+      await assertFails(
+        setDoc(doc(dbPublik(), "laporan/baru"), { idPeternak: "p1" })
+      );
+      await assertFails(
+        updateDoc(doc(dbPublik(), "faq/publik"), { status: "Draft" })
+      );
+      await assertFails(
+        setDoc(doc(dbPublik(), "auditLog/baru"), { actorId: null })
+      );
+    });
+  });
+
+  describe("Admin", () => {
+    test("bisa membaca dan menulis peternak, tapi tidak menghapus permanen", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "peternak/p1")));
+      await assertSucceeds(
+        setDoc(doc(db, "peternak/p3"), {
+          namaLengkap: "Joko",
+          jumlahLaporan: 0,
+        })
+      );
+      await assertSucceeds(
+        updateDoc(doc(db, "peternak/p1"), { alamat: "Dusun Bono RT 02" })
+      );
+      await assertFails(deleteDoc(doc(db, "peternak/p1")));
+    });
+
+    test("tanggalDaftar dan jumlahTernakAwal terkunci setelah peternak punya laporan", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(
+        updateDoc(doc(db, "peternak/p1"), { tanggalDaftar: "2025-01-20" })
+      );
+      await assertFails(
+        updateDoc(doc(db, "peternak/p1"), { jumlahTernakAwal: 8 })
+      );
+      await assertSucceeds(
+        updateDoc(doc(db, "peternak/p2"), {
+          tanggalDaftar: "2025-02-20",
+          jumlahTernakAwal: 8,
+        })
+      );
+    });
+
+    test("peternakPublik hanya bisa ditulis tanpa NIK dan nomor telepon", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(
+        setDoc(doc(db, "peternakPublik/p2"), { namaLengkap: "Siti Aminah" })
+      );
+      await assertFails(
+        setDoc(doc(db, "peternakPublik/p3"), {
+          namaLengkap: "Joko",
+          nik: "3201010101010003",
+        })
+      );
+      await assertFails(
+        updateDoc(doc(db, "peternakPublik/p1"), { nik: "3201010101010001" })
+      );
+      await assertFails(
+        updateDoc(doc(db, "peternakPublik/p1"), {
+          nomorTelepon: "081234567890",
+        })
+      );
+      await assertSucceeds(deleteDoc(doc(db, "peternakPublik/p1")));
+    });
+
+    test("memindahkan laporan ke Tempat Sampah, tapi tidak menghapus permanen", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "laporan/dihapus")));
+      await assertSucceeds(
+        updateDoc(doc(db, "laporan/aktif"), {
+          deletedAt: new Date().toISOString(),
+        })
+      );
+      await assertFails(deleteDoc(doc(db, "laporan/dihapus")));
+    });
+
+    test("hanya membaca dan mengubah lastLogin akunnya sendiri", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "users/admin")));
+      await assertSucceeds(
+        updateDoc(doc(db, "users/admin"), { lastLogin: new Date() })
+      );
+      await assertFails(
+        updateDoc(doc(db, "users/admin"), { role: "Super Admin" })
+      );
+      await assertFails(getDoc(doc(db, "users/super-admin")));
+      await assertFails(getDocs(collection(db, "users")));
+    });
+
+    test("tidak bisa mengelola adminLogin", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(getDocs(collection(db, "adminLogin")));
+      await assertFails(
+        setDoc(doc(db, "adminLogin/baru%40e-gaduh.test"), { userId: "admin" })
+      );
+    });
+
+    test("pengembalian hanya bisa ditandai penerimanya", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(
+        updateDoc(doc(db, "pengembalian/k1"), { idPeternakPenerima: "p2" })
+      );
+      await assertFails(
+        updateDoc(doc(db, "pengembalian/k1"), { jumlahTernak: 5 })
+      );
+    });
+
+    test("catatan kesehatan tidak bisa diubah", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "kesehatan/h1")));
+      await assertFails(
+        updateDoc(doc(db, "kesehatan/h1"), { jenis: "pengobatan" })
+      );
+      await assertSucceeds(deleteDoc(doc(db, "kesehatan/h1")));
+    });
+
+    test("ternak baru harus memesan nomor eartag yang belum dipakai", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(
+        setDoc(doc(db, "ternak/t2"), { idPeternak: "p1", nomorTag: "BONO-002" })
+      );
+
+      const batch = writeBatch(db);
+      batch.set(doc(db, "eartag/BONO-002"), {
+        idTernak: "t2",
+        createdAt: new Date().toISOString(),
+      });
+      batch.set(doc(db, "ternak/t2"), {
+        idPeternak: "p1",
+        nomorTag: "BONO-002",
+      });
+      await assertSucceeds(batch.commit());
+
+      const batchDuplikat = writeBatch(db);
+      batchDuplikat.set(doc(db, "eartag/BONO-001"), {
+        idTernak: "t3",
+        createdAt: new Date().toISOString(),
+      });
+      batchDuplikat.set(doc(db, "ternak/t3"), {
+        idPeternak: "p1",
+        nomorTag: "BONO-001",
+      });
+      await assertFails(batchDuplikat.commit());
+    });
+
+    test("nomor eartag hanya huruf besar, angka dan tanda hubung", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(
+        setDoc(doc(db, "eartag/bono-004"), {
+          idTernak: "t4",
+          createdAt: new Date().toISOString(),
+        })
+      );
+      await assertFails(
+        setDoc(doc(db, "eartag/BONO.004"), {
+          idTernak: "t4",
+          createdAt: new Date().toISOString(),
+        })
+      );
+    });
+
+    test("nomor eartag ternak tidak bisa diganti", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(
+        updateDoc(doc(db, "ternak/t1"), { nomorTag: "BONO-009" })
+      );
+      await assertSucceeds(updateDoc(doc(db, "ternak/t1"), { status: "mati" }));
+      await assertFails(
+        setDoc(doc(db, "eartag/BONO-003"), { idTernak: "t1", catatan: "x" })
+      );
+      await assertFails(
+        updateDoc(doc(db, "eartag/BONO-001"), { idTernak: "t9" })
+      );
+    });
+
+    test("FAQ draft bisa dibaca dan ditulis", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "faq/draft")));
+      await assertSucceeds(
+        updateDoc(doc(db, "faq/draft"), { status: "Dipublikasikan" })
+      );
+    });
+  });
+
+  describe("auditLog append-only", () => {
+    test("Admin hanya bisa menambah entri atas namanya sendiri", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDocs(collection(db, "auditLog")));
+      await assertSucceeds(
+        setDoc(doc(db, "auditLog/a2"), {
+          actorId: "admin",
+          entity: "laporan",
+          timestamp: serverTimestamp(),
+        })
+      );
+      await assertFails(
+        setDoc(doc(db, "auditLog/a3"), {
+          actorId: "super-admin",
+          entity: "laporan",
+          timestamp: serverTimestamp(),
+        })
+      );
+    });
+
+    test("timestamp entri harus waktu server", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertFails(
+        setDoc(doc(db, "auditLog/a2"), {
+          actorId: "admin",
+          entity: "laporan",
+          timestamp: Timestamp.fromDate(new Date("2020-01-01")),
+        })
+      );
+      await assertFails(
+        setDoc(doc(db, "auditLog/a3"), { actorId: "admin", entity: "laporan" })
+      );
+    });
+
+    test.each([
+      ["Admin", AKUN.admin],
+      ["Super Admin", AKUN.superAdmin],
+    ])("%s tidak bisa mengubah atau menghapus entri", async (_, akun) => {
+      const db = dbAkun(akun);
+      await assertFails(
+        updateDoc(doc(db, "auditLog/a1"), { actorId: akun.uid })
+      );
+      await assertFails(deleteDoc(doc(db, "auditLog/a1")));
+    });
+  });
+
+  describe("Super Admin", () => {
+    test("bisa menghapus permanen peternak dan laporan", async () => {
+      const db = dbAkun(AKUN.superAdmin);
+      await assertSucceeds(deleteDoc(doc(db, "peternak/p1")));
+      await assertSucceeds(deleteDoc(doc(db, "laporan/dihapus")));
+    });
+
+    test("bisa mengelola users dan adminLogin", async () => {
+      const db = dbAkun(AKUN.superAdmin);
+      await assertSucceeds(getDocs(collection(db, "users")));
+      await assertSucceeds(
+        setDoc(doc(db, "users/admin-baru"), {
+          email: "baru@e-gaduh.test",
+          role: "Admin",
+          status: "Aktif",
+        })
+      );
+      await assertSucceeds(getDocs(collection(db, "adminLogin")));
+      await assertSucceeds(
+        setDoc(doc(db, "adminLogin/baru%40e-gaduh.test"), {
+          userId: "admin-baru",
+        })
+      );
+      await assertSucceeds(deleteDoc(doc(db, "users/admin")));
+    });
+  });
+
+  describe("akun tanpa hak Admin", () => {
+    test.each([
+      ["Admin tidak aktif", AKUN.adminNonaktif],
+      ["sesi kedaluwarsa", AKUN.sesiKedaluwarsa],
+      ["akun anonim tanpa sesi", { uid: "anonim-tanpa-sesi" }],
+    ])("%s diperlakukan seperti publik", async (_, akun) => {
+      await assertFails(getDocAkun(akun, "peternak/p1"));
+      await assertFails(getDocAkun(akun, "laporan/dihapus"));
+      await assertFails(
+        setDoc(doc(dbAkun(akun), "peternakPublik/p1"), { namaLengkap: "X" })
+      );
+      await assertFails(
+        setDoc(doc(dbAkun(akun), "auditLog/a9"), {
+          actorId: akun.userId || akun.uid,
+        })
+      );
+      await assertSucceeds(getDocAkun(akun, "peternakPublik/p1"));
+    });
+  });
+
+  describe("sessions", () => {
+    beforeEach(() =>
+      seedDokumen(testEnv, {
+        "users/super-baru": {
+          email: "super-baru@e-gaduh.test",
+          role: "Super Admin",
+          status: "Aktif",
+        },
+        "users/admin-baru": {
+          email: "admin-baru@e-gaduh.test",
+          role: "Admin",
+          status: "Aktif",
+          passwordHash: HASH_ADMIN,
+        },
+      })
+    );
+
+    const dbUid = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+    test("Super Admin membuat sesi untuk UID-nya sendiri", async () => {
+      await assertSucceeds(
+        setDoc(
+          doc(dbUid("super-baru"), "sessions/super-baru"),
+          buatSesi({ userId: "super-baru", role: "Super Admin" })
+        )
+      );
+      await assertFails(
+        setDoc(
+          doc(dbUid("anonim-penyusup"), "sessions/anonim-penyusup"),
+          buatSesi({ userId: "super-baru", role: "Super Admin" })
+        )
+      );
+    });
+
+    test("Admin membuat sesi hanya dengan hash password yang cocok", async () => {
+      await assertSucceeds(
+        setDoc(
+          doc(dbUid("anonim-1"), "sessions/anonim-1"),
+          buatSesi({
+            userId: "admin-baru",
+            role: "Admin",
+            passwordHash: HASH_ADMIN,
+          })
+        )
+      );
+      await assertFails(
+        setDoc(
+          doc(dbUid("anonim-2"), "sessions/anonim-2"),
+          buatSesi({
+            userId: "admin-baru",
+            role: "Admin",
+            passwordHash: "pbkdf2-sha256$210000$c2FsdA==$c2FsYWg=",
+          })
+        )
+      );
+    });
+
+    test("role sesi harus sama dengan role akunnya", () =>
+      assertFails(
+        setDoc(
+          doc(dbUid("anonim-1"), "sessions/anonim-1"),
+          buatSesi({
+            userId: "admin-baru",
+            role: "Super Admin",
+            passwordHash: HASH_ADMIN,
+          })
+        )
+      ));
+
+    test("akun tidak aktif tidak bisa membuat sesi", async () => {
+      await seedDokumen(testEnv, {
+        "users/admin-baru": {
+          email: "admin-baru@e-gaduh.test",
+          role: "Admin",
+          status: "Tidak Aktif",
+          passwordHash: HASH_ADMIN,
+        },
+      });
+      await assertFails(
+        setDoc(
+          doc(dbUid("anonim-1"), "sessions/anonim-1"),
+          buatSesi({
+            userId: "admin-baru",
+            role: "Admin",
+            passwordHash: HASH_ADMIN,
+          })
+        )
+      );
+    });
+
+    test("sesi lebih dari 9 jam, field tambahan atau milik UID lain ditolak", async () => {
+      const db = dbUid("super-baru");
+      await assertFails(
+        setDoc(
+          doc(db, "sessions/super-baru"),
+          buatSesi({
+            userId: "super-baru",
+            role: "Super Admin",
+            expiresAt: Timestamp.fromMillis(Date.now() + 10 * JAM_MS),
+          })
+        )
+      );
+      await assertFails(
+        setDoc(
+          doc(db, "sessions/super-baru"),
+          buatSesi({ userId: "super-baru", role: "Super Admin", admin: true })
+        )
+      );
+      await assertFails(
+        setDoc(
+          doc(db, "sessions/anonim-lain"),
+          buatSesi({ userId: "super-baru", role: "Super Admin" })
+        )
+      );
+    });
+
+    test("sesi Admin tidak bisa diperpanjang setelah password diganti", async () => {
+      await seedDokumen(testEnv, {
+        "users/admin": {
+          email: "admin@e-gaduh.test",
+          role: "Admin",
+          status: "Aktif",
+          passwordHash: "pbkdf2-sha256$210000$c2FsdA==$YmFydQ==",
+        },
+      });
+      await assertFails(
+        updateDoc(doc(dbAkun(AKUN.admin), "sessions/anonim-admin"), {
+          expiresAt: Timestamp.fromMillis(Date.now() + 8 * JAM_MS),
+        })
+      );
+    });
+
+    test("sesi tidak bisa diperpanjang lebih dari 7 hari sejak login", async () => {
+      const db = dbAkun(AKUN.admin);
+      await seedDokumen(testEnv, {
+        "sessions/anonim-admin": {
+          ...(await bacaDokumen(testEnv, "sessions/anonim-admin")),
+          createdAt: Timestamp.fromMillis(Date.now() - 7 * 24 * JAM_MS),
+        },
+      });
+      await assertFails(
+        updateDoc(doc(db, "sessions/anonim-admin"), {
+          expiresAt: Timestamp.fromMillis(Date.now() + 8 * JAM_MS),
+        })
+      );
+      await assertSucceeds(
+        updateDoc(doc(db, "sessions/anonim-admin"), {
+          expiresAt: Timestamp.fromMillis(Date.now() - JAM_MS),
+        })
+      );
+    });
+
+    test("createdAt sesi harus waktu server", () =>
+      assertFails(
+        setDoc(
+          doc(dbUid("super-baru"), "sessions/super-baru"),
+          buatSesi({
+            userId: "super-baru",
+            role: "Super Admin",
+            createdAt: Timestamp.fromMillis(Date.now() - 24 * JAM_MS),
+          })
+        )
+      ));
+
+    test("pemilik hanya bisa memperpanjang, membaca dan menghapus sesinya", async () => {
+      const db = dbAkun(AKUN.admin);
+      await assertSucceeds(getDoc(doc(db, "sessions/anonim-admin")));
+      await assertSucceeds(
+        updateDoc(doc(db, "sessions/anonim-admin"), {
+          expiresAt: Timestamp.fromMillis(Date.now() + 8 * JAM_MS),
+        })
+      );
+      await assertFails(
+        updateDoc(doc(db, "sessions/anonim-admin"), { role: "Super Admin" })
+      );
+      await assertFails(getDoc(doc(db, "sessions/super-admin")));
+      await assertFails(deleteDoc(doc(db, "sessions/super-admin")));
+      await assertSucceeds(deleteDoc(doc(db, "sessions/anonim-admin")));
+    });
+  });
+});
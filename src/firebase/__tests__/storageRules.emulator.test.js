@@ -0,0 +1,118 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { deleteObject, getMetadata, ref, uploadBytes } from "firebase/storage";
+import {
+  AKUN,
+  buatTestEnv,
+  describeEmulator,
+  seedAkun,
+} from "../testing/emulatorTest";
+
+const MB = 1024 * 1024;
+const FOTO_LAMA = "peternak/lama.jpg";
+
+let testEnv;
+
+const storagePublik = () => testEnv.unauthenticatedContext().storage();
+const storageAkun = (akun) => testEnv.authenticatedContext(akun.uid).storage();
+
+const unggah = (
+  storage,
+  path,
+  ukuran = 100 * 1024,
+  contentType = "image/jpeg"
+) => uploadBytes(ref(storage, path), new Uint8Array(ukuran), { contentType });
+
+const hapus = (storage, path) => deleteObject(ref(storage, path));
+
+describeEmulator("storage.rules", () => {
+  beforeAll(async () => {
+    testEnv = await buatTestEnv();
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await seedAkun(testEnv);
+    await testEnv.withSecurityRulesDisabled((context) =>
+      unggah(context.storage(), FOTO_LAMA)
+    );
+  });
+
+  describe("publik", () => {
+    test("bisa melihat foto peternak dan foto laporan", async () => {
+      await testEnv.withSecurityRulesDisabled((context) =>
+        unggah(context.storage(), "laporan/p1/bukti.jpg")
+      );
+
+      await assertSucceeds(getMetadata(ref(storagePublik(), FOTO_LAMA)));
+      await assertSucceeds(
+        getMetadata(ref(storagePublik(), "laporan/p1/bukti.jpg"))
+      );
+    });
+
+    test("tidak bisa mengunggah atau menghapus foto", async () => {
+      await assertFails(unggah(storagePublik(), "peternak/baru.jpg"));
+      await assertFails(unggah(storagePublik(), "laporan/p1/baru.jpg"));
+      await assertFails(hapus(storagePublik(), FOTO_LAMA));
+    });
+  });
+
+  describe.each([
+    ["Admin", AKUN.admin],
+    ["Super Admin", AKUN.superAdmin],
+  ])("%s", (_, akun) => {
+    test("bisa mengunggah JPEG di bawah 2 MB", async () => {
+      await assertSucceeds(unggah(storageAkun(akun), "peternak/baru.jpg"));
+      await assertSucceeds(
+        unggah(storageAkun(akun), "laporan/p1/bukti.jpg", 2 * MB - 1)
+      );
+    });
+
+    test("file 2 MB atau lebih ditolak", async () => {
+      await assertFails(
+        unggah(storageAkun(akun), "peternak/besar.jpg", 2 * MB)
+      );
+    });
+
+    test("file selain JPEG ditolak", async () => {
+      await assertFails(
+        unggah(storageAkun(akun), "peternak/foto.png", 1024, "image/png")
+      );
+      await assertFails(
+        unggah(
+          storageAkun(akun),
+          "laporan/p1/dokumen.pdf",
+          1024,
+          "application/pdf"
+        )
+      );
+    });
+
+    test("foto yang sudah ada tidak bisa ditimpa", async () => {
+      await assertFails(unggah(storageAkun(akun), FOTO_LAMA));
+    });
+
+    test("bisa menghapus foto", async () => {
+      await assertSucceeds(hapus(storageAkun(akun), FOTO_LAMA));
+    });
+
+    test("folder di luar peternak dan laporan ditolak", async () => {
+      await assertFails(unggah(storageAkun(akun), "lain/foto.jpg"));
+      await assertFails(unggah(storageAkun(akun), "laporan/foto.jpg"));
+    });
+  });
+
+  describe.each([
+    ["Admin nonaktif", AKUN.adminNonaktif],
+    ["sesi kedaluwarsa", AKUN.sesiKedaluwarsa],
+    ["login tanpa sesi", { uid: "tanpa-sesi" }],
+  ])("%s", (_, akun) => {
+    test("tidak bisa mengunggah atau menghapus foto", async () => {
+      await assertFails(unggah(storageAkun(akun), "peternak/baru.jpg"));
+      await assertFails(hapus(storageAkun(akun), FOTO_LAMA));
+    });
+  });
+});
@@ -0,0 +1,41 @@
+// Salin menjadi src/firebase/config.js (tidak ikut di-commit) lalu isi
+// REACT_APP_FIREBASE_* di .env.local. Dengan REACT_APP_USE_FIREBASE_EMULATOR=true
+// aplikasi memakai project demo di Firebase Local Emulator Suite.
+import { initializeApp } from "firebase/app";
+import {
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager,
+} from "firebase/firestore";
+import { getAuth } from "firebase/auth";
+import { getStorage } from "firebase/storage";
+import {
+  USE_FIREBASE_EMULATOR,
+  EMULATOR_FIREBASE_CONFIG,
+  connectToEmulators,
+} from "./emulator";
+
+const firebaseConfig = USE_FIREBASE_EMULATOR
+  ? EMULATOR_FIREBASE_CONFIG
+  : {
+      apiKey: process.env.REACT_APP_FIREBASE_API_KEY,
+      authDomain: process.env.REACT_APP_FIREBASE_AUTH_DOMAIN,
+      projectId: process.env.REACT_APP_FIREBASE_PROJECT_ID,
+      storageBucket: process.env.REACT_APP_FIREBASE_STORAGE_BUCKET,
+      messagingSenderId: process.env.REACT_APP_FIREBASE_MESSAGING_SENDER_ID,
+      appId: process.env.REACT_APP_FIREBASE_APP_ID,
+    };
+
+const app = initializeApp(firebaseConfig);
+
+// Cache Firestore di IndexedDB: data yang pernah dimuat tetap bisa dibaca
+// tanpa koneksi saat pertemuan rutin di dusun (lihat antrianLaporanService)
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({
+    tabManager: persistentMultipleTabManager(),
+  }),
+});
+export const auth = getAuth(app);
+export const storage = getStorage(app);
+
+connectToEmulators(db, auth, storage);
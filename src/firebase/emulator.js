@@ -0,0 +1,57 @@
+import { connectAuthEmulator } from "firebase/auth";
+import { connectFirestoreEmulator } from "firebase/firestore";
+import { connectStorageEmulator } from "firebase/storage";
+
+// Konfigurasi Firebase Local Emulator Suite untuk pengembangan dan pengujian
+// firestore.rules. Aktif jika REACT_APP_USE_FIREBASE_EMULATOR=true, lalu
+// jalankan: firebase emulators:start --project demo-e-gaduh
+// Project ID berawalan "demo-" tidak pernah terhubung ke project sungguhan.
+
+export const USE_FIREBASE_EMULATOR =
+  process.env.REACT_APP_USE_FIREBASE_EMULATOR === "true";
+
+const EMULATOR_HOST =
+  process.env.REACT_APP_FIREBASE_EMULATOR_HOST || "127.0.0.1";
+const FIRESTORE_EMULATOR_PORT =
+  Number(process.env.REACT_APP_FIRESTORE_EMULATOR_PORT) || 8080;
+const AUTH_EMULATOR_PORT =
+  Number(process.env.REACT_APP_AUTH_EMULATOR_PORT) || 9099;
+const STORAGE_EMULATOR_PORT =
+  Number(process.env.REACT_APP_STORAGE_EMULATOR_PORT) || 9199;
+
+export const EMULATOR_FIREBASE_CONFIG = {
+  apiKey: "demo-api-key",
+  authDomain: "demo-e-gaduh.firebaseapp.com",
+  projectId: "demo-e-gaduh",
+  storageBucket: "demo-e-gaduh.appspot.com",
+};
+
+export const connectAuthToEmulator = (auth) => {
+  if (USE_FIREBASE_EMULATOR && !auth.emulatorConfig) {
+    connectAuthEmulator(auth, `http://${EMULATOR_HOST}:${AUTH_EMULATOR_PORT}`, {
+      disableWarnings: true,
+    });
+  }
+  return auth;
+};
+
+export const connectFirestoreToEmulator = (db) => {
+  if (USE_FIREBASE_EMULATOR) {
+    connectFirestoreEmulator(db, EMULATOR_HOST, FIRESTORE_EMULATOR_PORT);
+  }
+  return db;
+};
+
+export const connectStorageToEmulator = (storage) => {
+  if (USE_FIREBASE_EMULATOR) {
+    connectStorageEmulator(storage, EMULATOR_HOST, STORAGE_EMULATOR_PORT);
+  }
+  return storage;
+};
+
+// Dipanggil sekali dari firebase/config setelah db, auth dan storage dibuat
+export const connectToEmulators = (db, auth, storage) => {
+  connectFirestoreToEmulator(db);
+  connectAuthToEmulator(auth);
+  connectStorageToEmulator(storage);
+};
@@ -0,0 +1,40 @@
+// Pengganti src/firebase/config untuk test emulator: app Firebase project
+// demo tanpa cache IndexedDB (tidak ada di Node). Dipasang di file test:
+//   jest.mock("../../firebase/config", () =>
+//     require("../../firebase/testing/emulatorApp"), { virtual: true });
+// virtual karena config.js tidak ikut di-commit.
+import { initializeApp } from "firebase/app";
+import { connectFirestoreEmulator, getFirestore } from "firebase/firestore";
+import { connectAuthEmulator, getAuth } from "firebase/auth";
+import { connectStorageEmulator, getStorage } from "firebase/storage";
+import { EMULATOR_FIREBASE_CONFIG } from "../emulator";
+
+const app = initializeApp(EMULATOR_FIREBASE_CONFIG);
+
+export const db = getFirestore(app);
+export const auth = getAuth(app);
+export const storage = getStorage(app);
+
+// Host emulator diambil dari environment yang diisi firebase emulators:exec
+// (mis. FIRESTORE_EMULATOR_HOST=127.0.0.1:8080), bukan dari
+// REACT_APP_USE_FIREBASE_EMULATOR yang hanya dipakai aplikasi. Tanpa host
+// suite emulator dilewati (lihat describeEmulator), jadi tidak dihubungkan.
+const hubungkan = (emulatorHost, connect) => {
+  if (emulatorHost) {
+    const pemisah = emulatorHost.lastIndexOf(":");
+    connect(
+      emulatorHost.slice(0, pemisah),
+      Number(emulatorHost.slice(pemisah + 1))
+    );
+  }
+};
+
+hubungkan(process.env.FIRESTORE_EMULATOR_HOST, (host, port) =>
+  connectFirestoreEmulator(db, host, port)
+);
+hubungkan(process.env.FIREBASE_AUTH_EMULATOR_HOST, (host, port) =>
+  connectAuthEmulator(auth, `http://${host}:${port}`, { disableWarnings: true })
+);
+hubungkan(process.env.FIREBASE_STORAGE_EMULATOR_HOST, (host, port) =>
+  connectStorageEmulator(storage, host, port)
+);
@@ -0,0 +1,41 @@
+// Lingkungan Jest untuk test yang terhubung ke Firebase Local Emulator Suite.
+// SDK Firebase di Node memakai fetch dan Web Crypto, yang tidak diteruskan
+// jest-environment-node bawaan react-scripts, sedangkan service membaca admin
+// yang login dari localStorage (lihat utils/currentAdmin).
+// Dipakai per file test dengan docblock:
+//   /** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+const NodeEnvironment = require("jest-environment-node");
+
+const GLOBAL_NODE = [
+  "fetch",
+  "Request",
+  "Response",
+  "Headers",
+  "Blob",
+  "crypto",
+  "structuredClone",
+];
+
+const buatLocalStorage = () => {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+    clear: () => data.clear(),
+  };
+};
+
+class EmulatorEnvironment extends NodeEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    GLOBAL_NODE.forEach((name) => {
+      if (this.global[name] === undefined) {
+        this.global[name] = global[name];
+      }
+    });
+    this.global.localStorage = buatLocalStorage();
+  }
+}
+
+module.exports = EmulatorEnvironment;
@@ -0,0 +1,117 @@
+/* eslint-env jest */
+// Helper test service yang memakai src/firebase/testing/emulatorApp sebagai
+// firebase/config. Dipisah dari emulatorTest karena mengimpor firebase/config,
+// sehingga hanya bisa dipakai file test yang memasang jest.mock-nya.
+import { deleteApp } from "firebase/app";
+import { createUserWithEmailAndPassword, signOut } from "firebase/auth";
+import { auth } from "../config";
+import authService from "../../services/authService";
+import { hashPassword, getHashParams } from "../../utils/passwordHash";
+import { PROJECT_ID, buatTestEnv, seedDokumen } from "./emulatorTest";
+
+export const PASSWORD_TEST = "rahasia-gaduh-123";
+
+// Keluar, kosongkan localStorage dan hapus semua akun di Auth emulator
+export const resetAuth = async () => {
+  await signOut(auth);
+  localStorage.clear();
+  await fetch(
+    `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}/emulator/v1/projects/${PROJECT_ID}/accounts`,
+    { method: "DELETE", headers: { Authorization: "Bearer owner" } }
+  );
+};
+
+// Siapkan emulator untuk satu suite: Firestore, Storage dan Auth dikosongkan
+// sebelum setiap test. Mengembalikan fungsi yang mengambil testEnv aktif.
+export const pakaiEmulator = () => {
+  let testEnv;
+  beforeAll(async () => {
+    testEnv = await buatTestEnv();
+  });
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await resetAuth();
+  });
+  afterAll(async () => {
+    await deleteApp(auth.app);
+    await testEnv.cleanup();
+  });
+  return () => testEnv;
+};
+
+// Simpan hasil login seperti AuthContext, sehingga getCurrentAdmin dan
+// entri audit memakai admin ini
+const simpanLogin = (user) => {
+  localStorage.setItem("adminToken", user.accessToken);
+  localStorage.setItem(
+    "adminUser",
+    JSON.stringify({
+      id: user.uid,
+      email: user.email,
+      name: user.fullName,
+      role: user.role,
+    })
+  );
+  return user;
+};
+
+// Super Admin: akun Firebase Auth dengan dokumen users ber-ID UID-nya
+export const seedSuperAdmin = async (testEnv, email = "super@e-gaduh.test") => {
+  const { user } = await createUserWithEmailAndPassword(
+    auth,
+    email,
+    PASSWORD_TEST
+  );
+  await signOut(auth);
+  await seedDokumen(testEnv, {
+    [`users/${user.uid}`]: {
+      email,
+      fullName: "Super Admin Test",
+      role: "Super Admin",
+      status: "Aktif",
+      lastLogin: null,
+    },
+  });
+  return { id: user.uid, email };
+};
+
+// Admin: dokumen users dengan passwordHash dan data login di adminLogin,
+// seperti yang ditulis adminService.addAdmin
+export const seedAdmin = async (
+  testEnv,
+  { id = "admin-test", email = "admin@e-gaduh.test", status = "Aktif" } = {}
+) => {
+  const passwordHash = await hashPassword(PASSWORD_TEST);
+  await seedDokumen(testEnv, {
+    [`users/${id}`]: {
+      email,
+      fullName: "Admin Test",
+      role: "Admin",
+      status,
+      lastLogin: null,
+      passwordHash,
+    },
+    [`adminLogin/${encodeURIComponent(email)}`]: {
+      userId: id,
+      ...getHashParams(passwordHash),
+    },
+  });
+  return { id, email, passwordHash };
+};
+
+export const loginSuperAdmin = async (testEnv, email) => {
+  const superAdmin = await seedSuperAdmin(testEnv, email);
+  return simpanLogin(await authService.login(superAdmin.email, PASSWORD_TEST));
+};
+
+export const loginAdmin = async (testEnv, dataAdmin) => {
+  const admin = await seedAdmin(testEnv, dataAdmin);
+  return simpanLogin(await authService.login(admin.email, PASSWORD_TEST));
+};
+
+// Ganti akun yang login (sesi lama dihapus seperti tombol Keluar)
+export const logoutTest = async () => {
+  await authService.logout(localStorage.getItem("adminToken"));
+  localStorage.clear();
+};
@@ -0,0 +1,165 @@
+/* eslint-env jest */
+// Helper test yang berjalan di Firebase Local Emulator Suite lewat
+// `npm run test:emulator`. Tanpa emulator (npm test biasa) suite dilewati.
+import { readFileSync } from "fs";
+import path from "path";
+import { initializeTestEnvironment } from "@firebase/rules-unit-testing";
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  setDoc,
+  Timestamp,
+} from "firebase/firestore";
+import { EMULATOR_FIREBASE_CONFIG } from "../emulator";
+import { getProgramQuarter, toDateString } from "../../utils/programQuarter";
+
+export const PROJECT_ID = EMULATOR_FIREBASE_CONFIG.projectId;
+
+// firebase emulators:exec mengisi host emulator di environment. Suite hanya
+// berjalan jika ketiganya ada, karena emulatorApp hanya terhubung ke emulator
+// yang host-nya diketahui; tanpa itu service akan memanggil project demo asli.
+export const EMULATOR_AKTIF = [
+  "FIRESTORE_EMULATOR_HOST",
+  "FIREBASE_AUTH_EMULATOR_HOST",
+  "FIREBASE_STORAGE_EMULATOR_HOST",
+].every((name) => Boolean(process.env[name]));
+
+export const describeEmulator = EMULATOR_AKTIF ? describe : describe.skip;
+
+const bacaRules = (namaFile) =>
+  readFileSync(path.resolve(__dirname, "../../..", namaFile), "utf8");
+
+// firestore.rules dan storage.rules dari root repo, sama seperti yang di-deploy
+export const buatTestEnv = () =>
+  initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: bacaRules("firestore.rules") },
+    storage: { rules: bacaRules("storage.rules") },
+  });
+
+const JAM_MS = 60 * 60 * 1000;
+// Hash password akun Admin hasil seedAkun (nilainya tidak dihitung ulang)
+const HASH_AKUN = "pbkdf2-sha256$210000$c2FsdA==$YWt1bg==";
+
+// uid = UID Firebase Auth (ID dokumen sesi), userId = ID dokumen users.
+// Super Admin memakai UID-nya sendiri sebagai userId, Admin memakai akun
+// anonim dengan UID yang berbeda.
+export const AKUN = {
+  superAdmin: { uid: "super-admin", role: "Super Admin" },
+  admin: { uid: "anonim-admin", userId: "admin", role: "Admin" },
+  adminNonaktif: {
+    uid: "anonim-admin-nonaktif",
+    userId: "admin-nonaktif",
+    role: "Admin",
+    status: "Tidak Aktif",
+  },
+  sesiKedaluwarsa: {
+    uid: "anonim-admin-lama",
+    userId: "admin-lama",
+    role: "Admin",
+    kedaluwarsa: true,
+  },
+};
+
+export const getUserId = (akun) => akun.userId || akun.uid;
+
+// Tulis dokumen tanpa melewati rules: { "collection/id": data }
+export const seedDokumen = (testEnv, dokumen) =>
+  testEnv.withSecurityRulesDisabled((context) =>
+    Promise.all(
+      Object.entries(dokumen).map(([docPath, data]) =>
+        setDoc(doc(context.firestore(), docPath), data)
+      )
+    )
+  );
+
+// Baca dokumen tanpa melewati rules; null jika tidak ada
+export const bacaDokumen = async (testEnv, docPath) => {
+  let data = null;
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const snapshot = await getDoc(doc(context.firestore(), docPath));
+    data = snapshot.exists() ? snapshot.data() : null;
+  });
+  return data;
+};
+
+// Semua dokumen satu collection tanpa melewati rules: [{ id, ...data }]
+export const bacaKoleksi = async (testEnv, collectionName) => {
+  let hasil = [];
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const snapshot = await getDocs(
+      collection(context.firestore(), collectionName)
+    );
+    hasil = snapshot.docs.map((item) => ({ id: item.id, ...item.data() }));
+  });
+  return hasil;
+};
+
+// Dokumen users dan sesi untuk setiap akun
+export const seedAkun = (testEnv, akunList = Object.values(AKUN)) =>
+  seedDokumen(
+    testEnv,
+    Object.fromEntries(
+      akunList.flatMap((akun) => [
+        [
+          `users/${getUserId(akun)}`,
+          {
+            email: `${getUserId(akun)}@e-gaduh.test`,
+            fullName: getUserId(akun),
+            role: akun.role,
+            status: akun.status || "Aktif",
+            ...(akun.role === "Admin" && { passwordHash: HASH_AKUN }),
+          },
+        ],
+        [
+          `sessions/${akun.uid}`,
+          {
+            userId: getUserId(akun),
+            role: akun.role,
+            ...(akun.role === "Admin" && { passwordHash: HASH_AKUN }),
+            createdAt: Timestamp.now(),
+            expiresAt: Timestamp.fromMillis(
+              Date.now() + (akun.kedaluwarsa ? -JAM_MS : 8 * JAM_MS)
+            ),
+          },
+        ],
+      ])
+    )
+  );
+
+// Data peternak valid untuk createPeternak. Terdaftar setahun lalu, sehingga
+// triwulan 1 sampai 3 sudah berakhir dan bisa dilaporkan.
+export const buatPeternakData = (data = {}) => {
+  const tanggalDaftar = new Date();
+  tanggalDaftar.setFullYear(tanggalDaftar.getFullYear() - 1);
+  return {
+    namaLengkap: "Budi Santoso",
+    nik: "3201010101010001",
+    alamat: "Dusun Bono RT 01",
+    nomorTelepon: "081234567890",
+    jenisKelamin: "Laki-laki",
+    statusSiklus: "Mulai",
+    tanggalDaftar: toDateString(tanggalDaftar),
+    jumlahTernakAwal: 5,
+    targetPengembalian: 2,
+    ...data,
+  };
+};
+
+// Laporan triwulan valid untuk createLaporan: tanpa peristiwa, bertanggal
+// hari terakhir triwulannya
+export const buatLaporanData = (peternak, quarter = 1, data = {}) => ({
+  idPeternak: peternak.id,
+  quarter,
+  jumlahTernakAwal: peternak.jumlahTernakAwal,
+  jumlahLahir: 0,
+  jumlahKematian: 0,
+  jumlahTerjual: 0,
+  jumlahDikembalikan: 0,
+  jumlahTernakSaatIni: peternak.jumlahTernakAwal,
+  targetPengembalian: peternak.targetPengembalian,
+  tanggalLaporan: getProgramQuarter(peternak.tanggalDaftar, quarter).endDate,
+  ...data,
+});
@@ -0,0 +1,26 @@
+import { useState, useEffect } from "react";
+import { subscribeAllLaporan } from "../services/laporanService";
+
+// Semua laporan (tanpa Tempat Sampah), urut triwulan terbaru lebih dulu
+export const useAllLaporan = () => {
+  const [laporanList, setLaporanList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribeAllLaporan(
+      (data) => {
+        setLaporanList(data);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err);
+        setLoading(false);
+      }
+    );
+    return unsubscribe;
+  }, []);
+
+  return { laporanList, loading, error };
+};
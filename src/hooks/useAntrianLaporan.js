@@ -0,0 +1,47 @@
+import { useState, useEffect } from "react";
+import {
+  getAntrian,
+  subscribeAntrian,
+  sinkronkanAntrian,
+} from "../services/antrianLaporanService";
+
+// Status koneksi dan antrian laporan offline. Antrian dikirim otomatis saat
+// halaman dibuka dalam keadaan online dan setiap kali koneksi kembali.
+export const useAntrianLaporan = () => {
+  const [antrian, setAntrian] = useState(getAntrian);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [isSyncing, setIsSyncing] = useState(false);
+
+  const sinkronkan = async () => {
+    setIsSyncing(true);
+    try {
+      return await sinkronkanAntrian();
+    } finally {
+      setIsSyncing(false);
+    }
+  };
+
+  useEffect(() => {
+    const unsubscribe = subscribeAntrian(setAntrian);
+    const handleOnline = () => {
+      setIsOnline(true);
+      sinkronkan();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener("online", handleOnline);
+    window.addEventListener("offline", handleOffline);
+    if (navigator.onLine && getAntrian().length > 0) {
+      sinkronkan();
+    }
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener("online", handleOnline);
+      window.removeEventListener("offline", handleOffline);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  return { antrian, isOnline, isSyncing, sinkronkan };
+};
@@ -0,0 +1,74 @@
+import { useState, useEffect, useMemo } from "react";
+import {
+  getAuditPage,
+  JUMLAH_AUDIT_PER_HALAMAN,
+} from "../services/auditService";
+
+const HALAMAN_KOSONG = { auditList: [], cursor: null, hasMore: false };
+
+// Riwayat perubahan per halaman (seperti useLaporanPage, tetapi dibaca sekali
+// tanpa listener). Cursor halaman yang sudah dibuka disimpan agar bisa kembali
+// ke halaman sebelumnya; daftar cursor diulang saat filter berubah.
+export const useAuditPage = (
+  filter,
+  { pageSize = JUMLAH_AUDIT_PER_HALAMAN } = {}
+) => {
+  const kunci = JSON.stringify({ filter, pageSize });
+  const [paging, setPaging] = useState({ kunci, cursorList: [null] });
+  const [halaman, setHalaman] = useState(HALAMAN_KOSONG);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [versi, setVersi] = useState(0);
+
+  const cursorList = paging.kunci === kunci ? paging.cursorList : [null];
+  const cursor = cursorList[cursorList.length - 1];
+  const opsi = useMemo(() => JSON.parse(kunci), [kunci]);
+
+  useEffect(() => {
+    let aktif = true;
+    setLoading(true);
+    getAuditPage(opsi.filter, { pageSize: opsi.pageSize, cursor })
+      .then((data) => {
+        if (!aktif) return;
+        setHalaman(data);
+        setError(null);
+      })
+      .catch((err) => {
+        if (aktif) setError(err);
+      })
+      .finally(() => {
+        if (aktif) setLoading(false);
+      });
+    return () => {
+      aktif = false;
+    };
+  }, [opsi, cursor, versi]);
+
+  const halamanBerikutnya = () => {
+    if (!halaman.hasMore || !halaman.cursor) return;
+    setPaging({ kunci, cursorList: [...cursorList, halaman.cursor] });
+  };
+
+  const halamanSebelumnya = () => {
+    if (cursorList.length <= 1) return;
+    setPaging({ kunci, cursorList: cursorList.slice(0, -1) });
+  };
+
+  // Muat ulang dari halaman pertama
+  const muatUlang = () => {
+    setPaging({ kunci, cursorList: [null] });
+    setVersi((v) => v + 1);
+  };
+
+  return {
+    auditList: halaman.auditList,
+    loading,
+    error,
+    nomorHalaman: cursorList.length,
+    hasPrev: cursorList.length > 1,
+    hasNext: halaman.hasMore,
+    halamanBerikutnya,
+    halamanSebelumnya,
+    muatUlang,
+  };
+};
@@ -4,6 +4,14 @@ export const useLaporanNotification = () => {
   const { notification, clearNotification, success, error, warning, info } =
     useNotificationToast();
 
+  // Notifikasi untuk laporan yang disimpan di antrian offline
+  const notifyQueued = (reportNumber, year) => {
+    warning(
+      `Laporan ke-${reportNumber} tahun ${year} disimpan di perangkat dan dikirim otomatis saat online`,
+      "Menunggu Sinkronisasi"
+    );
+  };
+
   // Notifikasi untuk CREATE laporan
   const notifyCreateSuccess = (peternakName, reportNumber, year) => {
     success(
@@ -82,6 +90,19 @@ export const useLaporanNotification = () => {
     );
   };
 
+  // Notifikasi untuk EXPORT / CETAK laporan
+  const notifyExportSuccess = (count, format) => {
+    success(
+      `${count} laporan berhasil diekspor ke ${format}`,
+      "Ekspor Selesai",
+      "File telah diunduh ke perangkat Anda"
+    );
+  };
+
+  const notifyExportError = (errorMessage) => {
+    error("Gagal mengekspor laporan", "Gagal Ekspor", errorMessage);
+  };
+
   return {
     notification,
     clearNotification,
@@ -95,6 +116,11 @@ export const useLaporanNotification = () => {
     notifyUpdateError,
     notifyDeleteSuccess,
     notifyDeleteError,
+    notifyQueued,
+
+    // Export
+    notifyExportSuccess,
+    notifyExportError,
 
     // Validation & Confirmation
     notifyValidationError,
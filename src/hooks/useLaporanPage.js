@@ -0,0 +1,75 @@
+import { useState, useEffect, useMemo } from "react";
+import { subscribeLaporanPage } from "../services/laporanService";
+import {
+  URUTAN_LAPORAN,
+  JUMLAH_LAPORAN_PER_HALAMAN,
+} from "../utils/laporanQuery";
+
+const HALAMAN_KOSONG = { laporanList: [], cursor: null, hasMore: false };
+
+// Laporan per halaman yang ikut diperbarui secara real-time. Cursor setiap
+// halaman yang sudah dibuka disimpan agar bisa kembali ke halaman sebelumnya;
+// daftar cursor diulang dari halaman pertama saat filter atau urutan berubah.
+// Dengan aktif=false tidak ada yang didengarkan (mis. tampilan lain terbuka).
+export const useLaporanPage = (
+  filter,
+  {
+    urutan = URUTAN_LAPORAN.TERBARU,
+    pageSize = JUMLAH_LAPORAN_PER_HALAMAN,
+    aktif = true,
+  } = {}
+) => {
+  const kunci = JSON.stringify({ filter, urutan, pageSize });
+  const [paging, setPaging] = useState({ kunci, cursorList: [null] });
+  const [halaman, setHalaman] = useState(HALAMAN_KOSONG);
+  const [loading, setLoading] = useState(aktif);
+  const [error, setError] = useState(null);
+
+  const cursorList = paging.kunci === kunci ? paging.cursorList : [null];
+  const cursor = cursorList[cursorList.length - 1];
+  const opsi = useMemo(() => JSON.parse(kunci), [kunci]);
+
+  useEffect(() => {
+    if (!aktif) {
+      setHalaman(HALAMAN_KOSONG);
+      setLoading(false);
+      return undefined;
+    }
+    setLoading(true);
+    const unsubscribe = subscribeLaporanPage(
+      opsi.filter,
+      { urutan: opsi.urutan, pageSize: opsi.pageSize, cursor },
+      (data) => {
+        setHalaman(data);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err);
+        setLoading(false);
+      }
+    );
+    return unsubscribe;
+  }, [opsi, cursor, aktif]);
+
+  const halamanBerikutnya = () => {
+    if (!halaman.hasMore || !halaman.cursor) return;
+    setPaging({ kunci, cursorList: [...cursorList, halaman.cursor] });
+  };
+
+  const halamanSebelumnya = () => {
+    if (cursorList.length <= 1) return;
+    setPaging({ kunci, cursorList: cursorList.slice(0, -1) });
+  };
+
+  return {
+    laporanList: halaman.laporanList,
+    loading,
+    error,
+    nomorHalaman: cursorList.length,
+    hasPrev: cursorList.length > 1,
+    hasNext: halaman.hasMore,
+    halamanBerikutnya,
+    halamanSebelumnya,
+  };
+};
@@ -1,8 +1,10 @@
 import { useState } from "react";
 import { useNavigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
 
 export const useLogoutModal = () => {
   const navigate = useNavigate();
+  const { logout } = useAuth();
   const [isLogoutModalOpen, setIsLogoutModalOpen] = useState(false);
   const [userToLogout, setUserToLogout] = useState(null);
 
@@ -16,9 +18,8 @@ export const useLogoutModal = () => {
     setUserToLogout(null);
   };
 
-  const confirmLogout = () => {
-    localStorage.removeItem("adminToken");
-    localStorage.removeItem("adminUser");
+  const confirmLogout = async () => {
+    await logout();
     setIsLogoutModalOpen(false);
     setUserToLogout(null);
     navigate("/");
@@ -0,0 +1,27 @@
+import { useState, useEffect } from "react";
+import { subscribePeternak } from "../services/peternakService";
+
+// Daftar peternak (tanpa Tempat Sampah) yang selalu mengikuti Firestore.
+// Perubahan dari halaman ini maupun perangkat lain langsung ikut tampil.
+export const usePeternakList = () => {
+  const [peternakList, setPeternakList] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const unsubscribe = subscribePeternak(
+      (data) => {
+        setPeternakList(data);
+        setError(null);
+        setLoading(false);
+      },
+      (err) => {
+        setError(err);
+        setLoading(false);
+      }
+    );
+    return unsubscribe;
+  }, []);
+
+  return { peternakList, loading, error };
+};
@@ -1,19 +1,33 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Eye, Users, BarChart3, Heart } from 'lucide-react';
 import PeternakSidebar from '../components/peternak/PeternakSidebar';
 import PeternakNavbar from '../components/peternak/PeternakNavbar';
+import { getStatistikPublik } from '../services/statistikService';
 
 const LandingPage = () => {
     const navigate = useNavigate();
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-    const [statistics] = useState({
-        totalPeternak: 156,
-        totalTernak: 423,
-        totalProgram: 12,
-        successRate: 89
+    const [statistics, setStatistics] = useState({
+        totalPeternak: 0,
+        totalTernak: 0,
+        programAktif: 0,
+        tingkatKeberhasilan: 0
     });
 
+    useEffect(() => {
+        const fetchStatistik = async () => {
+            try {
+                const data = await getStatistikPublik();
+                setStatistics(data);
+            } catch (error) {
+                console.error('Error fetching statistik:', error);
+            }
+        };
+
+        fetchStatistik();
+    }, []);
+
     const handleAdminLogin = () => {
         navigate('/admin/login');
     };
@@ -103,7 +117,7 @@ const LandingPage = () => {
                             <div className="w-12 h-12 sm:w-16 sm:h-16 bg-purple-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
                                 <BarChart3 className="w-6 h-6 sm:w-8 sm:h-8 text-purple-600" />
                             </div>
-                            <div className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">{statistics.totalProgram}</div>
+                            <div className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">{statistics.programAktif}</div>
                             <div className="text-gray-600 font-medium text-xs sm:text-sm">Program Aktif</div>
                         </div>
 
@@ -111,7 +125,7 @@ const LandingPage = () => {
                             <div className="w-12 h-12 sm:w-16 sm:h-16 bg-yellow-100 rounded-full flex items-center justify-center mx-auto mb-3 sm:mb-4">
                                 <BarChart3 className="w-6 h-6 sm:w-8 sm:h-8 text-yellow-600" />
                             </div>
-                            <div className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">{statistics.successRate}%</div>
+                            <div className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1 sm:mb-2">{statistics.tingkatKeberhasilan}%</div>
                             <div className="text-gray-600 font-medium text-xs sm:text-sm">Tingkat Keberhasilan</div>
                         </div>
                     </div>
@@ -2,10 +2,11 @@ import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { Eye, EyeOff, Lock, Mail, ArrowLeft } from 'lucide-react';
 import logoDomba from '../assets/icon/logo_domba.png';
-import authService from '../services/authService';
+import { useAuth } from '../contexts/AuthContext';
 
 const LoginPage = () => {
     const navigate = useNavigate();
+    const { login } = useAuth();
     const [formData, setFormData] = useState({
         email: '',
         password: ''
@@ -28,23 +29,11 @@ const LoginPage = () => {
         setError('');
 
         try {
-            const user = await authService.login(formData.email, formData.password);
+            // Sesi disimpan oleh AuthContext (localStorage + state)
+            await login(formData.email, formData.password);
 
-            if (user) {
-                // Simpan token di localStorage
-                localStorage.setItem('adminToken', user.accessToken);
-                localStorage.setItem('adminUser', JSON.stringify({
-                    id: user.uid,
-                    email: user.email,
-                    name: user.fullName,
-                    role: user.role
-                }));
-
-                // Redirect ke dashboard
-                navigate('/admin/dashboard');
-            } else {
-                setError('Email atau password salah');
-            }
+            // Redirect ke dashboard
+            navigate('/admin/dashboard');
         } catch (error) {
             setError(error.message || 'Terjadi kesalahan. Silakan coba lagi.');
         } finally {
@@ -4,14 +4,23 @@ import Sidebar from '../../components/admin/Sidebar';
 import Navbar from '../../components/admin/Navbar';
 import StatsCard from '../../components/admin/StatsCard';
 import LogoutModal from '../../components/admin/LogoutModal';
+import Notification from '../../components/common/Notification';
 import { useLogoutModal } from '../../hooks/useLogoutModal';
-import { Users, Heart, BarChart3, TrendingUp } from 'lucide-react';
+import useNotification from '../../hooks/useNotification';
+import { Users, Heart, BarChart3, TrendingUp, ShieldAlert } from 'lucide-react';
+import { hitungStatistik } from '../../services/statistikService';
+import { syncSemuaPeternakPublik } from '../../services/peternakService';
+import { syncRingkasanLaporan } from '../../services/laporanService';
+import { usePeternakList } from '../../hooks/usePeternakList';
+import { useAllLaporan } from '../../hooks/useAllLaporan';
+import RisikoBadge from '../../components/admin/RisikoBadge';
+import { hitungRisikoSemuaPeternak, getPeternakBerisiko } from '../../utils/risikoPeternak';
 
 const AdminDashboard = () => {
     const navigate = useNavigate();
-    const [loading, setLoading] = useState(true);
     const [currentUser, setCurrentUser] = useState(null);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+    const [syncLoading, setSyncLoading] = useState(false);
     const {
         isLogoutModalOpen,
         userToLogout,
@@ -19,12 +28,19 @@ const AdminDashboard = () => {
         closeLogoutModal,
         confirmLogout
     } = useLogoutModal();
-    const [stats, setStats] = useState({
-        totalPeternak: 0,
-        totalTernak: 0,
-        programAktif: 0,
-        tingkatKeberhasilan: 0
-    });
+    const {
+        notification,
+        showSuccess,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    // Statistik dihitung ulang setiap kali data peternak atau laporan berubah
+    const { peternakList, loading: loadingPeternak } = usePeternakList();
+    const { laporanList, loading: loadingLaporan } = useAllLaporan();
+    const loading = loadingPeternak || loadingLaporan;
+    const stats = hitungStatistik(peternakList, laporanList);
+    const peternakBerisiko = getPeternakBerisiko(peternakList, hitungRisikoSemuaPeternak(peternakList, laporanList));
 
     useEffect(() => {
         // Get current user from localStorage
@@ -32,55 +48,58 @@ const AdminDashboard = () => {
         if (user) {
             setCurrentUser(JSON.parse(user));
         }
-
-        // Simulasi loading data
-        setTimeout(() => {
-            setStats({
-                totalPeternak: 156,
-                totalTernak: 423,
-                programAktif: 12,
-                tingkatKeberhasilan: 89
-            });
-            setLoading(false);
-        }, 1000);
     }, []);
 
+    // Data peternak untuk halaman publik disalin ke peternakPublik saat
+    // disimpan; tombol ini membangun ulang salinan untuk data lama, setelah
+    // melengkapi penanda deletedAt laporan lama dan ringkasan laporan peternak.
+    const handleSyncDataPublik = async () => {
+        setSyncLoading(true);
+        try {
+            await syncRingkasanLaporan();
+            const jumlah = await syncSemuaPeternakPublik();
+            showSuccess(
+                'Data Publik Diperbarui',
+                `${jumlah} data peternak disalin ke halaman transparansi.`
+            );
+        } catch (error) {
+            showError(
+                'Gagal Memperbarui Data Publik',
+                'Terjadi kesalahan saat menyalin data peternak. Silakan coba lagi.'
+            );
+        } finally {
+            setSyncLoading(false);
+        }
+    };
+
     const statsData = [
         {
             title: 'Total Peternak',
             value: stats.totalPeternak,
             icon: Users,
             color: 'bg-blue-500',
-            bgColor: 'bg-blue-50',
-            change: '+12%',
-            changeType: 'increase'
+            bgColor: 'bg-blue-50'
         },
         {
             title: 'Total Ternak',
             value: stats.totalTernak,
             icon: Heart,
             color: 'bg-green-500',
-            bgColor: 'bg-green-50',
-            change: '+8%',
-            changeType: 'increase'
+            bgColor: 'bg-green-50'
         },
         {
             title: 'Program Aktif',
             value: stats.programAktif,
             icon: BarChart3,
             color: 'bg-purple-500',
-            bgColor: 'bg-purple-50',
-            change: '+2',
-            changeType: 'increase'
+            bgColor: 'bg-purple-50'
         },
         {
             title: 'Tingkat Keberhasilan',
             value: `${stats.tingkatKeberhasilan}%`,
             icon: TrendingUp,
             color: 'bg-yellow-500',
-            bgColor: 'bg-yellow-50',
-            change: '+5%',
-            changeType: 'increase'
+            bgColor: 'bg-yellow-50'
         }
     ];
 
@@ -154,6 +173,16 @@ const AdminDashboard = () => {
                                         <div className="font-medium text-gray-900">Kelola Peternak</div>
                                         <div className="text-sm text-gray-600">Tambah, edit, atau lihat data peternak</div>
                                     </button>
+                                    <button
+                                        onClick={handleSyncDataPublik}
+                                        disabled={syncLoading}
+                                        className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 transition-colors disabled:opacity-50"
+                                    >
+                                        <div className="font-medium text-gray-900">
+                                            {syncLoading ? 'Memproses...' : 'Perbarui Data Publik'}
+                                        </div>
+                                        <div className="text-sm text-gray-600">Hitung ulang ringkasan laporan dan salin ulang data peternak untuk halaman transparansi</div>
+                                    </button>
                                     <button
                                         className="w-full text-left p-3 rounded-lg border border-gray-200 hover:bg-gray-50 transition-colors opacity-50 cursor-not-allowed"
                                         disabled
@@ -210,10 +239,55 @@ const AdminDashboard = () => {
                                 </div>
                             </div>
                         </div>
+
+                        {/* Peternak Berisiko */}
+                        <div className="mt-8 bg-white rounded-lg shadow p-6">
+                            <div className="flex items-center justify-between mb-4">
+                                <h3 className="flex items-center text-lg font-semibold text-gray-900">
+                                    <ShieldAlert className="h-5 w-5 mr-2 text-red-500" />
+                                    Peternak Berisiko
+                                </h3>
+                                <span className="text-sm text-gray-500">{peternakBerisiko.length} peternak</span>
+                            </div>
+                            {peternakBerisiko.length === 0 ? (
+                                <p className="text-sm text-gray-500">Tidak ada peternak dengan tanda risiko dari laporan terakhir</p>
+                            ) : (
+                                <ul className="divide-y divide-gray-100">
+                                    {peternakBerisiko.map(({ peternak, risiko }) => (
+                                        <li key={peternak.id} className="py-3 flex flex-col sm:flex-row sm:items-start sm:justify-between gap-2">
+                                            <div>
+                                                <button
+                                                    onClick={() => navigate('/admin/laporan')}
+                                                    className="text-sm font-medium text-gray-900 hover:text-green-700"
+                                                >
+                                                    {peternak.namaLengkap}
+                                                </button>
+                                                <ul className="mt-1 text-sm text-gray-600 space-y-0.5">
+                                                    {risiko.alasan.map(item => (
+                                                        <li key={item.pesan}>• {item.pesan}</li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                            <RisikoBadge risiko={risiko} />
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
                     </div>
                 </main>
             </div>
 
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
             {/* Logout Modal */}
             <LogoutModal
                 isOpen={isLogoutModalOpen}
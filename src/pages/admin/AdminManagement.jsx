@@ -10,7 +10,7 @@ import Notification from '../../components/common/Notification';
 import LogoutModal from '../../components/admin/LogoutModal';
 import useNotification from '../../hooks/useNotification';
 import { useLogoutModal } from '../../hooks/useLogoutModal';
-import { Plus, ArrowLeft } from 'lucide-react';
+import { Plus, ArrowLeft, ShieldAlert } from 'lucide-react';
 import adminService from '../../services/adminService';
 import authService from '../../services/authService';
 
@@ -25,6 +25,7 @@ const AdminManagement = () => {
     const [selectedAdminFilter, setSelectedAdminFilter] = useState('');
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [deleteLoading, setDeleteLoading] = useState(false);
+    const [migrationLoading, setMigrationLoading] = useState(false);
 
     // Hooks
     const {
@@ -153,9 +154,11 @@ const AdminManagement = () => {
                     );
                 } else {
                     // Use adminService for regular Admin updates
-                    await adminService.updateAdmin(editingAdmin.id, adminData);
+                    const updatedAdmin = await adminService.updateAdmin(editingAdmin.id, adminData);
                     setAdmins(admins.map(admin =>
-                        admin.id === editingAdmin.id ? { ...admin, ...adminData } : admin
+                        admin.id === editingAdmin.id
+                            ? { ...admin, ...updatedAdmin, perluMigrasiPassword: admin.perluMigrasiPassword && !adminData.password }
+                            : admin
                     ));
                     showSuccess(
                         'Admin Berhasil Diperbarui!',
@@ -180,7 +183,6 @@ const AdminManagement = () => {
                     const newAdminFromDb = await adminService.addAdmin(adminData);
                     const displayAdmin = {
                         ...newAdminFromDb,
-                        password: adminData.password,
                         createdAt: new Date().toISOString().split('T')[0],
                         lastLogin: 'Belum pernah login'
                     };
@@ -216,6 +218,27 @@ const AdminManagement = () => {
         }
     };
 
+    const handleMigratePasswords = async () => {
+        setMigrationLoading(true);
+        try {
+            const migratedCount = await adminService.migratePlaintextPasswords();
+            setAdmins(admins.map(admin => ({ ...admin, perluMigrasiPassword: false })));
+            showSuccess(
+                'Password Berhasil Diamankan',
+                `${migratedCount} akun Admin kini menggunakan password ter-hash dan siap login.`
+            );
+        } catch (error) {
+            showError(
+                'Gagal Mengamankan Password',
+                'Terjadi kesalahan saat memigrasi password admin. Silakan coba lagi.'
+            );
+        } finally {
+            setMigrationLoading(false);
+        }
+    };
+
+    const legacyPasswordCount = admins.filter(admin => admin.perluMigrasiPassword).length;
+
     const handleCancelForm = () => {
         // Show warning if user is leaving without saving
         showWarning(
@@ -269,7 +292,6 @@ const AdminManagement = () => {
                 </span>
             )
         },
-        { key: 'password', header: 'Password', accessor: 'password', minWidth: '180px' },
         { key: 'lastLogin', header: 'Login Terakhir', accessor: 'lastLogin', minWidth: '150px' },
         { key: 'createdAt', header: 'Dibuat', accessor: 'createdAt', minWidth: '120px' }
     ];
@@ -331,12 +353,31 @@ const AdminManagement = () => {
                                         </button>
                                     </div>
                                 </div>
+                                {legacyPasswordCount > 0 && (
+                                    <div className="bg-yellow-50 border border-yellow-200 rounded-lg mb-4 sm:mb-6 p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                                        <div className="flex items-start">
+                                            <ShieldAlert className="h-5 w-5 text-yellow-600 mr-3 mt-0.5 flex-shrink-0" />
+                                            <div>
+                                                <div className="text-sm font-medium text-yellow-800">Akun Admin belum diamankan</div>
+                                                <div className="text-sm text-yellow-700">
+                                                    {legacyPasswordCount} akun Admin masih menyimpan password teks biasa atau belum memiliki data login sehingga belum bisa login.
+                                                </div>
+                                            </div>
+                                        </div>
+                                        <button
+                                            onClick={handleMigratePasswords}
+                                            disabled={migrationLoading}
+                                            className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 justify-center"
+                                        >
+                                            {migrationLoading ? 'Memproses...' : 'Amankan Sekarang'}
+                                        </button>
+                                    </div>
+                                )}
                                 <ResponsiveTable
                                     data={filteredAdmins}
                                     columns={adminColumns}
                                     onEdit={handleEditAdmin}
                                     onDelete={handleShowDeleteConfirm}
-                                    showPasswordToggle={true}
                                     currentUserEmail={currentUser?.email}
                                 />
                             </>
@@ -0,0 +1,332 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import SearchableDropdown from '../../components/common/SearchableDropdown';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import { History, User, Calendar, ChevronDown, ChevronUp, RefreshCw } from 'lucide-react';
+import PaginationControls from '../../components/common/PaginationControls';
+import { AUDIT_ENTITY, AUDIT_ACTION } from '../../services/auditService';
+import { getAllPeternak, getDeletedPeternak } from '../../services/peternakService';
+import { useAuditPage } from '../../hooks/useAuditPage';
+
+const ENTITY_LABEL = {
+    [AUDIT_ENTITY.ADMIN]: 'Admin',
+    [AUDIT_ENTITY.PETERNAK]: 'Peternak',
+    [AUDIT_ENTITY.LAPORAN]: 'Laporan',
+    [AUDIT_ENTITY.PENGEMBALIAN]: 'Pengembalian',
+    [AUDIT_ENTITY.TERNAK]: 'Ternak',
+    [AUDIT_ENTITY.KESEHATAN]: 'Kesehatan'
+};
+
+const ACTION_CONFIG = {
+    [AUDIT_ACTION.CREATE]: { label: 'Dibuat', className: 'bg-green-100 text-green-800' },
+    [AUDIT_ACTION.UPDATE]: { label: 'Diubah', className: 'bg-blue-100 text-blue-800' },
+    [AUDIT_ACTION.DELETE]: { label: 'Dihapus', className: 'bg-red-100 text-red-800' },
+    [AUDIT_ACTION.RESTORE]: { label: 'Dipulihkan', className: 'bg-yellow-100 text-yellow-800' },
+    [AUDIT_ACTION.PURGE]: { label: 'Dihapus Permanen', className: 'bg-gray-200 text-gray-800' }
+};
+
+const AuditLogPage = () => {
+    const navigate = useNavigate();
+    const [peternakList, setPeternakList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedEntity, setSelectedEntity] = useState('');
+    const [selectedPeternak, setSelectedPeternak] = useState('');
+    const [selectedAdmin, setSelectedAdmin] = useState('');
+    // Admin yang pernah muncul di halaman yang sudah dibuka, untuk pilihan filter
+    const [adminMap, setAdminMap] = useState(() => new Map());
+    const [expandedId, setExpandedId] = useState(null);
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    // Filter dijalankan di query Firestore, bukan di halaman yang sudah dimuat
+    const {
+        auditList,
+        loading: loadingAudit,
+        error: auditError,
+        muatUlang,
+        ...pagination
+    } = useAuditPage({
+        entity: selectedEntity,
+        idPeternak: selectedPeternak,
+        actorId: selectedAdmin
+    });
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        // Peternak di Tempat Sampah ikut dimuat agar riwayatnya tetap bisa difilter
+        const loadPeternak = async () => {
+            setLoading(true);
+            try {
+                const [aktif, dihapus] = await Promise.all([
+                    getAllPeternak(),
+                    getDeletedPeternak()
+                ]);
+                setPeternakList([...aktif, ...dihapus]);
+            } catch (error) {
+                showError('Gagal Memuat Data', 'Tidak dapat memuat data peternak. Silakan refresh halaman.');
+            }
+            setLoading(false);
+        };
+
+        loadPeternak();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate]);
+
+    useEffect(() => {
+        if (auditError) {
+            showError('Gagal Memuat Data', 'Tidak dapat memuat riwayat perubahan. Silakan refresh halaman.');
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [auditError]);
+
+    useEffect(() => {
+        const actors = auditList.filter(item => item.actor);
+        if (actors.some(item => !adminMap.has(item.actorId))) {
+            setAdminMap(prev => new Map([...prev, ...actors.map(item => [item.actorId, item.actor])]));
+        }
+    }, [auditList, adminMap]);
+
+    // timestamp berupa Timestamp Firestore (waktu server)
+    const formatWaktu = (timestamp) => {
+        if (!timestamp) return '-';
+        return timestamp.toDate().toLocaleString('id-ID', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const formatNilai = (value) => {
+        if (value === null || value === undefined || value === '') return '-';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    };
+
+    const entityOptions = [
+        { value: '', label: 'Semua Entitas' },
+        ...Object.values(AUDIT_ENTITY).map(entity => ({
+            value: entity,
+            label: ENTITY_LABEL[entity]
+        }))
+    ];
+
+    const peternakOptions = [
+        { value: '', label: 'Semua Peternak' },
+        ...peternakList.map(peternak => ({
+            value: peternak.id,
+            label: peternak.namaLengkap,
+            subtitle: peternak.deletedAt ? 'Di Tempat Sampah' : undefined
+        }))
+    ];
+
+    const adminOptions = [
+        { value: '', label: 'Semua Admin' },
+        ...[...adminMap.values()].map(actor => ({
+            value: actor.id,
+            label: actor.name,
+            subtitle: actor.role
+        }))
+    ];
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="audit" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat riwayat perubahan...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="audit" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        <div className="mb-6 sm:mb-8">
+                            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Riwayat Perubahan</h1>
+                            <p className="text-gray-600 mt-2">Catatan siapa mengubah data admin, peternak dan laporan, beserta nilai sebelum dan sesudahnya</p>
+                        </div>
+
+                        <div className="bg-white rounded-lg shadow mb-4 sm:mb-6 p-4 sm:p-6">
+                            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Entitas</label>
+                                    <SearchableDropdown
+                                        options={entityOptions}
+                                        value={selectedEntity}
+                                        onChange={setSelectedEntity}
+                                        placeholder="Pilih entitas..."
+                                        searchPlaceholder="Cari entitas..."
+                                        noResultsText="Entitas tidak ditemukan"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Peternak</label>
+                                    <SearchableDropdown
+                                        options={peternakOptions}
+                                        value={selectedPeternak}
+                                        onChange={setSelectedPeternak}
+                                        placeholder="Pilih peternak..."
+                                        searchPlaceholder="Cari nama peternak..."
+                                        noResultsText="Peternak tidak ditemukan"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-2">Admin</label>
+                                    <SearchableDropdown
+                                        options={adminOptions}
+                                        value={selectedAdmin}
+                                        onChange={setSelectedAdmin}
+                                        placeholder="Pilih admin..."
+                                        searchPlaceholder="Cari nama admin..."
+                                        noResultsText="Admin tidak ditemukan"
+                                    />
+                                </div>
+                                <button
+                                    onClick={muatUlang}
+                                    disabled={loadingAudit}
+                                    className="inline-flex items-center px-3 sm:px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 justify-center"
+                                >
+                                    <RefreshCw className={`h-4 w-4 mr-2 ${loadingAudit ? 'animate-spin' : ''}`} />
+                                    Muat Ulang
+                                </button>
+                            </div>
+                        </div>
+
+                        <div className="space-y-3">
+                            {auditList.length > 0 ? (
+                                auditList.map((item) => {
+                                    const action = ACTION_CONFIG[item.action] || ACTION_CONFIG[AUDIT_ACTION.UPDATE];
+                                    const diffEntries = Object.entries(item.diff || {});
+                                    const isExpanded = expandedId === item.id;
+                                    return (
+                                        <div key={item.id} className="bg-white rounded-lg shadow-sm border border-gray-200">
+                                            <button
+                                                onClick={() => setExpandedId(isExpanded ? null : item.id)}
+                                                className="w-full text-left p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2"
+                                            >
+                                                <div className="flex items-center flex-wrap gap-2">
+                                                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${action.className}`}>
+                                                        {action.label}
+                                                    </span>
+                                                    <span className="text-sm font-medium text-gray-900">
+                                                        {ENTITY_LABEL[item.entity] || item.entity}: {item.label || item.entityId}
+                                                    </span>
+                                                    <span className="text-xs text-gray-500">{diffEntries.length} field</span>
+                                                </div>
+                                                <div className="flex items-center text-sm text-gray-600 gap-3">
+                                                    <span className="flex items-center">
+                                                        <User className="h-4 w-4 text-gray-400 mr-1" />
+                                                        {item.actor?.name || 'Tidak diketahui'}
+                                                    </span>
+                                                    <span className="flex items-center">
+                                                        <Calendar className="h-4 w-4 text-gray-400 mr-1" />
+                                                        {formatWaktu(item.timestamp)}
+                                                    </span>
+                                                    {isExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                                                </div>
+                                            </button>
+
+                                            {isExpanded && (
+                                                <div className="border-t border-gray-100 p-4 overflow-x-auto">
+                                                    {diffEntries.length > 0 ? (
+                                                        <table className="min-w-full text-sm">
+                                                            <thead>
+                                                                <tr className="text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                                                    <th className="py-2 pr-4">Field</th>
+                                                                    <th className="py-2 pr-4">Sebelum</th>
+                                                                    <th className="py-2">Sesudah</th>
+                                                                </tr>
+                                                            </thead>
+                                                            <tbody className="divide-y divide-gray-100">
+                                                                {diffEntries.map(([field, { dari, ke }]) => (
+                                                                    <tr key={field}>
+                                                                        <td className="py-2 pr-4 font-medium text-gray-700">{field}</td>
+                                                                        <td className="py-2 pr-4 text-red-700 break-all">{formatNilai(dari)}</td>
+                                                                        <td className="py-2 text-green-700 break-all">{formatNilai(ke)}</td>
+                                                                    </tr>
+                                                                ))}
+                                                            </tbody>
+                                                        </table>
+                                                    ) : (
+                                                        <p className="text-sm text-gray-500">Tidak ada perubahan nilai field.</p>
+                                                    )}
+                                                </div>
+                                            )}
+                                        </div>
+                                    );
+                                })
+                            ) : loadingAudit ? (
+                                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 flex justify-center">
+                                    <div className="animate-spin rounded-full h-8 w-8 border-4 border-green-200 border-t-green-600"></div>
+                                </div>
+                            ) : (
+                                <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+                                    <History className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                                    <h3 className="text-lg font-medium text-gray-900 mb-2">Belum ada riwayat perubahan</h3>
+                                    <p className="text-gray-600">Perubahan data admin, peternak dan laporan akan tercatat di sini.</p>
+                                </div>
+                            )}
+                        </div>
+                        <PaginationControls {...pagination} loading={loadingAudit} className="mt-4 bg-white rounded-lg shadow-sm border" />
+                    </div>
+                </main>
+            </div>
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default AuditLogPage;
@@ -0,0 +1,482 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import SearchableDropdown from '../../components/common/SearchableDropdown';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import { RefreshCw, Eye, EyeOff, Edit, GitMerge, User, Calendar, HelpCircle, ArrowLeft, AlertTriangle } from 'lucide-react';
+import {
+    FAQ_STATUS,
+    getAllFaq,
+    syncFaqFromLaporan,
+    updateFaq,
+    publishFaq,
+    hideFaq,
+    mergeFaq
+} from '../../services/faqService';
+
+const FaqManagement = () => {
+    const navigate = useNavigate();
+    const [faqList, setFaqList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [syncing, setSyncing] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [selectedStatusFilter, setSelectedStatusFilter] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [view, setView] = useState('list'); // 'list', 'edit', 'merge'
+    const [editingFaq, setEditingFaq] = useState(null);
+    const [mergeTargetId, setMergeTargetId] = useState('');
+    const [formData, setFormData] = useState({ kendala: '', solusi: '', keterangan: '' });
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showSuccess,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    const fetchFaq = async () => {
+        const data = await getAllFaq();
+        setFaqList(data);
+    };
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        const loadFaq = async () => {
+            setLoading(true);
+            try {
+                await fetchFaq();
+            } catch (error) {
+                showError('Gagal Memuat Data', 'Tidak dapat memuat data FAQ. Silakan refresh halaman.');
+            }
+            setLoading(false);
+        };
+
+        loadFaq();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate]);
+
+    const handleSync = async () => {
+        setSyncing(true);
+        try {
+            const created = await syncFaqFromLaporan();
+            await fetchFaq();
+            showSuccess(
+                'Sinkronisasi Selesai',
+                created.length > 0
+                    ? `${created.length} entri baru dari laporan ditambahkan sebagai Draft.`
+                    : 'Tidak ada kendala & solusi baru dari laporan.'
+            );
+        } catch (error) {
+            showError('Gagal Sinkronisasi', error.message);
+        }
+        setSyncing(false);
+    };
+
+    const handleToggleStatus = async (faq) => {
+        try {
+            if (faq.status === FAQ_STATUS.PUBLIK) {
+                await hideFaq(faq.id);
+                showSuccess('FAQ Disembunyikan', 'Entri tidak lagi tampil di halaman publik.');
+            } else {
+                await publishFaq(faq.id);
+                showSuccess('FAQ Dipublikasikan', 'Entri sekarang tampil di halaman publik.');
+            }
+            await fetchFaq();
+        } catch (error) {
+            showError('Gagal Mengubah Status', error.message);
+        }
+    };
+
+    const handleToggleSelect = (faqId) => {
+        setSelectedIds(prev => prev.includes(faqId)
+            ? prev.filter(id => id !== faqId)
+            : [...prev, faqId]);
+    };
+
+    const handleEdit = (faq) => {
+        setEditingFaq(faq);
+        setFormData({ kendala: faq.kendala || '', solusi: faq.solusi || '', keterangan: faq.keterangan || '' });
+        setView('edit');
+    };
+
+    const handleStartMerge = () => {
+        const target = faqList.find(faq => faq.id === selectedIds[0]);
+        setMergeTargetId(target.id);
+        setFormData({ kendala: target.kendala || '', solusi: target.solusi || '', keterangan: target.keterangan || '' });
+        setView('merge');
+    };
+
+    const handleChangeMergeTarget = (faqId) => {
+        const target = faqList.find(faq => faq.id === faqId);
+        setMergeTargetId(faqId);
+        setFormData({ kendala: target.kendala || '', solusi: target.solusi || '', keterangan: target.keterangan || '' });
+    };
+
+    const handleChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+    };
+
+    const handleBackToList = () => {
+        setView('list');
+        setEditingFaq(null);
+        setMergeTargetId('');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!formData.kendala.trim() || !formData.solusi.trim()) {
+            showError('Data Tidak Valid', 'Kendala dan solusi wajib diisi.');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            if (view === 'edit' && editingFaq) {
+                await updateFaq(editingFaq.id, formData);
+                showSuccess('FAQ Diperbarui', 'Perubahan entri FAQ telah disimpan.');
+            } else {
+                const selectedFaq = faqList.filter(faq => selectedIds.includes(faq.id));
+                await mergeFaq(mergeTargetId, selectedFaq, formData);
+                setSelectedIds([]);
+                showSuccess('FAQ Digabung', `${selectedFaq.length} entri berhasil digabung menjadi satu.`);
+            }
+            await fetchFaq();
+            handleBackToList();
+        } catch (error) {
+            showError('Gagal Menyimpan FAQ', error.message);
+        }
+        setSaving(false);
+    };
+
+    const getStatusBadge = (status) => {
+        const statusConfig = {
+            [FAQ_STATUS.DRAFT]: 'bg-gray-100 text-gray-800',
+            [FAQ_STATUS.PUBLIK]: 'bg-green-100 text-green-800',
+            [FAQ_STATUS.TERSEMBUNYI]: 'bg-yellow-100 text-yellow-800',
+            [FAQ_STATUS.DIGABUNG]: 'bg-purple-100 text-purple-800'
+        };
+        return (
+            <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${statusConfig[status] || statusConfig[FAQ_STATUS.DRAFT]}`}>
+                {status}
+            </span>
+        );
+    };
+
+    const formatTanggal = (dateString) => {
+        if (!dateString) return '-';
+        return new Date(dateString).toLocaleDateString('id-ID', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric'
+        });
+    };
+
+    const statusOptions = [
+        { value: '', label: 'Semua Status', subtitle: `${faqList.length} entri total` },
+        ...Object.values(FAQ_STATUS).map(status => ({
+            value: status,
+            label: status,
+            subtitle: `${faqList.filter(faq => faq.status === status).length} entri`
+        }))
+    ];
+
+    const filteredFaq = selectedStatusFilter
+        ? faqList.filter(faq => faq.status === selectedStatusFilter)
+        : faqList;
+
+    const selectableFaq = (faq) => faq.status !== FAQ_STATUS.DIGABUNG;
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="faq" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat data FAQ...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="faq" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        {view === 'list' ? (
+                            <>
+                                <div className="mb-6 sm:mb-8">
+                                    <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Kelola FAQ Kendala & Solusi</h1>
+                                    <p className="text-gray-600 mt-2">Kurasi kendala dan solusi dari laporan triwulan sebelum ditampilkan di halaman publik</p>
+                                </div>
+
+                                <div className="bg-white rounded-lg shadow mb-4 sm:mb-6 p-4 sm:p-6">
+                                    <div className="flex flex-col sm:flex-row justify-between items-start sm:items-end gap-4">
+                                        <div className="flex-1 w-full sm:w-auto">
+                                            <label className="block text-sm font-medium text-gray-700 mb-2">Filter Status</label>
+                                            <SearchableDropdown
+                                                options={statusOptions}
+                                                value={selectedStatusFilter}
+                                                onChange={setSelectedStatusFilter}
+                                                placeholder="Pilih status..."
+                                                searchPlaceholder="Cari status..."
+                                                displayKey="label"
+                                                valueKey="value"
+                                                searchKeys={['label']}
+                                                noResultsText="Status tidak ditemukan"
+                                            />
+                                        </div>
+                                        <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+                                            <button
+                                                onClick={handleStartMerge}
+                                                disabled={selectedIds.length < 2}
+                                                className="inline-flex items-center px-3 sm:px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed justify-center"
+                                            >
+                                                <GitMerge className="h-4 w-4 mr-2" />
+                                                Gabungkan ({selectedIds.length})
+                                            </button>
+                                            <button
+                                                onClick={handleSync}
+                                                disabled={syncing}
+                                                className="inline-flex items-center px-3 sm:px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 disabled:opacity-50 justify-center"
+                                            >
+                                                <RefreshCw className={`h-4 w-4 mr-2 ${syncing ? 'animate-spin' : ''}`} />
+                                                Ambil dari Laporan
+                                            </button>
+                                        </div>
+                                    </div>
+                                </div>
+
+                                <div className="space-y-4">
+                                    {filteredFaq.length > 0 ? (
+                                        filteredFaq.map((faq) => (
+                                            <div key={faq.id} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 sm:p-6">
+                                                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between mb-4 gap-2">
+                                                    <div className="flex items-center">
+                                                        {selectableFaq(faq) && (
+                                                            <input
+                                                                type="checkbox"
+                                                                checked={selectedIds.includes(faq.id)}
+                                                                onChange={() => handleToggleSelect(faq.id)}
+                                                                className="mr-3"
+                                                                title="Pilih untuk digabung"
+                                                            />
+                                                        )}
+                                                        <User className="h-4 w-4 text-blue-500" />
+                                                        <span className="ml-2 text-sm font-medium text-gray-900">{faq.namaPeternak}</span>
+                                                        <span className="ml-2">{getStatusBadge(faq.status)}</span>
+                                                    </div>
+                                                    <div className="flex items-center text-sm text-gray-600">
+                                                        <Calendar className="h-4 w-4 text-gray-400 mr-1" />
+                                                        <span className="font-medium">{faq.triwulan}</span>
+                                                        <span className="mx-2">•</span>
+                                                        <span>{formatTanggal(faq.tanggalLaporan)}</span>
+                                                    </div>
+                                                </div>
+
+                                                {faq.perluTinjau && (
+                                                    <div className="mb-4 flex items-start rounded-md bg-yellow-50 border border-yellow-200 px-3 py-2 text-sm text-yellow-800">
+                                                        <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                                                        <span>
+                                                            <span className="font-medium">Perlu ditinjau:</span> {faq.alasanTinjau}. Edit atau publikasikan ulang jika entri ini masih layak tampil.
+                                                        </span>
+                                                    </div>
+                                                )}
+
+                                                <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 text-sm">
+                                                    <div>
+                                                        <div className="font-medium text-red-600 mb-1">Kendala</div>
+                                                        <p className="text-gray-900 leading-relaxed">{faq.kendala || '-'}</p>
+                                                    </div>
+                                                    <div>
+                                                        <div className="font-medium text-green-600 mb-1">Solusi</div>
+                                                        <p className="text-gray-900 leading-relaxed">{faq.solusi || '-'}</p>
+                                                    </div>
+                                                    <div>
+                                                        <div className="font-medium text-blue-600 mb-1">Keterangan</div>
+                                                        <p className="text-gray-900 leading-relaxed">{faq.keterangan || '-'}</p>
+                                                    </div>
+                                                </div>
+
+                                                {selectableFaq(faq) && (
+                                                    <div className="mt-4 pt-3 border-t border-gray-100 flex flex-wrap gap-2">
+                                                        <button
+                                                            onClick={() => handleToggleStatus(faq)}
+                                                            className={`inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md ${faq.status === FAQ_STATUS.PUBLIK
+                                                                ? 'text-yellow-700 bg-yellow-50 hover:bg-yellow-100'
+                                                                : 'text-green-700 bg-green-50 hover:bg-green-100'
+                                                                }`}
+                                                        >
+                                                            {faq.status === FAQ_STATUS.PUBLIK ? (
+                                                                <><EyeOff className="h-3.5 w-3.5 mr-1" />Sembunyikan</>
+                                                            ) : (
+                                                                <><Eye className="h-3.5 w-3.5 mr-1" />Publikasikan</>
+                                                            )}
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleEdit(faq)}
+                                                            className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-blue-700 bg-blue-50 hover:bg-blue-100"
+                                                        >
+                                                            <Edit className="h-3.5 w-3.5 mr-1" />
+                                                            Edit
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </div>
+                                        ))
+                                    ) : (
+                                        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-8 text-center">
+                                            <HelpCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+                                            <h3 className="text-lg font-medium text-gray-900 mb-2">Belum ada entri FAQ</h3>
+                                            <p className="text-gray-600">Klik "Ambil dari Laporan" untuk membuat entri dari kendala & solusi laporan triwulan.</p>
+                                        </div>
+                                    )}
+                                </div>
+                            </>
+                        ) : (
+                            <div>
+                                <div className="mb-4 sm:mb-4">
+                                    <button onClick={handleBackToList} className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-900 mb-2">
+                                        <ArrowLeft className="h-4 w-4 mr-2" />
+                                        Kembali ke Daftar FAQ
+                                    </button>
+                                    <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">
+                                        {view === 'edit' ? 'Edit Entri FAQ' : 'Gabungkan Entri FAQ'}
+                                    </h1>
+                                    <p className="text-gray-600 mt-2">
+                                        {view === 'edit'
+                                            ? `Mengubah entri dari ${editingFaq?.namaPeternak} (${editingFaq?.triwulan})`
+                                            : `${selectedIds.length} entri akan digabung menjadi satu entri utama`}
+                                    </p>
+                                </div>
+
+                                <div className="bg-white p-6 sm:p-8 rounded-lg shadow-md">
+                                    <form onSubmit={handleSubmit} className="space-y-6">
+                                        {view === 'merge' && (
+                                            <div>
+                                                <h4 className="text-sm font-medium text-gray-900 mb-3">Pilih Entri Utama</h4>
+                                                <div className="space-y-2">
+                                                    {faqList.filter(faq => selectedIds.includes(faq.id)).map((faq) => (
+                                                        <label key={faq.id} className="flex items-start cursor-pointer">
+                                                            <input
+                                                                type="radio"
+                                                                name="mergeTarget"
+                                                                value={faq.id}
+                                                                checked={mergeTargetId === faq.id}
+                                                                onChange={() => handleChangeMergeTarget(faq.id)}
+                                                                className="mt-1 mr-3"
+                                                            />
+                                                            <div className="flex-1">
+                                                                <div className="text-sm font-medium text-gray-900">{faq.namaPeternak} • {faq.triwulan}</div>
+                                                                <div className="text-xs text-gray-600">{faq.kendala}</div>
+                                                            </div>
+                                                        </label>
+                                                    ))}
+                                                </div>
+                                            </div>
+                                        )}
+
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Kendala *</label>
+                                            <textarea
+                                                name="kendala"
+                                                value={formData.kendala}
+                                                onChange={handleChange}
+                                                rows="3"
+                                                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-green-500 focus:border-green-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Solusi *</label>
+                                            <textarea
+                                                name="solusi"
+                                                value={formData.solusi}
+                                                onChange={handleChange}
+                                                rows="3"
+                                                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-green-500 focus:border-green-500"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="block text-sm font-medium text-gray-700 mb-1">Keterangan Tambahan</label>
+                                            <textarea
+                                                name="keterangan"
+                                                value={formData.keterangan}
+                                                onChange={handleChange}
+                                                rows="3"
+                                                className="block w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-green-500 focus:border-green-500"
+                                            />
+                                        </div>
+
+                                        <div className="flex flex-col-reverse sm:flex-row sm:space-x-3 pt-4 space-y-2 space-y-reverse sm:space-y-0">
+                                            <button
+                                                type="button"
+                                                onClick={handleBackToList}
+                                                disabled={saving}
+                                                className="flex-1 justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                            >
+                                                Batal
+                                            </button>
+                                            <button
+                                                type="submit"
+                                                disabled={saving}
+                                                className="flex-1 justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                                            >
+                                                {saving ? 'Menyimpan...' : view === 'edit' ? 'Simpan Perubahan' : 'Gabungkan Entri'}
+                                            </button>
+                                        </div>
+                                    </form>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                </main>
+            </div>
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default FaqManagement;
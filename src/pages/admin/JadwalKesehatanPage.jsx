@@ -0,0 +1,195 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import JadwalKesehatanBadge from '../../components/admin/JadwalKesehatanBadge';
+import { AlertTriangle, Clock, CalendarCheck } from 'lucide-react';
+import { getAllPeternak } from '../../services/peternakService';
+import { getAllKesehatan } from '../../services/kesehatanService';
+import { JENIS_KESEHATAN_LABEL, STATUS_JADWAL, getJadwalKesehatan } from '../../utils/kesehatan';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const formatTanggal = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('id-ID', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+};
+
+// Jadwal tindakan kesehatan berikutnya untuk semua peternak aktif,
+// dikelompokkan menjadi terlambat, segera dan terjadwal
+const JadwalKesehatanPage = () => {
+    const navigate = useNavigate();
+    const [peternakList, setPeternakList] = useState([]);
+    const [kesehatanList, setKesehatanList] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        const loadJadwal = async () => {
+            setLoading(true);
+            try {
+                const [peternakData, kesehatanData] = await Promise.all([
+                    getAllPeternak(),
+                    getAllKesehatan()
+                ]);
+                setPeternakList(peternakData);
+                setKesehatanList(kesehatanData);
+            } catch (error) {
+                showError('Gagal Memuat Data', 'Tidak dapat memuat jadwal kesehatan. Silakan refresh halaman.');
+            }
+            setLoading(false);
+        };
+
+        loadJadwal();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate]);
+
+    // Catatan milik peternak di Tempat Sampah tidak ikut dijadwalkan
+    const peternakById = new Map(peternakList.map(p => [p.id, p]));
+    const jadwalList = getJadwalKesehatan(
+        kesehatanList.filter(catatan => peternakById.has(catatan.idPeternak)),
+        today()
+    );
+    const countStatus = (status) => jadwalList.filter(jadwal => jadwal.statusJadwal === status).length;
+
+    const summaryCards = [
+        { status: STATUS_JADWAL.TERLAMBAT, label: 'Terlambat', icon: AlertTriangle, iconClass: 'text-red-600' },
+        { status: STATUS_JADWAL.SEGERA, label: 'Segera (14 hari)', icon: Clock, iconClass: 'text-amber-600' },
+        { status: STATUS_JADWAL.TERJADWAL, label: 'Terjadwal', icon: CalendarCheck, iconClass: 'text-green-600' }
+    ];
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="kesehatan" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat Jadwal Kesehatan...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="kesehatan" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        <div className="mb-6 sm:mb-8">
+                            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Jadwal Kesehatan</h1>
+                            <p className="text-gray-600 mt-2">
+                                Jadwal vaksinasi, pengobatan dan obat cacing berikutnya dari catatan kesehatan terbaru setiap peternak.
+                            </p>
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 sm:gap-4 mb-6">
+                            {summaryCards.map(({ status, label, icon: Icon, iconClass }) => (
+                                <div key={status} className="bg-white rounded-lg shadow p-4">
+                                    <div className="flex items-center text-sm text-gray-500"><Icon className={`h-4 w-4 mr-2 ${iconClass}`} />{label}</div>
+                                    <div className="text-2xl font-bold text-gray-900 mt-1">{countStatus(status)}</div>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="bg-white rounded-lg shadow overflow-hidden">
+                            {jadwalList.length > 0 ? (
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Jatuh Tempo</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Peternak</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tindakan</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tindakan Terakhir</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {jadwalList.map(jadwal => {
+                                                const peternak = peternakById.get(jadwal.idPeternak);
+                                                return (
+                                                    <tr key={jadwal.id} className={jadwal.statusJadwal === STATUS_JADWAL.TERLAMBAT ? 'bg-red-50' : ''}>
+                                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">{formatTanggal(jadwal.tanggalJatuhTempo)}</td>
+                                                        <td className="px-4 py-3 text-sm">
+                                                            <div className="font-medium text-gray-900">{peternak.namaLengkap}</div>
+                                                            <div className="text-xs text-gray-500">{peternak.nomorTelepon}</div>
+                                                        </td>
+                                                        <td className="px-4 py-3 text-sm text-gray-700">{JENIS_KESEHATAN_LABEL[jadwal.jenis]}</td>
+                                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                                            {jadwal.namaObat}
+                                                            <div className="text-xs text-gray-500">{formatTanggal(jadwal.tanggal)} • {jadwal.petugas}</div>
+                                                        </td>
+                                                        <td className="px-4 py-3 whitespace-nowrap">
+                                                            <JadwalKesehatanBadge status={jadwal.statusJadwal} />
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ) : (
+                                <div className="py-8 text-center text-sm text-gray-500">Belum ada jadwal kesehatan</div>
+                            )}
+                        </div>
+                    </div>
+                </main>
+            </div>
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default JadwalKesehatanPage;
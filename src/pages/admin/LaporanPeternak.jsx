@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Sidebar from '../../components/admin/Sidebar';
 import Navbar from '../../components/admin/Navbar';
@@ -8,38 +8,54 @@ import SearchableDropdown from '../../components/common/SearchableDropdown';
 import LaporanTable from '../../components/admin/LaporanTable';
 import AllLaporanTable from '../../components/admin/AllLaporanTable';
 import LaporanTriwulanForm from '../../components/admin/LaporanTriwulanForm';
-import DeleteConfirmModal from '../../components/admin/DeleteConfirmModal';
+import CommonDeleteModal from '../../components/common/CommonDeleteModal';
 import ProgramProgressIndicator from '../../components/admin/ProgramProgressIndicator';
 import StatusKinerjaManager from '../../components/admin/StatusKinerjaManager';
+import LaporanExportActions from '../../components/admin/LaporanExportActions';
+import RingkasanKesehatan from '../../components/admin/RingkasanKesehatan';
+import GrafikTrenTernak from '../../components/common/GrafikTrenTernak';
+import RisikoBadge from '../../components/admin/RisikoBadge';
 import { Plus, ArrowLeft, User, MapPin, Phone, Eye } from 'lucide-react';
-import { getAllPeternak } from '../../services/peternakService';
-import {
-    getAllLaporan,
-    getLaporanByPeternak,
-    createLaporan,
-    updateLaporan,
-    deleteLaporan
-} from '../../services/laporanService';
+import { TOTAL_TRIWULAN_PROGRAM, getTahunProgram } from '../../utils/programQuarter';
+import { getExportFileName } from '../../utils/laporanExport';
+import { deleteLaporan, getLaporanByFilter, getLaporanByPeternak } from '../../services/laporanService';
+import { createLaporanAtauAntri, updateLaporanAtauAntri } from '../../services/antrianLaporanService';
 import { useLaporanNotification } from '../../hooks/useLaporanNotification';
+import { usePeternakList } from '../../hooks/usePeternakList';
+import { useLaporanPage } from '../../hooks/useLaporanPage';
+import { URUTAN_LAPORAN, URUTAN_LAPORAN_OPTIONS, buatFilterLaporan, saringRingkasanLaporan } from '../../utils/laporanQuery';
+import { hitungRisikoDariRingkasan } from '../../utils/risikoPeternak';
 import NotificationToast from '../../components/common/NotificationToast';
 
 const LaporanPeternak = () => {
     const navigate = useNavigate();
-    const [peternakData, setPeternakData] = useState([]);
-    // eslint-disable-next-line no-unused-vars
-    const [laporanData, setLaporanData] = useState([]); // untuk detail view per-peternak (filtered data)
-    const [allLaporanData, setAllLaporanData] = useState([]); // untuk calculation & AllLaporanTable (semua data)
-    const [loading, setLoading] = useState(true);
     const [selectedPeternakFilter, setSelectedPeternakFilter] = useState(''); // untuk dropdown filter
     const [selectedPeternakId, setSelectedPeternakId] = useState(null);
     const [selectedTriwulan, setSelectedTriwulan] = useState('');
     const [selectedTahun, setSelectedTahun] = useState(new Date().getFullYear());
     const [showAllLaporan, setShowAllLaporan] = useState(false);
+    const [urutanLaporan, setUrutanLaporan] = useState(URUTAN_LAPORAN.TERBARU);
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
     const [viewMode, setViewMode] = useState('peternak'); // 'peternak', 'laporan', 'add', 'edit'
     const [editingLaporan, setEditingLaporan] = useState(null);
     const [deletingLaporan, setDeletingLaporan] = useState(null);
 
+    // Data mengikuti Firestore secara real-time, tidak perlu refetch setelah simpan/hapus
+    const { peternakList: peternakData, loading: loadingPeternak, error: errorPeternak } = usePeternakList();
+    // Jumlah laporan, laporan terakhir, grafik dan risiko diambil dari ringkasan di dokumen
+    // peternak; laporan lengkap hanya dibaca per halaman tabel, saat ekspor dan cetak kartu
+    const loading = loadingPeternak;
+    // Risiko dinilai ulang setiap kali ringkasan laporan peternak berubah
+    const risikoPerPeternak = hitungRisikoDariRingkasan(peternakData);
+    const totalLaporan = peternakData.reduce((total, peternak) => total + (Number(peternak.jumlahLaporan) || 0), 0);
+
+    // Tabel laporan diambil per halaman dengan filter di Firestore, bukan difilter di memori
+    const filterSemuaLaporan = buatFilterLaporan({ idPeternak: selectedPeternakFilter, tahun: selectedTahun, triwulan: selectedTriwulan });
+    const halamanSemuaLaporan = useLaporanPage(filterSemuaLaporan, { urutan: urutanLaporan, aktif: showAllLaporan });
+    const filterLaporanPeternak = buatFilterLaporan({ idPeternak: selectedPeternakId, tahun: selectedTahun, triwulan: selectedTriwulan });
+    const halamanLaporanPeternak = useLaporanPage(filterLaporanPeternak, { aktif: Boolean(selectedPeternakId) });
+    const loadNotified = useRef(false);
+
     // Logout modal hook
     const {
         isLogoutModalOpen,
@@ -58,82 +74,50 @@ const LaporanPeternak = () => {
         notifyLoadError,
         notifyDeleteSuccess,
         notifyDeleteError,
+        notifyExportSuccess,
+        notifyExportError,
         notifyActionConfirm
     } = useLaporanNotification();
 
     useEffect(() => {
-        const fetchData = async () => {
-            setLoading(true);
-            try {
-                // Ambil semua peternak
-                const peternakList = await getAllPeternak();
-                setPeternakData(peternakList);
-
-                // Selalu ambil semua laporan terlebih dahulu untuk menghitung total per peternak
-                const allLaporanList = await getAllLaporan();
-                setAllLaporanData(allLaporanList);
-                console.log('All laporan data:', allLaporanList);
-
-                // Jika filter peternak dipilih, ambil laporan dari firebase
-                if (selectedPeternakFilter) {
-                    const laporanList = await getLaporanByPeternak(selectedPeternakFilter);
-                    setLaporanData(laporanList);
-                    console.log('Laporan data for selected peternak:', laporanList);
-
-                    // Show success notification untuk laporan yang difilter
-                    notifyLoadSuccess(laporanList.length);
-                } else {
-                    // Jika tidak ada filter, kosongkan laporanData
-                    setLaporanData([]);
-
-                    // Show success notification untuk semua laporan
-                    notifyLoadSuccess(allLaporanList.length);
-                }
-
-            } catch (error) {
-                console.error('Error fetching data:', error);
-                notifyLoadError(error.message);
-            }
-            setLoading(false);
-        };
-
         // Check authentication
         const user = localStorage.getItem('adminUser');
         if (!user) {
             navigate('/admin/login');
-            return;
         }
+    }, [navigate]);
 
-        fetchData();
+    // Error halaman laporan (mis. composite index belum dibuat) juga ditampilkan
+    const errorHalaman = halamanSemuaLaporan.error || halamanLaporanPeternak.error;
+
+    useEffect(() => {
+        const error = errorPeternak || errorHalaman;
+        if (error) {
+            notifyLoadError(error.message);
+            return;
+        }
+        // Notifikasi hanya saat data pertama kali dimuat, bukan setiap pembaruan
+        if (!loading && !loadNotified.current) {
+            loadNotified.current = true;
+            notifyLoadSuccess(totalLaporan);
+        }
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [navigate, selectedPeternakFilter, showAllLaporan]);
+    }, [loading, errorPeternak, errorHalaman]);
 
     const getPeternakById = (peternakId) => {
         return peternakData.find(p => p.id === peternakId);
     };
 
-    const getPeternakLaporan = (peternakId) => {
-        // Gunakan allLaporanData untuk mendapatkan semua laporan peternak, bukan laporanData yang mungkin difilter
-        return allLaporanData.filter(laporan => laporan.idPeternak === peternakId);
-    };
-
     const getLatestLaporan = (peternakId) => {
-        const laporan = getPeternakLaporan(peternakId);
-        return laporan.length > 0 ? laporan[laporan.length - 1] : null;
+        // Laporan terbaru adalah triwulan program tertinggi di ringkasanLaporan
+        const laporan = getPeternakById(peternakId)?.ringkasanLaporan || [];
+        return laporan.reduce((latest, item) =>
+            !latest || Number(item.quarter) > Number(latest.quarter) ? item : latest
+        , null);
     };
 
     const getTotalLaporanByPeternak = (peternakId) => {
-        return getPeternakLaporan(peternakId).length;
-    };
-
-    const getTriwulanLabel = (triwulan) => {
-        const labels = {
-            1: 'Triwulan I (Jan-Mar)',
-            2: 'Triwulan II (Apr-Jun)',
-            3: 'Triwulan III (Jul-Sep)',
-            4: 'Triwulan IV (Okt-Des)'
-        };
-        return labels[triwulan] || `Triwulan ${triwulan}`;
+        return Number(getPeternakById(peternakId)?.jumlahLaporan) || 0;
     };
 
     const getStatusBadge = (status) => {
@@ -172,29 +156,30 @@ const LaporanPeternak = () => {
     // Options for Triwulan filter
     const triwulanOptions = [
         { value: '', label: 'Semua Triwulan', subtitle: 'Tampilkan semua periode' },
-        { value: '1', label: 'Triwulan I', subtitle: 'Januari - Maret' },
-        { value: '2', label: 'Triwulan II', subtitle: 'April - Juni' },
-        { value: '3', label: 'Triwulan III', subtitle: 'Juli - September' },
-        { value: '4', label: 'Triwulan IV', subtitle: 'Oktober - Desember' }
+        ...Array.from({ length: TOTAL_TRIWULAN_PROGRAM }, (_, index) => ({
+            value: (index + 1).toString(),
+            label: `Triwulan ${index + 1}`,
+            subtitle: `Triwulan ke-${index + 1} dari ${TOTAL_TRIWULAN_PROGRAM} sejak pendaftaran`
+        }))
     ];
 
-    // Options for Tahun filter
+    // Options for Tahun filter: tahun yang dilalui program peternak terpilih (atau semua peternak)
+    const idPeternakTahun = selectedPeternakId || selectedPeternakFilter;
     const tahunOptions = [
         { value: '', label: 'Semua Tahun', subtitle: 'Tampilkan semua tahun' },
-        { value: 2024, label: '2024', subtitle: 'Tahun 2024' },
-        { value: 2025, label: '2025', subtitle: 'Tahun 2025' }
+        ...getTahunProgram(
+            (idPeternakTahun ? [getPeternakById(idPeternakTahun)] : peternakData).map(peternak => peternak?.tanggalDaftar)
+        ).map(tahun => ({ value: tahun, label: String(tahun), subtitle: `Tahun ${tahun}` }))
     ];
 
-    const getFilteredLaporanByPeternak = (peternakId) => {
-        // Gunakan allLaporanData untuk filter, bukan laporanData
-        const peternakLaporan = allLaporanData.filter(laporan => laporan.idPeternak === peternakId);
+    // Ekspor semua laporan sesuai filter, tidak hanya halaman yang tampil
+    const getExportSemuaLaporan = () => getLaporanByFilter(filterSemuaLaporan, urutanLaporan);
 
-        return peternakLaporan.filter(laporan => {
-            const matchTriwulan = selectedTriwulan === '' || laporan.quarter?.toString() === selectedTriwulan;
-            const matchTahun = selectedTahun === '' || laporan.year === selectedTahun;
-            return matchTriwulan && matchTahun;
-        });
-    };
+    const getLaporanExportFileName = (peternakId) => getExportFileName({
+        namaPeternak: getPeternakById(peternakId)?.namaLengkap,
+        triwulan: selectedTriwulan,
+        tahun: selectedTahun
+    });
 
     const handleToggleAllLaporan = () => {
         setShowAllLaporan(!showAllLaporan);
@@ -249,33 +234,35 @@ const LaporanPeternak = () => {
                 idPeternak: selectedPeternakId
             };
 
+            // Tanpa koneksi laporan masuk antrian offline dan dikirim saat online
+            const label = `${getPeternakById(selectedPeternakId)?.namaLengkap || 'Peternak'} - Triwulan ${dataToSave.quarter}`;
             let result;
             if (viewMode === 'edit' && editingLaporan) {
                 // Update laporan yang ada
-                result = await updateLaporan(editingLaporan.id, dataToSave);
+                result = await updateLaporanAtauAntri(editingLaporan.id, dataToSave, editingLaporan, label);
                 console.log('Laporan berhasil diupdate:', result);
             } else {
                 // Buat laporan baru
-                result = await createLaporan(dataToSave);
+                result = await createLaporanAtauAntri(dataToSave, label);
                 console.log('Laporan berhasil dibuat:', result);
             }
 
-            // Refresh data laporan untuk peternak terpilih
-            const laporanList = await getLaporanByPeternak(selectedPeternakId);
-            setLaporanData(laporanList);
-
-            // Refresh data keseluruhan untuk tabel AllLaporan
-            const allLaporan = await getAllLaporan();
-            setAllLaporanData(allLaporan);
+            if (result.antrian) {
+                setViewMode('laporan');
+                setEditingLaporan(null);
+                return result;
+            }
 
             // Redirect kembali ke halaman laporan peternak
             setViewMode('laporan');
             setEditingLaporan(null);
 
             console.log('Redirect berhasil ke halaman laporan');
+            return result;
         } catch (error) {
+            // Diteruskan ke LaporanTriwulanForm agar error per field bisa ditampilkan
             console.error('Error saving laporan:', error);
-            alert(`Gagal menyimpan laporan: ${error.message}`);
+            throw error;
         }
     };
 
@@ -289,15 +276,6 @@ const LaporanPeternak = () => {
         setDeletingLaporan(laporan);
     };
 
-    const handleStatusKinerjaUpdate = (newStatus) => {
-        // Update status kinerja di state lokal
-        setPeternakData(prev => prev.map(p =>
-            p.id === selectedPeternakId
-                ? { ...p, statusKinerja: newStatus, programAktif: false, tanggalSelesai: new Date().toISOString() }
-                : p
-        ));
-    };
-
     const handleDeleteLaporan = async () => {
         if (!deletingLaporan) return;
 
@@ -310,23 +288,15 @@ const LaporanPeternak = () => {
 
             await deleteLaporan(deletingLaporan.id);
 
-            // Refresh data laporan untuk peternak terpilih
-            const laporanList = await getLaporanByPeternak(selectedPeternakId);
-            setLaporanData(laporanList);
-
-            // Refresh data keseluruhan untuk tabel AllLaporan
-            const allLaporan = await getAllLaporan();
-            setAllLaporanData(allLaporan);
-
             // Show success notification
             notifyDeleteSuccess(
                 peternakName,
-                deletingLaporan.quarter || deletingLaporan.quarterNumber || deletingLaporan.triwulan,
-                deletingLaporan.year || deletingLaporan.quarterInfo?.year || deletingLaporan.tahun
+                deletingLaporan.quarter,
+                deletingLaporan.year
             );
 
             setDeletingLaporan(null);
-            console.log('Laporan berhasil dihapus dan data direfresh');
+            console.log('Laporan berhasil dihapus');
         } catch (error) {
             console.error('Error deleting laporan:', error);
             notifyDeleteError(error.message);
@@ -403,13 +373,87 @@ const LaporanPeternak = () => {
                                     // Tampilan Semua Laporan
                                     <>
                                         <div className="bg-white rounded-lg shadow mb-6 p-4 sm:p-6">
-                                            <div className="text-sm text-gray-500 mb-4">
-                                                Menampilkan <span className="font-medium">{allLaporanData.length}</span> laporan dari seluruh peternak
+                                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mb-4">
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                                        Filter Peternak
+                                                    </label>
+                                                    <SearchableDropdown
+                                                        options={peternakOptions}
+                                                        value={selectedPeternakFilter}
+                                                        onChange={setSelectedPeternakFilter}
+                                                        placeholder="Pilih peternak..."
+                                                        defaultOption={defaultPeternakOption}
+                                                        searchPlaceholder="Cari nama peternak..."
+                                                        displayKey="label"
+                                                        valueKey="value"
+                                                        searchKeys={['label', 'subtitle']}
+                                                        noResultsText="Tidak ada peternak ditemukan"
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                                        Filter Triwulan
+                                                    </label>
+                                                    <SearchableDropdown
+                                                        options={triwulanOptions}
+                                                        value={selectedTriwulan}
+                                                        onChange={setSelectedTriwulan}
+                                                        placeholder="Pilih triwulan..."
+                                                        searchPlaceholder="Cari triwulan..."
+                                                        displayKey="label"
+                                                        valueKey="value"
+                                                        searchKeys={['label', 'subtitle']}
+                                                        noResultsText="Triwulan tidak ditemukan"
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                                        Filter Tahun
+                                                    </label>
+                                                    <SearchableDropdown
+                                                        options={tahunOptions}
+                                                        value={selectedTahun}
+                                                        onChange={setSelectedTahun}
+                                                        placeholder="Pilih tahun..."
+                                                        searchPlaceholder="Cari tahun..."
+                                                        displayKey="label"
+                                                        valueKey="value"
+                                                        searchKeys={['label']}
+                                                        noResultsText="Tahun tidak ditemukan"
+                                                    />
+                                                </div>
+                                                <div>
+                                                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                                                        Urutkan
+                                                    </label>
+                                                    <SearchableDropdown
+                                                        options={URUTAN_LAPORAN_OPTIONS}
+                                                        value={urutanLaporan}
+                                                        onChange={(value) => setUrutanLaporan(value || URUTAN_LAPORAN.TERBARU)}
+                                                        placeholder="Pilih urutan..."
+                                                        searchPlaceholder="Cari urutan..."
+                                                        displayKey="label"
+                                                        valueKey="value"
+                                                        searchKeys={['label', 'subtitle']}
+                                                        noResultsText="Urutan tidak ditemukan"
+                                                    />
+                                                </div>
+                                            </div>
+                                            <div className="text-sm text-gray-500">
+                                                Menampilkan <span className="font-medium">{halamanSemuaLaporan.laporanList.length}</span> laporan di halaman {halamanSemuaLaporan.nomorHalaman} dari {totalLaporan} laporan seluruh peternak
                                             </div>
                                         </div>
                                         <AllLaporanTable
-                                            laporan={allLaporanData}
+                                            laporan={halamanSemuaLaporan.laporanList}
+                                            pagination={halamanSemuaLaporan}
+                                            getExportLaporan={getExportSemuaLaporan}
                                             peternakData={peternakData}
+                                            exportFileName={getLaporanExportFileName(selectedPeternakFilter)}
+                                            kartuPeternak={selectedPeternakFilter ? getPeternakById(selectedPeternakFilter) : null}
+                                            getKartuLaporan={() => getLaporanByPeternak(selectedPeternakFilter)}
+                                            onExportSuccess={notifyExportSuccess}
+                                            onExportError={notifyExportError}
                                         />
                                     </>
                                 ) : (
@@ -475,8 +519,9 @@ const LaporanPeternak = () => {
                                                                                 <div className="text-sm font-medium text-gray-900">
                                                                                     {peternak.namaLengkap}
                                                                                 </div>
-                                                                                <div className="mt-1">
+                                                                                <div className="mt-1 flex flex-wrap items-center gap-1">
                                                                                     {getStatusBadge(peternak.statusKinerja)}
+                                                                                    <RisikoBadge risiko={risikoPerPeternak[peternak.id]} />
                                                                                 </div>
                                                                             </div>
                                                                         </div>
@@ -490,7 +535,7 @@ const LaporanPeternak = () => {
                                                                         {latestLaporan ? (
                                                                             <div className="text-sm">
                                                                                 <div className="font-medium text-gray-900">
-                                                                                    Triwulan {['', 'I', 'II', 'III', 'IV'][latestLaporan.quarter || latestLaporan.quarterNumber || latestLaporan.triwulan]}
+                                                                                    Triwulan {latestLaporan.quarter}
                                                                                 </div>
                                                                                 <div className="text-gray-500 text-xs">
                                                                                     {new Date(latestLaporan.tanggalLaporan).toLocaleDateString('id-ID')}
@@ -531,7 +576,8 @@ const LaporanPeternak = () => {
                             <>
                                 {(() => {
                                     const selectedPeternak = getPeternakById(selectedPeternakId);
-                                    const laporanPeternak = getFilteredLaporanByPeternak(selectedPeternakId);
+                                    // Ringkasan laporan sesuai filter periode; laporan lengkap dibaca saat ekspor
+                                    const laporanPeternak = saringRingkasanLaporan(selectedPeternak?.ringkasanLaporan, filterLaporanPeternak);
                                     const latestLaporan = getLatestLaporan(selectedPeternakId);
 
                                     return (
@@ -552,6 +598,9 @@ const LaporanPeternak = () => {
                                                     <p className="text-gray-600 mt-2">
                                                         Kelola laporan triwulan untuk peternak ini
                                                     </p>
+                                                    <div className="mt-3">
+                                                        <RisikoBadge risiko={risikoPerPeternak[selectedPeternakId]} showAlasan />
+                                                    </div>
                                                 </div>
                                             </div>
 
@@ -568,7 +617,7 @@ const LaporanPeternak = () => {
                                                                 <div className="text-sm text-gray-700">
                                                                     <span className="font-medium">Laporan Terakhir: </span>
                                                                     <span className="font-medium text-gray-900">
-                                                                        Triwulan {['', 'I', 'II', 'III', 'IV'][latestLaporan.quarter || latestLaporan.quarterNumber || latestLaporan.triwulan]} {latestLaporan.year || latestLaporan.quarterInfo?.year || latestLaporan.tahun}
+                                                                        Triwulan {latestLaporan.quarter} ({latestLaporan.year})
                                                                     </span>
                                                                     <span className="mx-1">•</span>
                                                                     <span>
@@ -634,13 +683,25 @@ const LaporanPeternak = () => {
                                                         {selectedTriwulan && ` untuk Triwulan ${selectedTriwulan}`}
                                                         {` tahun ${selectedTahun}`}
                                                     </div>
-                                                    <button
-                                                        onClick={handleAddLaporan}
-                                                        className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 w-full sm:w-auto justify-center"
-                                                    >
-                                                        <Plus className="h-4 w-4 mr-2" />
-                                                        Tambah Laporan
-                                                    </button>
+                                                    <div className="flex flex-col sm:flex-row gap-2 w-full sm:w-auto">
+                                                        <LaporanExportActions
+                                                            laporan={laporanPeternak}
+                                                            getLaporan={() => getLaporanByFilter(filterLaporanPeternak)}
+                                                            peternakData={peternakData}
+                                                            fileName={getLaporanExportFileName(selectedPeternakId)}
+                                                            kartuPeternak={selectedPeternak}
+                                                            getKartuLaporan={() => getLaporanByPeternak(selectedPeternakId)}
+                                                            onSuccess={notifyExportSuccess}
+                                                            onError={notifyExportError}
+                                                        />
+                                                        <button
+                                                            onClick={handleAddLaporan}
+                                                            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 w-full sm:w-auto justify-center"
+                                                        >
+                                                            <Plus className="h-4 w-4 mr-2" />
+                                                            Tambah Laporan
+                                                        </button>
+                                                    </div>
                                                 </div>
                                             </div>
 
@@ -650,11 +711,17 @@ const LaporanPeternak = () => {
                                                 laporanData={laporanPeternak}
                                             />
 
+                                            {/* Grafik Tren Ternak (semua triwulan, tanpa filter periode) */}
+                                            <GrafikTrenTernak
+                                                laporan={selectedPeternak?.ringkasanLaporan}
+                                                targetPengembalian={selectedPeternak?.targetPengembalian}
+                                                className="shadow mb-6 p-5 sm:p-6"
+                                            />
+
                                             {/* Status Kinerja Manager */}
                                             <StatusKinerjaManager
                                                 peternakData={selectedPeternak}
                                                 laporanData={laporanPeternak}
-                                                onStatusUpdate={handleStatusKinerjaUpdate}
                                             />
 
                                             {/* Info Peternak - Subcard */}
@@ -687,9 +754,13 @@ const LaporanPeternak = () => {
                                                 </div>
                                             </div>
 
+                                            {/* Ringkasan Kesehatan Ternak */}
+                                            <RingkasanKesehatan peternakId={selectedPeternak?.id} />
+
                                             {/* Laporan Table */}
                                             <LaporanTable
-                                                laporan={laporanPeternak}
+                                                laporan={halamanLaporanPeternak.laporanList}
+                                                pagination={halamanLaporanPeternak}
                                                 onEdit={handleEditLaporan}
                                                 onDelete={handleShowDeleteConfirm}
                                             />
@@ -702,7 +773,6 @@ const LaporanPeternak = () => {
                             <>
                                 {(() => {
                                     const selectedPeternak = getPeternakById(selectedPeternakId);
-                                    const laporanPeternak = getFilteredLaporanByPeternak(selectedPeternakId);
                                     return (
                                         <>
                                             {/* Header dengan tombol back */}
@@ -720,7 +790,7 @@ const LaporanPeternak = () => {
                                                     </h1>
                                                     <p className="text-gray-600 mt-2">
                                                         {viewMode === 'edit'
-                                                            ? `Mengubah laporan ${getTriwulanLabel(editingLaporan?.triwulan)} ${editingLaporan?.tahun} untuk ${selectedPeternak?.namaLengkap}`
+                                                            ? `Mengubah laporan ${editingLaporan?.displayPeriod || `Triwulan ${editingLaporan?.quarter}`} untuk ${selectedPeternak?.namaLengkap}`
                                                             : `Buat laporan baru untuk ${selectedPeternak?.namaLengkap}`
                                                         }
                                                     </p>
@@ -733,7 +803,6 @@ const LaporanPeternak = () => {
                                                     laporan={editingLaporan}
                                                     peternakId={selectedPeternakId}
                                                     peternakData={selectedPeternak}
-                                                    triwulan={laporanPeternak.length > 0 ? laporanPeternak.length : 0}
                                                     onSave={handleSaveLaporan}
                                                     onCancel={handleCancelForm}
                                                 />
@@ -748,14 +817,13 @@ const LaporanPeternak = () => {
             </div>
 
             {deletingLaporan && (
-                <DeleteConfirmModal
-                    admin={deletingLaporan}
+                <CommonDeleteModal
+                    item={deletingLaporan}
                     onConfirm={handleDeleteLaporan}
                     onCancel={() => setDeletingLaporan(null)}
                     loading={deleteLoading}
                     title="Hapus Laporan"
-                    message={`Apakah Anda yakin ingin menghapus laporan Triwulan ${deletingLaporan.quarterNumber || deletingLaporan.triwulan} ${deletingLaporan.quarterInfo?.year || deletingLaporan.tahun}?`}
-                    confirmText="Hapus Laporan"
+                    customMessage={`Laporan Triwulan ${deletingLaporan.quarter} (${deletingLaporan.year}) akan dipindahkan ke Tempat Sampah dan masih dapat dipulihkan.`}
                 />
             )}
 
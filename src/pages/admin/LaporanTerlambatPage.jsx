@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import { usePeternakList } from '../../hooks/usePeternakList';
+import { useAllLaporan } from '../../hooks/useAllLaporan';
+import { AlertTriangle, Clock, Send, CheckCircle } from 'lucide-react';
+import { getPengingatFromData, getPengingatProvider, kirimPengingat } from '../../services/pengingatService';
+import { STATUS_JADWAL_LAPORAN, HARI_TENGGANG_LAPORAN, HARI_LAPORAN_SEGERA } from '../../utils/jadwalLaporan';
+
+const STATUS_CONFIG = {
+    [STATUS_JADWAL_LAPORAN.TERLAMBAT]: { label: 'Terlambat', className: 'bg-red-100 text-red-800' },
+    [STATUS_JADWAL_LAPORAN.SEGERA]: { label: 'Segera', className: 'bg-yellow-100 text-yellow-800' }
+};
+
+const formatTanggal = (dateString) => new Date(`${dateString}T00:00:00`).toLocaleDateString('id-ID', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Laporan triwulan yang sudah lewat batas atau segera jatuh tempo untuk semua
+// peternak, dengan pesan pengingat yang dikirim lewat provider pengingat
+const LaporanTerlambatPage = () => {
+    const navigate = useNavigate();
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+    const [mengirim, setMengirim] = useState(null); // id pengingat atau 'semua'
+    const [terkirim, setTerkirim] = useState({});
+
+    const { peternakList, loading: loadingPeternak, error: errorPeternak } = usePeternakList();
+    const { laporanList, loading: loadingLaporan, error: errorLaporan } = useAllLaporan();
+    const loading = loadingPeternak || loadingLaporan;
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showSuccess,
+        showError,
+        showWarning,
+        hideNotification
+    } = useNotification();
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+        }
+    }, [navigate]);
+
+    useEffect(() => {
+        if (errorPeternak || errorLaporan) {
+            showError('Gagal Memuat Data', 'Tidak dapat memuat jadwal laporan. Silakan refresh halaman.');
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [errorPeternak, errorLaporan]);
+
+    const pengingatList = getPengingatFromData(peternakList, laporanList);
+    const pengingatTerlambat = pengingatList.filter(pengingat => pengingat.status === STATUS_JADWAL_LAPORAN.TERLAMBAT);
+    const countStatus = (status) => pengingatList.filter(pengingat => pengingat.status === status).length;
+
+    const summaryCards = [
+        { status: STATUS_JADWAL_LAPORAN.TERLAMBAT, label: `Terlambat (lewat ${HARI_TENGGANG_LAPORAN} hari)`, icon: AlertTriangle, iconClass: 'text-red-600' },
+        { status: STATUS_JADWAL_LAPORAN.SEGERA, label: `Segera (${HARI_LAPORAN_SEGERA} hari)`, icon: Clock, iconClass: 'text-amber-600' }
+    ];
+
+    const handleKirim = async (daftar, prosesId) => {
+        setMengirim(prosesId);
+        try {
+            const hasil = await kirimPengingat(daftar);
+            setTerkirim(prev => ({
+                ...prev,
+                ...Object.fromEntries(hasil.terkirim.map(id => [id, new Date().toISOString()]))
+            }));
+            if (hasil.gagal.length === 0) {
+                showSuccess('Pengingat Terkirim', `${hasil.terkirim.length} pengingat dikirim lewat ${getPengingatProvider().nama}.`);
+            } else {
+                showWarning(
+                    'Sebagian Pengingat Gagal',
+                    `${hasil.terkirim.length} terkirim, ${hasil.gagal.length} gagal: ${[...new Set(hasil.gagal.map(item => item.pesan))].join(', ')}`
+                );
+            }
+        } catch (error) {
+            showError('Gagal Mengirim Pengingat', error.message);
+        }
+        setMengirim(null);
+    };
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="laporanTerlambat" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat Jadwal Laporan...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="laporanTerlambat" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        <div className="mb-6 sm:mb-8 flex flex-col sm:flex-row sm:items-end sm:justify-between gap-4">
+                            <div>
+                                <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Laporan Terlambat</h1>
+                                <p className="text-gray-600 mt-2">
+                                    Triwulan yang belum dilaporkan setelah masa tenggang {HARI_TENGGANG_LAPORAN} hari, serta triwulan yang segera berakhir.
+                                </p>
+                            </div>
+                            <button
+                                onClick={() => handleKirim(pengingatTerlambat, 'semua')}
+                                disabled={pengingatTerlambat.length === 0 || mengirim !== null}
+                                className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <Send className="h-4 w-4 mr-2" />
+                                {mengirim === 'semua' ? 'Mengirim...' : 'Ingatkan Semua yang Terlambat'}
+                            </button>
+                        </div>
+
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 sm:gap-4 mb-6">
+                            {summaryCards.map(({ status, label, icon: Icon, iconClass }) => (
+                                <div key={status} className="bg-white rounded-lg shadow p-4">
+                                    <div className="flex items-center text-sm text-gray-500"><Icon className={`h-4 w-4 mr-2 ${iconClass}`} />{label}</div>
+                                    <div className="text-2xl font-bold text-gray-900 mt-1">{countStatus(status)}</div>
+                                </div>
+                            ))}
+                        </div>
+
+                        <div className="bg-white rounded-lg shadow overflow-hidden">
+                            {pengingatList.length > 0 ? (
+                                <div className="overflow-x-auto">
+                                    <table className="min-w-full divide-y divide-gray-200">
+                                        <thead className="bg-gray-50">
+                                            <tr>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Peternak</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Triwulan</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Batas Laporan</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Pesan Pengingat</th>
+                                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Aksi</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="bg-white divide-y divide-gray-200">
+                                            {pengingatList.map(pengingat => {
+                                                const config = STATUS_CONFIG[pengingat.status];
+                                                return (
+                                                    <tr key={pengingat.id} className={pengingat.status === STATUS_JADWAL_LAPORAN.TERLAMBAT ? 'bg-red-50' : ''}>
+                                                        <td className="px-4 py-3 text-sm">
+                                                            <div className="font-medium text-gray-900">{pengingat.namaPeternak}</div>
+                                                            <div className={`text-xs ${pengingat.nomorTelepon ? 'text-gray-500' : 'text-red-600'}`}>
+                                                                {pengingat.nomorTelepon || 'Nomor telepon tidak valid'}
+                                                            </div>
+                                                        </td>
+                                                        <td className="px-4 py-3 text-sm text-gray-700">
+                                                            Triwulan {pengingat.quarter}
+                                                            <div className="text-xs text-gray-500">{formatTanggal(pengingat.startDate)} - {formatTanggal(pengingat.endDate)}</div>
+                                                        </td>
+                                                        <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-900">
+                                                            {formatTanggal(pengingat.batasLaporan)}
+                                                            <div className="text-xs text-gray-500">
+                                                                {pengingat.sisaHari < 0 ? `${Math.abs(pengingat.sisaHari)} hari lalu` : `${pengingat.sisaHari} hari lagi`}
+                                                            </div>
+                                                        </td>
+                                                        <td className="px-4 py-3 whitespace-nowrap">
+                                                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${config.className}`}>
+                                                                {config.label}
+                                                            </span>
+                                                        </td>
+                                                        <td className="px-4 py-3 text-xs text-gray-600 max-w-md">
+                                                            <details>
+                                                                <summary className="cursor-pointer text-gray-700">Lihat pesan</summary>
+                                                                <p className="mt-2 whitespace-pre-line">{pengingat.pesan}</p>
+                                                            </details>
+                                                        </td>
+                                                        <td className="px-4 py-3 whitespace-nowrap text-sm">
+                                                            {terkirim[pengingat.id] ? (
+                                                                <span className="inline-flex items-center text-green-700">
+                                                                    <CheckCircle className="h-4 w-4 mr-1" />
+                                                                    Terkirim
+                                                                </span>
+                                                            ) : (
+                                                                <button
+                                                                    onClick={() => handleKirim([pengingat], pengingat.id)}
+                                                                    disabled={!pengingat.nomorTelepon || mengirim !== null}
+                                                                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                                                                >
+                                                                    <Send className="h-3.5 w-3.5 mr-1.5" />
+                                                                    {mengirim === pengingat.id ? 'Mengirim...' : 'Kirim Pengingat'}
+                                                                </button>
+                                                            )}
+                                                        </td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            ) : (
+                                <div className="py-8 text-center text-sm text-gray-500">Semua laporan triwulan sudah masuk tepat waktu</div>
+                            )}
+                        </div>
+                    </div>
+                </main>
+            </div>
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default LaporanTerlambatPage;
@@ -5,21 +5,35 @@ import Navbar from '../../components/admin/Navbar';
 import LogoutModal from '../../components/admin/LogoutModal';
 import { useLogoutModal } from '../../hooks/useLogoutModal';
 import SearchableDropdown from '../../components/common/SearchableDropdown';
-import { Plus, User, ChevronDown, ChevronUp, Edit, Trash2, Phone, MapPin, Calendar, CheckCircle, AlertCircle, ArrowLeft } from 'lucide-react';
+import { Plus, Upload, User, ChevronDown, ChevronUp, Edit, Trash2, Phone, MapPin, Calendar, CheckCircle, AlertCircle, ArrowLeft, GitBranch } from 'lucide-react';
 import CommonDeleteModal from '../../components/common/CommonDeleteModal';
 import PeternakForm from '../../components/admin/PeternakForm';
+import PeternakImport from '../../components/admin/PeternakImport';
+import PengembalianPanel from '../../components/admin/PengembalianPanel';
+import TernakPanel from '../../components/admin/TernakPanel';
+import KesehatanPanel from '../../components/admin/KesehatanPanel';
+import { getSisaPengembalian } from '../../utils/pengembalian';
+import { getGenerasi } from '../../utils/siklusGaduh';
 import {
-    getAllPeternak,
     createPeternak,
     updatePeternak,
     deletePeternak,
 } from '../../services/peternakService';
+import { usePeternakList } from '../../hooks/usePeternakList';
+import { useAllLaporan } from '../../hooks/useAllLaporan';
+import RisikoBadge from '../../components/admin/RisikoBadge';
+import { hitungRisikoSemuaPeternak } from '../../utils/risikoPeternak';
 
 const PeternakManagement = () => {
     const navigate = useNavigate();
-    const [peternak, setPeternak] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [view, setView] = useState('list'); // 'list', 'add', 'edit'
+    // Daftar peternak mengikuti Firestore secara real-time, termasuk perubahan
+    // jumlahDikembalikan dari PengembalianPanel dan hasil import
+    const { peternakList: peternak, loading: loadingPeternak } = usePeternakList();
+    const { laporanList, loading: loadingLaporan } = useAllLaporan();
+    const [saving, setSaving] = useState(false);
+    const loading = loadingPeternak || loadingLaporan || saving;
+    const risikoPerPeternak = hitungRisikoSemuaPeternak(peternak, laporanList);
+    const [view, setView] = useState('list'); // 'list', 'add', 'edit', 'import'
     const [editingPeternak, setEditingPeternak] = useState(null);
     const [deletingPeternak, setDeletingPeternak] = useState(null);
     const [deleteLoading, setDeleteLoading] = useState(false);
@@ -40,21 +54,7 @@ const PeternakManagement = () => {
         const user = localStorage.getItem('adminUser');
         if (!user) {
             navigate('/admin/login');
-            return;
         }
-
-        const fetchPeternak = async () => {
-            setLoading(true);
-            try {
-                const data = await getAllPeternak();
-                setPeternak(data);
-            } catch (error) {
-                // handle error jika perlu
-            }
-            setLoading(false);
-        };
-
-        fetchPeternak();
     }, [navigate]);
 
     const toggleRowExpansion = (peternakId) => {
@@ -80,18 +80,17 @@ const PeternakManagement = () => {
         setDeleteLoading(true);
         try {
             await deletePeternak(deletingPeternak.id);
-            const data = await getAllPeternak();
-            setPeternak(data);
             setDeletingPeternak(null);
         } catch (error) {
-            // handle error jika perlu
+            console.error('Error deleting peternak:', error);
+            alert(`Error: ${error.message}`);
         }
         setDeleteLoading(false);
     };
 
     const handleSavePeternak = async (formData) => {
         console.log('handleSavePeternak called with:', formData);
-        setLoading(true);
+        setSaving(true);
         try {
             // Logic ternak sesuai permintaan baru
             formData.jumlahTernakAwal = Number(formData.jumlahTernakAwal) || 5;
@@ -109,9 +108,6 @@ const PeternakManagement = () => {
                 const result = await createPeternak(cleanFormData);
                 console.log('Create result:', result);
             }
-            // Refresh data
-            const data = await getAllPeternak();
-            setPeternak(data);
             setView('list');
             setEditingPeternak(null);
         } catch (error) {
@@ -119,7 +115,7 @@ const PeternakManagement = () => {
             // Tampilkan error ke user jika perlu
             alert(`Error: ${error.message}`);
         }
-        setLoading(false);
+        setSaving(false);
     };
 
     const handleCancelForm = () => {
@@ -127,6 +123,11 @@ const PeternakManagement = () => {
         setEditingPeternak(null);
     };
 
+    const handleImported = (jumlahTersimpan, jumlahDilewati) => {
+        setView('list');
+        alert(`${jumlahTersimpan} peternak berhasil diimpor${jumlahDilewati > 0 ? `, ${jumlahDilewati} baris bermasalah dilewati` : ''}`);
+    };
+
     const defaultPeternakOption = {
         label: "Semua Peternak",
         value: "",
@@ -195,6 +196,13 @@ const PeternakManagement = () => {
                                                 noResultsText="Tidak ada peternak ditemukan"
                                             />
                                         </div>
+                                        <button
+                                            onClick={() => setView('import')}
+                                            className="inline-flex items-center px-3 sm:px-4 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 w-full sm:w-auto justify-center"
+                                        >
+                                            <Upload className="h-4 w-4 mr-2" />
+                                            Impor Peternak
+                                        </button>
                                         <button
                                             onClick={handleAddPeternak}
                                             className="inline-flex items-center px-3 sm:px-4 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-green-500 w-full sm:w-auto justify-center"
@@ -231,6 +239,9 @@ const PeternakManagement = () => {
                                                                         <div className="ml-4">
                                                                             <div className="text-sm font-medium text-gray-900">{p.namaLengkap}</div>
                                                                             <div className="text-sm text-gray-500">NIK: {p.nik} / {p.id ? p.id : '-'}</div>
+                                                                            <div className="mt-1">
+                                                                                <RisikoBadge risiko={risikoPerPeternak[p.id]} />
+                                                                            </div>
                                                                         </div>
                                                                     </div>
                                                                 </td>
@@ -279,6 +290,17 @@ const PeternakManagement = () => {
                                                                                             <p className="text-sm font-medium text-gray-800">{new Date(p.tanggalDaftar).toLocaleDateString('id-ID', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
                                                                                         </div>
                                                                                     </div>
+                                                                                    <div className="flex items-start space-x-3">
+                                                                                        <GitBranch className="h-4 w-4 text-gray-400 mt-1 flex-shrink-0" />
+                                                                                        <div>
+                                                                                            <p className="text-xs text-gray-500">Asal Ternak</p>
+                                                                                            <p className="text-sm font-medium text-gray-800">
+                                                                                                {p.idPeternakSumber
+                                                                                                    ? `Pengembalian ${peternak.find(sumber => sumber.id === p.idPeternakSumber)?.namaLengkap || 'peternak yang sudah dihapus'}`
+                                                                                                    : 'Distribusi awal'}
+                                                                                            </p>
+                                                                                        </div>
+                                                                                    </div>
                                                                                 </div>
                                                                                 <div className="mt-6 pt-4 border-t">
                                                                                     <h4 className="text-sm font-semibold text-gray-800 mb-3">Informasi Program</h4>
@@ -292,11 +314,22 @@ const PeternakManagement = () => {
                                                                                                 <p className="text-xs text-yellow-700">Wajib Kembali</p>
                                                                                                 <p className="text-lg font-bold text-yellow-800">{p.targetPengembalian}</p>
                                                                                             </div>
+                                                                                            <div className="bg-green-50 p-3 rounded-lg">
+                                                                                                <p className="text-xs text-green-700">Sudah Dikembalikan</p>
+                                                                                                <p className="text-lg font-bold text-green-800">{p.jumlahDikembalikan || 0}</p>
+                                                                                            </div>
+                                                                                            <div className={`${getSisaPengembalian(p) > 0 ? 'bg-orange-50' : 'bg-green-50'} p-3 rounded-lg`}>
+                                                                                                <p className={`text-xs ${getSisaPengembalian(p) > 0 ? 'text-orange-700' : 'text-green-700'}`}>Sisa Kewajiban</p>
+                                                                                                <p className={`text-lg font-bold ${getSisaPengembalian(p) > 0 ? 'text-orange-800' : 'text-green-800'}`}>{getSisaPengembalian(p)}</p>
+                                                                                            </div>
                                                                                             <div className="col-span-2 mt-2">
                                                                                                 <span className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-green-100 text-green-800">
                                                                                                     <CheckCircle className="h-4 w-4 mr-1.5" />
                                                                                                     Status Siklus: {p.statusSiklus}
                                                                                                 </span>
+                                                                                                <span className="inline-flex items-center ml-2 px-3 py-1 rounded-full text-sm font-medium bg-purple-100 text-purple-800">
+                                                                                                    Generasi {getGenerasi(p)}
+                                                                                                </span>
                                                                                             </div>
                                                                                         </div>
                                                                                     ) : (
@@ -306,6 +339,9 @@ const PeternakManagement = () => {
                                                                                         </div>
                                                                                     )}
                                                                                 </div>
+                                                                                <TernakPanel peternak={p} />
+                                                                                <PengembalianPanel peternak={p} peternakList={peternak} />
+                                                                                <KesehatanPanel peternak={p} />
                                                                             </div>
                                                                         </div>
                                                                     </td>
@@ -337,11 +373,33 @@ const PeternakManagement = () => {
                                 </div>
                                 <PeternakForm
                                     initialData={editingPeternak}
+                                    peternakList={peternak}
                                     onSave={handleSavePeternak}
                                     onCancel={handleCancelForm}
                                 />
                             </div>
                         )}
+
+                        {view === 'import' && (
+                            <div>
+                                <div className="mb-4 sm:mb-4">
+                                    <button onClick={handleCancelForm} className="flex items-center text-sm font-medium text-gray-600 hover:text-gray-900 mb-2">
+                                        <ArrowLeft className="h-4 w-4 mr-2" />
+                                        Kembali ke Daftar Peternak
+                                    </button>
+                                    <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">
+                                        Impor Peternak
+                                    </h1>
+                                    <p className="text-gray-600 mt-2">
+                                        Daftarkan banyak peternak sekaligus dari file CSV atau Excel
+                                    </p>
+                                </div>
+                                <PeternakImport
+                                    onImported={handleImported}
+                                    onCancel={handleCancelForm}
+                                />
+                            </div>
+                        )}
                     </div>
                 </main>
             </div>
@@ -350,6 +408,7 @@ const PeternakManagement = () => {
                 <CommonDeleteModal
                     item={deletingPeternak}
                     type="peternak"
+                    customMessage={`Data peternak <strong class="font-semibold">${deletingPeternak.namaLengkap}</strong> beserta seluruh laporannya akan dipindahkan ke Tempat Sampah dan masih dapat dipulihkan.`}
                     onConfirm={handleDeletePeternak}
                     onCancel={() => setDeletingPeternak(null)}
                     loading={deleteLoading}
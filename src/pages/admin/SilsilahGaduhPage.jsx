@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import { GitBranch, Users, Layers, RotateCcw, ChevronRight, ChevronDown } from 'lucide-react';
+import { getAllPeternak, getDeletedPeternak } from '../../services/peternakService';
+import { getAllPengembalian } from '../../services/pengembalianService';
+import { buildSilsilah, countKeturunan, getGenerasi, isPengembalianTersedia } from '../../utils/siklusGaduh';
+
+const formatTanggal = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleDateString('id-ID', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+};
+
+// Silsilah gaduh bergulir: setiap penerima distribusi awal beserta peternak
+// yang menerima ternak dari pengembaliannya, turun-temurun
+const SilsilahGaduhPage = () => {
+    const navigate = useNavigate();
+    const [peternakList, setPeternakList] = useState([]);
+    const [pengembalianList, setPengembalianList] = useState([]);
+    const [collapsedIds, setCollapsedIds] = useState(new Set());
+    const [loading, setLoading] = useState(true);
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        const loadSilsilah = async () => {
+            setLoading(true);
+            try {
+                // Peternak di Tempat Sampah tetap disertakan agar rantai silsilah tidak terputus
+                const [activeData, deletedData, pengembalianData] = await Promise.all([
+                    getAllPeternak(),
+                    getDeletedPeternak(),
+                    getAllPengembalian()
+                ]);
+                setPeternakList([...activeData, ...deletedData]);
+                setPengembalianList(pengembalianData);
+            } catch (error) {
+                showError('Gagal Memuat Data', 'Tidak dapat memuat silsilah gaduh. Silakan refresh halaman.');
+            }
+            setLoading(false);
+        };
+
+        loadSilsilah();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate]);
+
+    const silsilah = buildSilsilah(peternakList);
+    const pengembalianById = new Map(pengembalianList.map(p => [p.id, p]));
+    const generasiTertinggi = peternakList.reduce((max, p) => Math.max(max, getGenerasi(p)), 0);
+    const jumlahTernakTersedia = pengembalianList
+        .filter(isPengembalianTersedia)
+        .reduce((total, p) => total + p.jumlahTernak, 0);
+
+    const countTersedia = (peternakId) =>
+        pengembalianList.filter(p => p.idPeternak === peternakId && isPengembalianTersedia(p)).length;
+
+    const toggleNode = (peternakId) => {
+        setCollapsedIds(prev => {
+            const next = new Set(prev);
+            if (next.has(peternakId)) {
+                next.delete(peternakId);
+            } else {
+                next.add(peternakId);
+            }
+            return next;
+        });
+    };
+
+    const renderNode = (node) => {
+        const { peternak, keturunan, sumberHilang } = node;
+        const collapsed = collapsedIds.has(peternak.id);
+        const pengembalianSumber = pengembalianById.get(peternak.idPengembalianSumber);
+        const tersedia = countTersedia(peternak.id);
+
+        return (
+            <li key={peternak.id}>
+                <div className="flex items-start py-2">
+                    {keturunan.length > 0 ? (
+                        <button
+                            onClick={() => toggleNode(peternak.id)}
+                            className="p-0.5 mr-1 mt-0.5 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+                            title={collapsed ? 'Tampilkan keturunan' : 'Sembunyikan keturunan'}
+                        >
+                            {collapsed ? <ChevronRight size={16} /> : <ChevronDown size={16} />}
+                        </button>
+                    ) : (
+                        <span className="w-5 mr-1" />
+                    )}
+                    <div className="min-w-0">
+                        <div className="flex flex-wrap items-center gap-2">
+                            <span className={`text-sm font-medium ${peternak.deletedAt ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                                {peternak.namaLengkap}
+                            </span>
+                            <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                                Generasi {getGenerasi(peternak)}
+                            </span>
+                            {peternak.deletedAt && (
+                                <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">
+                                    Tempat Sampah
+                                </span>
+                            )}
+                            {keturunan.length > 0 && (
+                                <span className="text-xs text-gray-500">{countKeturunan(node)} keturunan</span>
+                            )}
+                        </div>
+                        <div className="text-xs text-gray-500 mt-0.5">
+                            {peternak.jumlahTernakAwal} ekor awal • terdaftar {formatTanggal(peternak.tanggalDaftar)}
+                            {pengembalianSumber && (
+                                <> • dari pengembalian {formatTanggal(pengembalianSumber.tanggalPengembalian)}</>
+                            )}
+                            {sumberHilang && <> • peternak sumber sudah dihapus permanen</>}
+                        </div>
+                        {tersedia > 0 && (
+                            <div className="text-xs text-amber-700 mt-0.5">
+                                {tersedia} pengembalian belum diteruskan ke peternak baru
+                            </div>
+                        )}
+                    </div>
+                </div>
+                {keturunan.length > 0 && !collapsed && (
+                    <ul className="ml-3 pl-4 border-l-2 border-green-100">
+                        {keturunan.map(renderNode)}
+                    </ul>
+                )}
+            </li>
+        );
+    };
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="silsilah" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat Silsilah Gaduh...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="silsilah" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        <div className="mb-6 sm:mb-8">
+                            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Silsilah Gaduh</h1>
+                            <p className="text-gray-600 mt-2">
+                                Ternak yang dikembalikan diteruskan ke peternak baru. Halaman ini menunjukkan peternak mana yang berasal dari distribusi awal yang mana.
+                            </p>
+                        </div>
+
+                        <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 sm:gap-4 mb-6">
+                            <div className="bg-white rounded-lg shadow p-4">
+                                <div className="flex items-center text-sm text-gray-500"><GitBranch className="h-4 w-4 mr-2 text-green-600" />Distribusi Awal</div>
+                                <div className="text-2xl font-bold text-gray-900 mt-1">{silsilah.length}</div>
+                            </div>
+                            <div className="bg-white rounded-lg shadow p-4">
+                                <div className="flex items-center text-sm text-gray-500"><Users className="h-4 w-4 mr-2 text-blue-600" />Total Peternak</div>
+                                <div className="text-2xl font-bold text-gray-900 mt-1">{peternakList.length}</div>
+                            </div>
+                            <div className="bg-white rounded-lg shadow p-4">
+                                <div className="flex items-center text-sm text-gray-500"><Layers className="h-4 w-4 mr-2 text-purple-600" />Generasi Tertinggi</div>
+                                <div className="text-2xl font-bold text-gray-900 mt-1">{generasiTertinggi}</div>
+                            </div>
+                            <div className="bg-white rounded-lg shadow p-4">
+                                <div className="flex items-center text-sm text-gray-500"><RotateCcw className="h-4 w-4 mr-2 text-amber-600" />Ternak Belum Diteruskan</div>
+                                <div className="text-2xl font-bold text-gray-900 mt-1">{jumlahTernakTersedia} ekor</div>
+                            </div>
+                        </div>
+
+                        <div className="bg-white rounded-lg shadow p-4 sm:p-6">
+                            {silsilah.length > 0 ? (
+                                <ul className="space-y-2 divide-y divide-gray-100">
+                                    {silsilah.map(renderNode)}
+                                </ul>
+                            ) : (
+                                <div className="py-8 text-center text-sm text-gray-500">Belum ada data peternak</div>
+                            )}
+                        </div>
+                    </div>
+                </main>
+            </div>
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default SilsilahGaduhPage;
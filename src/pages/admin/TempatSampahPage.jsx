@@ -0,0 +1,309 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Sidebar from '../../components/admin/Sidebar';
+import Navbar from '../../components/admin/Navbar';
+import LogoutModal from '../../components/admin/LogoutModal';
+import { useLogoutModal } from '../../hooks/useLogoutModal';
+import CommonDeleteModal from '../../components/common/CommonDeleteModal';
+import Notification from '../../components/common/Notification';
+import useNotification from '../../hooks/useNotification';
+import { Trash2, RotateCcw, User, FileText, Calendar } from 'lucide-react';
+import {
+    getAllPeternak,
+    getDeletedPeternak,
+    restorePeternak,
+    purgePeternak
+} from '../../services/peternakService';
+import {
+    getDeletedLaporan,
+    restoreLaporan,
+    purgeLaporan
+} from '../../services/laporanService';
+
+const TempatSampahPage = () => {
+    const navigate = useNavigate();
+    const [currentUser, setCurrentUser] = useState(null);
+    const [deletedPeternak, setDeletedPeternak] = useState([]);
+    const [deletedLaporan, setDeletedLaporan] = useState([]);
+    const [activePeternak, setActivePeternak] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [processingId, setProcessingId] = useState(null);
+    const [purgingItem, setPurgingItem] = useState(null); // { type: 'peternak' | 'laporan', data }
+    const [purgeLoading, setPurgeLoading] = useState(false);
+    const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+
+    const {
+        isLogoutModalOpen,
+        userToLogout,
+        openLogoutModal,
+        closeLogoutModal,
+        confirmLogout
+    } = useLogoutModal();
+
+    const {
+        notification,
+        showSuccess,
+        showError,
+        hideNotification
+    } = useNotification();
+
+    const isSuperAdmin = currentUser?.role === 'Super Admin';
+
+    const fetchTempatSampah = async () => {
+        const [peternakData, laporanData, activeData] = await Promise.all([
+            getDeletedPeternak(),
+            getDeletedLaporan(),
+            getAllPeternak()
+        ]);
+        setDeletedPeternak(peternakData);
+        setDeletedLaporan(laporanData);
+        setActivePeternak(activeData);
+    };
+
+    useEffect(() => {
+        const user = localStorage.getItem('adminUser');
+        if (!user) {
+            navigate('/admin/login');
+            return;
+        }
+        setCurrentUser(JSON.parse(user));
+
+        const loadTempatSampah = async () => {
+            setLoading(true);
+            try {
+                await fetchTempatSampah();
+            } catch (error) {
+                showError('Gagal Memuat Data', 'Tidak dapat memuat Tempat Sampah. Silakan refresh halaman.');
+            }
+            setLoading(false);
+        };
+
+        loadTempatSampah();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [navigate]);
+
+    const getNamaPeternak = (idPeternak) =>
+        [...activePeternak, ...deletedPeternak].find(p => p.id === idPeternak)?.namaLengkap || 'Peternak tidak ditemukan';
+
+    // Laporan yang ikut terhapus bersama peternaknya ditampilkan di bawah peternak tersebut
+    const isIkutPeternak = (laporan) =>
+        laporan.dihapusBersamaPeternak && deletedPeternak.some(p => p.id === laporan.idPeternak);
+
+    const laporanTerpisah = deletedLaporan.filter(laporan => !isIkutPeternak(laporan));
+
+    const countLaporanIkut = (peternakId) =>
+        deletedLaporan.filter(laporan => laporan.idPeternak === peternakId && laporan.dihapusBersamaPeternak).length;
+
+    const formatTanggal = (dateString) => {
+        if (!dateString) return '-';
+        return new Date(dateString).toLocaleString('id-ID', {
+            day: 'numeric',
+            month: 'short',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
+
+    const handleRestorePeternak = async (peternak) => {
+        setProcessingId(peternak.id);
+        try {
+            const result = await restorePeternak(peternak.id);
+            await fetchTempatSampah();
+            showSuccess(
+                'Peternak Dipulihkan',
+                `${peternak.namaLengkap} dan ${result.jumlahLaporan} laporan telah dipulihkan.`
+            );
+        } catch (error) {
+            showError('Gagal Memulihkan', error.message);
+        }
+        setProcessingId(null);
+    };
+
+    const handleRestoreLaporan = async (laporan) => {
+        setProcessingId(laporan.id);
+        try {
+            await restoreLaporan(laporan.id);
+            await fetchTempatSampah();
+            showSuccess(
+                'Laporan Dipulihkan',
+                `Laporan Triwulan ${laporan.quarter} ${getNamaPeternak(laporan.idPeternak)} telah dipulihkan.`
+            );
+        } catch (error) {
+            showError('Gagal Memulihkan', error.message);
+        }
+        setProcessingId(null);
+    };
+
+    const handlePurge = async () => {
+        if (!purgingItem) return;
+        setPurgeLoading(true);
+        try {
+            if (purgingItem.type === 'peternak') {
+                await purgePeternak(purgingItem.data.id);
+            } else {
+                await purgeLaporan(purgingItem.data.id);
+            }
+            await fetchTempatSampah();
+            setPurgingItem(null);
+            showSuccess('Data Dihapus Permanen', 'Data tidak dapat dipulihkan lagi.');
+        } catch (error) {
+            showError('Gagal Menghapus Permanen', error.message);
+        }
+        setPurgeLoading(false);
+    };
+
+    const renderActions = (item, onRestore, type) => (
+        <div className="flex flex-wrap gap-2">
+            <button
+                onClick={() => onRestore(item)}
+                disabled={processingId === item.id}
+                className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-green-700 bg-green-50 hover:bg-green-100 disabled:opacity-50"
+            >
+                <RotateCcw className="h-3.5 w-3.5 mr-1" />
+                {processingId === item.id ? 'Memproses...' : 'Pulihkan'}
+            </button>
+            {isSuperAdmin && (
+                <button
+                    onClick={() => setPurgingItem({ type, data: item })}
+                    className="inline-flex items-center px-3 py-1.5 text-xs font-medium rounded-md text-red-700 bg-red-50 hover:bg-red-100"
+                >
+                    <Trash2 className="h-3.5 w-3.5 mr-1" />
+                    Hapus Permanen
+                </button>
+            )}
+        </div>
+    );
+
+    const renderDeletedInfo = (item) => (
+        <div className="flex items-center text-xs text-gray-500 mt-1">
+            <Calendar className="h-3.5 w-3.5 mr-1" />
+            Dihapus {formatTanggal(item.deletedAt)}
+            {item.deletedBy?.name && <> oleh {item.deletedBy.name}</>}
+        </div>
+    );
+
+    if (loading) {
+        return (
+            <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+                <Sidebar activeItem="sampah" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+                <div className="flex-1 flex flex-col min-w-0">
+                    <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+                    <div className="flex-1 flex items-center justify-center">
+                        <div className="flex flex-col items-center space-y-4">
+                            <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+                            <span className="text-sm sm:text-base text-gray-600 font-medium">Memuat Tempat Sampah...</span>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="h-screen w-full flex overflow-hidden bg-gray-100">
+            <Sidebar activeItem="sampah" isMobileMenuOpen={isMobileMenuOpen} setIsMobileMenuOpen={setIsMobileMenuOpen} onLogout={openLogoutModal} />
+            <div className="flex-1 flex flex-col min-w-0">
+                <Navbar onToggleSidebar={() => setIsMobileMenuOpen(!isMobileMenuOpen)} />
+
+                <main className="flex-1 overflow-auto p-3 sm:p-6">
+                    <div className="max-w-7xl mx-auto">
+                        <div className="mb-6 sm:mb-8">
+                            <h1 className="text-2xl sm:text-3xl font-bold text-gray-900">Tempat Sampah</h1>
+                            <p className="text-gray-600 mt-2">
+                                Data peternak dan laporan yang dihapus dapat dipulihkan di sini.
+                                {isSuperAdmin ? ' Hapus permanen tidak dapat diurungkan.' : ' Hapus permanen hanya dapat dilakukan Super Admin.'}
+                            </p>
+                        </div>
+
+                        <div className="space-y-6">
+                            <div className="bg-white rounded-lg shadow">
+                                <div className="px-4 sm:px-6 py-4 border-b border-gray-200 flex items-center">
+                                    <User className="h-5 w-5 text-blue-500 mr-2" />
+                                    <h2 className="text-lg font-semibold text-gray-900">Peternak ({deletedPeternak.length})</h2>
+                                </div>
+                                {deletedPeternak.length > 0 ? (
+                                    <div className="divide-y divide-gray-100">
+                                        {deletedPeternak.map((peternak) => (
+                                            <div key={peternak.id} className="px-4 sm:px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                                <div>
+                                                    <div className="text-sm font-medium text-gray-900">{peternak.namaLengkap}</div>
+                                                    <div className="text-xs text-gray-500">
+                                                        NIK: {peternak.nik} • {countLaporanIkut(peternak.id)} laporan ikut terhapus
+                                                    </div>
+                                                    {renderDeletedInfo(peternak)}
+                                                </div>
+                                                {renderActions(peternak, handleRestorePeternak, 'peternak')}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <div className="px-4 sm:px-6 py-8 text-center text-sm text-gray-500">Tidak ada data peternak di Tempat Sampah</div>
+                                )}
+                            </div>
+
+                            <div className="bg-white rounded-lg shadow">
+                                <div className="px-4 sm:px-6 py-4 border-b border-gray-200 flex items-center">
+                                    <FileText className="h-5 w-5 text-green-500 mr-2" />
+                                    <h2 className="text-lg font-semibold text-gray-900">Laporan ({laporanTerpisah.length})</h2>
+                                </div>
+                                {laporanTerpisah.length > 0 ? (
+                                    <div className="divide-y divide-gray-100">
+                                        {laporanTerpisah.map((laporan) => (
+                                            <div key={laporan.id} className="px-4 sm:px-6 py-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                                                <div>
+                                                    <div className="text-sm font-medium text-gray-900">
+                                                        {getNamaPeternak(laporan.idPeternak)} • Triwulan {laporan.quarter}
+                                                    </div>
+                                                    <div className="text-xs text-gray-500">{laporan.displayPeriod}</div>
+                                                    {renderDeletedInfo(laporan)}
+                                                </div>
+                                                {renderActions(laporan, handleRestoreLaporan, 'laporan')}
+                                            </div>
+                                        ))}
+                                    </div>
+                                ) : (
+                                    <div className="px-4 sm:px-6 py-8 text-center text-sm text-gray-500">Tidak ada laporan di Tempat Sampah</div>
+                                )}
+                            </div>
+                        </div>
+                    </div>
+                </main>
+            </div>
+
+            {purgingItem && (
+                <CommonDeleteModal
+                    item={purgingItem.data}
+                    onConfirm={handlePurge}
+                    onCancel={() => setPurgingItem(null)}
+                    loading={purgeLoading}
+                    title="Hapus Permanen"
+                    customMessage={purgingItem.type === 'peternak'
+                        ? `Data peternak <strong class="font-semibold">${purgingItem.data.namaLengkap}</strong> dan seluruh laporannya akan dihapus permanen. Tindakan ini tidak dapat diurungkan.`
+                        : `Laporan Triwulan ${purgingItem.data.quarter} ${getNamaPeternak(purgingItem.data.idPeternak)} akan dihapus permanen. Tindakan ini tidak dapat diurungkan.`}
+                    confirmationField={purgingItem.type === 'peternak' ? 'NIK' : undefined}
+                    confirmationValue={purgingItem.type === 'peternak' ? purgingItem.data.nik : undefined}
+                />
+            )}
+
+            <Notification
+                type={notification.type}
+                title={notification.title}
+                message={notification.message}
+                isVisible={notification.isVisible}
+                onClose={hideNotification}
+                autoClose={notification.autoClose}
+                duration={notification.duration}
+            />
+
+            <LogoutModal
+                isOpen={isLogoutModalOpen}
+                onClose={closeLogoutModal}
+                onConfirm={confirmLogout}
+                userName={userToLogout?.fullName}
+            />
+        </div>
+    );
+};
+
+export default TempatSampahPage;
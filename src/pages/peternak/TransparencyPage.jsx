@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import { ChevronDown, ChevronUp, Calendar, MapPin, Phone, Users as UsersIcon, Heart, User, AlertCircle, CheckCircle } from 'lucide-react';
+import { ChevronDown, ChevronUp, Calendar, MapPin, Users as UsersIcon, Heart, User, AlertCircle, CheckCircle } from 'lucide-react';
 import SearchableDropdown from '../../components/common/SearchableDropdown';
 import PeternakSidebar from '../../components/peternak/PeternakSidebar';
 import PeternakNavbar from '../../components/peternak/PeternakNavbar';
+import GrafikTrenTernak from '../../components/common/GrafikTrenTernak';
+import { getPublicTransparansiData } from '../../services/publicService';
 
 const PeternakTransparencyPage = () => {
     const [selectedPeternakFilter, setSelectedPeternakFilter] = useState('');
@@ -11,118 +13,24 @@ const PeternakTransparencyPage = () => {
     const [loading, setLoading] = useState(true);
     const [expandedRows, setExpandedRows] = useState({});
     const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+    const [loadError, setLoadError] = useState('');
 
     useEffect(() => {
-        // Sample data berdasarkan struktur database yang diusulkan
-        setTimeout(() => {
-            setPeternakData([
-                {
-                    id: 'aB1cDefG2hIjkL3mN4o',
-                    namaLengkap: 'Ahmad Subarjo',
-                    alamat: 'Dusun Ngaliyan RT 01/RW 02, Desa Bono',
-                    nomorTelepon: '081234567890',
-                    urlFotoPeternak: 'https://images.unsplash.com/photo-1507003211169-0a1dd7228f2d?w=150',
-                    statusKinerja: 'hijau',
-                    tanggalDaftar: '2024-01-15',
-                    programAktif: true,
-                    jumlahTernakSaatIni: 8,
-                    targetPengembalian: 6
-                },
-                {
-                    id: 'cD2eF3gH4iJkL5mN6o',
-                    namaLengkap: 'Siti Aminah',
-                    alamat: 'Dusun Krajan RT 02/RW 01, Desa Bono',
-                    nomorTelepon: '081234567891',
-                    urlFotoPeternak: 'https://images.unsplash.com/photo-1494790108755-2616c78e5eff?w=150',
-                    statusKinerja: 'kuning',
-                    tanggalDaftar: '2024-02-20',
-                    programAktif: true,
-                    jumlahTernakSaatIni: 4,
-                    targetPengembalian: 4
-                },
-                {
-                    id: 'eF3gH4iJ5kL6mN7o8p',
-                    namaLengkap: 'Bambang Wijaya',
-                    alamat: 'Dusun Sawah RT 03/RW 02, Desa Bono',
-                    nomorTelepon: '081234567892',
-                    urlFotoPeternak: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=150',
-                    statusKinerja: 'hijau',
-                    tanggalDaftar: '2024-03-10',
-                    programAktif: true,
-                    jumlahTernakSaatIni: 6,
-                    targetPengembalian: 5
-                }
-            ]);
-
-            // Data Laporan Per Pertemuan Rutin (sinkron dengan database admin)
-            setLaporanData([
-                {
-                    id: 'laporan001',
-                    peternakId: 'aB1cDefG2hIjkL3mN4o',
-                    tanggalPertemuan: '2024-03-31',
-                    periode: 'Triwulan I 2024',
-                    triwulan: 1,
-                    tahun: 2024,
-                    jumlahTernakAwal: 5,
-                    jumlahLahir: 3,
-                    jumlahMati: 0,
-                    jumlahTerjual: 0,
-                    jumlahAkhir: 8,
-                    kendala: 'Domba sering batuk dan terlihat lemas',
-                    solusi: 'Berikan obat batuk khusus ternak, pisahkan dari domba lain, dan konsultasi dengan petugas kesehatan hewan terdekat',
-                    keterangan: 'Masalah ini sering terjadi saat pergantian musim. Perlu penanganan cepat untuk mencegah penyebaran.'
-                },
-                {
-                    id: 'laporan002',
-                    peternakId: 'aB1cDefG2hIjkL3mN4o',
-                    tanggalPertemuan: '2024-06-30',
-                    periode: 'Triwulan II 2024',
-                    triwulan: 2,
-                    tahun: 2024,
-                    jumlahTernakAwal: 8,
-                    jumlahLahir: 2,
-                    jumlahMati: 1,
-                    jumlahTerjual: 1,
-                    jumlahAkhir: 8,
-                    kendala: 'Harga jual domba rendah, sulit mencari pembeli',
-                    solusi: 'Bergabung dengan kelompok peternak untuk penjualan kolektif, manfaatkan media sosial untuk promosi, atau jual langsung ke pasar tradisional',
-                    keterangan: 'Strategi pemasaran yang tepat bisa meningkatkan keuntungan peternak secara signifikan.'
-                },
-                {
-                    id: 'laporan003',
-                    peternakId: 'cD2eF3gH4iJkL5mN6o',
-                    tanggalPertemuan: '2024-03-31',
-                    periode: 'Triwulan I 2024',
-                    triwulan: 1,
-                    tahun: 2024,
-                    jumlahTernakAwal: 3,
-                    jumlahLahir: 2,
-                    jumlahMati: 1,
-                    jumlahTerjual: 0,
-                    jumlahAkhir: 4,
-                    kendala: 'Sempat mengalami masalah pakan di musim kemarau',
-                    solusi: 'Diberikan bantuan pakan tambahan dan penyuluhan manajemen pakan kering',
-                    keterangan: 'Alternatif pakan saat musim kering sangat penting untuk menjaga kondisi ternak tetap sehat.'
-                },
-                {
-                    id: 'laporan004',
-                    peternakId: 'eF3gH4iJ5kL6mN7o8p',
-                    tanggalPertemuan: '2024-03-31',
-                    periode: 'Triwulan I 2024',
-                    triwulan: 1,
-                    tahun: 2024,
-                    jumlahTernakAwal: 4,
-                    jumlahLahir: 3,
-                    jumlahMati: 1,
-                    jumlahTerjual: 0,
-                    jumlahAkhir: 6,
-                    kendala: 'Kandang bocor saat hujan, domba basah kuyup',
-                    solusi: 'Perbaiki atap kandang dengan seng atau genting, pastikan ada saluran air yang baik di sekitar kandang',
-                    keterangan: 'Kandang yang kering dan bersih sangat penting untuk kesehatan ternak, terutama saat musim hujan.'
-                }
-            ]);
+        const fetchData = async () => {
+            setLoading(true);
+            try {
+                const { peternak, laporan } = await getPublicTransparansiData();
+                setPeternakData(peternak);
+                setLaporanData(laporan);
+                setLoadError('');
+            } catch (error) {
+                console.error('Error fetching transparansi data:', error);
+                setLoadError('Gagal memuat data transparansi. Silakan coba lagi nanti.');
+            }
             setLoading(false);
-        }, 1000);
+        };
+
+        fetchData();
     }, []);
 
     const toggleRowExpansion = (peternakId) => {
@@ -145,7 +53,7 @@ const PeternakTransparencyPage = () => {
     // }, [mobileMenuOpen]);
 
     const getPeternakLaporan = (peternakId) => {
-        return laporanData.filter(laporan => laporan.peternakId === peternakId);
+        return laporanData.filter(laporan => laporan.idPeternak === peternakId);
     };
 
     const getLatestLaporan = (peternakId) => {
@@ -265,6 +173,14 @@ const PeternakTransparencyPage = () => {
                             </div>
                         </div>
 
+                        {/* Error */}
+                        {loadError && (
+                            <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg mb-4 sm:mb-6 p-3 sm:p-4 flex items-start">
+                                <AlertCircle className="h-4 w-4 sm:h-5 sm:w-5 mr-2 mt-0.5 flex-shrink-0" />
+                                <span className="text-xs sm:text-sm">{loadError}</span>
+                            </div>
+                        )}
+
                         {/* Search */}
                         <div className="bg-white rounded-lg shadow mb-4 sm:mb-6 p-3 sm:p-4 lg:p-6">
                             <div className="w-full">
@@ -321,16 +237,18 @@ const PeternakTransparencyPage = () => {
                                                     >
                                                         <td className="px-4 sm:px-6 py-4 sm:py-4 whitespace-nowrap">
                                                             <div className="flex items-center">
-                                                                <img
-                                                                    src={peternak.urlFotoPeternak}
-                                                                    alt={peternak.namaLengkap}
-                                                                    className="h-9 w-9 sm:h-10 sm:w-10 rounded-full object-cover mr-3 sm:mr-3 flex-shrink-0"
-                                                                    onError={(e) => {
-                                                                        e.target.style.display = 'none';
-                                                                        e.target.nextElementSibling.style.display = 'block';
-                                                                    }}
-                                                                />
-                                                                <User className="h-9 w-9 sm:h-10 sm:w-10 text-gray-400 bg-gray-100 rounded-full p-2 sm:p-2 mr-3 sm:mr-3 flex-shrink-0" style={{ display: 'none' }} />
+                                                                {peternak.urlFotoPeternak && (
+                                                                    <img
+                                                                        src={peternak.urlFotoPeternak}
+                                                                        alt={peternak.namaLengkap}
+                                                                        className="h-9 w-9 sm:h-10 sm:w-10 rounded-full object-cover mr-3 sm:mr-3 flex-shrink-0"
+                                                                        onError={(e) => {
+                                                                            e.target.style.display = 'none';
+                                                                            e.target.nextElementSibling.style.display = 'block';
+                                                                        }}
+                                                                    />
+                                                                )}
+                                                                <User className="h-9 w-9 sm:h-10 sm:w-10 text-gray-400 bg-gray-100 rounded-full p-2 sm:p-2 mr-3 sm:mr-3 flex-shrink-0" style={{ display: peternak.urlFotoPeternak ? 'none' : 'block' }} />
                                                                 <div>
                                                                     <div className="text-xs sm:text-sm font-medium text-gray-900">
                                                                         {peternak.namaLengkap}
@@ -350,10 +268,10 @@ const PeternakTransparencyPage = () => {
                                                             {latestLaporan ? (
                                                                 <div className="text-xs sm:text-sm">
                                                                     <div className="font-medium text-gray-900">
-                                                                        Triwulan {['', 'I', 'II', 'III', 'IV'][latestLaporan.triwulan]}
+                                                                        Triwulan {latestLaporan.quarter} {latestLaporan.year}
                                                                     </div>
                                                                     <div className="text-gray-500 text-xs">
-                                                                        {new Date(latestLaporan.tanggalPertemuan).toLocaleDateString('id-ID')}
+                                                                        {new Date(latestLaporan.tanggalLaporan).toLocaleDateString('id-ID')}
                                                                     </div>
                                                                 </div>
                                                             ) : (
@@ -398,17 +316,6 @@ const PeternakTransparencyPage = () => {
                                                                                                 {peternak.alamat}
                                                                                             </td>
                                                                                         </tr>
-                                                                                        <tr className="hover:bg-gray-50">
-                                                                                            <td className="px-4 py-3 text-sm font-medium text-gray-900">
-                                                                                                <div className="flex items-center">
-                                                                                                    <Phone className="h-4 w-4 mr-2 text-blue-600 flex-shrink-0" />
-                                                                                                    No. Telepon
-                                                                                                </div>
-                                                                                            </td>
-                                                                                            <td className="px-4 py-3 text-sm text-gray-700">
-                                                                                                {peternak.nomorTelepon}
-                                                                                            </td>
-                                                                                        </tr>
                                                                                         <tr className="hover:bg-gray-50">
                                                                                             <td className="px-4 py-3 text-sm font-medium text-gray-900">
                                                                                                 <div className="flex items-center">
@@ -440,6 +347,11 @@ const PeternakTransparencyPage = () => {
                                                                                                     <span className="text-blue-600 text-xs sm:text-sm">
                                                                                                         Target pengembalian: {peternak.targetPengembalian} ekor
                                                                                                     </span>
+                                                                                                    <span className={`text-xs sm:text-sm ${peternak.sisaPengembalian > 0 ? 'text-orange-600' : 'text-green-600'}`}>
+                                                                                                        {peternak.sisaPengembalian > 0
+                                                                                                            ? `Sisa kewajiban: ${peternak.sisaPengembalian} ekor (${peternak.jumlahDikembalikan} sudah dikembalikan)`
+                                                                                                            : 'Kewajiban pengembalian lunas'}
+                                                                                                    </span>
                                                                                                 </div>
                                                                                             </td>
                                                                                         </tr>
@@ -461,6 +373,13 @@ const PeternakTransparencyPage = () => {
                                                                             </div>
                                                                         </div>
 
+                                                                        {/* Grafik Tren Ternak */}
+                                                                        <GrafikTrenTernak
+                                                                            laporan={getPeternakLaporan(peternak.id)}
+                                                                            targetPengembalian={peternak.targetPengembalian}
+                                                                            className="border shadow-sm p-4"
+                                                                        />
+
                                                                         {/* Tabel Laporan Per Pertemuan */}
                                                                         <div>
                                                                             <h5 className="font-medium text-gray-900 mb-3 text-sm">Riwayat Laporan Pertemuan Rutin</h5>
@@ -497,9 +416,9 @@ const PeternakTransparencyPage = () => {
                                                                                                         <React.Fragment key={laporan.id}>
                                                                                                             <tr className="hover:bg-gray-50 transition-colors">
                                                                                                                 <td className="px-4 py-4 text-sm">
-                                                                                                                    <div className="font-medium text-gray-900 mb-1">{laporan.periode}</div>
+                                                                                                                    <div className="font-medium text-gray-900 mb-1">{laporan.displayPeriod || `Triwulan ${laporan.quarter} ${laporan.year}`}</div>
                                                                                                                     <div className="text-xs text-gray-500">
-                                                                                                                        {new Date(laporan.tanggalPertemuan).toLocaleDateString('id-ID', {
+                                                                                                                        {new Date(laporan.tanggalLaporan).toLocaleDateString('id-ID', {
                                                                                                                             day: '2-digit',
                                                                                                                             month: 'short',
                                                                                                                             year: 'numeric'
@@ -518,7 +437,7 @@ const PeternakTransparencyPage = () => {
                                                                                                                 </td>
                                                                                                                 <td className="px-4 py-4 text-center">
                                                                                                                     <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800 min-w-[40px] justify-center">
-                                                                                                                        -{laporan.jumlahMati}
+                                                                                                                        -{laporan.jumlahKematian}
                                                                                                                     </span>
                                                                                                                 </td>
                                                                                                                 <td className="px-4 py-4 text-center">
@@ -528,7 +447,7 @@ const PeternakTransparencyPage = () => {
                                                                                                                 </td>
                                                                                                                 <td className="px-4 py-4 text-center text-sm font-medium text-gray-900">
                                                                                                                     <div className="inline-flex items-center justify-center w-8 h-8 bg-blue-50 text-blue-700 rounded-full font-semibold">
-                                                                                                                        {laporan.jumlahAkhir}
+                                                                                                                        {laporan.jumlahTernakSaatIni}
                                                                                                                     </div>
                                                                                                                 </td>
                                                                                                             </tr>
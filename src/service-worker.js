@@ -0,0 +1,49 @@
+/* eslint-disable no-restricted-globals */
+
+// Service worker PWA e-Gaduh Bono. Dibangun oleh react-scripts (Workbox
+// InjectManifest) hanya pada `npm run build`; didaftarkan dari
+// serviceWorkerRegistration.js.
+// - Aset build di-precache sehingga aplikasi tetap terbuka tanpa koneksi.
+// - Navigasi diarahkan ke index.html (app shell) untuk semua route React.
+// - Foto dari Firebase Storage disimpan di cache terpisah.
+// Data Firestore tidak lewat service worker; cache offline-nya dikelola SDK
+// Firestore sendiri (persistentLocalCache di firebase/config).
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { precacheAndRoute, createHandlerBoundToURL } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Abaikan URL internal (/_...) dan file dengan ekstensi
+const fileExtensionRegexp = /[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== "navigate") {
+      return false;
+    }
+    if (url.pathname.startsWith("/_")) {
+      return false;
+    }
+    return !url.pathname.match(fileExtensionRegexp);
+  },
+  createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html")
+);
+
+registerRoute(
+  ({ url }) => url.hostname === "firebasestorage.googleapis.com",
+  new CacheFirst({
+    cacheName: "foto",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: 200,
+        maxAgeSeconds: 30 * 24 * 60 * 60,
+      }),
+    ],
+  })
+);
@@ -0,0 +1,36 @@
+// Pendaftaran service worker PWA (lihat service-worker.js). Hanya aktif di
+// build production karena di development react-scripts tidak membangun
+// service worker. Versi baru aktif setelah semua tab aplikasi ditutup, agar
+// form laporan yang sedang diisi tidak hilang karena halaman dimuat ulang.
+
+export const register = () => {
+  if (
+    process.env.NODE_ENV !== "production" ||
+    !("serviceWorker" in navigator)
+  ) {
+    return;
+  }
+  // Service worker tidak bisa dilayani dari origin lain (misalnya CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => {
+        console.error("Error registering service worker:", error);
+      });
+  });
+};
+
+export const unregister = () => {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => {
+        console.error("Error unregistering service worker:", error);
+      });
+  }
+};
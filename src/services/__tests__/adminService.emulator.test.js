@@ -0,0 +1,125 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import adminService from "../adminService";
+import authService from "../authService";
+import {
+  bacaDokumen,
+  bacaKoleksi,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  PASSWORD_TEST,
+  loginAdmin,
+  loginSuperAdmin,
+  logoutTest,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+const ADMIN_BARU = {
+  email: "petugas@e-gaduh.test",
+  fullName: "Petugas Desa",
+  role: "Admin",
+  password: PASSWORD_TEST,
+};
+
+describeEmulator("adminService", () => {
+  const getTestEnv = pakaiEmulator();
+
+  test("addAdmin menyimpan hash di users dan hanya salt di adminLogin", async () => {
+    const superAdmin = await loginSuperAdmin(getTestEnv());
+
+    const admin = await adminService.addAdmin(ADMIN_BARU);
+
+    expect(admin.passwordHash).toBeUndefined();
+    const userDoc = await bacaDokumen(getTestEnv(), `users/${admin.id}`);
+    expect(userDoc.passwordHash).toMatch(/^pbkdf2-sha256\$210000\$/);
+    expect(userDoc.password).toBeUndefined();
+    const loginDoc = await adminService.getAdminLogin(ADMIN_BARU.email);
+    expect(loginDoc).toEqual({
+      userId: admin.id,
+      algorithm: "pbkdf2-sha256",
+      iterations: 210000,
+      salt: userDoc.passwordHash.split("$")[2],
+    });
+    const [audit] = await bacaKoleksi(getTestEnv(), "auditLog");
+    expect(audit).toMatchObject({
+      entity: "admin",
+      action: "create",
+      actorId: superAdmin.uid,
+    });
+    expect(audit.diff.passwordHash).toEqual({
+      dari: null,
+      ke: "[disembunyikan]",
+    });
+  });
+
+  test("Admin yang ditambahkan bisa login", async () => {
+    await loginSuperAdmin(getTestEnv());
+    const admin = await adminService.addAdmin(ADMIN_BARU);
+    await logoutTest();
+
+    const user = await authService.login(ADMIN_BARU.email, PASSWORD_TEST);
+
+    expect(user).toMatchObject({ uid: admin.id, role: "Admin" });
+  });
+
+  test("getAdmins tidak mengirim kredensial ke UI", async () => {
+    await loginSuperAdmin(getTestEnv());
+    await adminService.addAdmin(ADMIN_BARU);
+
+    const adminList = await adminService.getAdmins();
+
+    expect(adminList).toHaveLength(2);
+    adminList.forEach((admin) => {
+      expect(admin.passwordHash).toBeUndefined();
+      expect(admin.perluMigrasiPassword).toBe(false);
+    });
+  });
+
+  test("ganti email memindahkan data login", async () => {
+    await loginSuperAdmin(getTestEnv());
+    const admin = await adminService.addAdmin(ADMIN_BARU);
+
+    await adminService.updateAdmin(admin.id, {
+      ...ADMIN_BARU,
+      email: "petugas.baru@e-gaduh.test",
+      status: "Aktif",
+      password: "",
+    });
+
+    await expect(
+      adminService.getAdminLogin(ADMIN_BARU.email)
+    ).resolves.toBeNull();
+    await expect(
+      adminService.getAdminLogin("petugas.baru@e-gaduh.test")
+    ).resolves.toMatchObject({ userId: admin.id });
+  });
+
+  test("deleteAdmin menghapus akun dan data loginnya", async () => {
+    await loginSuperAdmin(getTestEnv());
+    const admin = await adminService.addAdmin(ADMIN_BARU);
+
+    await adminService.deleteAdmin(admin.id);
+
+    expect(await bacaDokumen(getTestEnv(), `users/${admin.id}`)).toBeNull();
+    await expect(
+      adminService.getAdminLogin(ADMIN_BARU.email)
+    ).resolves.toBeNull();
+  });
+
+  test("Admin tidak bisa mengelola admin lain", async () => {
+    await loginAdmin(getTestEnv());
+
+    await expect(adminService.getAdmins()).rejects.toMatchObject({
+      code: "permission-denied",
+    });
+    await expect(adminService.addAdmin(ADMIN_BARU)).rejects.toMatchObject({
+      code: "permission-denied",
+    });
+  });
+});
@@ -0,0 +1,147 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  createLaporanAtauAntri,
+  getAntrian,
+  pakaiDataLokal,
+  sinkronkanAntrian,
+  updateLaporanAtauAntri,
+} from "../antrianLaporanService";
+import { createPeternak } from "../peternakService";
+import { getLaporanById, updateLaporan } from "../laporanService";
+import {
+  bacaKoleksi,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+// Node tidak punya navigator; status koneksi diatur per tes
+const setOnline = (onLine) => {
+  global.navigator = { onLine };
+};
+
+describeEmulator("antrianLaporanService", () => {
+  const getTestEnv = pakaiEmulator();
+  let peternak;
+
+  beforeEach(async () => {
+    setOnline(true);
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  afterAll(() => {
+    delete global.navigator;
+  });
+
+  test("saat online laporan langsung tersimpan tanpa antrian", async () => {
+    const laporan = await createLaporanAtauAntri(
+      buatLaporanData(peternak, 1),
+      "Budi Santoso - Triwulan 1"
+    );
+
+    expect(laporan.antrian).toBeUndefined();
+    expect(await getLaporanById(laporan.id)).toMatchObject({ quarter: 1 });
+    expect(getAntrian()).toEqual([]);
+  });
+
+  test("laporan offline diantrikan lalu dikirim saat online", async () => {
+    setOnline(false);
+    const hasil = await createLaporanAtauAntri(
+      buatLaporanData(peternak, 1),
+      "Budi Santoso - Triwulan 1"
+    );
+
+    expect(hasil.antrian).toMatchObject({ status: "menunggu" });
+    expect(await bacaKoleksi(getTestEnv(), "laporan")).toEqual([]);
+    await expect(
+      createLaporanAtauAntri(
+        buatLaporanData(peternak, 2),
+        "Budi Santoso - Triwulan 2"
+      )
+    ).rejects.toThrow("Laporan peternak ini masih menunggu sinkronisasi");
+
+    setOnline(true);
+    await expect(sinkronkanAntrian()).resolves.toEqual({
+      terkirim: 1,
+      konflik: 0,
+    });
+    expect(getAntrian()).toEqual([]);
+    expect(await bacaKoleksi(getTestEnv(), "laporan")).toEqual([
+      expect.objectContaining({ idPeternak: peternak.id, quarter: 1 }),
+    ]);
+  });
+
+  test("perubahan offline pada field berbeda digabung dengan data server", async () => {
+    const laporan = await createLaporanAtauAntri(
+      buatLaporanData(peternak, 1),
+      "Budi Santoso - Triwulan 1"
+    );
+    const dasar = await getLaporanById(laporan.id);
+
+    setOnline(false);
+    await updateLaporanAtauAntri(
+      laporan.id,
+      { kendala: "Pakan kurang" },
+      dasar,
+      "Budi Santoso - Triwulan 1"
+    );
+    setOnline(true);
+    await updateLaporan(laporan.id, { solusi: "Tambah konsentrat" });
+
+    await expect(sinkronkanAntrian()).resolves.toEqual({
+      terkirim: 1,
+      konflik: 0,
+    });
+    expect(await getLaporanById(laporan.id)).toMatchObject({
+      kendala: "Pakan kurang",
+      solusi: "Tambah konsentrat",
+    });
+  });
+
+  test("field yang diubah di dua perangkat ditandai konflik sampai diselesaikan", async () => {
+    const laporan = await createLaporanAtauAntri(
+      buatLaporanData(peternak, 1),
+      "Budi Santoso - Triwulan 1"
+    );
+    const dasar = await getLaporanById(laporan.id);
+
+    setOnline(false);
+    await updateLaporanAtauAntri(
+      laporan.id,
+      { kendala: "Pakan kurang" },
+      dasar,
+      "Budi Santoso - Triwulan 1"
+    );
+    setOnline(true);
+    await updateLaporan(laporan.id, { kendala: "Kandang bocor" });
+
+    await expect(sinkronkanAntrian()).resolves.toEqual({
+      terkirim: 0,
+      konflik: 1,
+    });
+    const [item] = getAntrian();
+    expect(item).toMatchObject({ status: "konflik", konflik: ["kendala"] });
+    expect(item.pesan).toContain("Kendala");
+    expect(await getLaporanById(laporan.id)).toMatchObject({
+      kendala: "Kandang bocor",
+    });
+
+    await pakaiDataLokal(item.id);
+
+    expect(getAntrian()).toEqual([]);
+    expect(await getLaporanById(laporan.id)).toMatchObject({
+      kendala: "Pakan kurang",
+    });
+  });
+});
@@ -0,0 +1,228 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { Timestamp } from "firebase/firestore";
+import { auth } from "../../firebase/config";
+import authService from "../authService";
+import {
+  bacaDokumen,
+  bacaKoleksi,
+  describeEmulator,
+  seedDokumen,
+} from "../../firebase/testing/emulatorTest";
+import {
+  PASSWORD_TEST,
+  loginAdmin,
+  loginSuperAdmin,
+  pakaiEmulator,
+  seedAdmin,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("authService", () => {
+  const getTestEnv = pakaiEmulator();
+
+  describe("login", () => {
+    test("Super Admin membuat sessions/{uid} dengan UID Firebase Auth-nya", async () => {
+      const user = await loginSuperAdmin(getTestEnv());
+
+      expect(user.accessToken).toBe(auth.currentUser.uid);
+      expect(auth.currentUser.isAnonymous).toBe(false);
+      const sesi = await bacaDokumen(
+        getTestEnv(),
+        `sessions/${user.accessToken}`
+      );
+      expect(sesi).toMatchObject({ userId: user.uid, role: "Super Admin" });
+      expect(sesi.passwordHash).toBeUndefined();
+      expect(sesi.expiresAt.toMillis()).toBeGreaterThan(Date.now());
+      const userDoc = await bacaDokumen(getTestEnv(), `users/${user.uid}`);
+      expect(userDoc.lastLogin).not.toBeNull();
+    });
+
+    test("Admin membuat sesi di akun anonim dengan hash password-nya", async () => {
+      const user = await loginAdmin(getTestEnv());
+
+      expect(auth.currentUser.isAnonymous).toBe(true);
+      expect(user.accessToken).toBe(auth.currentUser.uid);
+      expect(user.uid).toBe("admin-test");
+      expect(user.passwordHash).toBeUndefined();
+      const userDoc = await bacaDokumen(getTestEnv(), "users/admin-test");
+      const sesi = await bacaDokumen(
+        getTestEnv(),
+        `sessions/${user.accessToken}`
+      );
+      expect(sesi).toMatchObject({
+        userId: "admin-test",
+        role: "Admin",
+        passwordHash: userDoc.passwordHash,
+      });
+      expect(userDoc.lastLogin).not.toBeNull();
+    });
+
+    test("email Admin dicocokkan tanpa spasi dan huruf besar", async () => {
+      await seedAdmin(getTestEnv());
+      const user = await authService.login(
+        " Admin@E-Gaduh.test ",
+        PASSWORD_TEST
+      );
+      expect(user.uid).toBe("admin-test");
+    });
+
+    test.each([
+      ["password salah", "admin@e-gaduh.test", "password-salah"],
+      ["email tidak terdaftar", "lain@e-gaduh.test", PASSWORD_TEST],
+    ])("%s ditolak tanpa meninggalkan sesi", async (_, email, password) => {
+      await seedAdmin(getTestEnv());
+
+      await expect(authService.login(email, password)).rejects.toThrow(
+        "Email atau password salah"
+      );
+      expect(auth.currentUser).toBeNull();
+      expect(await bacaKoleksi(getTestEnv(), "sessions")).toEqual([]);
+    });
+
+    test("Admin tidak aktif tidak bisa login", async () => {
+      await seedAdmin(getTestEnv(), { status: "Tidak Aktif" });
+
+      await expect(
+        authService.login("admin@e-gaduh.test", PASSWORD_TEST)
+      ).rejects.toThrow("Email atau password salah");
+      expect(await bacaKoleksi(getTestEnv(), "sessions")).toEqual([]);
+    });
+  });
+
+  describe("validateSession", () => {
+    // Node tidak punya navigator; status koneksi diatur per tes
+    beforeEach(() => {
+      global.navigator = { onLine: true };
+    });
+
+    afterAll(() => {
+      delete global.navigator;
+    });
+
+    // Sesi dengan expiresAt satu jam lagi, agar perpanjangan terlihat
+    const sesiSatuJam = async (user) => {
+      const sesiPath = `sessions/${user.accessToken}`;
+      const expiresAt = Timestamp.fromMillis(Date.now() + 60 * 60 * 1000);
+      await seedDokumen(getTestEnv(), {
+        [sesiPath]: {
+          ...(await bacaDokumen(getTestEnv(), sesiPath)),
+          expiresAt,
+        },
+      });
+      return { sesiPath, expiresAt };
+    };
+
+    test("sesi valid diperpanjang dan mengembalikan data admin", async () => {
+      const user = await loginAdmin(getTestEnv());
+      const { sesiPath, expiresAt } = await sesiSatuJam(user);
+
+      await expect(
+        authService.validateSession(user.accessToken)
+      ).resolves.toEqual({
+        id: "admin-test",
+        email: "admin@e-gaduh.test",
+        name: "Admin Test",
+        role: "Admin",
+      });
+      // Perpanjangan tidak ditunggu validateSession
+      let sesudah = await bacaDokumen(getTestEnv(), sesiPath);
+      for (let i = 0; i < 50 && sesudah.expiresAt.isEqual(expiresAt); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        sesudah = await bacaDokumen(getTestEnv(), sesiPath);
+      }
+      expect(sesudah.expiresAt.toMillis()).toBeGreaterThan(
+        expiresAt.toMillis()
+      );
+    });
+
+    test("saat offline data admin dikembalikan tanpa memperpanjang sesi", async () => {
+      const user = await loginAdmin(getTestEnv());
+      const { sesiPath, expiresAt } = await sesiSatuJam(user);
+      global.navigator = { onLine: false };
+
+      await expect(
+        authService.validateSession(user.accessToken)
+      ).resolves.toMatchObject({ id: "admin-test" });
+      expect(
+        (await bacaDokumen(getTestEnv(), sesiPath)).expiresAt.isEqual(expiresAt)
+      ).toBe(true);
+    });
+
+    test("token milik UID lain ditolak", async () => {
+      await loginSuperAdmin(getTestEnv());
+      await expect(authService.validateSession("uid-lain")).resolves.toBeNull();
+      await expect(authService.validateSession(null)).resolves.toBeNull();
+    });
+
+    test("sesi kedaluwarsa dihapus", async () => {
+      const user = await loginAdmin(getTestEnv());
+      const sesiPath = `sessions/${user.accessToken}`;
+      await seedDokumen(getTestEnv(), {
+        [sesiPath]: {
+          ...(await bacaDokumen(getTestEnv(), sesiPath)),
+          expiresAt: Timestamp.fromMillis(Date.now() - 1000),
+        },
+      });
+
+      await expect(
+        authService.validateSession(user.accessToken)
+      ).resolves.toBeNull();
+      expect(await bacaDokumen(getTestEnv(), sesiPath)).toBeNull();
+    });
+
+    test("sesi admin yang dinonaktifkan dihapus", async () => {
+      const user = await loginAdmin(getTestEnv());
+      const userDoc = await bacaDokumen(getTestEnv(), "users/admin-test");
+      await seedDokumen(getTestEnv(), {
+        "users/admin-test": { ...userDoc, status: "Tidak Aktif" },
+      });
+
+      await expect(
+        authService.validateSession(user.accessToken)
+      ).resolves.toBeNull();
+      expect(
+        await bacaDokumen(getTestEnv(), `sessions/${user.accessToken}`)
+      ).toBeNull();
+    });
+  });
+
+  test("logout menghapus sesi dan keluar dari Firebase Auth", async () => {
+    const user = await loginSuperAdmin(getTestEnv());
+
+    await authService.logout(user.accessToken);
+
+    expect(auth.currentUser).toBeNull();
+    expect(
+      await bacaDokumen(getTestEnv(), `sessions/${user.accessToken}`)
+    ).toBeNull();
+  });
+
+  test("Super Admin mendaftarkan Super Admin baru tanpa berganti akun", async () => {
+    const user = await loginSuperAdmin(getTestEnv());
+
+    const baru = await authService.registerSuperAdmin({
+      fullName: "Super Admin Kedua",
+      email: "super2@e-gaduh.test",
+      password: PASSWORD_TEST,
+    });
+
+    expect(auth.currentUser.uid).toBe(user.uid);
+    expect(await bacaDokumen(getTestEnv(), `users/${baru.id}`)).toMatchObject({
+      email: "super2@e-gaduh.test",
+      role: "Super Admin",
+      status: "Aktif",
+    });
+    const [audit] = await bacaKoleksi(getTestEnv(), "auditLog");
+    expect(audit).toMatchObject({
+      entity: "admin",
+      action: "create",
+      entityId: baru.id,
+      actorId: user.uid,
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  ALASAN_TINJAU_FAQ,
+  FAQ_STATUS,
+  getAllFaq,
+  getPublishedFaq,
+  hideFaq,
+  mergeFaq,
+  publishFaq,
+  syncFaqFromLaporan,
+} from "../faqService";
+import { createPeternak } from "../peternakService";
+import { createLaporan, deleteLaporan } from "../laporanService";
+import {
+  bacaDokumen,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  logoutTest,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("faqService", () => {
+  const getTestEnv = pakaiEmulator();
+  let peternak;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  test("syncFaqFromLaporan membuat Draft sekali untuk laporan berkendala", async () => {
+    const laporan = await createLaporan(
+      buatLaporanData(peternak, 1, {
+        kendala: "Kambing kembung",
+        solusi: "Kurangi pakan hijauan basah",
+      })
+    );
+    await createLaporan(buatLaporanData(peternak, 2));
+
+    const [faq] = await syncFaqFromLaporan();
+
+    expect(faq).toMatchObject({
+      status: FAQ_STATUS.DRAFT,
+      sumberLaporan: [laporan.id],
+      namaPeternak: "Budi Santoso",
+      kendala: "Kambing kembung",
+    });
+    await expect(syncFaqFromLaporan()).resolves.toEqual([]);
+    expect(await getAllFaq()).toHaveLength(1);
+  });
+
+  test("hanya FAQ yang dipublikasikan terbaca publik", async () => {
+    await createLaporan(
+      buatLaporanData(peternak, 1, { kendala: "Kambing kembung" })
+    );
+    await createLaporan(
+      buatLaporanData(peternak, 2, { kendala: "Kandang bocor" })
+    );
+    const [faq1, faq2] = await syncFaqFromLaporan();
+    await publishFaq(faq1.id);
+    await hideFaq(faq2.id);
+    await logoutTest();
+
+    expect((await getPublishedFaq()).map((faq) => faq.id)).toEqual([faq1.id]);
+    await expect(getAllFaq()).rejects.toMatchObject({
+      code: "permission-denied",
+    });
+  });
+
+  test("mergeFaq menandai entri lain Digabung dan menyalin sumbernya", async () => {
+    const laporan1 = await createLaporan(
+      buatLaporanData(peternak, 1, { kendala: "Kambing kembung" })
+    );
+    const laporan2 = await createLaporan(
+      buatLaporanData(peternak, 2, { kendala: "Perut kambing kembung" })
+    );
+    const faqList = await syncFaqFromLaporan();
+    const [utama, lain] = faqList;
+
+    await mergeFaq(utama.id, faqList, { kendala: "Kembung" });
+
+    expect(await bacaDokumen(getTestEnv(), `faq/${lain.id}`)).toMatchObject({
+      status: FAQ_STATUS.DIGABUNG,
+      digabungKe: utama.id,
+    });
+    const dokumenUtama = await bacaDokumen(getTestEnv(), `faq/${utama.id}`);
+    expect(dokumenUtama.kendala).toBe("Kembung");
+    expect(dokumenUtama.sumberLaporan.sort()).toEqual(
+      [laporan1.id, laporan2.id].sort()
+    );
+  });
+
+  test("FAQ dari laporan yang dipindah ke Tempat Sampah ditarik dari publik", async () => {
+    await createLaporan(buatLaporanData(peternak, 1));
+    const laporan = await createLaporan(
+      buatLaporanData(peternak, 2, { kendala: "Kambing kembung" })
+    );
+    const [faq] = await syncFaqFromLaporan();
+    await publishFaq(faq.id);
+
+    await deleteLaporan(laporan.id);
+
+    expect(await bacaDokumen(getTestEnv(), `faq/${faq.id}`)).toMatchObject({
+      status: FAQ_STATUS.TERSEMBUNYI,
+      perluTinjau: true,
+      alasanTinjau: ALASAN_TINJAU_FAQ.TEMPAT_SAMPAH,
+    });
+
+    await publishFaq(faq.id);
+    const dokumen = await bacaDokumen(getTestEnv(), `faq/${faq.id}`);
+    expect(dokumen.status).toBe(FAQ_STATUS.PUBLIK);
+    expect(dokumen.perluTinjau).toBeUndefined();
+  });
+});
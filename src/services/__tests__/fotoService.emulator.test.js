@@ -0,0 +1,177 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { getMetadata, ref } from "firebase/storage";
+import {
+  deleteFoto,
+  uploadFotoLaporan,
+  uploadFotoPeternak,
+} from "../fotoService";
+import {
+  createPeternak,
+  deletePeternak,
+  purgePeternak,
+  updatePeternak,
+} from "../peternakService";
+import { createLaporan, updateLaporan } from "../laporanService";
+import {
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  loginSuperAdmin,
+  logoutTest,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+// Kompresi memakai canvas browser; di Node file dipakai apa adanya
+jest.mock("../../utils/foto", () => ({
+  ...jest.requireActual("../../utils/foto"),
+  compressImage: async (file) => file,
+}));
+
+const buatFoto = (type = "image/jpeg") =>
+  new Blob([new Uint8Array(10 * 1024)], { type });
+
+describeEmulator("fotoService", () => {
+  const getTestEnv = pakaiEmulator();
+
+  // Cek file langsung di emulator tanpa melewati storage.rules
+  const adaDiStorage = async (path) => {
+    let ada = false;
+    await getTestEnv().withSecurityRulesDisabled(async (context) => {
+      ada = await getMetadata(ref(context.storage(), path)).then(
+        () => true,
+        () => false
+      );
+    });
+    return ada;
+  };
+
+  beforeEach(() => {
+    global.navigator = { onLine: true };
+  });
+
+  afterAll(() => {
+    delete global.navigator;
+  });
+
+  test("uploadFotoPeternak mengunggah JPEG dan mengembalikan path serta url", async () => {
+    await loginAdmin(getTestEnv());
+
+    const foto = await uploadFotoPeternak(buatFoto());
+
+    expect(foto.path).toMatch(/^peternak\/.+\.jpg$/);
+    expect(foto.url).toContain(encodeURIComponent(foto.path));
+    expect(await adaDiStorage(foto.path)).toBe(true);
+  });
+
+  test("uploadFotoLaporan menyimpan foto di folder peternaknya", async () => {
+    await loginAdmin(getTestEnv());
+
+    const foto = await uploadFotoLaporan(
+      "p1",
+      buatFoto("image/png"),
+      "kandang"
+    );
+
+    expect(foto).toMatchObject({ kategori: "kandang" });
+    expect(foto.path).toMatch(/^laporan\/p1\/.+\.jpg$/);
+    expect(await adaDiStorage(foto.path)).toBe(true);
+  });
+
+  test("file bukan gambar dan perangkat offline ditolak sebelum diunggah", async () => {
+    await loginAdmin(getTestEnv());
+
+    await expect(
+      uploadFotoPeternak(buatFoto("application/pdf"))
+    ).rejects.toThrow("File harus berupa gambar");
+    global.navigator = { onLine: false };
+    await expect(uploadFotoPeternak(buatFoto())).rejects.toThrow(
+      "Foto hanya bisa diunggah saat perangkat online"
+    );
+  });
+
+  test("unggah tanpa login ditolak storage.rules", async () => {
+    await logoutTest();
+
+    await expect(uploadFotoPeternak(buatFoto())).rejects.toMatchObject({
+      code: "storage/unauthorized",
+    });
+  });
+
+  test("deleteFoto tidak gagal untuk file yang sudah tidak ada", async () => {
+    await loginAdmin(getTestEnv());
+
+    await expect(deleteFoto("peternak/tidak-ada.jpg")).resolves.toBeUndefined();
+  });
+
+  test("foto peternak lama dihapus saat diganti", async () => {
+    await loginAdmin(getTestEnv());
+    const fotoLama = await uploadFotoPeternak(buatFoto());
+    const peternak = await createPeternak(
+      buatPeternakData({
+        urlFotoPeternak: fotoLama.url,
+        pathFotoPeternak: fotoLama.path,
+      })
+    );
+    const fotoBaru = await uploadFotoPeternak(buatFoto());
+
+    await updatePeternak(peternak.id, {
+      urlFotoPeternak: fotoBaru.url,
+      pathFotoPeternak: fotoBaru.path,
+    });
+
+    expect(await adaDiStorage(fotoLama.path)).toBe(false);
+    expect(await adaDiStorage(fotoBaru.path)).toBe(true);
+  });
+
+  test("foto laporan yang dilepas dari laporan dihapus", async () => {
+    await loginAdmin(getTestEnv());
+    const peternak = await createPeternak(buatPeternakData());
+    const [fotoTetap, fotoDilepas] = await Promise.all([
+      uploadFotoLaporan(peternak.id, buatFoto(), "ternak"),
+      uploadFotoLaporan(peternak.id, buatFoto(), "kandang"),
+    ]);
+    const laporan = await createLaporan(
+      buatLaporanData(peternak, 1, { fotoLaporan: [fotoTetap, fotoDilepas] })
+    );
+
+    await updateLaporan(laporan.id, { fotoLaporan: [fotoTetap] });
+
+    expect(await adaDiStorage(fotoTetap.path)).toBe(true);
+    expect(await adaDiStorage(fotoDilepas.path)).toBe(false);
+  });
+
+  test("purgePeternak menghapus foto peternak dan foto laporannya", async () => {
+    await loginSuperAdmin(getTestEnv());
+    const fotoPeternak = await uploadFotoPeternak(buatFoto());
+    const peternak = await createPeternak(
+      buatPeternakData({
+        urlFotoPeternak: fotoPeternak.url,
+        pathFotoPeternak: fotoPeternak.path,
+      })
+    );
+    const fotoLaporan = await uploadFotoLaporan(
+      peternak.id,
+      buatFoto(),
+      "ternak"
+    );
+    await createLaporan(
+      buatLaporanData(peternak, 1, { fotoLaporan: [fotoLaporan] })
+    );
+
+    await deletePeternak(peternak.id);
+    expect(await adaDiStorage(fotoPeternak.path)).toBe(true);
+    await purgePeternak(peternak.id);
+
+    expect(await adaDiStorage(fotoPeternak.path)).toBe(false);
+    expect(await adaDiStorage(fotoLaporan.path)).toBe(false);
+  });
+});
@@ -0,0 +1,118 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  createKesehatan,
+  deleteKesehatan,
+  getKesehatanByPeternak,
+} from "../kesehatanService";
+import { createPeternak } from "../peternakService";
+import { createTernak } from "../ternakService";
+import { toDateString } from "../../utils/programQuarter";
+import {
+  bacaDokumen,
+  bacaKoleksi,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("kesehatanService", () => {
+  const getTestEnv = pakaiEmulator();
+  const hariIni = toDateString(new Date());
+  let peternak;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  const catat = (data = {}) =>
+    createKesehatan({
+      idPeternak: peternak.id,
+      jenis: "vaksinasi",
+      tanggal: hariIni,
+      namaObat: " Vaksin PMK ",
+      petugas: "drh. Rina",
+      ...data,
+    });
+
+  test("createKesehatan menyimpan catatan dan entri audit", async () => {
+    const catatan = await catat();
+
+    expect(
+      await bacaDokumen(getTestEnv(), `kesehatan/${catatan.id}`)
+    ).toMatchObject({
+      idPeternak: peternak.id,
+      idTernak: null,
+      namaObat: "Vaksin PMK",
+      dicatatOleh: { id: "admin-test", name: "Admin Test" },
+    });
+    const audit = await bacaKoleksi(getTestEnv(), "auditLog");
+    expect(audit.find((item) => item.entity === "kesehatan")).toMatchObject({
+      action: "create",
+      entityId: catatan.id,
+      label: `Vaksin PMK (${hariIni})`,
+    });
+  });
+
+  test("catatan tidak valid ditolak", async () => {
+    await expect(catat({ jenis: "pemeriksaan" })).rejects.toThrow(
+      "Jenis tindakan wajib dipilih"
+    );
+    await expect(catat({ tanggal: "2999-01-01" })).rejects.toThrow(
+      "Tanggal tindakan tidak boleh di masa depan"
+    );
+    await expect(catat({ tanggalJatuhTempo: hariIni })).rejects.toThrow(
+      "Jadwal berikutnya harus setelah tanggal tindakan"
+    );
+    expect(await bacaKoleksi(getTestEnv(), "kesehatan")).toEqual([]);
+  });
+
+  test("ternak harus milik peternak yang sama", async () => {
+    const peternakLain = await createPeternak(
+      buatPeternakData({ nik: "3201010101010002", namaLengkap: "Siti Aminah" })
+    );
+    const ternakLain = await createTernak({
+      idPeternak: peternakLain.id,
+      nomorTag: "BONO-001",
+      jenisKelamin: "Betina",
+    });
+
+    await expect(catat({ idTernak: ternakLain.id })).rejects.toThrow(
+      "Ternak bukan milik peternak ini"
+    );
+  });
+
+  test("getKesehatanByPeternak mengurutkan catatan terbaru dulu", async () => {
+    const lama = await catat({ tanggal: peternak.tanggalDaftar });
+    const baru = await catat({ jenis: "obatCacing", namaObat: "Albendazol" });
+
+    expect(
+      (await getKesehatanByPeternak(peternak.id)).map((item) => item.id)
+    ).toEqual([baru.id, lama.id]);
+  });
+
+  test("deleteKesehatan menghapus catatan dan mencatat audit", async () => {
+    const catatan = await catat();
+
+    await deleteKesehatan(catatan.id);
+
+    expect(
+      await bacaDokumen(getTestEnv(), `kesehatan/${catatan.id}`)
+    ).toBeNull();
+    const audit = await bacaKoleksi(getTestEnv(), "auditLog");
+    expect(
+      audit
+        .filter((item) => item.entity === "kesehatan")
+        .map((item) => item.action)
+    ).toEqual(expect.arrayContaining(["create", "delete"]));
+  });
+});
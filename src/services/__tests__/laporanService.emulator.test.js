@@ -0,0 +1,220 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { collection, getDocs, query, where } from "firebase/firestore";
+import { assertSucceeds } from "@firebase/rules-unit-testing";
+import {
+  createLaporan,
+  deleteLaporan,
+  getAllLaporan,
+  getDeletedLaporan,
+  getLaporanByPeternak,
+  getLaporanPage,
+  getNextAllowedQuarter,
+  restoreLaporan,
+  syncRingkasanLaporan,
+  updateLaporan,
+} from "../laporanService";
+import { createPeternak } from "../peternakService";
+import { getProgramQuarter } from "../../utils/programQuarter";
+import {
+  bacaDokumen,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+  seedDokumen,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("laporanService", () => {
+  const getTestEnv = pakaiEmulator();
+  let peternak;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  const getLaporanPublik = async () => {
+    const dbPublik = getTestEnv().unauthenticatedContext().firestore();
+    const snapshot = await assertSucceeds(
+      getDocs(
+        query(collection(dbPublik, "laporan"), where("deletedAt", "==", null))
+      )
+    );
+    return snapshot.docs.map((laporanDoc) => laporanDoc.id);
+  };
+
+  describe("createLaporan", () => {
+    test("menyimpan laporan aktif dan ringkasan di peternak serta salinan publiknya", async () => {
+      const laporan = await createLaporan(
+        buatLaporanData(peternak, 1, {
+          jumlahLahir: 2,
+          jumlahTernakSaatIni: 7,
+          kendala: "Pakan kurang",
+        })
+      );
+
+      expect(
+        await bacaDokumen(getTestEnv(), `laporan/${laporan.id}`)
+      ).toMatchObject({ quarter: 1, deletedAt: null, jumlahTernakSaatIni: 7 });
+      const peternakDoc = await bacaDokumen(
+        getTestEnv(),
+        `peternak/${peternak.id}`
+      );
+      expect(peternakDoc).toMatchObject({
+        jumlahLaporan: 1,
+        jumlahTernakTerkini: 7,
+      });
+      expect(peternakDoc.ringkasanLaporan).toEqual([
+        expect.objectContaining({
+          quarter: 1,
+          jumlahLahir: 2,
+          adaKendala: true,
+        }),
+      ]);
+      expect(
+        await bacaDokumen(getTestEnv(), `peternakPublik/${peternak.id}`)
+      ).toMatchObject({ jumlahLaporan: 1, jumlahTernakTerkini: 7 });
+      expect(await getLaporanPublik()).toEqual([laporan.id]);
+      await expect(getNextAllowedQuarter(peternak.id)).resolves.toMatchObject({
+        quarter: 2,
+      });
+    });
+
+    test("triwulan harus berurutan", async () => {
+      await expect(
+        createLaporan(buatLaporanData(peternak, 2))
+      ).rejects.toThrow();
+      await createLaporan(buatLaporanData(peternak, 1));
+      await expect(
+        createLaporan(buatLaporanData(peternak, 1))
+      ).rejects.toThrow();
+      expect(await getLaporanByPeternak(peternak.id)).toHaveLength(1);
+    });
+
+    test("laporan yang disimpan bersamaan untuk triwulan yang sama hanya satu yang tersimpan", async () => {
+      const hasil = await Promise.allSettled([
+        createLaporan(buatLaporanData(peternak, 1)),
+        createLaporan(buatLaporanData(peternak, 1)),
+      ]);
+
+      expect(hasil.map((item) => item.status).sort()).toEqual([
+        "fulfilled",
+        "rejected",
+      ]);
+      expect(await getLaporanByPeternak(peternak.id)).toHaveLength(1);
+      expect(
+        await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+      ).toMatchObject({ jumlahLaporan: 1, versiLaporan: 1 });
+    });
+
+    test("jumlah saat ini harus sesuai saldo ternak", async () => {
+      await expect(
+        createLaporan(
+          buatLaporanData(peternak, 1, {
+            jumlahLahir: 1,
+            jumlahTernakSaatIni: 5,
+          })
+        )
+      ).rejects.toMatchObject({ name: "LaporanValidationError" });
+    });
+
+    test("tanggal laporan harus di dalam periode triwulannya", async () => {
+      await expect(
+        createLaporan(
+          buatLaporanData(peternak, 1, {
+            tanggalLaporan: buatLaporanData(peternak, 2).tanggalLaporan,
+          })
+        )
+      ).rejects.toMatchObject({ name: "LaporanValidationError" });
+    });
+  });
+
+  test("updateLaporan memperbarui ringkasan peternak", async () => {
+    const laporan = await createLaporan(buatLaporanData(peternak, 1));
+
+    await updateLaporan(laporan.id, {
+      jumlahKematian: 1,
+      jumlahTernakSaatIni: 4,
+    });
+
+    expect(
+      await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+    ).toMatchObject({ jumlahTernakTerkini: 4 });
+  });
+
+  test("laporan di Tempat Sampah tidak ikut query laporan aktif", async () => {
+    const q1 = await createLaporan(buatLaporanData(peternak, 1));
+    const q2 = await createLaporan(buatLaporanData(peternak, 2));
+
+    await deleteLaporan(q2.id);
+
+    expect((await getAllLaporan()).map((laporan) => laporan.id)).toEqual([
+      q1.id,
+    ]);
+    expect((await getDeletedLaporan()).map((laporan) => laporan.id)).toEqual([
+      q2.id,
+    ]);
+    const { laporanList, hasMore } = await getLaporanPage({
+      idPeternak: peternak.id,
+    });
+    expect(laporanList.map((laporan) => laporan.id)).toEqual([q1.id]);
+    expect(hasMore).toBe(false);
+    expect(await getLaporanPublik()).toEqual([q1.id]);
+    expect(
+      await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+    ).toMatchObject({ jumlahLaporan: 1 });
+
+    await restoreLaporan(q2.id);
+    expect(
+      (await getLaporanByPeternak(peternak.id)).map((laporan) => laporan.id)
+    ).toEqual([q1.id, q2.id]);
+    expect((await getLaporanPublik()).sort()).toEqual([q1.id, q2.id].sort());
+  });
+
+  test("getLaporanPage membagi laporan per halaman dengan cursor", async () => {
+    const q1 = await createLaporan(buatLaporanData(peternak, 1));
+    const q2 = await createLaporan(buatLaporanData(peternak, 2));
+
+    const halaman1 = await getLaporanPage({}, { pageSize: 1 });
+    expect(halaman1.laporanList.map((laporan) => laporan.id)).toEqual([q2.id]);
+    expect(halaman1.hasMore).toBe(true);
+
+    const halaman2 = await getLaporanPage(
+      {},
+      { pageSize: 1, cursor: halaman1.cursor }
+    );
+    expect(halaman2.laporanList.map((laporan) => laporan.id)).toEqual([q1.id]);
+    expect(halaman2.hasMore).toBe(false);
+  });
+
+  test("syncRingkasanLaporan melengkapi laporan lama tanpa deletedAt", async () => {
+    await seedDokumen(getTestEnv(), {
+      "laporan/laporan-lama": {
+        ...buatLaporanData(peternak, 1),
+        ...getProgramQuarter(peternak.tanggalDaftar, 1),
+      },
+    });
+    expect(await getAllLaporan()).toEqual([]);
+
+    await expect(syncRingkasanLaporan()).resolves.toEqual({
+      jumlahLaporan: 1,
+      jumlahPeternak: 1,
+    });
+
+    expect((await getAllLaporan()).map((laporan) => laporan.id)).toEqual([
+      "laporan-lama",
+    ]);
+    expect(
+      await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+    ).toMatchObject({ jumlahLaporan: 1 });
+  });
+});
@@ -0,0 +1,158 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  createPengembalian,
+  deletePengembalian,
+  getPengembalianByPeternak,
+  getPengembalianTersedia,
+} from "../pengembalianService";
+import { createPeternak } from "../peternakService";
+import { createLaporan } from "../laporanService";
+import { createTernak } from "../ternakService";
+import { toDateString } from "../../utils/programQuarter";
+import {
+  bacaDokumen,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("pengembalianService", () => {
+  const getTestEnv = pakaiEmulator();
+  const hariIni = toDateString(new Date());
+  let peternak;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  test("createPengembalian menambah jumlahDikembalikan peternak dan salinan publiknya", async () => {
+    const pengembalian = await createPengembalian({
+      idPeternak: peternak.id,
+      tanggalPengembalian: hariIni,
+      jumlahTernak: 2,
+    });
+
+    expect(pengembalian.diterimaOleh).toEqual({
+      id: "admin-test",
+      name: "Admin Test",
+    });
+    expect(
+      await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+    ).toMatchObject({ jumlahDikembalikan: 2 });
+    expect(
+      await bacaDokumen(getTestEnv(), `peternakPublik/${peternak.id}`)
+    ).toMatchObject({ jumlahDikembalikan: 2 });
+    expect((await getPengembalianTersedia()).map((item) => item.id)).toEqual([
+      pengembalian.id,
+    ]);
+  });
+
+  test("ternak terdaftar yang dikembalikan berubah status", async () => {
+    const ternak = await createTernak({
+      idPeternak: peternak.id,
+      nomorTag: "BONO-001",
+      jenisKelamin: "Betina",
+    });
+
+    const pengembalian = await createPengembalian({
+      idPeternak: peternak.id,
+      tanggalPengembalian: hariIni,
+      idTernak: [ternak.id],
+    });
+
+    expect(pengembalian.jumlahTernak).toBe(1);
+    expect(
+      await bacaDokumen(getTestEnv(), `ternak/${ternak.id}`)
+    ).toMatchObject({ status: "dikembalikan" });
+  });
+
+  test("jumlah melebihi ternak yang dimiliki ditolak", async () => {
+    await expect(
+      createPengembalian({
+        idPeternak: peternak.id,
+        tanggalPengembalian: hariIni,
+        jumlahTernak: 6,
+      })
+    ).rejects.toThrow("Jumlah pengembalian melebihi ternak yang dimiliki");
+    expect(await getPengembalianByPeternak(peternak.id)).toEqual([]);
+  });
+
+  test("pengembalian yang sudah masuk laporan tidak bisa dicatat atau dihapus", async () => {
+    const laporanData = buatLaporanData(peternak, 1);
+    const pengembalian = await createPengembalian({
+      idPeternak: peternak.id,
+      tanggalPengembalian: laporanData.tanggalLaporan,
+      jumlahTernak: 1,
+    });
+    await createLaporan({
+      ...laporanData,
+      jumlahDikembalikan: 1,
+      jumlahTernakSaatIni: 4,
+    });
+
+    await expect(
+      createPengembalian({
+        idPeternak: peternak.id,
+        tanggalPengembalian: laporanData.tanggalLaporan,
+        jumlahTernak: 1,
+      })
+    ).rejects.toThrow("Tanggal pengembalian harus setelah laporan terakhir");
+    await expect(deletePengembalian(pengembalian.id)).rejects.toThrow(
+      "Pengembalian sudah tercatat di laporan triwulan"
+    );
+  });
+
+  test("deletePengembalian mengurangi jumlahDikembalikan", async () => {
+    const pengembalian = await createPengembalian({
+      idPeternak: peternak.id,
+      tanggalPengembalian: hariIni,
+      jumlahTernak: 2,
+    });
+
+    await deletePengembalian(pengembalian.id);
+
+    expect(
+      await bacaDokumen(getTestEnv(), `pengembalian/${pengembalian.id}`)
+    ).toBeNull();
+    expect(
+      await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+    ).toMatchObject({ jumlahDikembalikan: 0 });
+  });
+
+  test("pengembalian diteruskan ke peternak generasi berikutnya", async () => {
+    const pengembalian = await createPengembalian({
+      idPeternak: peternak.id,
+      tanggalPengembalian: hariIni,
+      jumlahTernak: 2,
+    });
+
+    const penerima = await createPeternak(
+      buatPeternakData({
+        nik: "3201010101010002",
+        namaLengkap: "Siti Aminah",
+        tanggalDaftar: hariIni,
+        idPengembalianSumber: pengembalian.id,
+      })
+    );
+
+    expect(penerima).toMatchObject({ generasi: 2, jumlahTernakAwal: 2 });
+    expect(
+      await bacaDokumen(getTestEnv(), `pengembalian/${pengembalian.id}`)
+    ).toMatchObject({ idPeternakPenerima: penerima.id });
+    expect(await getPengembalianTersedia()).toEqual([]);
+    await expect(deletePengembalian(pengembalian.id)).rejects.toThrow(
+      "sudah diteruskan ke peternak lain"
+    );
+  });
+});
@@ -0,0 +1,131 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  consolePengingatProvider,
+  getPengingatLaporan,
+  jalankanPengingatTerlambat,
+  kirimPengingat,
+  setPengingatProvider,
+} from "../pengingatService";
+import { createPeternak } from "../peternakService";
+import { createLaporan } from "../laporanService";
+import { getProgramQuarter } from "../../utils/programQuarter";
+import {
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+const geserHari = (tanggal, hari) => {
+  const hasil = new Date(`${tanggal}T00:00:00`);
+  hasil.setDate(hasil.getDate() + hari);
+  return hasil;
+};
+
+describeEmulator("pengingatService", () => {
+  const getTestEnv = pakaiEmulator();
+  let budi;
+  let siti;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    budi = await createPeternak(buatPeternakData());
+    siti = await createPeternak(
+      buatPeternakData({
+        nik: "3201010101010002",
+        namaLengkap: "Siti Aminah",
+        nomorTelepon: "0812-9876-5432",
+      })
+    );
+    await createLaporan(buatLaporanData(budi, 1));
+  });
+
+  afterEach(() => setPengingatProvider(consolePengingatProvider));
+
+  // Tanggal pengingat dihitung dari triwulan peternak agar tidak bergantung
+  // pada hari tes dijalankan
+  const akhirTriwulan = (quarter) =>
+    getProgramQuarter(budi.tanggalDaftar, quarter).endDate;
+
+  test("getPengingatLaporan hanya memuat triwulan yang belum dilaporkan", async () => {
+    const pengingatList = await getPengingatLaporan(
+      geserHari(akhirTriwulan(1), 20)
+    );
+
+    expect(pengingatList).toEqual([
+      expect.objectContaining({
+        id: `${siti.id}-1`,
+        idPeternak: siti.id,
+        status: "terlambat",
+        nomorTelepon: "6281298765432",
+      }),
+    ]);
+    expect(pengingatList[0].pesan).toContain("Siti Aminah");
+  });
+
+  test("triwulan yang segera berakhir ikut diingatkan", async () => {
+    const pengingatList = await getPengingatLaporan(
+      geserHari(akhirTriwulan(2), -5)
+    );
+
+    const [terlambat, ...segera] = pengingatList;
+    expect(terlambat).toMatchObject({
+      id: `${siti.id}-1`,
+      status: "terlambat",
+    });
+    expect(segera.map((pengingat) => pengingat.id).sort()).toEqual(
+      [`${budi.id}-2`, `${siti.id}-2`].sort()
+    );
+    segera.forEach((pengingat) => expect(pengingat.status).toBe("segera"));
+  });
+
+  test("kirimPengingat meneruskan kegagalan provider per pengingat", async () => {
+    const kirim = jest.fn(async ({ nomorTelepon }) => {
+      if (nomorTelepon === "6281298765432") {
+        throw new Error("Gateway sibuk");
+      }
+    });
+    setPengingatProvider({ nama: "uji", kirim });
+    const pengingatList = await getPengingatLaporan(
+      geserHari(akhirTriwulan(2), -5)
+    );
+
+    const hasil = await kirimPengingat([
+      ...pengingatList,
+      { id: "tanpa-nomor", nomorTelepon: "", pesan: "-" },
+    ]);
+
+    expect(hasil.terkirim).toEqual([`${budi.id}-2`]);
+    expect(hasil.gagal).toEqual(
+      expect.arrayContaining([
+        { id: `${siti.id}-1`, pesan: "Gateway sibuk" },
+        { id: `${siti.id}-2`, pesan: "Gateway sibuk" },
+        { id: "tanpa-nomor", pesan: "Nomor telepon tidak valid" },
+      ])
+    );
+    expect(kirim).toHaveBeenCalledTimes(3);
+  });
+
+  test("jalankanPengingatTerlambat hanya mengirim laporan terlambat", async () => {
+    const kirim = jest.fn(async () => {});
+    setPengingatProvider({ nama: "uji", kirim });
+
+    const hasil = await jalankanPengingatTerlambat(
+      geserHari(akhirTriwulan(2), -5)
+    );
+
+    expect(hasil).toEqual({ terkirim: [`${siti.id}-1`], gagal: [] });
+    expect(kirim).toHaveBeenCalledWith(
+      expect.objectContaining({ nomorTelepon: "6281298765432" })
+    );
+  });
+});
@@ -0,0 +1,286 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { assertFails, assertSucceeds } from "@firebase/rules-unit-testing";
+import { doc, getDoc } from "firebase/firestore";
+import {
+  createPeternak,
+  deletePeternak,
+  getAllPeternak,
+  getDeletedPeternak,
+  importPeternak,
+  purgePeternak,
+  restorePeternak,
+  updatePeternak,
+} from "../peternakService";
+import { createLaporan } from "../laporanService";
+import { createTernak } from "../ternakService";
+import {
+  bacaDokumen,
+  bacaKoleksi,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  loginSuperAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+// Commit batch ke-N (mockBatch.gagalKe) dibuat gagal untuk menguji impor
+// yang berhenti di tengah jalan; batch lainnya memakai writeBatch asli
+const mockBatch = { gagalKe: 0, jumlah: 0 };
+jest.mock("firebase/firestore", () => {
+  const firestore = jest.requireActual("firebase/firestore");
+  return {
+    ...firestore,
+    writeBatch: (...args) => {
+      const batch = firestore.writeBatch(...args);
+      mockBatch.jumlah += 1;
+      if (mockBatch.jumlah === mockBatch.gagalKe) {
+        batch.commit = () => Promise.reject(new Error("Koneksi terputus"));
+      }
+      return batch;
+    },
+  };
+});
+
+describeEmulator("peternakService", () => {
+  const getTestEnv = pakaiEmulator();
+
+  const dbPublik = () => getTestEnv().unauthenticatedContext().firestore();
+
+  describe("createPeternak", () => {
+    beforeEach(() => loginAdmin(getTestEnv()));
+
+    test("menulis peternak, salinan publik tanpa NIK dan nomor telepon, dan entri audit", async () => {
+      const peternak = await createPeternak(buatPeternakData());
+
+      expect(
+        await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+      ).toMatchObject({
+        nik: "3201010101010001",
+        statusKinerja: "Baru",
+        jumlahLaporan: 0,
+        jumlahTernakTerkini: 5,
+      });
+      const publik = await bacaDokumen(
+        getTestEnv(),
+        `peternakPublik/${peternak.id}`
+      );
+      expect(publik).toMatchObject({ namaLengkap: "Budi Santoso" });
+      expect(publik.nik).toBeUndefined();
+      expect(publik.nomorTelepon).toBeUndefined();
+      await assertSucceeds(
+        getDoc(doc(dbPublik(), "peternakPublik", peternak.id))
+      );
+      await assertFails(getDoc(doc(dbPublik(), "peternak", peternak.id)));
+
+      const [audit] = await bacaKoleksi(getTestEnv(), "auditLog");
+      expect(audit).toMatchObject({
+        entity: "peternak",
+        action: "create",
+        entityId: peternak.id,
+        actorId: "admin-test",
+      });
+    });
+
+    test("NIK yang sudah terdaftar ditolak", async () => {
+      await createPeternak(buatPeternakData());
+      await expect(
+        createPeternak(buatPeternakData({ namaLengkap: "Orang Lain" }))
+      ).rejects.toThrow("NIK sudah terdaftar");
+    });
+
+    test("field wajib dan tanggal daftar di masa depan ditolak", async () => {
+      await expect(
+        createPeternak(buatPeternakData({ alamat: "" }))
+      ).rejects.toThrow("Field alamat wajib diisi");
+      await expect(
+        createPeternak(buatPeternakData({ tanggalDaftar: "2999-01-01" }))
+      ).rejects.toThrow("Tanggal daftar tidak boleh di masa depan");
+      expect(await bacaKoleksi(getTestEnv(), "peternak")).toEqual([]);
+    });
+  });
+
+  describe("updatePeternak", () => {
+    beforeEach(() => loginAdmin(getTestEnv()));
+
+    test("memperbarui peternak dan salinan publiknya", async () => {
+      const peternak = await createPeternak(buatPeternakData());
+
+      await updatePeternak(peternak.id, { alamat: "Dusun Bono RT 05" });
+
+      expect(
+        await bacaDokumen(getTestEnv(), `peternakPublik/${peternak.id}`)
+      ).toMatchObject({ alamat: "Dusun Bono RT 05" });
+    });
+
+    test("tanggalDaftar terkunci setelah ada laporan", async () => {
+      const peternak = await createPeternak(buatPeternakData());
+      await createLaporan(buatLaporanData(peternak));
+
+      await expect(
+        updatePeternak(peternak.id, { tanggalDaftar: "2020-01-01" })
+      ).rejects.toThrow("Tanggal daftar tidak dapat diubah");
+    });
+
+    test("jumlahTernakAwal terkunci setelah ada laporan", async () => {
+      const peternak = await createPeternak(buatPeternakData());
+      await createLaporan(buatLaporanData(peternak));
+
+      await expect(
+        updatePeternak(peternak.id, { jumlahTernakAwal: 8 })
+      ).rejects.toThrow("Jumlah ternak awal tidak dapat diubah");
+    });
+
+    test("jumlahTernakAwal sebelum ada laporan ikut mengubah ternak terkini", async () => {
+      const peternak = await createPeternak(buatPeternakData());
+
+      await updatePeternak(peternak.id, { jumlahTernakAwal: 8 });
+
+      expect(
+        await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+      ).toMatchObject({ jumlahTernakAwal: 8, jumlahTernakTerkini: 8 });
+      expect(
+        await bacaDokumen(getTestEnv(), `peternakPublik/${peternak.id}`)
+      ).toMatchObject({ jumlahTernakAwal: 8, jumlahTernakTerkini: 8 });
+    });
+  });
+
+  describe("importPeternak", () => {
+    const buatDaftarImpor = (jumlah) =>
+      Array.from({ length: jumlah }, (_, index) =>
+        buatPeternakData({
+          namaLengkap: `Peternak ${index + 1}`,
+          nik: String(3201010101010001 + index),
+        })
+      );
+
+    beforeEach(async () => {
+      mockBatch.gagalKe = 0;
+      mockBatch.jumlah = 0;
+      await loginAdmin(getTestEnv());
+    });
+
+    test("menyimpan semua peternak beserta salinan publiknya", async () => {
+      const created = await importPeternak(buatDaftarImpor(2));
+
+      expect(created.map((peternak) => peternak.namaLengkap)).toEqual([
+        "Peternak 1",
+        "Peternak 2",
+      ]);
+      expect(
+        await bacaDokumen(getTestEnv(), `peternakPublik/${created[1].id}`)
+      ).toMatchObject({ namaLengkap: "Peternak 2" });
+    });
+
+    test("batch yang gagal melampirkan peternak yang sudah tersimpan di error.created", async () => {
+      mockBatch.gagalKe = 2;
+
+      const error = await importPeternak(buatDaftarImpor(151)).catch(
+        (err) => err
+      );
+
+      expect(error.message).toBe("Koneksi terputus");
+      expect(error.created).toHaveLength(150);
+      const tersimpan = await bacaKoleksi(getTestEnv(), "peternak");
+      expect(tersimpan).toHaveLength(150);
+      expect(tersimpan.map((peternak) => peternak.nik).sort()).toEqual(
+        error.created.map((peternak) => peternak.nik).sort()
+      );
+    });
+
+    test("NIK duplikat ditolak sebelum ada yang ditulis", async () => {
+      const error = await importPeternak([
+        ...buatDaftarImpor(1),
+        ...buatDaftarImpor(1),
+      ]).catch((err) => err);
+
+      expect(error.message).toMatch("NIK duplikat");
+      expect(error.created).toEqual([]);
+      expect(await bacaKoleksi(getTestEnv(), "peternak")).toEqual([]);
+    });
+  });
+
+  describe("Tempat Sampah", () => {
+    test("deletePeternak memindahkan peternak dan laporannya, restorePeternak memulihkan", async () => {
+      await loginAdmin(getTestEnv());
+      const peternak = await createPeternak(buatPeternakData());
+      const laporan = await createLaporan(buatLaporanData(peternak));
+
+      await expect(deletePeternak(peternak.id)).resolves.toEqual({
+        success: true,
+        jumlahLaporan: 1,
+      });
+      expect(await getAllPeternak()).toEqual([]);
+      expect((await getDeletedPeternak()).map((item) => item.id)).toEqual([
+        peternak.id,
+      ]);
+      expect(
+        await bacaDokumen(getTestEnv(), `peternakPublik/${peternak.id}`)
+      ).toBeNull();
+      await assertFails(getDoc(doc(dbPublik(), "laporan", laporan.id)));
+
+      await restorePeternak(peternak.id);
+      expect((await getAllPeternak()).map((item) => item.id)).toEqual([
+        peternak.id,
+      ]);
+      expect(
+        await bacaDokumen(getTestEnv(), `laporan/${laporan.id}`)
+      ).toMatchObject({ deletedAt: null, deletedBy: null });
+      await assertSucceeds(getDoc(doc(dbPublik(), "laporan", laporan.id)));
+    });
+
+    test("hapus permanen hanya untuk Super Admin", async () => {
+      await loginAdmin(getTestEnv());
+      const peternak = await createPeternak(buatPeternakData());
+      await deletePeternak(peternak.id);
+
+      await expect(purgePeternak(peternak.id)).rejects.toThrow(
+        "Hanya Super Admin"
+      );
+      expect(
+        await bacaDokumen(getTestEnv(), `peternak/${peternak.id}`)
+      ).not.toBeNull();
+    });
+
+    test("purgePeternak menghapus laporan, ternak dan pesanan eartag-nya", async () => {
+      await loginSuperAdmin(getTestEnv());
+      const peternak = await createPeternak(buatPeternakData());
+      await createLaporan(buatLaporanData(peternak));
+      await createTernak({
+        idPeternak: peternak.id,
+        nomorTag: "BONO-001",
+        jenisKelamin: "Betina",
+      });
+
+      await expect(purgePeternak(peternak.id)).rejects.toThrow(
+        "Pindahkan data peternak ke Tempat Sampah terlebih dahulu"
+      );
+      await deletePeternak(peternak.id);
+      await purgePeternak(peternak.id);
+
+      for (const collectionName of [
+        "peternak",
+        "peternakPublik",
+        "laporan",
+        "ternak",
+        "eartag",
+      ]) {
+        expect(await bacaKoleksi(getTestEnv(), collectionName)).toEqual([]);
+      }
+      const audit = await bacaKoleksi(getTestEnv(), "auditLog");
+      expect(
+        audit.filter(
+          (item) => item.entity === "peternak" && item.action === "purge"
+        )
+      ).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import { getPublicTransparansiData } from "../publicService";
+import { getStatistikProgram, getStatistikPublik } from "../statistikService";
+import { getAuditPage } from "../auditService";
+import { createPeternak, updatePeternak } from "../peternakService";
+import { createLaporan, deleteLaporan } from "../laporanService";
+import {
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  logoutTest,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+// publicService, statistikService dan auditService hanya membaca data yang
+// ditulis service lain, jadi diuji bersama di sini
+describeEmulator("data publik, statistik dan audit", () => {
+  const getTestEnv = pakaiEmulator();
+  let budi;
+  let siti;
+  let laporanBudi;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    budi = await createPeternak(buatPeternakData());
+    siti = await createPeternak(
+      buatPeternakData({
+        nik: "3201010101010002",
+        namaLengkap: "Siti Aminah",
+        jumlahTernakAwal: 3,
+      })
+    );
+    laporanBudi = await createLaporan(
+      buatLaporanData(budi, 1, {
+        jumlahLahir: 2,
+        jumlahTernakSaatIni: 7,
+        kendala: "Pakan kurang",
+      })
+    );
+    const laporanSiti = await createLaporan(buatLaporanData(siti, 1));
+    await deleteLaporan(laporanSiti.id);
+  });
+
+  test("getPublicTransparansiData terbaca tanpa login, tanpa NIK dan nomor telepon", async () => {
+    await logoutTest();
+
+    const { peternak, laporan } = await getPublicTransparansiData();
+
+    expect(peternak.map((item) => item.namaLengkap).sort()).toEqual([
+      "Budi Santoso",
+      "Siti Aminah",
+    ]);
+    peternak.forEach((item) => {
+      expect(item.nik).toBeUndefined();
+      expect(item.nomorTelepon).toBeUndefined();
+    });
+    expect(peternak.find((item) => item.id === budi.id)).toMatchObject({
+      jumlahTernakSaatIni: 7,
+      programAktif: true,
+    });
+    expect(laporan.map((item) => item.id)).toEqual([laporanBudi.id]);
+    expect(laporan[0]).toMatchObject({ kendala: "Pakan kurang" });
+  });
+
+  test("statistik publik sama dengan statistik program", async () => {
+    const statistikProgram = await getStatistikProgram();
+    await logoutTest();
+
+    const statistikPublik = await getStatistikPublik();
+
+    expect(statistikPublik).toEqual({
+      totalPeternak: 2,
+      totalTernak: 10,
+      programAktif: 2,
+      tingkatKeberhasilan: 0,
+    });
+    expect(statistikPublik).toEqual(statistikProgram);
+  });
+
+  test("getAuditPage mengurutkan entri terbaru dulu dan hanya untuk Admin", async () => {
+    await updatePeternak(siti.id, { alamat: "Dusun Bono RT 05" });
+
+    const { auditList } = await getAuditPage();
+
+    expect(auditList[0]).toMatchObject({
+      entity: "peternak",
+      action: "update",
+      entityId: siti.id,
+      actorId: "admin-test",
+    });
+    expect(auditList[0].diff.alamat.ke).toBe("Dusun Bono RT 05");
+    const waktu = auditList.map((item) => item.timestamp.toMillis());
+    expect(waktu).toEqual([...waktu].sort((a, b) => b - a));
+
+    await logoutTest();
+    await expect(getAuditPage()).rejects.toMatchObject({
+      code: "permission-denied",
+    });
+  });
+
+  test("getAuditPage memfilter di query dan membagi entri per halaman", async () => {
+    const { auditList } = await getAuditPage({
+      entity: "laporan",
+      idPeternak: budi.id,
+    });
+    expect(auditList.length).toBeGreaterThan(0);
+    expect(
+      auditList.every(
+        (item) => item.entity === "laporan" && item.idPeternak === budi.id
+      )
+    ).toBe(true);
+
+    const halaman1 = await getAuditPage({}, { pageSize: 1 });
+    expect(halaman1.auditList).toHaveLength(1);
+    expect(halaman1.hasMore).toBe(true);
+    const halaman2 = await getAuditPage(
+      {},
+      { pageSize: 1, cursor: halaman1.cursor }
+    );
+    expect(halaman2.auditList[0].id).not.toBe(halaman1.auditList[0].id);
+  });
+});
@@ -0,0 +1,127 @@
+/** @jest-environment ./src/firebase/testing/emulatorEnvironment.js */
+import {
+  createTernak,
+  deleteTernak,
+  getTernakByPeternak,
+} from "../ternakService";
+import { createPeternak } from "../peternakService";
+import { createLaporan, deleteLaporan } from "../laporanService";
+import {
+  bacaDokumen,
+  bacaKoleksi,
+  buatLaporanData,
+  buatPeternakData,
+  describeEmulator,
+} from "../../firebase/testing/emulatorTest";
+import {
+  loginAdmin,
+  pakaiEmulator,
+} from "../../firebase/testing/emulatorService";
+
+jest.mock(
+  "../../firebase/config",
+  () => require("../../firebase/testing/emulatorApp"),
+  { virtual: true }
+);
+
+describeEmulator("ternakService", () => {
+  const getTestEnv = pakaiEmulator();
+  let peternak;
+
+  beforeEach(async () => {
+    await loginAdmin(getTestEnv());
+    peternak = await createPeternak(buatPeternakData());
+  });
+
+  const daftarkan = (nomorTag, data = {}) =>
+    createTernak({
+      idPeternak: peternak.id,
+      nomorTag,
+      jenisKelamin: "Betina",
+      ...data,
+    });
+
+  test("createTernak memesan nomor eartag di transaksi yang sama", async () => {
+    const ternak = await daftarkan(" bono 001 ");
+
+    expect(ternak).toMatchObject({ nomorTag: "BONO001", status: "hidup" });
+    expect(await bacaDokumen(getTestEnv(), "eartag/BONO001")).toMatchObject({
+      idTernak: ternak.id,
+    });
+    expect(
+      await bacaDokumen(getTestEnv(), `ternak/${ternak.id}`)
+    ).toMatchObject({ idPeternak: peternak.id, nomorTag: "BONO001" });
+    expect(
+      (await getTernakByPeternak(peternak.id)).map((item) => item.id)
+    ).toEqual([ternak.id]);
+  });
+
+  test("nomor eartag yang sudah terdaftar ditolak", async () => {
+    await daftarkan("BONO-001");
+    await expect(daftarkan("BONO-001")).rejects.toThrow(
+      "Nomor eartag BONO-001 sudah terdaftar"
+    );
+  });
+
+  test("nomor eartag dengan karakter selain huruf, angka dan tanda hubung ditolak", async () => {
+    await expect(daftarkan("BONO/001")).rejects.toThrow(
+      "Nomor eartag hanya boleh berisi huruf, angka dan tanda hubung"
+    );
+    expect(await getTernakByPeternak(peternak.id)).toEqual([]);
+  });
+
+  test("pendaftaran bersamaan dengan nomor yang sama hanya berhasil satu", async () => {
+    const hasil = await Promise.allSettled([
+      daftarkan("BONO-002"),
+      daftarkan("BONO-002", { jenisKelamin: "Jantan" }),
+    ]);
+
+    expect(hasil.filter((item) => item.status === "fulfilled")).toHaveLength(1);
+    expect(await bacaKoleksi(getTestEnv(), "ternak")).toHaveLength(1);
+  });
+
+  test("deleteTernak melepas nomor eartag agar bisa dipakai lagi", async () => {
+    const ternak = await daftarkan("BONO-003");
+
+    await deleteTernak(ternak.id);
+
+    expect(await bacaDokumen(getTestEnv(), "eartag/BONO-003")).toBeNull();
+    await expect(daftarkan("BONO-003")).resolves.toMatchObject({
+      nomorTag: "BONO-003",
+    });
+  });
+
+  test("kelahiran di laporan mendaftarkan ternak baru dan dibatalkan saat laporan dihapus", async () => {
+    const induk = await daftarkan("BONO-010");
+    const laporanData = buatLaporanData(peternak, 1, {
+      jumlahTernakSaatIni: 6,
+    });
+    const laporan = await createLaporan({
+      ...laporanData,
+      peristiwaTernak: {
+        lahir: [
+          {
+            nomorTag: "BONO-011",
+            jenisKelamin: "Jantan",
+            tanggalLahir: laporanData.tanggalLaporan,
+            idInduk: induk.id,
+          },
+        ],
+      },
+    });
+
+    expect(laporan.jumlahLahir).toBe(1);
+    const [anak] = (await getTernakByPeternak(peternak.id)).filter(
+      (ternak) => ternak.nomorTag === "BONO-011"
+    );
+    expect(anak).toMatchObject({ idInduk: induk.id, status: "hidup" });
+    expect(await bacaDokumen(getTestEnv(), "eartag/BONO-011")).toMatchObject({
+      idTernak: anak.id,
+    });
+
+    await deleteLaporan(laporan.id);
+
+    expect(await bacaDokumen(getTestEnv(), `ternak/${anak.id}`)).toBeNull();
+    expect(await bacaDokumen(getTestEnv(), "eartag/BONO-011")).toBeNull();
+  });
+});
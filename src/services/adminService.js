@@ -2,30 +2,75 @@ import {
   collection,
   getDocs,
   doc,
-  addDoc,
-  updateDoc,
-  deleteDoc,
   serverTimestamp,
   query,
   where,
+  deleteField,
+  getDoc,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../firebase/config";
+import { hashPassword, getHashParams } from "../utils/passwordHash";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
 
 const usersCollection = collection(db, "users");
 
+// Data login Admin yang boleh dibaca sebelum login: ID user dan parameter
+// hash (salt, iterasi) per email, tanpa nilai hash-nya. Dokumen users
+// sendiri hanya bisa dibaca Super Admin (lihat firestore.rules).
+const LOGIN_COLLECTION = "adminLogin";
+
+const getLoginRef = (email) =>
+  doc(db, LOGIN_COLLECTION, encodeURIComponent(email.trim().toLowerCase()));
+
+const setAdminLogin = (batch, userId, email, passwordHash) =>
+  batch.set(getLoginRef(email), { userId, ...getHashParams(passwordHash) });
+
+// Entri audit untuk perubahan dokumen users (lihat auditService)
+const addAdminAudit = (batch, adminId, action, sebelum, sesudah) =>
+  addAuditEntry(batch, {
+    entity: AUDIT_ENTITY.ADMIN,
+    entityId: adminId,
+    action,
+    label: (sesudah || sebelum).email,
+    sebelum,
+    sesudah,
+  });
+
+const getAdminLogin = async (email) => {
+  const loginDoc = await getDoc(getLoginRef(email));
+  return loginDoc.exists() ? loginDoc.data() : null;
+};
+
 // Get only users with Admin or Super Admin roles
 const getAdmins = async () => {
   const q = query(
     usersCollection,
     where("role", "in", ["Admin", "Super Admin"])
   );
-  const snapshot = await getDocs(q);
-  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  const [snapshot, loginSnapshot] = await Promise.all([
+    getDocs(q),
+    getDocs(collection(db, LOGIN_COLLECTION)),
+  ]);
+  const loginUserIds = new Set(
+    loginSnapshot.docs.map((loginDoc) => loginDoc.data().userId)
+  );
+  return snapshot.docs.map((doc) => {
+    // Kredensial tidak pernah dikirim ke UI
+    const { password, passwordHash, ...data } = doc.data();
+    return {
+      id: doc.id,
+      ...data,
+      // Admin tanpa hash atau tanpa data login belum bisa login
+      perluMigrasiPassword:
+        data.role === "Admin" && (!passwordHash || !loginUserIds.has(doc.id)),
+    };
+  });
 };
 
 const addAdmin = async (adminData) => {
   try {
-    // Untuk role "Admin", struktur data sama seperti Super Admin + field password
+    // Untuk role "Admin", struktur data sama seperti Super Admin + field passwordHash
     const dataToAdd = {
       createdAt: serverTimestamp(),
       email: adminData.email,
@@ -35,13 +80,21 @@ const addAdmin = async (adminData) => {
       status: adminData.status || "Aktif",
     };
 
-    // Tambahkan password hanya untuk role "Admin" (bukan Super Admin)
+    // Simpan hash password hanya untuk role "Admin" (bukan Super Admin)
     if (adminData.role === "Admin") {
-      dataToAdd.password = adminData.password;
+      dataToAdd.passwordHash = await hashPassword(adminData.password);
     }
 
-    const docRef = await addDoc(usersCollection, dataToAdd);
-    return { id: docRef.id, ...dataToAdd };
+    const docRef = doc(usersCollection);
+    const batch = writeBatch(db);
+    batch.set(docRef, dataToAdd);
+    if (dataToAdd.passwordHash) {
+      setAdminLogin(batch, docRef.id, dataToAdd.email, dataToAdd.passwordHash);
+    }
+    addAdminAudit(batch, docRef.id, AUDIT_ACTION.CREATE, null, dataToAdd);
+    await batch.commit();
+    const { passwordHash, ...dataWithoutHash } = dataToAdd;
+    return { id: docRef.id, ...dataWithoutHash };
   } catch (error) {
     console.error("Error adding admin:", error);
     throw error;
@@ -60,13 +113,32 @@ const updateAdmin = async (id, adminData) => {
       status: adminData.status,
     };
 
-    // Tambahkan password hanya jika role adalah "Admin" dan password disediakan
+    // Ganti hash password hanya jika role adalah "Admin" dan password disediakan
     if (adminData.role === "Admin" && adminData.password) {
-      dataToUpdate.password = adminData.password;
+      dataToUpdate.passwordHash = await hashPassword(adminData.password);
+      dataToUpdate.password = deleteField();
     }
 
-    await updateDoc(adminDoc, dataToUpdate);
-    return { id, ...dataToUpdate };
+    const lama = (await getDoc(adminDoc)).data();
+    const batch = writeBatch(db);
+    batch.update(adminDoc, dataToUpdate);
+
+    // Data login mengikuti email dan hash terbaru
+    if (lama.email !== dataToUpdate.email || adminData.role !== "Admin") {
+      batch.delete(getLoginRef(lama.email));
+    }
+    const passwordHashAktif = dataToUpdate.passwordHash || lama.passwordHash;
+    if (adminData.role === "Admin" && passwordHashAktif) {
+      setAdminLogin(batch, id, dataToUpdate.email, passwordHashAktif);
+    }
+    addAdminAudit(batch, id, AUDIT_ACTION.UPDATE, lama, {
+      ...lama,
+      ...dataToUpdate,
+    });
+    await batch.commit();
+
+    const { password, passwordHash, ...dataWithoutCredential } = dataToUpdate;
+    return { id, ...dataWithoutCredential };
   } catch (error) {
     console.error("Error updating admin:", error);
     throw error;
@@ -75,7 +147,17 @@ const updateAdmin = async (id, adminData) => {
 
 const deleteAdmin = async (id) => {
   const adminDoc = doc(db, "users", id);
-  await deleteDoc(adminDoc);
+  const admin = await getDoc(adminDoc);
+  if (!admin.exists()) {
+    return;
+  }
+  const batch = writeBatch(db);
+  batch.delete(adminDoc);
+  if (admin.data().role === "Admin") {
+    batch.delete(getLoginRef(admin.data().email));
+  }
+  addAdminAudit(batch, id, AUDIT_ACTION.DELETE, admin.data(), null);
+  await batch.commit();
 
   // Note: For Super Admin, you might also want to delete from Auth
   // This requires the user object which we don't have here
@@ -97,19 +179,57 @@ const getAdminByEmail = async (email) => {
     }
 
     const adminDoc = snapshot.docs[0];
-    return { id: adminDoc.id, ...adminDoc.data() };
+    const { password, passwordHash, ...data } = adminDoc.data();
+    return { id: adminDoc.id, ...data };
   } catch (error) {
     console.error("Error getting admin by email:", error);
     throw error;
   }
 };
 
+// Migrasi dokumen lama: ubah password plain text menjadi passwordHash
+// dan lengkapi data login untuk setiap Admin
+const migratePlaintextPasswords = async () => {
+  try {
+    const q = query(usersCollection, where("role", "==", "Admin"));
+    const snapshot = await getDocs(q);
+    let migratedCount = 0;
+
+    for (const adminDoc of snapshot.docs) {
+      const data = adminDoc.data();
+      let { passwordHash } = data;
+      const batch = writeBatch(db);
+      if (!passwordHash && data.password) {
+        passwordHash = await hashPassword(data.password);
+        const migrasi = { passwordHash, password: deleteField() };
+        batch.update(adminDoc.ref, migrasi);
+        addAdminAudit(batch, adminDoc.id, AUDIT_ACTION.UPDATE, data, {
+          ...data,
+          ...migrasi,
+        });
+      }
+      if (passwordHash) {
+        setAdminLogin(batch, adminDoc.id, data.email, passwordHash);
+        migratedCount++;
+      }
+      await batch.commit();
+    }
+
+    return migratedCount;
+  } catch (error) {
+    console.error("Error migrating admin passwords:", error);
+    throw error;
+  }
+};
+
 const adminService = {
   getAdmins,
   addAdmin,
   updateAdmin,
   deleteAdmin,
   getAdminByEmail,
+  getAdminLogin,
+  migratePlaintextPasswords,
 };
 
 export default adminService;
@@ -0,0 +1,200 @@
+import { createLaporan, updateLaporan, getLaporanById } from "./laporanService";
+import { isDeleted } from "../utils/softDelete";
+import {
+  JENIS_ANTRIAN,
+  STATUS_ANTRIAN,
+  FIELD_LAPORAN_LABEL,
+  gabungPerubahanLaporan,
+  isErrorJaringan,
+} from "../utils/antrianLaporan";
+
+// Antrian laporan yang disimpan saat offline (lihat utils/antrianLaporan).
+// Disimpan di localStorage per perangkat dan dikirim ulang saat online.
+const STORAGE_KEY = "antrianLaporan";
+
+const listeners = new Set();
+let sinkronBerjalan = null;
+
+export const getAntrian = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error("Error reading antrian laporan:", error);
+    return [];
+  }
+};
+
+const setAntrian = (antrian) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(antrian));
+  listeners.forEach((listener) => listener(antrian));
+};
+
+const ubahItem = (itemId, perubahan) =>
+  setAntrian(
+    getAntrian().map((item) =>
+      item.id === itemId ? { ...item, ...perubahan } : item
+    )
+  );
+
+const hapusItem = (itemId) =>
+  setAntrian(getAntrian().filter((item) => item.id !== itemId));
+
+// Dipanggil setiap kali antrian berubah; mengembalikan fungsi unsubscribe
+export const subscribeAntrian = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Satu peternak hanya boleh punya satu laporan tertunda agar urutan
+// triwulan tidak bertabrakan saat antrian dikirim
+const tambahAntrian = (item) => {
+  const antrian = getAntrian();
+  if (antrian.some((lain) => lain.idPeternak === item.idPeternak)) {
+    throw new Error(
+      "Laporan peternak ini masih menunggu sinkronisasi. Tunggu hingga perangkat online kembali."
+    );
+  }
+  const itemBaru = {
+    ...item,
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    status: STATUS_ANTRIAN.MENUNGGU,
+    pesan: "",
+    konflik: [],
+    dibuatPada: new Date().toISOString(),
+  };
+  setAntrian([...antrian, itemBaru]);
+  return itemBaru;
+};
+
+export const hasAntrianPeternak = (idPeternak) =>
+  getAntrian().some((item) => item.idPeternak === idPeternak);
+
+// CREATE: langsung ke Firestore jika online, masuk antrian jika offline
+export const createLaporanAtauAntri = async (laporanData, label) => {
+  if (navigator.onLine) {
+    try {
+      return await createLaporan(laporanData);
+    } catch (error) {
+      if (!isErrorJaringan(error)) {
+        throw error;
+      }
+    }
+  }
+  const item = tambahAntrian({
+    jenis: JENIS_ANTRIAN.CREATE,
+    idPeternak: laporanData.idPeternak,
+    label,
+    data: laporanData,
+  });
+  return { ...laporanData, antrian: item };
+};
+
+// UPDATE: laporanDasar adalah laporan saat form edit dibuka, dipakai untuk
+// menggabungkan perubahan jika laporan diubah di perangkat lain
+export const updateLaporanAtauAntri = async (
+  laporanId,
+  updateData,
+  laporanDasar,
+  label
+) => {
+  if (navigator.onLine) {
+    try {
+      return await updateLaporan(laporanId, updateData);
+    } catch (error) {
+      if (!isErrorJaringan(error)) {
+        throw error;
+      }
+    }
+  }
+  const item = tambahAntrian({
+    jenis: JENIS_ANTRIAN.UPDATE,
+    idPeternak: laporanDasar.idPeternak,
+    idLaporan: laporanId,
+    label,
+    data: updateData,
+    dasar: laporanDasar,
+  });
+  return { id: laporanId, ...updateData, antrian: item };
+};
+
+const kirimItem = async (item) => {
+  if (item.jenis === JENIS_ANTRIAN.CREATE) {
+    await createLaporan(item.data);
+    return;
+  }
+  const server = await getLaporanById(item.idLaporan);
+  if (isDeleted(server)) {
+    throw new Error("Laporan sudah dipindahkan ke Tempat Sampah");
+  }
+  const { data, konflik } = gabungPerubahanLaporan(
+    item.dasar,
+    item.data,
+    server
+  );
+  if (konflik.length > 0) {
+    const error = new Error(
+      `Diubah juga di perangkat lain: ${konflik
+        .map((field) => FIELD_LAPORAN_LABEL[field])
+        .join(", ")}`
+    );
+    error.konflik = konflik;
+    throw error;
+  }
+  await updateLaporan(item.idLaporan, data);
+};
+
+// SINKRON: kirim semua antrian yang menunggu secara berurutan. Berhenti saat
+// koneksi putus lagi; item yang ditolak server ditandai konflik.
+export const sinkronkanAntrian = () => {
+  if (sinkronBerjalan) {
+    return sinkronBerjalan;
+  }
+  sinkronBerjalan = (async () => {
+    const hasil = { terkirim: 0, konflik: 0 };
+    const menunggu = getAntrian().filter(
+      (item) => item.status === STATUS_ANTRIAN.MENUNGGU
+    );
+    for (const item of menunggu) {
+      try {
+        await kirimItem(item);
+        hapusItem(item.id);
+        hasil.terkirim += 1;
+      } catch (error) {
+        if (isErrorJaringan(error)) {
+          break;
+        }
+        console.error("Error syncing antrian laporan:", error);
+        ubahItem(item.id, {
+          status: STATUS_ANTRIAN.KONFLIK,
+          pesan: error.message,
+          konflik: error.konflik || [],
+        });
+        hasil.konflik += 1;
+      }
+    }
+    return hasil;
+  })().finally(() => {
+    sinkronBerjalan = null;
+  });
+  return sinkronBerjalan;
+};
+
+// RESOLVE: pakai nilai offline untuk semua field, termasuk yang konflik
+export const pakaiDataLokal = async (itemId) => {
+  try {
+    const item = getAntrian().find((antrian) => antrian.id === itemId);
+    if (item.jenis === JENIS_ANTRIAN.CREATE) {
+      await createLaporan(item.data);
+    } else {
+      await updateLaporan(item.idLaporan, item.data);
+    }
+    hapusItem(itemId);
+  } catch (error) {
+    console.error("Error resolving antrian laporan:", error);
+    ubahItem(itemId, { pesan: error.message });
+    throw error;
+  }
+};
+
+// RESOLVE: buang perubahan offline, laporan di server dipertahankan
+export const buangAntrian = (itemId) => hapusItem(itemId);
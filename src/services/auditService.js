@@ -0,0 +1,138 @@
+import {
+  collection,
+  getDocs,
+  doc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  serverTimestamp,
+} from "firebase/firestore";
+import { db } from "../firebase/config";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+
+// Jejak audit setiap create/update/delete admin, peternak, laporan,
+// pengembalian, ternak dan catatan kesehatan.
+// Entri ditulis di batch/transaksi yang sama dengan perubahannya sehingga
+// tidak ada perubahan data tanpa catatan (lihat addAuditEntry).
+// timestamp diisi waktu server (dicek firestore.rules) agar urutan riwayat
+// tidak bergantung pada jam perangkat admin.
+const COLLECTION_AUDIT = "auditLog";
+
+export const JUMLAH_AUDIT_PER_HALAMAN = 50;
+
+// Field yang bisa difilter sama dengan (==); setiap field punya composite
+// index dengan timestamp di firestore.indexes.json
+export const FIELD_FILTER_AUDIT = ["entity", "idPeternak", "actorId"];
+
+export const AUDIT_ENTITY = {
+  ADMIN: "admin",
+  PETERNAK: "peternak",
+  LAPORAN: "laporan",
+  PENGEMBALIAN: "pengembalian",
+  TERNAK: "ternak",
+  KESEHATAN: "kesehatan",
+};
+
+export const AUDIT_ACTION = {
+  CREATE: "create",
+  UPDATE: "update",
+  DELETE: "delete",
+  RESTORE: "restore",
+  PURGE: "purge",
+};
+
+// Field yang tidak dicatat nilainya (kredensial) atau bukan data isian
+const REDACTED_FIELDS = ["password", "passwordHash"];
+const IGNORED_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "lastLogin",
+  "riwayatStatusKinerja",
+  "riwayat",
+];
+const REDACTED_VALUE = "[disembunyikan]";
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Diff { field: { dari, ke } } antara dokumen sebelum dan sesudah perubahan.
+// sebelum = null untuk create, sesudah = null untuk delete.
+export const hitungDiff = (sebelum, sesudah) => {
+  const lama = sebelum || {};
+  const baru = sesudah || {};
+  const fields = new Set([...Object.keys(lama), ...Object.keys(baru)]);
+
+  return [...fields].reduce((diff, field) => {
+    if (field === "id" || IGNORED_FIELDS.includes(field)) {
+      return diff;
+    }
+    const dari = lama[field] ?? null;
+    const ke = sesudah ? (baru[field] ?? null) : null;
+    if (isSameValue(dari, ke)) {
+      return diff;
+    }
+    if (REDACTED_FIELDS.includes(field)) {
+      return {
+        ...diff,
+        [field]: {
+          dari: dari === null ? null : REDACTED_VALUE,
+          ke: ke === null ? null : REDACTED_VALUE,
+        },
+      };
+    }
+    return { ...diff, [field]: { dari, ke } };
+  }, {});
+};
+
+// Tambahkan entri audit ke WriteBatch atau Transaction yang sedang berjalan
+export const addAuditEntry = (
+  writer,
+  { entity, entityId, action, label, idPeternak = null, sebelum, sesudah }
+) => {
+  const admin = getCurrentAdmin();
+  writer.set(doc(collection(db, COLLECTION_AUDIT)), {
+    entity,
+    entityId,
+    action,
+    label: label || "",
+    idPeternak,
+    actor: admin,
+    actorId: admin?.id || null,
+    diff: hitungDiff(sebelum, sesudah),
+    timestamp: serverTimestamp(),
+  });
+};
+
+// READ PAGE: { auditList, cursor, hasMore }, terbaru dulu. Filter kosong
+// tidak dipakai; cursor dari halaman ini dipakai untuk halaman berikutnya.
+// Satu dokumen tambahan diambil untuk mengetahui ada halaman berikutnya.
+export const getAuditPage = async (
+  filter = {},
+  { pageSize = JUMLAH_AUDIT_PER_HALAMAN, cursor = null } = {}
+) => {
+  try {
+    const auditQuery = query(
+      collection(db, COLLECTION_AUDIT),
+      ...FIELD_FILTER_AUDIT.filter((field) => filter[field]).map((field) =>
+        where(field, "==", filter[field])
+      ),
+      orderBy("timestamp", "desc"),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(pageSize + 1)
+    );
+    const querySnapshot = await getDocs(auditQuery);
+    const docs = querySnapshot.docs.slice(0, pageSize);
+    return {
+      auditList: docs.map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      })),
+      cursor: docs[docs.length - 1] || null,
+      hasMore: querySnapshot.docs.length > pageSize,
+    };
+  } catch (error) {
+    console.error("Error getting audit page:", error);
+    throw error;
+  }
+};
@@ -1,21 +1,106 @@
+import { initializeApp, deleteApp } from "firebase/app";
 import {
+  getAuth,
   signInWithEmailAndPassword,
+  signInAnonymously,
   createUserWithEmailAndPassword,
   updatePassword,
+  signOut,
 } from "firebase/auth";
 import {
-  collection,
-  getDocs,
-  query,
-  where,
   doc,
   setDoc,
   getDoc,
   updateDoc,
   deleteDoc,
   serverTimestamp,
+  Timestamp,
+  writeBatch,
 } from "firebase/firestore";
 import { auth, db } from "../firebase/config";
+import { connectAuthToEmulator } from "../firebase/emulator";
+import { hashPassword } from "../utils/passwordHash";
+import adminService from "./adminService";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+
+// Sesi login disimpan di collection "sessions" dengan ID = UID Firebase Auth
+// pengguna yang login, sehingga firestore.rules bisa mengenali role dari
+// request.auth.uid. Super Admin memakai akun Firebase Auth, Admin memakai
+// akun anonim yang baru mendapat sesi jika hash password-nya cocok.
+const SESSION_COLLECTION = "sessions";
+const SESSION_DURATION_MS = 8 * 60 * 60 * 1000; // 8 jam sejak aktivitas terakhir
+const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // paling lama 7 hari sejak login
+
+// createdAt = Timestamp waktu server saat login; rules menolak perpanjangan
+// yang melewati SESSION_MAX_AGE_MS sejak itu
+const getSessionExpiry = (createdAt = null) =>
+  Timestamp.fromMillis(
+    Math.min(
+      Date.now() + SESSION_DURATION_MS,
+      createdAt ? createdAt.toMillis() + SESSION_MAX_AGE_MS : Infinity
+    )
+  );
+
+const createSession = async (sessionId, userId, role, extraData = {}) => {
+  await setDoc(doc(db, SESSION_COLLECTION, sessionId), {
+    userId,
+    role,
+    createdAt: serverTimestamp(),
+    expiresAt: getSessionExpiry(),
+    ...extraData,
+  });
+  return sessionId;
+};
+
+// Penulisan Firestore saat offline baru selesai setelah koneksi kembali,
+// jadi validateSession tidak menunggunya. Sesi yang tidak berlaku cukup
+// ditolak selama offline; dokumennya dihapus saat online.
+const hapusSesi = async (sessionRef) => {
+  if (navigator.onLine) {
+    await deleteDoc(sessionRef);
+  }
+};
+
+const loginAdmin = async (email, password) => {
+  // Hanya salt dan iterasi yang bisa dibaca sebelum login. Hash yang dihitung
+  // di sini dicocokkan oleh rules saat dokumen sesi dibuat.
+  const loginData = await adminService.getAdminLogin(email);
+  if (!loginData) {
+    throw new Error("Email atau password salah");
+  }
+  const passwordHash = await hashPassword(password, loginData);
+
+  if (auth.currentUser) {
+    await signOut(auth);
+  }
+  const { user } = await signInAnonymously(auth);
+  await createSession(user.uid, loginData.userId, "Admin", { passwordHash });
+
+  const adminRef = doc(db, "users", loginData.userId);
+  const adminDoc = await getDoc(adminRef);
+  const { passwordHash: storedHash, ...adminData } = adminDoc.exists()
+    ? adminDoc.data()
+    : {};
+  // Cek ulang di client untuk lingkungan yang belum memasang rules
+  if (
+    storedHash !== passwordHash ||
+    adminData.role !== "Admin" ||
+    adminData.status === "Tidak Aktif"
+  ) {
+    throw new Error("Email atau password salah");
+  }
+
+  // Update lastLogin untuk Admin
+  await updateDoc(adminRef, { lastLogin: serverTimestamp() });
+
+  // Return data yang compatible dengan Firebase user format
+  return {
+    uid: adminDoc.id,
+    email: adminData.email,
+    accessToken: user.uid,
+    ...adminData,
+  };
+};
 
 const login = async (email, password) => {
   try {
@@ -35,49 +120,93 @@ const login = async (email, password) => {
         await updateDoc(doc(db, "users", user.uid), {
           lastLogin: serverTimestamp(),
         });
-        return { ...user, ...userData };
+        const accessToken = await createSession(
+          user.uid,
+          user.uid,
+          userData.role
+        );
+        return { ...user, ...userData, accessToken };
       }
+      await signOut(auth);
     } catch (firebaseError) {
       // Jika Firebase Auth gagal, coba login collection-based (untuk Admin biasa)
       console.log("Firebase Auth failed, trying collection-based auth");
     }
 
-    // Kedua, coba login dengan collection "users" (untuk Admin biasa)
-    const usersCollection = collection(db, "users");
-    const q = query(
-      usersCollection,
-      where("email", "==", email),
-      where("role", "==", "Admin")
-    );
-    const querySnapshot = await getDocs(q);
+    // Kedua, login Admin biasa lewat data login collection-based
+    return await loginAdmin(email, password);
+  } catch (error) {
+    console.error("Login error:", error);
+    if (auth.currentUser?.isAnonymous) {
+      await logout(auth.currentUser.uid);
+    }
+    throw new Error("Email atau password salah");
+  }
+};
 
-    if (querySnapshot.empty) {
-      throw new Error("Email atau password salah");
+// Validasi token sesi dari localStorage. Token hanya berlaku untuk pengguna
+// Firebase Auth yang sedang login dengan UID yang sama. Sesi yang valid
+// diperpanjang, sesi yang tidak valid atau kedaluwarsa mengembalikan null.
+const validateSession = async (token) => {
+  try {
+    if (!token) {
+      return null;
     }
 
-    const adminDoc = querySnapshot.docs[0];
-    const adminData = adminDoc.data();
+    await auth.authStateReady();
+    if (auth.currentUser?.uid !== token) {
+      return null;
+    }
 
-    // Verifikasi password (plain text comparison untuk Admin)
-    if (adminData.password !== password) {
-      throw new Error("Email atau password salah");
+    const sessionRef = doc(db, SESSION_COLLECTION, token);
+    const sessionDoc = await getDoc(sessionRef);
+    if (!sessionDoc.exists()) {
+      return null;
     }
 
-    // Update lastLogin untuk Admin
-    await updateDoc(doc(db, "users", adminDoc.id), {
-      lastLogin: serverTimestamp(),
-    });
+    const session = sessionDoc.data();
+    if (session.expiresAt.toMillis() <= Date.now()) {
+      await hapusSesi(sessionRef);
+      return null;
+    }
+
+    const userDoc = await getDoc(doc(db, "users", session.userId));
+    if (!userDoc.exists() || userDoc.data().status === "Tidak Aktif") {
+      await hapusSesi(sessionRef);
+      return null;
+    }
+    const userData = userDoc.data();
+
+    // Perpanjangan sesi tidak ditunggu dan dilewati saat offline; data sesi
+    // dari cache sudah cukup untuk membuka aplikasi
+    if (navigator.onLine) {
+      updateDoc(sessionRef, {
+        expiresAt: getSessionExpiry(session.createdAt),
+      }).catch((error) => console.error("Error extending session:", error));
+    }
 
-    // Return data yang compatible dengan Firebase user format
     return {
-      uid: adminDoc.id,
-      email: adminData.email,
-      accessToken: `admin_${adminDoc.id}_${Date.now()}`, // Custom token for admin
-      ...adminData,
+      id: userDoc.id,
+      email: userData.email,
+      name: userData.fullName,
+      role: userData.role,
     };
   } catch (error) {
-    console.error("Login error:", error);
-    throw new Error("Email atau password salah");
+    console.error("Error validating session:", error);
+    return null;
+  }
+};
+
+const logout = async (token) => {
+  try {
+    if (token) {
+      await deleteDoc(doc(db, SESSION_COLLECTION, token));
+    }
+    if (auth.currentUser) {
+      await signOut(auth);
+    }
+  } catch (error) {
+    console.error("Logout error:", error);
   }
 };
 
@@ -85,13 +214,26 @@ const registerSuperAdmin = async (adminData) => {
   try {
     const { fullName, email, password } = adminData;
 
-    // Langkah 1: Buat pengguna di Firebase Authentication
-    const userCredential = await createUserWithEmailAndPassword(
-      auth,
-      email,
-      password
+    // Langkah 1: Buat pengguna di Firebase Authentication lewat instance app
+    // terpisah, agar Super Admin yang sedang login tidak ikut berganti akun
+    // (aturan collection users mensyaratkan Super Admin yang menulis)
+    const registrasiApp = initializeApp(
+      auth.app.options,
+      `registrasi-${Date.now()}`
     );
-    const user = userCredential.user;
+    let user;
+    try {
+      const registrasiAuth = connectAuthToEmulator(getAuth(registrasiApp));
+      const userCredential = await createUserWithEmailAndPassword(
+        registrasiAuth,
+        email,
+        password
+      );
+      user = userCredential.user;
+      await signOut(registrasiAuth);
+    } finally {
+      await deleteApp(registrasiApp);
+    }
 
     // Langkah 2: Siapkan data untuk disimpan di Firestore (sesuai struktur database)
     const newUserDocument = {
@@ -105,7 +247,17 @@ const registerSuperAdmin = async (adminData) => {
     };
 
     // Langkah 3: Simpan dokumen ke Firestore dengan ID dari UID pengguna
-    await setDoc(doc(db, "users", user.uid), newUserDocument);
+    const batch = writeBatch(db);
+    batch.set(doc(db, "users", user.uid), newUserDocument);
+    addAuditEntry(batch, {
+      entity: AUDIT_ENTITY.ADMIN,
+      entityId: user.uid,
+      action: AUDIT_ACTION.CREATE,
+      label: email,
+      sebelum: null,
+      sesudah: newUserDocument,
+    });
+    await batch.commit();
 
     // Langkah 4: Kembalikan data lengkap untuk ditampilkan di UI
     return {
@@ -130,7 +282,18 @@ const updateSuperAdmin = async (id, adminData, newPassword = null) => {
       // Password tidak pernah disimpan di Firestore untuk Super Admin
     };
 
-    await updateDoc(userDoc, dataToUpdate);
+    const sebelum = (await getDoc(userDoc)).data();
+    const batch = writeBatch(db);
+    batch.update(userDoc, dataToUpdate);
+    addAuditEntry(batch, {
+      entity: AUDIT_ENTITY.ADMIN,
+      entityId: id,
+      action: AUDIT_ACTION.UPDATE,
+      label: dataToUpdate.email,
+      sebelum,
+      sesudah: { ...sebelum, ...dataToUpdate },
+    });
+    await batch.commit();
 
     // If password needs to be updated, update in Auth
     if (newPassword) {
@@ -153,7 +316,18 @@ const deleteSuperAdmin = async (id) => {
   try {
     // Delete from Firestore
     const userDoc = doc(db, "users", id);
-    await deleteDoc(userDoc);
+    const sebelum = (await getDoc(userDoc)).data();
+    const batch = writeBatch(db);
+    batch.delete(userDoc);
+    addAuditEntry(batch, {
+      entity: AUDIT_ENTITY.ADMIN,
+      entityId: id,
+      action: AUDIT_ACTION.DELETE,
+      label: sebelum?.email,
+      sebelum: sebelum || {},
+      sesudah: null,
+    });
+    await batch.commit();
 
     // Note: Deleting from Auth requires the user object
     // This is complex because you can't delete other users from client
@@ -166,6 +340,8 @@ const deleteSuperAdmin = async (id) => {
 
 const authService = {
   login,
+  logout,
+  validateSession,
   registerSuperAdmin,
   updateSuperAdmin,
   deleteSuperAdmin,
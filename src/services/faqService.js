@@ -0,0 +1,287 @@
+import {
+  collection,
+  getDocs,
+  doc,
+  updateDoc,
+  query,
+  where,
+  writeBatch,
+  deleteField,
+} from "firebase/firestore";
+import { db } from "../firebase/config";
+import { getAllPeternak } from "./peternakService";
+import { getAllLaporan } from "./laporanService";
+
+const COLLECTION_FAQ = "faq";
+
+// Satu writeBatch maksimal 500 operasi; sinkronisasi pertama dari data lama
+// bisa membuat lebih dari itu, jadi penulisan dibagi per FAQ_BATCH_SIZE entri
+const FAQ_BATCH_SIZE = 400;
+// Batas nilai array-contains-any dalam satu query
+const MAKS_FILTER_SUMBER = 30;
+
+// Status kurasi entri FAQ
+export const FAQ_STATUS = {
+  DRAFT: "Draft",
+  PUBLIK: "Dipublikasikan",
+  TERSEMBUNYI: "Disembunyikan",
+  DIGABUNG: "Digabung",
+};
+
+const getTriwulanLabel = (laporan) =>
+  laporan.displayPeriod || `Triwulan ${laporan.quarter} ${laporan.year}`;
+
+// Alasan entri FAQ perlu ditinjau ulang (lihat tandaiFaqLaporanDihapus)
+export const ALASAN_TINJAU_FAQ = {
+  TEMPAT_SAMPAH: "Laporan sumber dipindahkan ke Tempat Sampah",
+  DIHAPUS_PERMANEN: "Laporan sumber dihapus permanen",
+};
+
+// Jalankan write untuk setiap item, dibagi ke beberapa batch berurutan
+const commitPerBatch = async (items, write) => {
+  for (let i = 0; i < items.length; i += FAQ_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    items.slice(i, i + FAQ_BATCH_SIZE).forEach((item) => write(batch, item));
+    await batch.commit();
+  }
+};
+
+// Bentuk entri FAQ dari satu laporan
+const toFaqEntry = (laporan, peternak) => ({
+  sumberLaporan: [laporan.id],
+  idPeternak: laporan.idPeternak,
+  namaPeternak: peternak?.namaLengkap || "Peternak",
+  triwulan: getTriwulanLabel(laporan),
+  tanggalLaporan: laporan.tanggalLaporan,
+  kendala: laporan.kendala || "",
+  solusi: laporan.solusi || "",
+  keterangan: laporan.catatan || laporan.keterangan || "",
+});
+
+// Dipakai saat admin sudah meninjau ulang entri yang ditandai
+const clearTandaTinjau = () => ({
+  perluTinjau: deleteField(),
+  alasanTinjau: deleteField(),
+});
+
+// READ ALL FAQ (untuk halaman kurasi admin)
+export const getAllFaq = async () => {
+  try {
+    const querySnapshot = await getDocs(collection(db, COLLECTION_FAQ));
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) =>
+        (b.tanggalLaporan || "").localeCompare(a.tanggalLaporan || "")
+      );
+  } catch (error) {
+    console.error("Error getting all faq:", error);
+    throw error;
+  }
+};
+
+// READ FAQ YANG SUDAH DIPUBLIKASIKAN (untuk halaman publik)
+export const getPublishedFaq = async () => {
+  try {
+    const faqQuery = query(
+      collection(db, COLLECTION_FAQ),
+      where("status", "==", FAQ_STATUS.PUBLIK)
+    );
+    const querySnapshot = await getDocs(faqQuery);
+    return querySnapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) =>
+        (b.tanggalLaporan || "").localeCompare(a.tanggalLaporan || "")
+      );
+  } catch (error) {
+    console.error("Error getting published faq:", error);
+    throw error;
+  }
+};
+
+// GENERATE: buat entri Draft dari laporan yang punya kendala/solusi
+// dan belum pernah dijadikan FAQ
+export const syncFaqFromLaporan = async () => {
+  try {
+    const [laporanList, peternakList, faqList] = await Promise.all([
+      getAllLaporan(),
+      getAllPeternak(),
+      getAllFaq(),
+    ]);
+
+    const laporanSudahAda = new Set(
+      faqList.flatMap((faq) => faq.sumberLaporan || [])
+    );
+
+    const kandidat = laporanList.filter(
+      (laporan) =>
+        (laporan.kendala?.trim() || laporan.solusi?.trim()) &&
+        !laporanSudahAda.has(laporan.id)
+    );
+
+    if (!kandidat.length) {
+      return [];
+    }
+
+    const now = new Date().toISOString();
+    const created = kandidat.map((laporan) => {
+      const peternak = peternakList.find((p) => p.id === laporan.idPeternak);
+      const faqRef = doc(collection(db, COLLECTION_FAQ));
+      const data = {
+        ...toFaqEntry(laporan, peternak),
+        status: FAQ_STATUS.DRAFT,
+        createdAt: now,
+        updatedAt: now,
+      };
+      return { id: faqRef.id, ...data };
+    });
+    await commitPerBatch(created, (batch, { id, ...data }) =>
+      batch.set(doc(db, COLLECTION_FAQ, id), data)
+    );
+
+    return created;
+  } catch (error) {
+    console.error("Error syncing faq from laporan:", error);
+    throw error;
+  }
+};
+
+// UPDATE ISI (kendala/solusi/keterangan hasil kurasi)
+export const updateFaq = async (faqId, updateData) => {
+  try {
+    const {
+      id,
+      status,
+      sumberLaporan,
+      perluTinjau,
+      alasanTinjau,
+      ...dataWithoutMeta
+    } = updateData;
+    const finalUpdateData = {
+      ...dataWithoutMeta,
+      updatedAt: new Date().toISOString(),
+    };
+    // Isi yang sudah dikurasi ulang tidak perlu ditinjau lagi
+    await updateDoc(doc(db, COLLECTION_FAQ, faqId), {
+      ...finalUpdateData,
+      ...clearTandaTinjau(),
+    });
+    return { id: faqId, ...finalUpdateData };
+  } catch (error) {
+    console.error("Error updating faq:", error);
+    throw error;
+  }
+};
+
+// PUBLIKASI / SEMBUNYIKAN
+export const updateFaqStatus = async (faqId, status) => {
+  try {
+    const allowedStatus = [
+      FAQ_STATUS.DRAFT,
+      FAQ_STATUS.PUBLIK,
+      FAQ_STATUS.TERSEMBUNYI,
+    ];
+    if (!allowedStatus.includes(status)) {
+      throw new Error(`Status FAQ ${status} tidak valid`);
+    }
+    const updateData = { status, updatedAt: new Date().toISOString() };
+    await updateDoc(doc(db, COLLECTION_FAQ, faqId), {
+      ...updateData,
+      ...(status === FAQ_STATUS.PUBLIK && clearTandaTinjau()),
+    });
+    return { id: faqId, ...updateData };
+  } catch (error) {
+    console.error("Error updating faq status:", error);
+    throw error;
+  }
+};
+
+export const publishFaq = (faqId) => updateFaqStatus(faqId, FAQ_STATUS.PUBLIK);
+
+export const hideFaq = (faqId) =>
+  updateFaqStatus(faqId, FAQ_STATUS.TERSEMBUNYI);
+
+// MERGE: gabungkan beberapa entri ke satu entri utama.
+// Entri lain ditandai "Digabung" dan tidak tampil di halaman publik.
+export const mergeFaq = async (targetId, faqList, mergedContent) => {
+  try {
+    const target = faqList.find((faq) => faq.id === targetId);
+    if (!target) {
+      throw new Error("Entri FAQ utama tidak ditemukan");
+    }
+    const sources = faqList.filter((faq) => faq.id !== targetId);
+    if (!sources.length) {
+      throw new Error("Pilih minimal dua entri FAQ untuk digabung");
+    }
+
+    const all = [target, ...sources];
+    const namaPeternak = [...new Set(all.map((faq) => faq.namaPeternak))].join(
+      ", "
+    );
+    const now = new Date().toISOString();
+    const targetData = {
+      kendala: mergedContent?.kendala ?? target.kendala,
+      solusi: mergedContent?.solusi ?? target.solusi,
+      keterangan: mergedContent?.keterangan ?? target.keterangan,
+      namaPeternak,
+      sumberLaporan: all.flatMap((faq) => faq.sumberLaporan || []),
+      updatedAt: now,
+    };
+
+    // Entri utama ditulis paling akhir: jika salah satu batch gagal,
+    // penggabungan yang sama bisa diulang tanpa entri utama berubah dulu
+    await commitPerBatch(sources, (batch, faq) =>
+      batch.update(doc(db, COLLECTION_FAQ, faq.id), {
+        status: FAQ_STATUS.DIGABUNG,
+        digabungKe: targetId,
+        updatedAt: now,
+      })
+    );
+    await updateDoc(doc(db, COLLECTION_FAQ, targetId), targetData);
+
+    return { id: targetId, ...target, ...targetData };
+  } catch (error) {
+    console.error("Error merging faq:", error);
+    throw error;
+  }
+};
+
+// Laporan sumber dipindah ke Tempat Sampah atau dihapus permanen: entri FAQ
+// yang memakainya ditarik dari halaman publik (Dipublikasikan menjadi
+// Disembunyikan) dan ditandai perluTinjau di halaman kurasi. Entri yang
+// digabung ikut terwakili oleh entri utamanya karena sumberLaporan disalin.
+export const tandaiFaqLaporanDihapus = async (idLaporanList, alasanTinjau) => {
+  try {
+    const faqMap = new Map();
+    for (let i = 0; i < idLaporanList.length; i += MAKS_FILTER_SUMBER) {
+      const faqQuery = query(
+        collection(db, COLLECTION_FAQ),
+        where(
+          "sumberLaporan",
+          "array-contains-any",
+          idLaporanList.slice(i, i + MAKS_FILTER_SUMBER)
+        )
+      );
+      const querySnapshot = await getDocs(faqQuery);
+      querySnapshot.docs
+        .filter((doc) => doc.data().status !== FAQ_STATUS.DIGABUNG)
+        .forEach((doc) => faqMap.set(doc.id, doc.data()));
+    }
+
+    const now = new Date().toISOString();
+    const faqList = [...faqMap].map(([id, faq]) => ({ id, ...faq }));
+    await commitPerBatch(faqList, (batch, faq) =>
+      batch.update(doc(db, COLLECTION_FAQ, faq.id), {
+        ...(faq.status === FAQ_STATUS.PUBLIK && {
+          status: FAQ_STATUS.TERSEMBUNYI,
+        }),
+        perluTinjau: true,
+        alasanTinjau,
+        updatedAt: now,
+      })
+    );
+    return faqList.length;
+  } catch (error) {
+    console.error("Error flagging faq of deleted laporan:", error);
+    throw error;
+  }
+};
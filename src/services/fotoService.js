@@ -0,0 +1,82 @@
+import {
+  ref,
+  uploadBytes,
+  getDownloadURL,
+  deleteObject,
+} from "firebase/storage";
+import { storage } from "../firebase/config";
+import { compressImage, validateFileFoto } from "../utils/foto";
+
+// Foto di Firebase Storage (lihat storage.rules):
+// - peternak/{namaFile}: foto profil peternak (urlFotoPeternak)
+// - laporan/{idPeternak}/{namaFile}: foto bukti laporan triwulan
+// Dokumen Firestore menyimpan url dan path; path dipakai untuk menghapus
+// file saat foto diganti atau datanya dihapus permanen.
+const FOLDER_PETERNAK = "peternak";
+const FOLDER_LAPORAN = "laporan";
+
+const buatNamaFile = () =>
+  `${Date.now()}-${Math.random().toString(36).slice(2, 10)}.jpg`;
+
+const uploadFoto = async (path, file) => {
+  if (!navigator.onLine) {
+    throw new Error("Foto hanya bisa diunggah saat perangkat online");
+  }
+  const errorMessage = validateFileFoto(file);
+  if (errorMessage) {
+    throw new Error(errorMessage);
+  }
+  const blob = await compressImage(file);
+  const fotoRef = ref(storage, path);
+  await uploadBytes(fotoRef, blob, { contentType: "image/jpeg" });
+  return { path, url: await getDownloadURL(fotoRef) };
+};
+
+// UPLOAD FOTO PETERNAK
+export const uploadFotoPeternak = async (file) => {
+  try {
+    return await uploadFoto(`${FOLDER_PETERNAK}/${buatNamaFile()}`, file);
+  } catch (error) {
+    console.error("Error uploading foto peternak:", error);
+    throw error;
+  }
+};
+
+// UPLOAD FOTO LAPORAN
+export const uploadFotoLaporan = async (idPeternak, file, kategori) => {
+  try {
+    const foto = await uploadFoto(
+      `${FOLDER_LAPORAN}/${idPeternak}/${buatNamaFile()}`,
+      file
+    );
+    return { ...foto, kategori, uploadedAt: new Date().toISOString() };
+  } catch (error) {
+    console.error("Error uploading foto laporan:", error);
+    throw error;
+  }
+};
+
+// DELETE: file yang sudah tidak ada dianggap berhasil dihapus
+export const deleteFoto = async (path) => {
+  try {
+    await deleteObject(ref(storage, path));
+  } catch (error) {
+    if (error.code === "storage/object-not-found") {
+      return;
+    }
+    console.error("Error deleting foto:", error);
+    throw error;
+  }
+};
+
+// Hapus beberapa file setelah dokumennya tersimpan. Kegagalan hanya dicatat
+// karena data Firestore sudah benar; sisa file tidak lagi dirujuk.
+export const deleteFotoTidakDipakai = async (pathList) => {
+  const hasil = await Promise.allSettled(
+    pathList.filter(Boolean).map(deleteFoto)
+  );
+  const gagal = hasil.filter((item) => item.status === "rejected");
+  if (gagal.length > 0) {
+    console.error(`${gagal.length} foto gagal dihapus dari Storage`);
+  }
+};
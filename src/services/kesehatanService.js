@@ -0,0 +1,165 @@
+import {
+  collection,
+  getDocs,
+  doc,
+  query,
+  where,
+  orderBy,
+  getDoc,
+  writeBatch,
+} from "firebase/firestore";
+import { db } from "../firebase/config";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+import { toDateString } from "../utils/programQuarter";
+import { isDeleted } from "../utils/softDelete";
+import { validateCatatanKesehatan } from "../utils/kesehatan";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+
+// Catatan kesehatan ternak per peternak, opsional per ekor (lihat
+// utils/kesehatan). Catatan tidak pernah diubah; koreksi dilakukan dengan
+// menghapus lalu mencatat ulang.
+const COLLECTION_KESEHATAN = "kesehatan";
+const COLLECTION_PETERNAK = "peternak";
+const COLLECTION_TERNAK = "ternak";
+
+const addKesehatanAudit = (batch, catatanId, action, sebelum, sesudah) => {
+  const catatan = sesudah || sebelum;
+  addAuditEntry(batch, {
+    entity: AUDIT_ENTITY.KESEHATAN,
+    entityId: catatanId,
+    action,
+    label: `${catatan.namaObat} (${catatan.tanggal})`,
+    idPeternak: catatan.idPeternak,
+    sebelum,
+    sesudah,
+  });
+};
+
+// CREATE
+export const createKesehatan = async (kesehatanData) => {
+  try {
+    const { idPeternak } = kesehatanData;
+    const idTernak = kesehatanData.idTernak || null;
+    if (!idPeternak) {
+      throw new Error("Peternak wajib dipilih");
+    }
+    const errorMessage = validateCatatanKesehatan(
+      kesehatanData,
+      toDateString(new Date())
+    );
+    if (errorMessage) {
+      throw new Error(errorMessage);
+    }
+
+    const peternakDoc = await getDoc(doc(db, COLLECTION_PETERNAK, idPeternak));
+    if (!peternakDoc.exists() || isDeleted(peternakDoc.data())) {
+      throw new Error("Data peternak tidak ditemukan");
+    }
+    if (idTernak) {
+      const ternakDoc = await getDoc(doc(db, COLLECTION_TERNAK, idTernak));
+      if (!ternakDoc.exists() || ternakDoc.data().idPeternak !== idPeternak) {
+        throw new Error("Ternak bukan milik peternak ini");
+      }
+    }
+
+    const admin = getCurrentAdmin();
+    const finalData = {
+      idPeternak,
+      idTernak,
+      jenis: kesehatanData.jenis,
+      tanggal: kesehatanData.tanggal,
+      namaObat: kesehatanData.namaObat.trim(),
+      dosis: (kesehatanData.dosis || "").trim(),
+      petugas: kesehatanData.petugas.trim(),
+      keterangan: (kesehatanData.keterangan || "").trim(),
+      tanggalJatuhTempo: kesehatanData.tanggalJatuhTempo || null,
+      dicatatOleh: admin ? { id: admin.id, name: admin.name } : null,
+      createdAt: new Date().toISOString(),
+    };
+
+    const kesehatanRef = doc(collection(db, COLLECTION_KESEHATAN));
+    const batch = writeBatch(db);
+    batch.set(kesehatanRef, finalData);
+    addKesehatanAudit(
+      batch,
+      kesehatanRef.id,
+      AUDIT_ACTION.CREATE,
+      null,
+      finalData
+    );
+    await batch.commit();
+
+    return { id: kesehatanRef.id, ...finalData };
+  } catch (error) {
+    console.error("Error creating kesehatan:", error);
+    throw error;
+  }
+};
+
+// READ ALL (terbaru dulu)
+export const getAllKesehatan = async () => {
+  try {
+    const kesehatanQuery = query(
+      collection(db, COLLECTION_KESEHATAN),
+      orderBy("tanggal", "desc")
+    );
+    const querySnapshot = await getDocs(kesehatanQuery);
+    return querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+  } catch (error) {
+    console.error("Error getting all kesehatan:", error);
+    throw error;
+  }
+};
+
+// READ ALL BY PETERNAK (terbaru dulu)
+export const getKesehatanByPeternak = async (idPeternak) => {
+  try {
+    const kesehatanQuery = query(
+      collection(db, COLLECTION_KESEHATAN),
+      where("idPeternak", "==", idPeternak)
+    );
+    const querySnapshot = await getDocs(kesehatanQuery);
+    return querySnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .sort(
+        (a, b) =>
+          b.tanggal.localeCompare(a.tanggal) ||
+          b.createdAt.localeCompare(a.createdAt)
+      );
+  } catch (error) {
+    console.error("Error getting kesehatan by peternak:", error);
+    throw error;
+  }
+};
+
+// DELETE
+export const deleteKesehatan = async (kesehatanId) => {
+  try {
+    const kesehatanRef = doc(db, COLLECTION_KESEHATAN, kesehatanId);
+    const kesehatanDoc = await getDoc(kesehatanRef);
+    if (!kesehatanDoc.exists()) {
+      throw new Error("Catatan kesehatan tidak ditemukan");
+    }
+
+    const batch = writeBatch(db);
+    batch.delete(kesehatanRef);
+    addKesehatanAudit(
+      batch,
+      kesehatanId,
+      AUDIT_ACTION.DELETE,
+      kesehatanDoc.data(),
+      null
+    );
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting kesehatan:", error);
+    throw error;
+  }
+};
@@ -1,31 +1,258 @@
 import {
   collection,
-  addDoc,
   getDocs,
   doc,
-  updateDoc,
-  deleteDoc,
   query,
   where,
   orderBy,
   getDoc,
+  runTransaction,
+  writeBatch,
+  arrayUnion,
+  deleteField,
+  onSnapshot,
+  limit,
+  startAfter,
 } from "firebase/firestore";
 import { db } from "../firebase/config";
-import { getPeternakById } from "./peternakService";
+import {
+  getPeternakById,
+  getAllPeternak,
+  toPeternakPublik,
+  getVersiLaporan,
+  assertVersiLaporan,
+  naikkanVersiLaporan,
+} from "./peternakService";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+import {
+  getStatusKinerja,
+  getStatusKinerjaOtomatis,
+} from "../utils/statusKinerja";
+import {
+  TOTAL_TRIWULAN_PROGRAM,
+  getProgramQuarter,
+  getNextProgramQuarter,
+  validateQuarterSequence,
+} from "../utils/programQuarter";
+import { assertLaporanValid } from "../utils/laporanValidation";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+import { getPengembalianByPeternak } from "./pengembalianService";
+import { hitungJumlahDikembalikan } from "../utils/pengembalian";
+import {
+  hasPeristiwaTernak,
+  hitungJumlahPeristiwa,
+  PERISTIWA_LAPORAN_KOSONG,
+} from "../utils/ternak";
+import {
+  prepareKelahiran,
+  applyPeristiwaLaporan,
+  batalkanPeristiwaLaporan,
+} from "./ternakService";
+import { deleteFotoTidakDipakai } from "./fotoService";
+import { ALASAN_TINJAU_FAQ, tandaiFaqLaporanDihapus } from "./faqService";
+import { getPathFoto } from "../utils/foto";
+import {
+  isDeleted,
+  withoutDeleted,
+  createDeletedMarker,
+  clearDeletedMarker,
+  assertSuperAdmin,
+} from "../utils/softDelete";
+import {
+  URUTAN_LAPORAN,
+  JUMLAH_LAPORAN_PER_HALAMAN,
+  FIELD_URUTAN_LAPORAN,
+  getFilterAktif,
+} from "../utils/laporanQuery";
 
 const COLLECTION_LAPORAN = "laporan";
+const COLLECTION_PETERNAK = "peternak";
+const COLLECTION_PETERNAK_PUBLIK = "peternakPublik";
+
+const NUMBER_FIELDS = [
+  "jumlahTernakAwal",
+  "jumlahLahir",
+  "jumlahKematian",
+  "jumlahTerjual",
+  "jumlahDikembalikan",
+  "jumlahTernakSaatIni",
+];
+
+const toNumberFields = (data) =>
+  NUMBER_FIELDS.reduce(
+    (result, field) =>
+      data[field] === undefined
+        ? result
+        : { ...result, [field]: Number(data[field]) },
+    {}
+  );
+
+// Konteks validasi dari laporan triwulan sebelum dan sesudahnya serta
+// pengembalian yang jatuh di antara laporan sebelumnya dan tanggal laporan ini
+const getValidationContext = (
+  peternak,
+  laporanList,
+  pengembalianList,
+  laporan,
+  periode
+) => {
+  const sebelumnya = laporanList.find(
+    (item) => Number(item.quarter) === Number(laporan.quarter) - 1
+  );
+  const berikutnya = laporanList.find(
+    (item) => Number(item.quarter) === Number(laporan.quarter) + 1
+  );
+  return {
+    jumlahTernakAwalSeharusnya: sebelumnya
+      ? sebelumnya.jumlahTernakSaatIni
+      : Number(peternak.jumlahTernakAwal) || 0,
+    jumlahTernakAwalBerikutnya: berikutnya?.jumlahTernakAwal,
+    jumlahDikembalikanSeharusnya: hitungJumlahDikembalikan(
+      pengembalianList,
+      sebelumnya?.tanggalLaporan,
+      String(laporan.tanggalLaporan).split("T")[0]
+    ),
+    periode,
+  };
+};
+
+// Peristiwa ternak laporan baru: kelahiran disiapkan (id dan validasi
+// eartag/induk) dan jumlah lahir/mati/dijual diturunkan dari peristiwanya.
+// Laporan tanpa peristiwa tetap memakai jumlah yang diisi manual.
+const preparePeristiwaTernak = async (
+  idPeternak,
+  peristiwaTernak,
+  tanggalLaporan
+) => {
+  if (!hasPeristiwaTernak(peristiwaTernak)) {
+    return null;
+  }
+  const peristiwa = { ...PERISTIWA_LAPORAN_KOSONG, ...peristiwaTernak };
+  const idTernakList = [...peristiwa.mati, ...peristiwa.dijual];
+  if (new Set(idTernakList).size !== idTernakList.length) {
+    throw new Error("Ternak yang sama tidak bisa mati dan dijual sekaligus");
+  }
+  return {
+    lahir: await prepareKelahiran(idPeternak, peristiwa.lahir, tanggalLaporan),
+    mati: peristiwa.mati,
+    dijual: peristiwa.dijual,
+  };
+};
+
+// Urutkan laporan satu peternak berdasarkan triwulan program (1-8)
+const sortLaporanAsc = (a, b) => Number(a.quarter) - Number(b.quarter);
+
+// Ringkasan satu laporan yang disimpan di dokumen peternak (ringkasanLaporan,
+// paling banyak 8 triwulan) agar daftar peternak dan penilaian risiko tidak
+// perlu membaca seluruh koleksi laporan
+const toRingkasanLaporan = (laporan) => ({
+  quarter: Number(laporan.quarter),
+  year: Number(laporan.year) || null,
+  tanggalLaporan: laporan.tanggalLaporan || "",
+  jumlahLahir: Number(laporan.jumlahLahir) || 0,
+  jumlahKematian: Number(laporan.jumlahKematian) || 0,
+  jumlahTerjual: Number(laporan.jumlahTerjual) || 0,
+  jumlahTernakSaatIni: Number(laporan.jumlahTernakSaatIni) || 0,
+  adaKendala: Boolean(String(laporan.kendala || "").trim()),
+});
+
+// Jumlah laporan, jumlah ternak terkini, tanggal laporan ke-8 (program
+// selesai dilaporkan) dan ringkasan per triwulan dari seluruh laporan
+const hitungRingkasanLaporan = (peternak, laporanList) => {
+  const sorted = [...laporanList].sort(sortLaporanAsc);
+  const latest = sorted[sorted.length - 1];
+  return {
+    jumlahLaporan: sorted.length,
+    jumlahTernakTerkini: latest
+      ? Number(latest.jumlahTernakSaatIni) || 0
+      : Number(peternak.jumlahTernakAwal) || 0,
+    tanggalProgramSelesai:
+      sorted.length >= TOTAL_TRIWULAN_PROGRAM
+        ? sorted[TOTAL_TRIWULAN_PROGRAM - 1].tanggalLaporan
+        : null,
+    ringkasanLaporan: sorted.map(toRingkasanLaporan),
+  };
+};
+
+// Ringkasan peternak yang diturunkan dari seluruh laporannya:
+// ringkasan laporan di atas ditambah status kinerja otomatis.
+const hitungRingkasanPeternak = (peternak, laporanList) => {
+  const ringkasan = hitungRingkasanLaporan(peternak, laporanList);
+  const statusLama = getStatusKinerja(peternak);
+  const statusBaru = getStatusKinerjaOtomatis(
+    statusLama,
+    ringkasan.jumlahLaporan
+  );
+
+  if (statusBaru !== statusLama) {
+    const admin = getCurrentAdmin();
+    const diubahOleh = admin ? { id: admin.id, name: admin.name } : null;
+    const diubahPada = new Date().toISOString();
+    Object.assign(ringkasan, {
+      statusKinerja: statusBaru,
+      statusKinerjaDiubahOleh: diubahOleh,
+      statusKinerjaDiubahPada: diubahPada,
+      riwayatStatusKinerja: arrayUnion({
+        dari: statusLama,
+        ke: statusBaru,
+        diubahOleh,
+        diubahPada,
+      }),
+    });
+  }
+
+  return ringkasan;
+};
+
+// Tulis laporan, ringkasan peternak, salinan publiknya dan entri audit
+// dalam satu transaksi. versiLaporan adalah versi peternak yang dibaca
+// sebelum query laporan (lihat getVersiLaporan di peternakService).
+const writeLaporanWithRingkasan = async (
+  idPeternak,
+  versiLaporan,
+  laporanSesudah,
+  writeLaporan,
+  audit
+) => {
+  const peternakRef = doc(db, COLLECTION_PETERNAK, idPeternak);
+  await runTransaction(db, async (transaction) => {
+    const peternakDoc = await transaction.get(peternakRef);
+    if (!peternakDoc.exists()) {
+      throw new Error("Data peternak tidak ditemukan");
+    }
+    const peternak = peternakDoc.data();
+    assertVersiLaporan(peternak, versiLaporan);
+
+    const ringkasan = hitungRingkasanPeternak(peternak, laporanSesudah);
+    // writeLaporan boleh membaca dokumen ternak, jadi dijalankan sebelum
+    // penulisan lain di transaksi ini
+    await writeLaporan(transaction);
+    transaction.update(peternakRef, {
+      ...ringkasan,
+      ...naikkanVersiLaporan(),
+    });
+    transaction.set(
+      doc(db, COLLECTION_PETERNAK_PUBLIK, idPeternak),
+      toPeternakPublik({ ...peternak, ...ringkasan })
+    );
+    const laporan = audit.sesudah || audit.sebelum;
+    addAuditEntry(transaction, {
+      ...audit,
+      entity: AUDIT_ENTITY.LAPORAN,
+      label: `${peternak.namaLengkap} - Triwulan ${laporan.quarter}`,
+      idPeternak,
+    });
+  });
+};
 
 // CREATE
 export const createLaporan = async (laporanData) => {
   try {
     // Validasi field wajib
+    // year, startDate, endDate dan displayPeriod dihitung dari model triwulan
     const requiredFields = [
       "idPeternak",
       "quarter",
-      "year",
-      "startDate",
-      "endDate",
-      "displayPeriod",
       "jumlahTernakAwal",
       "jumlahTernakSaatIni",
       "targetPengembalian",
@@ -42,65 +269,305 @@ export const createLaporan = async (laporanData) => {
     }
 
     // Hapus field id dari laporanData jika ada (untuk menghindari duplikasi)
-    const { id, ...dataWithoutId } = laporanData;
+    const { id, peristiwaTernak, ...dataWithoutId } = laporanData;
+
+    // Triwulan harus berurutan tanpa celah dan tanpa duplikat
+    const peternak = await getPeternakById(laporanData.idPeternak);
+    if (isDeleted(peternak)) {
+      throw new Error("Data peternak ada di Tempat Sampah");
+    }
+    const [laporanSebelumnya, pengembalianList] = await Promise.all([
+      getLaporanByPeternak(laporanData.idPeternak),
+      getPengembalianByPeternak(laporanData.idPeternak),
+    ]);
+    const quarterError = validateQuarterSequence(
+      laporanSebelumnya,
+      laporanData.quarter
+    );
+    if (quarterError) {
+      throw new Error(quarterError);
+    }
+
+    const periode = getProgramQuarter(
+      peternak.tanggalDaftar,
+      Number(laporanData.quarter)
+    );
+    const peristiwa = await preparePeristiwaTernak(
+      laporanData.idPeternak,
+      peristiwaTernak,
+      laporanData.tanggalLaporan
+    );
+    const laporanDenganJumlah = peristiwa
+      ? { ...dataWithoutId, ...hitungJumlahPeristiwa(peristiwa) }
+      : dataWithoutId;
+    assertLaporanValid(
+      laporanDenganJumlah,
+      getValidationContext(
+        peternak,
+        laporanSebelumnya,
+        pengembalianList,
+        laporanDenganJumlah,
+        periode
+      )
+    );
 
     // Pastikan tanggal laporan menggunakan format yang benar
     const finalData = {
-      ...dataWithoutId,
+      ...laporanDenganJumlah,
+      ...toNumberFields(laporanDenganJumlah),
+      ...(peristiwa && { peristiwaTernak: peristiwa }),
+      ...periode,
       tanggalLaporan:
         laporanData.tanggalLaporan || new Date().toISOString().split("T")[0],
+      ...clearDeletedMarker(),
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     };
 
-    const docRef = await addDoc(collection(db, COLLECTION_LAPORAN), finalData);
-    return { id: docRef.id, ...finalData };
+    const laporanRef = doc(collection(db, COLLECTION_LAPORAN));
+    await writeLaporanWithRingkasan(
+      laporanData.idPeternak,
+      getVersiLaporan(peternak),
+      [...laporanSebelumnya, finalData],
+      async (transaction) => {
+        if (peristiwa) {
+          await applyPeristiwaLaporan(transaction, {
+            idPeternak: laporanData.idPeternak,
+            idLaporan: laporanRef.id,
+            peristiwa,
+            tanggalLaporan: finalData.tanggalLaporan,
+          });
+        }
+        transaction.set(laporanRef, finalData);
+      },
+      {
+        entityId: laporanRef.id,
+        action: AUDIT_ACTION.CREATE,
+        sebelum: null,
+        sesudah: finalData,
+      }
+    );
+
+    return { id: laporanRef.id, ...finalData };
   } catch (error) {
     console.error("Error creating laporan:", error);
     throw error;
   }
 };
 
-// READ ALL LAPORAN
+// Semua query laporan aktif memfilter deletedAt == null di Firestore, jadi
+// laporan di Tempat Sampah tidak pernah ikut terbaca. Laporan lama yang
+// belum punya field deletedAt dilengkapi lewat syncRingkasanLaporan.
+const filterAktif = () => where("deletedAt", "==", null);
+
+const getSemuaLaporanQuery = () =>
+  query(
+    collection(db, COLLECTION_LAPORAN),
+    filterAktif(),
+    orderBy("year", "desc"),
+    orderBy("quarter", "desc"),
+    orderBy("tanggalLaporan", "desc")
+  );
+
+const getLaporanByPeternakQuery = (idPeternak) =>
+  query(
+    collection(db, COLLECTION_LAPORAN),
+    where("idPeternak", "==", idPeternak),
+    filterAktif(),
+    orderBy("year", "asc"),
+    orderBy("quarter", "asc")
+  );
+
+const toLaporanList = (querySnapshot) =>
+  querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+
+// Urutan getSemuaLaporanQuery: tahun, triwulan dan tanggal terbaru lebih dulu
+const urutLaporanTerbaru = (a, b) =>
+  Number(b.year) - Number(a.year) ||
+  Number(b.quarter) - Number(a.quarter) ||
+  String(b.tanggalLaporan).localeCompare(String(a.tanggalLaporan));
+
+// READ ALL LAPORAN (tanpa data di Tempat Sampah). Dipakai juga halaman
+// publik; rules hanya mengizinkan pembaca publik jika query memfilter
+// deletedAt == null.
 export const getAllLaporan = async () => {
   try {
-    const laporanQuery = query(
-      collection(db, COLLECTION_LAPORAN),
-      orderBy("year", "desc"),
-      orderBy("quarter", "desc"),
-      orderBy("tanggalLaporan", "desc")
-    );
-    const querySnapshot = await getDocs(laporanQuery);
-    return querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    return toLaporanList(await getDocs(getSemuaLaporanQuery()));
   } catch (error) {
     console.error("Error getting all laporan:", error);
     throw error;
   }
 };
 
+// READ TEMPAT SAMPAH
+export const getDeletedLaporan = async () => {
+  try {
+    const querySnapshot = await getDocs(
+      query(collection(db, COLLECTION_LAPORAN), where("deletedAt", "!=", null))
+    );
+    return toLaporanList(querySnapshot).sort(urutLaporanTerbaru);
+  } catch (error) {
+    console.error("Error getting deleted laporan:", error);
+    throw error;
+  }
+};
+
 // READ ALL BY PETERNNAK
 export const getLaporanByPeternak = async (idPeternak) => {
   try {
-    const laporanQuery = query(
-      collection(db, COLLECTION_LAPORAN),
-      where("idPeternak", "==", idPeternak),
-      orderBy("year", "asc"),
-      orderBy("quarter", "asc")
-    );
-    const querySnapshot = await getDocs(laporanQuery);
-    return querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    const querySnapshot = await getDocs(getLaporanByPeternakQuery(idPeternak));
+    return toLaporanList(querySnapshot);
   } catch (error) {
     console.error("Error getting laporan by peternak:", error);
     throw error;
   }
 };
 
+// SUBSCRIBE ALL LAPORAN (tanpa data di Tempat Sampah): onChange dipanggil
+// setiap kali ada laporan yang berubah. Mengembalikan fungsi unsubscribe.
+export const subscribeAllLaporan = (onChange, onError) =>
+  onSnapshot(
+    getSemuaLaporanQuery(),
+    (querySnapshot) => onChange(toLaporanList(querySnapshot)),
+    (error) => {
+      console.error("Error subscribing all laporan:", error);
+      if (onError) onError(error);
+    }
+  );
+
+// Query laporan dengan filter sama dengan (lihat utils/laporanQuery).
+// Field yang sudah difilter tidak diurutkan agar cocok dengan index.
+const getLaporanFilterQuery = (filter, urutan, ...batasan) => {
+  const arah = urutan === URUTAN_LAPORAN.TERLAMA ? "asc" : "desc";
+  const filterLaporan = getFilterAktif(filter);
+  return query(
+    collection(db, COLLECTION_LAPORAN),
+    ...filterLaporan.map((field) => where(field, "==", filter[field])),
+    filterAktif(),
+    ...FIELD_URUTAN_LAPORAN.filter(
+      (field) => !filterLaporan.includes(field)
+    ).map((field) => orderBy(field, arah)),
+    ...batasan
+  );
+};
+
+const getHalamanQuery = (filter, { urutan, pageSize, cursor }) =>
+  getLaporanFilterQuery(
+    filter,
+    urutan,
+    ...(cursor ? [startAfter(cursor)] : []),
+    limit(pageSize + 1)
+  );
+
+// Satu dokumen tambahan diambil untuk mengetahui ada halaman berikutnya
+const toHalamanLaporan = (querySnapshot, pageSize) => {
+  const docs = querySnapshot.docs.slice(0, pageSize);
+  return {
+    laporanList: toLaporanList({ docs }),
+    cursor: docs[docs.length - 1] || null,
+    hasMore: querySnapshot.docs.length > pageSize,
+  };
+};
+
+const DEFAULT_OPSI_HALAMAN = {
+  urutan: URUTAN_LAPORAN.TERBARU,
+  pageSize: JUMLAH_LAPORAN_PER_HALAMAN,
+  cursor: null,
+};
+
+// READ PAGE: { laporanList, cursor, hasMore }. cursor dari halaman ini
+// dipakai sebagai opsi cursor untuk mengambil halaman berikutnya.
+export const getLaporanPage = async (filter = {}, opsi = {}) => {
+  try {
+    const opsiHalaman = { ...DEFAULT_OPSI_HALAMAN, ...opsi };
+    const querySnapshot = await getDocs(getHalamanQuery(filter, opsiHalaman));
+    return toHalamanLaporan(querySnapshot, opsiHalaman.pageSize);
+  } catch (error) {
+    console.error("Error getting laporan page:", error);
+    throw error;
+  }
+};
+
+// SUBSCRIBE PAGE: sama dengan getLaporanPage, tetapi halaman ikut diperbarui
+// saat laporan di dalamnya berubah
+export const subscribeLaporanPage = (filter, opsi, onChange, onError) => {
+  const opsiHalaman = { ...DEFAULT_OPSI_HALAMAN, ...opsi };
+  return onSnapshot(
+    getHalamanQuery(filter, opsiHalaman),
+    (querySnapshot) =>
+      onChange(toHalamanLaporan(querySnapshot, opsiHalaman.pageSize)),
+    (error) => {
+      console.error("Error subscribing laporan page:", error);
+      if (onError) onError(error);
+    }
+  );
+};
+
+// READ BY FILTER: semua laporan yang cocok dengan filter, untuk ekspor
+export const getLaporanByFilter = async (
+  filter = {},
+  urutan = URUTAN_LAPORAN.TERBARU
+) => {
+  try {
+    const querySnapshot = await getDocs(getLaporanFilterQuery(filter, urutan));
+    return toLaporanList(querySnapshot);
+  } catch (error) {
+    console.error("Error getting laporan by filter:", error);
+    throw error;
+  }
+};
+
+// SYNC: lengkapi laporan lama dengan deletedAt: null agar ikut terbaca query
+// laporan aktif, lalu hitung ulang ringkasanLaporan setiap peternak. Ditulis
+// per SYNC_BATCH_SIZE operasi karena satu writeBatch maksimal 500 operasi.
+const SYNC_BATCH_SIZE = 400;
+
+export const syncRingkasanLaporan = async () => {
+  try {
+    const [laporanSnapshot, peternakList] = await Promise.all([
+      getDocs(collection(db, COLLECTION_LAPORAN)),
+      getAllPeternak(),
+    ]);
+    const tanpaPenanda = laporanSnapshot.docs.filter(
+      (laporanDoc) => laporanDoc.data().deletedAt === undefined
+    );
+    const laporanAktif = withoutDeleted(toLaporanList(laporanSnapshot));
+    const penulisan = [
+      ...tanpaPenanda.map(
+        (laporanDoc) => (batch) =>
+          batch.update(laporanDoc.ref, clearDeletedMarker())
+      ),
+      ...peternakList.map(
+        (peternak) => (batch) =>
+          batch.update(doc(db, COLLECTION_PETERNAK, peternak.id), {
+            ...hitungRingkasanLaporan(
+              peternak,
+              laporanAktif.filter(
+                (laporan) => laporan.idPeternak === peternak.id
+              )
+            ),
+            ...naikkanVersiLaporan(),
+          })
+      ),
+    ];
+    for (let i = 0; i < penulisan.length; i += SYNC_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      penulisan.slice(i, i + SYNC_BATCH_SIZE).forEach((tulis) => tulis(batch));
+      await batch.commit();
+    }
+    return {
+      jumlahLaporan: tanpaPenanda.length,
+      jumlahPeternak: peternakList.length,
+    };
+  } catch (error) {
+    console.error("Error syncing ringkasan laporan:", error);
+    throw error;
+  }
+};
+
 // READ BY ID
 export const getLaporanById = async (laporanId) => {
   try {
@@ -118,15 +585,79 @@ export const getLaporanById = async (laporanId) => {
 // UPDATE
 export const updateLaporan = async (laporanId, updateData) => {
   try {
-    // Hapus field id dari updateData jika ada (untuk menghindari duplikasi)
-    const { id, ...dataWithoutId } = updateData;
+    // Hapus field id dari updateData jika ada (untuk menghindari duplikasi).
+    // Peternak dan periode triwulan tidak bisa dipindah lewat edit.
+    const {
+      id,
+      idPeternak,
+      quarter,
+      year,
+      startDate,
+      endDate,
+      displayPeriod,
+      peristiwaTernak,
+      ...dataWithoutId
+    } = updateData;
 
+    const laporanLama = await getLaporanById(laporanId);
+    if (isDeleted(laporanLama)) {
+      throw new Error("Laporan ada di Tempat Sampah");
+    }
+    // Peristiwa ternak tidak bisa diubah lewat edit; jumlahnya tetap
+    // mengikuti peristiwa yang sudah tercatat
     const finalUpdateData = {
       ...dataWithoutId,
+      ...toNumberFields(dataWithoutId),
+      ...(hasPeristiwaTernak(laporanLama.peristiwaTernak) &&
+        hitungJumlahPeristiwa(laporanLama.peristiwaTernak)),
       updatedAt: new Date().toISOString(),
     };
-
-    await updateDoc(doc(db, COLLECTION_LAPORAN, laporanId), finalUpdateData);
+    const peternak = await getPeternakById(laporanLama.idPeternak);
+    const [laporanSebelumnya, pengembalianList] = await Promise.all([
+      getLaporanByPeternak(laporanLama.idPeternak),
+      getPengembalianByPeternak(laporanLama.idPeternak),
+    ]);
+    const laporanBaru = { ...laporanLama, ...finalUpdateData };
+    assertLaporanValid(
+      laporanBaru,
+      getValidationContext(
+        peternak,
+        laporanSebelumnya,
+        pengembalianList,
+        laporanBaru,
+        {
+          startDate: laporanLama.startDate,
+          endDate: laporanLama.endDate,
+        }
+      )
+    );
+    await writeLaporanWithRingkasan(
+      laporanLama.idPeternak,
+      getVersiLaporan(peternak),
+      laporanSebelumnya.map((laporan) =>
+        laporan.id === laporanId ? { ...laporan, ...finalUpdateData } : laporan
+      ),
+      (transaction) =>
+        transaction.update(
+          doc(db, COLLECTION_LAPORAN, laporanId),
+          finalUpdateData
+        ),
+      {
+        entityId: laporanId,
+        action: AUDIT_ACTION.UPDATE,
+        sebelum: laporanLama,
+        sesudah: { ...laporanLama, ...finalUpdateData },
+      }
+    );
+    // Foto yang dilepas dari laporan dihapus dari Storage
+    if (finalUpdateData.fotoLaporan) {
+      const pathBaru = getPathFoto(finalUpdateData.fotoLaporan);
+      await deleteFotoTidakDipakai(
+        getPathFoto(laporanLama.fotoLaporan).filter(
+          (path) => !pathBaru.includes(path)
+        )
+      );
+    }
     return { id: laporanId, ...finalUpdateData };
   } catch (error) {
     console.error("Error updating laporan:", error);
@@ -134,10 +665,48 @@ export const updateLaporan = async (laporanId, updateData) => {
   }
 };
 
-// DELETE
+// DELETE: pindahkan laporan ke Tempat Sampah
 export const deleteLaporan = async (laporanId) => {
   try {
-    await deleteDoc(doc(db, COLLECTION_LAPORAN, laporanId));
+    const laporan = await getLaporanById(laporanId);
+    if (isDeleted(laporan)) {
+      throw new Error("Laporan sudah ada di Tempat Sampah");
+    }
+    const peternak = await getPeternakById(laporan.idPeternak);
+    const laporanSebelumnya = await getLaporanByPeternak(laporan.idPeternak);
+
+    // Hanya laporan terakhir yang boleh dihapus agar triwulan tidak berlubang
+    const lastQuarter = Math.max(
+      ...laporanSebelumnya.map((item) => Number(item.quarter) || 0)
+    );
+    if (Number(laporan.quarter) !== lastQuarter) {
+      throw new Error(
+        `Hanya laporan triwulan terakhir (triwulan ${lastQuarter}) yang dapat dihapus`
+      );
+    }
+    const marker = createDeletedMarker();
+    await writeLaporanWithRingkasan(
+      laporan.idPeternak,
+      getVersiLaporan(peternak),
+      laporanSebelumnya.filter((item) => item.id !== laporanId),
+      async (transaction) => {
+        if (hasPeristiwaTernak(laporan.peristiwaTernak)) {
+          await batalkanPeristiwaLaporan(transaction, {
+            idPeternak: laporan.idPeternak,
+            idLaporan: laporanId,
+            peristiwa: laporan.peristiwaTernak,
+          });
+        }
+        transaction.update(doc(db, COLLECTION_LAPORAN, laporanId), marker);
+      },
+      {
+        entityId: laporanId,
+        action: AUDIT_ACTION.DELETE,
+        sebelum: laporan,
+        sesudah: { ...laporan, ...marker },
+      }
+    );
+    await tandaiFaqLaporanDihapus([laporanId], ALASAN_TINJAU_FAQ.TEMPAT_SAMPAH);
     return { success: true };
   } catch (error) {
     console.error("Error deleting laporan:", error);
@@ -145,53 +714,184 @@ export const deleteLaporan = async (laporanId) => {
   }
 };
 
-export const getNextAllowedQuarter = async (idPeternak) => {
+// RESTORE: laporan hanya bisa dipulihkan jika triwulannya masih menjadi
+// triwulan berikutnya (belum ada laporan pengganti)
+export const restoreLaporan = async (laporanId) => {
   try {
-    const laporanList = await getLaporanByPeternak(idPeternak);
-    if (!laporanList.length) {
-      // Belum ada laporan, mulai dari Q1 tahun sekarang
-      const now = new Date();
-      return { quarter: 1, year: now.getFullYear() };
+    const { deletedAt, deletedBy, dihapusBersamaPeternak, ...laporan } =
+      await getLaporanById(laporanId);
+    if (!deletedAt) {
+      throw new Error("Laporan tidak ada di Tempat Sampah");
     }
-    // Cari laporan terakhir
-    const last = laporanList[laporanList.length - 1];
-    let nextQuarter = Number(last.quarter) + 1;
-    let nextYear = Number(last.year);
-    if (nextQuarter > 4) {
-      nextQuarter = 1;
-      nextYear += 1;
+    const peternak = await getPeternakById(laporan.idPeternak);
+    if (isDeleted(peternak)) {
+      throw new Error(
+        `Pulihkan peternak ${peternak.namaLengkap} terlebih dahulu`
+      );
     }
-    return { quarter: nextQuarter, year: nextYear };
+    const [laporanSebelumnya, pengembalianList] = await Promise.all([
+      getLaporanByPeternak(laporan.idPeternak),
+      getPengembalianByPeternak(laporan.idPeternak),
+    ]);
+    const quarterError = validateQuarterSequence(
+      laporanSebelumnya,
+      laporan.quarter
+    );
+    if (quarterError) {
+      throw new Error(`Laporan tidak dapat dipulihkan: ${quarterError}`);
+    }
+    assertLaporanValid(
+      laporan,
+      getValidationContext(
+        peternak,
+        laporanSebelumnya,
+        pengembalianList,
+        laporan,
+        {
+          startDate: laporan.startDate,
+          endDate: laporan.endDate,
+        }
+      )
+    );
+    // Peristiwa ternak dibatalkan saat laporan dihapus, jadi diterapkan ulang.
+    // Eartag kelahiran bisa saja sudah dipakai ternak lain sejak dihapus.
+    const peristiwa = hasPeristiwaTernak(laporan.peristiwaTernak)
+      ? {
+          ...laporan.peristiwaTernak,
+          lahir: await prepareKelahiran(
+            laporan.idPeternak,
+            laporan.peristiwaTernak.lahir,
+            laporan.tanggalLaporan,
+            laporan.peristiwaTernak.lahir.map((anak) => anak.id)
+          ),
+        }
+      : null;
+
+    await writeLaporanWithRingkasan(
+      laporan.idPeternak,
+      getVersiLaporan(peternak),
+      [...laporanSebelumnya, laporan],
+      async (transaction) => {
+        if (peristiwa) {
+          await applyPeristiwaLaporan(transaction, {
+            idPeternak: laporan.idPeternak,
+            idLaporan: laporanId,
+            peristiwa,
+            tanggalLaporan: laporan.tanggalLaporan,
+          });
+        }
+        transaction.update(doc(db, COLLECTION_LAPORAN, laporanId), {
+          ...clearDeletedMarker(),
+          dihapusBersamaPeternak: deleteField(),
+        });
+      },
+      {
+        entityId: laporanId,
+        action: AUDIT_ACTION.RESTORE,
+        sebelum: { ...laporan, deletedAt, deletedBy },
+        sesudah: laporan,
+      }
+    );
+    return { success: true };
+  } catch (error) {
+    console.error("Error restoring laporan:", error);
+    throw error;
+  }
+};
+
+// PURGE: hapus permanen laporan di Tempat Sampah beserta fotonya (Super Admin)
+export const purgeLaporan = async (laporanId) => {
+  try {
+    assertSuperAdmin();
+    const laporan = await getLaporanById(laporanId);
+    if (!isDeleted(laporan)) {
+      throw new Error("Pindahkan laporan ke Tempat Sampah terlebih dahulu");
+    }
+    const peternak = await getPeternakById(laporan.idPeternak).catch(
+      () => null
+    );
+
+    const batch = writeBatch(db);
+    batch.delete(doc(db, COLLECTION_LAPORAN, laporanId));
+    addAuditEntry(batch, {
+      entity: AUDIT_ENTITY.LAPORAN,
+      entityId: laporanId,
+      action: AUDIT_ACTION.PURGE,
+      label: `${peternak?.namaLengkap || "Peternak"} - Triwulan ${
+        laporan.quarter
+      }`,
+      idPeternak: laporan.idPeternak,
+      sebelum: laporan,
+      sesudah: null,
+    });
+    await batch.commit();
+    await tandaiFaqLaporanDihapus(
+      [laporanId],
+      ALASAN_TINJAU_FAQ.DIHAPUS_PERMANEN
+    );
+    await deleteFotoTidakDipakai(getPathFoto(laporan.fotoLaporan));
+    return { success: true };
+  } catch (error) {
+    console.error("Error purging laporan:", error);
+    throw error;
+  }
+};
+
+// Triwulan program berikutnya yang boleh dilaporkan peternak
+export const getNextAllowedQuarter = async (idPeternak) => {
+  try {
+    const peternak = await getPeternakById(idPeternak);
+    const laporanList = await getLaporanByPeternak(idPeternak);
+    return getNextProgramQuarter(peternak.tanggalDaftar, laporanList);
   } catch (error) {
     console.error("Error getting next allowed quarter:", error);
     throw error;
   }
 };
 
+// Prefill laporan berikutnya. Pengembalian setelah laporan terakhir otomatis
+// masuk ke jumlahDikembalikan dan mengurangi jumlahTernakSaatIni;
+// pengembalianTertunda dipakai form untuk menghitung ulang saat tanggal
+// laporan diubah.
 export const calculatePrefillData = async (idPeternak) => {
   try {
-    const laporanList = await getLaporanByPeternak(idPeternak);
-    if (!laporanList.length) {
+    const [laporanList, pengembalianList] = await Promise.all([
+      getLaporanByPeternak(idPeternak),
+      getPengembalianByPeternak(idPeternak),
+    ]);
+    const last = laporanList[laporanList.length - 1];
+    const pengembalianTertunda = pengembalianList.filter(
+      (pengembalian) =>
+        !last || pengembalian.tanggalPengembalian > last.tanggalLaporan
+    );
+    const jumlahDikembalikan = hitungJumlahDikembalikan(pengembalianTertunda);
+
+    if (!last) {
       // Prefill dari data peternak
       const peternak = await getPeternakById(idPeternak);
+      const jumlahTernakAwal = Number(peternak.jumlahTernakAwal) || 0;
       return {
-        jumlahTernakAwal: peternak.jumlahTernakAwal || 0,
-        jumlahTernakSaatIni: peternak.jumlahTernakSaatIni || 0,
+        jumlahTernakAwal,
+        jumlahTernakSaatIni: Math.max(jumlahTernakAwal - jumlahDikembalikan, 0),
         targetPengembalian: peternak.targetPengembalian || 0,
         jumlahKematian: 0,
         jumlahLahir: 0,
         jumlahTerjual: 0,
+        jumlahDikembalikan,
+        pengembalianTertunda,
       };
     }
     // Prefill dari laporan terakhir
-    const last = laporanList[laporanList.length - 1];
+    const jumlahTernakAwal = Number(last.jumlahTernakSaatIni) || 0;
     return {
-      jumlahTernakAwal: last.jumlahTernakSaatIni || 0,
-      jumlahTernakSaatIni: last.jumlahTernakSaatIni || 0,
+      jumlahTernakAwal,
+      jumlahTernakSaatIni: Math.max(jumlahTernakAwal - jumlahDikembalikan, 0),
       targetPengembalian: last.targetPengembalian || 0,
       jumlahKematian: 0,
       jumlahLahir: 0,
       jumlahTerjual: 0,
+      jumlahDikembalikan,
+      pengembalianTertunda,
     };
   } catch (error) {
     console.error("Error calculating prefill data:", error);
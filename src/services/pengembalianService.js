@@ -0,0 +1,310 @@
+import {
+  collection,
+  getDocs,
+  doc,
+  query,
+  where,
+  orderBy,
+  getDoc,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../firebase/config";
+import {
+  getPeternakById,
+  toPeternakPublik,
+  getVersiLaporan,
+  assertVersiLaporan,
+  naikkanVersiLaporan,
+} from "./peternakService";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+import { toDateString } from "../utils/programQuarter";
+import { isDeleted, withoutDeleted } from "../utils/softDelete";
+import { isPengembalianTersedia } from "../utils/siklusGaduh";
+import {
+  applyPengembalianTernak,
+  batalkanPengembalianTernak,
+} from "./ternakService";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+
+// Pengembalian ternak dari peternak ke program desa.
+// Total per peternak disimpan di peternak.jumlahDikembalikan (dan salinan
+// publiknya) agar sisa kewajiban bisa ditampilkan tanpa membaca collection
+// ini. Pengembalian hanya bisa dicatat/dihapus selama belum masuk laporan,
+// yaitu bertanggal setelah laporan terakhir (lihat utils/pengembalian).
+// Ternak yang dikembalikan bisa diteruskan ke peternak baru (generasi
+// berikutnya, lihat utils/siklusGaduh); idPeternakPenerima mencatat
+// penerimanya. idTernak berisi ternak terdaftar (collection ternak) yang
+// dikembalikan; jika diisi, jumlahTernak mengikuti jumlahnya.
+const COLLECTION_PENGEMBALIAN = "pengembalian";
+const COLLECTION_PETERNAK = "peternak";
+const COLLECTION_LAPORAN = "laporan";
+const COLLECTION_PETERNAK_PUBLIK = "peternakPublik";
+
+const getLaporanAktif = async (idPeternak) => {
+  const laporanSnapshot = await getDocs(
+    query(
+      collection(db, COLLECTION_LAPORAN),
+      where("idPeternak", "==", idPeternak)
+    )
+  );
+  return withoutDeleted(laporanSnapshot.docs.map((doc) => doc.data()));
+};
+
+const getTanggalLaporanTerakhir = (laporanList) =>
+  laporanList.reduce(
+    (terakhir, laporan) =>
+      !terakhir || laporan.tanggalLaporan > terakhir
+        ? laporan.tanggalLaporan
+        : terakhir,
+    null
+  );
+
+// Ubah jumlahDikembalikan peternak, salinan publik, dokumen pengembalian
+// dan entri audit dalam satu transaksi. versiLaporan dipakai untuk
+// memastikan laporan dan pengembalian tidak berubah sejak dibaca (seperti
+// laporanService); validasi laporan ikut membaca pengembalian, jadi versinya
+// juga dinaikkan di sini.
+const writePengembalian = async (
+  idPeternak,
+  versiLaporan,
+  laporanList,
+  selisih,
+  writeDokumen,
+  audit
+) => {
+  const peternakRef = doc(db, COLLECTION_PETERNAK, idPeternak);
+  await runTransaction(db, async (transaction) => {
+    const peternakDoc = await transaction.get(peternakRef);
+    if (!peternakDoc.exists()) {
+      throw new Error("Data peternak tidak ditemukan");
+    }
+    const peternak = peternakDoc.data();
+    if (isDeleted(peternak)) {
+      throw new Error("Data peternak ada di Tempat Sampah");
+    }
+    assertVersiLaporan(peternak, versiLaporan);
+
+    const jumlahDikembalikan =
+      (Number(peternak.jumlahDikembalikan) || 0) + selisih;
+    if (selisih > 0) {
+      // Ternak yang bisa dikembalikan: jumlah di laporan terakhir dikurangi
+      // pengembalian yang belum masuk laporan
+      const sudahDilaporkan = laporanList.reduce(
+        (total, laporan) => total + (Number(laporan.jumlahDikembalikan) || 0),
+        0
+      );
+      const tersedia =
+        (Number(peternak.jumlahTernakTerkini ?? peternak.jumlahTernakAwal) ||
+          0) -
+        ((Number(peternak.jumlahDikembalikan) || 0) - sudahDilaporkan);
+      if (selisih > tersedia) {
+        throw new Error(
+          `Jumlah pengembalian melebihi ternak yang dimiliki peternak (${Math.max(
+            tersedia,
+            0
+          )} ekor)`
+        );
+      }
+    }
+
+    // writeDokumen boleh membaca dokumen ternak, jadi dijalankan sebelum
+    // penulisan lain di transaksi ini
+    await writeDokumen(transaction);
+    transaction.update(peternakRef, {
+      jumlahDikembalikan,
+      ...naikkanVersiLaporan(),
+    });
+    transaction.set(
+      doc(db, COLLECTION_PETERNAK_PUBLIK, idPeternak),
+      toPeternakPublik({ ...peternak, jumlahDikembalikan })
+    );
+    const pengembalian = audit.sesudah || audit.sebelum;
+    addAuditEntry(transaction, {
+      ...audit,
+      entity: AUDIT_ENTITY.PENGEMBALIAN,
+      label: `${peternak.namaLengkap} - ${pengembalian.jumlahTernak} ekor (${pengembalian.tanggalPengembalian})`,
+      idPeternak,
+    });
+  });
+};
+
+// CREATE
+export const createPengembalian = async (pengembalianData) => {
+  try {
+    const { idPeternak, tanggalPengembalian } = pengembalianData;
+    const idTernak = pengembalianData.idTernak || [];
+    const jumlahTernak =
+      idTernak.length > 0
+        ? idTernak.length
+        : Number(pengembalianData.jumlahTernak);
+    if (!idPeternak) {
+      throw new Error("Peternak wajib dipilih");
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(tanggalPengembalian || "")) {
+      throw new Error("Tanggal pengembalian wajib diisi");
+    }
+    if (tanggalPengembalian > toDateString(new Date())) {
+      throw new Error("Tanggal pengembalian tidak boleh di masa depan");
+    }
+    if (!Number.isInteger(jumlahTernak) || jumlahTernak < 1) {
+      throw new Error("Jumlah ternak harus bilangan bulat minimal 1");
+    }
+
+    const peternak = await getPeternakById(idPeternak);
+    const laporanList = await getLaporanAktif(idPeternak);
+    const tanggalLaporanTerakhir = getTanggalLaporanTerakhir(laporanList);
+    if (
+      tanggalLaporanTerakhir &&
+      tanggalPengembalian <= tanggalLaporanTerakhir
+    ) {
+      throw new Error(
+        `Tanggal pengembalian harus setelah laporan terakhir (${tanggalLaporanTerakhir})`
+      );
+    }
+
+    const admin = getCurrentAdmin();
+    const finalData = {
+      idPeternak,
+      tanggalPengembalian,
+      jumlahTernak,
+      idTernak,
+      detailTernak: (pengembalianData.detailTernak || "").trim(),
+      keterangan: (pengembalianData.keterangan || "").trim(),
+      diterimaOleh: admin ? { id: admin.id, name: admin.name } : null,
+      createdAt: new Date().toISOString(),
+    };
+
+    const pengembalianRef = doc(collection(db, COLLECTION_PENGEMBALIAN));
+    await writePengembalian(
+      idPeternak,
+      getVersiLaporan(peternak),
+      laporanList,
+      jumlahTernak,
+      async (transaction) => {
+        await applyPengembalianTernak(transaction, {
+          idPeternak,
+          idPengembalian: pengembalianRef.id,
+          idTernakList: idTernak,
+          tanggalPengembalian,
+        });
+        transaction.set(pengembalianRef, finalData);
+      },
+      {
+        entityId: pengembalianRef.id,
+        action: AUDIT_ACTION.CREATE,
+        sebelum: null,
+        sesudah: finalData,
+      }
+    );
+
+    return { id: pengembalianRef.id, ...finalData };
+  } catch (error) {
+    console.error("Error creating pengembalian:", error);
+    throw error;
+  }
+};
+
+// READ ALL
+export const getAllPengembalian = async () => {
+  try {
+    const pengembalianQuery = query(
+      collection(db, COLLECTION_PENGEMBALIAN),
+      orderBy("tanggalPengembalian", "desc")
+    );
+    const querySnapshot = await getDocs(pengembalianQuery);
+    return querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+  } catch (error) {
+    console.error("Error getting all pengembalian:", error);
+    throw error;
+  }
+};
+
+// READ ALL BY PETERNAK (terlama dulu)
+export const getPengembalianByPeternak = async (idPeternak) => {
+  try {
+    const pengembalianQuery = query(
+      collection(db, COLLECTION_PENGEMBALIAN),
+      where("idPeternak", "==", idPeternak)
+    );
+    const querySnapshot = await getDocs(pengembalianQuery);
+    return querySnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .sort((a, b) =>
+        a.tanggalPengembalian.localeCompare(b.tanggalPengembalian)
+      );
+  } catch (error) {
+    console.error("Error getting pengembalian by peternak:", error);
+    throw error;
+  }
+};
+
+// READ: pengembalian yang ternaknya belum diteruskan, untuk pendaftaran
+// peternak generasi berikutnya
+export const getPengembalianTersedia = async () => {
+  try {
+    return (await getAllPengembalian()).filter(isPengembalianTersedia);
+  } catch (error) {
+    console.error("Error getting pengembalian tersedia:", error);
+    throw error;
+  }
+};
+
+// DELETE: hanya pengembalian yang belum masuk laporan dan belum diteruskan
+export const deletePengembalian = async (pengembalianId) => {
+  try {
+    const pengembalianRef = doc(db, COLLECTION_PENGEMBALIAN, pengembalianId);
+    const pengembalianDoc = await getDoc(pengembalianRef);
+    if (!pengembalianDoc.exists()) {
+      throw new Error("Data pengembalian tidak ditemukan");
+    }
+    const pengembalian = pengembalianDoc.data();
+    if (!isPengembalianTersedia(pengembalian)) {
+      throw new Error(
+        "Ternak dari pengembalian ini sudah diteruskan ke peternak lain dan tidak dapat dihapus"
+      );
+    }
+
+    const peternak = await getPeternakById(pengembalian.idPeternak);
+    const laporanList = await getLaporanAktif(pengembalian.idPeternak);
+    const tanggalLaporanTerakhir = getTanggalLaporanTerakhir(laporanList);
+    if (
+      tanggalLaporanTerakhir &&
+      pengembalian.tanggalPengembalian <= tanggalLaporanTerakhir
+    ) {
+      throw new Error(
+        "Pengembalian sudah tercatat di laporan triwulan dan tidak dapat dihapus"
+      );
+    }
+
+    await writePengembalian(
+      pengembalian.idPeternak,
+      getVersiLaporan(peternak),
+      laporanList,
+      -pengembalian.jumlahTernak,
+      async (transaction) => {
+        await batalkanPengembalianTernak(transaction, {
+          idPeternak: pengembalian.idPeternak,
+          idPengembalian: pengembalianId,
+          idTernakList: pengembalian.idTernak || [],
+        });
+        transaction.delete(pengembalianRef);
+      },
+      {
+        entityId: pengembalianId,
+        action: AUDIT_ACTION.DELETE,
+        sebelum: pengembalian,
+        sesudah: null,
+      }
+    );
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting pengembalian:", error);
+    throw error;
+  }
+};
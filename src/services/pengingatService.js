@@ -0,0 +1,97 @@
+import { getAllPeternak } from "./peternakService";
+import { getAllLaporan } from "./laporanService";
+import {
+  STATUS_JADWAL_LAPORAN,
+  hitungJadwalLaporan,
+} from "../utils/jadwalLaporan";
+import { buatPengingat } from "../utils/pengingatLaporan";
+
+// Provider pengiriman pengingat adalah objek { nama, kirim }.
+// kirim({ nomorTelepon, pesan }) mengembalikan Promise dan melempar error
+// jika pesan gagal dikirim. Gateway SMS/WhatsApp dipasang lewat
+// setPengingatProvider tanpa mengubah halaman yang memakainya.
+export const consolePengingatProvider = {
+  nama: "console",
+  kirim: async ({ nomorTelepon, pesan }) => {
+    console.info(`[Pengingat] ke ${nomorTelepon}:\n${pesan}`);
+  },
+};
+
+let providerAktif = consolePengingatProvider;
+
+export const getPengingatProvider = () => providerAktif;
+
+export const setPengingatProvider = (provider) => {
+  if (typeof provider?.kirim !== "function") {
+    throw new Error("Provider pengingat harus memiliki fungsi kirim");
+  }
+  providerAktif = provider;
+};
+
+// Pengingat untuk semua laporan terlambat dan yang segera jatuh tempo
+export const getPengingatFromData = (
+  peternakList,
+  laporanList,
+  tanggal = new Date()
+) => {
+  const peternakById = new Map(
+    peternakList.map((peternak) => [peternak.id, peternak])
+  );
+  return hitungJadwalLaporan(peternakList, laporanList, tanggal).map(
+    (jadwal) => ({
+      ...jadwal,
+      ...buatPengingat(jadwal, peternakById.get(jadwal.idPeternak)),
+    })
+  );
+};
+
+// READ PENGINGAT: ambil data terbaru lalu hitung jadwal laporan
+export const getPengingatLaporan = async (tanggal = new Date()) => {
+  try {
+    const [peternakList, laporanList] = await Promise.all([
+      getAllPeternak(),
+      getAllLaporan(),
+    ]);
+    return getPengingatFromData(peternakList, laporanList, tanggal);
+  } catch (error) {
+    console.error("Error getting pengingat laporan:", error);
+    throw error;
+  }
+};
+
+// KIRIM: satu per satu lewat provider aktif. Kegagalan satu pengingat tidak
+// menghentikan yang lain; hasil berisi id yang terkirim dan yang gagal.
+export const kirimPengingat = async (pengingatList) => {
+  const hasil = { terkirim: [], gagal: [] };
+  for (const pengingat of pengingatList) {
+    if (!pengingat.nomorTelepon) {
+      hasil.gagal.push({
+        id: pengingat.id,
+        pesan: "Nomor telepon tidak valid",
+      });
+      continue;
+    }
+    try {
+      await providerAktif.kirim({
+        nomorTelepon: pengingat.nomorTelepon,
+        pesan: pengingat.pesan,
+      });
+      hasil.terkirim.push(pengingat.id);
+    } catch (error) {
+      console.error("Error sending pengingat:", error);
+      hasil.gagal.push({ id: pengingat.id, pesan: error.message });
+    }
+  }
+  return hasil;
+};
+
+// JADWAL: cari laporan terlambat lalu kirim pengingatnya. Titik masuk untuk
+// penjadwal berkala; laporan yang belum terlambat tidak diingatkan di sini.
+export const jalankanPengingatTerlambat = async (tanggal = new Date()) => {
+  const pengingatList = await getPengingatLaporan(tanggal);
+  return kirimPengingat(
+    pengingatList.filter(
+      (pengingat) => pengingat.status === STATUS_JADWAL_LAPORAN.TERLAMBAT
+    )
+  );
+};
@@ -1,48 +1,250 @@
 import {
   collection,
-  addDoc,
   getDocs,
   doc,
-  updateDoc,
-  deleteDoc,
   query,
   where,
   getDoc,
+  setDoc,
+  writeBatch,
+  arrayUnion,
+  deleteField,
+  runTransaction,
+  onSnapshot,
+  increment,
 } from "firebase/firestore";
 import { db } from "../firebase/config";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+import {
+  isDeleted,
+  withoutDeleted,
+  onlyDeleted,
+  createDeletedMarker,
+  clearDeletedMarker,
+  assertSuperAdmin,
+} from "../utils/softDelete";
+import {
+  STATUS_KINERJA,
+  getStatusKinerja,
+  isStatusFinal,
+  validateTransisiStatus,
+} from "../utils/statusKinerja";
+import { getGenerasi } from "../utils/siklusGaduh";
+import { toDateString } from "../utils/programQuarter";
+import { teruskanTernak, lepasEartag } from "./ternakService";
+import { deleteFotoTidakDipakai } from "./fotoService";
+import { ALASAN_TINJAU_FAQ, tandaiFaqLaporanDihapus } from "./faqService";
+import { getPathFoto } from "../utils/foto";
 
 const COLLECTION_PETERNAK = "peternak";
+const COLLECTION_LAPORAN = "laporan";
+const COLLECTION_PETERNAK_PUBLIK = "peternakPublik";
+const COLLECTION_PENGEMBALIAN = "pengembalian";
+const COLLECTION_TERNAK = "ternak";
+const COLLECTION_KESEHATAN = "kesehatan";
+
+// DATA PUBLIK
+// peternakPublik adalah salinan peternak tanpa field sensitif (NIK, nomor
+// telepon, riwayat admin) yang boleh dibaca tanpa login. Firestore rules tidak bisa
+// menyembunyikan field, jadi halaman publik hanya membaca collection ini.
+export const toPeternakPublik = (peternak) => ({
+  namaLengkap: peternak.namaLengkap || "",
+  alamat: peternak.alamat || "",
+  urlFotoPeternak: peternak.urlFotoPeternak || "",
+  tanggalDaftar: peternak.tanggalDaftar || "",
+  statusSiklus: peternak.statusSiklus || "",
+  statusKinerja: getStatusKinerja(peternak),
+  jumlahTernakAwal: Number(peternak.jumlahTernakAwal) || 0,
+  jumlahTernakTerkini:
+    Number(peternak.jumlahTernakTerkini ?? peternak.jumlahTernakAwal) || 0,
+  targetPengembalian: Number(peternak.targetPengembalian) || 0,
+  jumlahDikembalikan: Number(peternak.jumlahDikembalikan) || 0,
+  jumlahLaporan: Number(peternak.jumlahLaporan) || 0,
+  generasi: getGenerasi(peternak),
+});
+
+// Tulis perubahan peternak, salinan publik dan entri audit dalam satu batch.
+// sesudah = null berarti peternak dihapus permanen. Peternak di Tempat
+// Sampah juga tidak punya salinan publik.
+const commitPeternak = async (peternakId, action, sebelum, sesudah, write) => {
+  const batch = writeBatch(db);
+  write(batch, doc(db, COLLECTION_PETERNAK, peternakId));
+  const publikRef = doc(db, COLLECTION_PETERNAK_PUBLIK, peternakId);
+  if (sesudah && !isDeleted(sesudah)) {
+    batch.set(publikRef, toPeternakPublik(sesudah));
+  } else {
+    batch.delete(publikRef);
+  }
+  addAuditEntry(batch, {
+    entity: AUDIT_ENTITY.PETERNAK,
+    entityId: peternakId,
+    action,
+    label: (sesudah || sebelum).namaLengkap,
+    idPeternak: peternakId,
+    sebelum,
+    sesudah,
+  });
+  await batch.commit();
+};
+
+// Bangun ulang seluruh data publik (untuk data lama sebelum collection ada)
+export const syncSemuaPeternakPublik = async () => {
+  try {
+    const peternakList = await getAllPeternak();
+    for (const peternak of peternakList) {
+      await setDoc(
+        doc(db, COLLECTION_PETERNAK_PUBLIK, peternak.id),
+        toPeternakPublik(peternak)
+      );
+    }
+    return peternakList.length;
+  } catch (error) {
+    console.error("Error syncing peternak publik:", error);
+    throw error;
+  }
+};
+
+// VERSI LAPORAN
+// Query laporan dan pengembalian tidak bisa dijalankan di dalam transaksi.
+// Setiap penulisan laporan atau pengembalian menaikkan versiLaporan di dokumen
+// peternak, jadi transaksi yang membandingkan versi ini menolak data yang
+// berubah di antara query dan commit (termasuk hapus lalu tambah yang tidak
+// mengubah jumlah). Dokumen lama tanpa versiLaporan dianggap versi 0.
+export const getVersiLaporan = (peternak) =>
+  Number(peternak?.versiLaporan) || 0;
+
+export const assertVersiLaporan = (peternak, versiLaporan) => {
+  if (getVersiLaporan(peternak) !== versiLaporan) {
+    throw new Error(
+      "Data laporan peternak berubah saat disimpan, silakan coba lagi"
+    );
+  }
+};
+
+export const naikkanVersiLaporan = () => ({ versiLaporan: increment(1) });
+
+// NIK peternak di Tempat Sampah tetap dianggap terdaftar agar bisa dipulihkan
+const getPesanNikDuplikat = (peternak) =>
+  isDeleted(peternak)
+    ? "NIK sudah terdaftar pada data peternak di Tempat Sampah"
+    : "NIK sudah terdaftar";
+
+const REQUIRED_FIELDS = [
+  "namaLengkap",
+  "nik",
+  "alamat",
+  "nomorTelepon",
+  "jenisKelamin",
+  "statusSiklus",
+  "tanggalDaftar",
+  "jumlahTernakAwal",
+  "targetPengembalian",
+];
+
+// Validasi field wajib dan bentuk dokumen peternak baru
+const buildPeternakBaru = (peternakData) => {
+  for (const field of REQUIRED_FIELDS) {
+    if (
+      peternakData[field] === undefined ||
+      peternakData[field] === null ||
+      peternakData[field] === ""
+    ) {
+      console.error(`Missing required field: ${field}`);
+      throw new Error(`Field ${field} wajib diisi`);
+    }
+  }
+
+  if (peternakData.tanggalDaftar > toDateString(new Date())) {
+    throw new Error("Tanggal daftar tidak boleh di masa depan");
+  }
+
+  // Remove jumlahTernakSaatIni from peternak data - it will only exist in laporan
+  // idPengembalianSumber diproses oleh createPeternakDariPengembalian
+  const { jumlahTernakSaatIni, idPengembalianSumber, ...dataWithoutJumlah } =
+    peternakData;
+  // Ringkasan dari laporan (jumlahLaporan, jumlahTernakTerkini, ...)
+  // selanjutnya dikelola oleh laporanService
+  return {
+    ...dataWithoutJumlah,
+    statusKinerja: STATUS_KINERJA.BARU,
+    jumlahLaporan: 0,
+    jumlahTernakTerkini: Number(dataWithoutJumlah.jumlahTernakAwal) || 0,
+    jumlahDikembalikan: 0,
+    generasi: 1,
+    idPeternakSumber: null,
+    idPengembalianSumber: null,
+  };
+};
+
+// Peternak generasi berikutnya: ternak awalnya adalah ternak dari satu
+// pengembalian. Pengembalian ditandai idPeternakPenerima dalam transaksi
+// yang sama agar tidak bisa diteruskan ke dua peternak.
+const createPeternakDariPengembalian = async (
+  peternakId,
+  peternakBaru,
+  idPengembalian
+) => {
+  const pengembalianRef = doc(db, COLLECTION_PENGEMBALIAN, idPengembalian);
+  return runTransaction(db, async (transaction) => {
+    const pengembalianDoc = await transaction.get(pengembalianRef);
+    if (!pengembalianDoc.exists()) {
+      throw new Error("Data pengembalian tidak ditemukan");
+    }
+    const pengembalian = pengembalianDoc.data();
+    if (pengembalian.idPeternakPenerima) {
+      throw new Error(
+        "Ternak dari pengembalian ini sudah diteruskan ke peternak lain"
+      );
+    }
+    const sumberDoc = await transaction.get(
+      doc(db, COLLECTION_PETERNAK, pengembalian.idPeternak)
+    );
+    if (!sumberDoc.exists()) {
+      throw new Error("Data peternak asal pengembalian tidak ditemukan");
+    }
+    // Ternak terdaftar dari pengembalian ikut pindah ke pemilik baru
+    await teruskanTernak(transaction, {
+      idPeternakAsal: pengembalian.idPeternak,
+      idPeternakBaru: peternakId,
+      idPengembalian,
+      idTernakList: pengembalian.idTernak || [],
+      tanggal: peternakBaru.tanggalDaftar,
+    });
+
+    const finalData = {
+      ...peternakBaru,
+      jumlahTernakAwal: pengembalian.jumlahTernak,
+      jumlahTernakTerkini: pengembalian.jumlahTernak,
+      generasi: getGenerasi(sumberDoc.data()) + 1,
+      idPeternakSumber: pengembalian.idPeternak,
+      idPengembalianSumber: idPengembalian,
+    };
+    transaction.set(doc(db, COLLECTION_PETERNAK, peternakId), finalData);
+    transaction.update(pengembalianRef, { idPeternakPenerima: peternakId });
+    transaction.set(
+      doc(db, COLLECTION_PETERNAK_PUBLIK, peternakId),
+      toPeternakPublik(finalData)
+    );
+    addAuditEntry(transaction, {
+      entity: AUDIT_ENTITY.PETERNAK,
+      entityId: peternakId,
+      action: AUDIT_ACTION.CREATE,
+      label: finalData.namaLengkap,
+      idPeternak: peternakId,
+      sebelum: null,
+      sesudah: finalData,
+    });
+    return finalData;
+  });
+};
 
 // CREATE
 export const createPeternak = async (peternakData) => {
   try {
     console.log("createPeternak called with:", peternakData);
 
-    const requiredFields = [
-      "namaLengkap",
-      "nik",
-      "alamat",
-      "nomorTelepon",
-      "jenisKelamin",
-      "statusSiklus",
-      "tanggalDaftar",
-      "jumlahTernakAwal",
-      "targetPengembalian",
-    ];
-
-    for (const field of requiredFields) {
-      if (
-        peternakData[field] === undefined ||
-        peternakData[field] === null ||
-        peternakData[field] === ""
-      ) {
-        console.error(`Missing required field: ${field}`);
-        throw new Error(`Field ${field} wajib diisi`);
-      }
-    }
-
-    // Remove jumlahTernakSaatIni from peternak data - it will only exist in laporan
-    const { jumlahTernakSaatIni, ...finalData } = peternakData;
+    let finalData = buildPeternakBaru(peternakData);
 
     console.log("Final data for Firebase:", finalData);
 
@@ -53,10 +255,25 @@ export const createPeternak = async (peternakData) => {
     );
     const nikSnapshot = await getDocs(nikQuery);
     if (!nikSnapshot.empty) {
-      throw new Error("NIK sudah terdaftar");
+      throw new Error(getPesanNikDuplikat(nikSnapshot.docs[0].data()));
     }
 
-    const docRef = await addDoc(collection(db, COLLECTION_PETERNAK), finalData);
+    const docRef = doc(collection(db, COLLECTION_PETERNAK));
+    if (peternakData.idPengembalianSumber) {
+      finalData = await createPeternakDariPengembalian(
+        docRef.id,
+        finalData,
+        peternakData.idPengembalianSumber
+      );
+    } else {
+      await commitPeternak(
+        docRef.id,
+        AUDIT_ACTION.CREATE,
+        null,
+        finalData,
+        (batch, peternakRef) => batch.set(peternakRef, finalData)
+      );
+    }
 
     console.log("Document created with ID:", docRef.id);
     return { id: docRef.id, ...finalData };
@@ -66,20 +283,127 @@ export const createPeternak = async (peternakData) => {
   }
 };
 
-// READ ALL
+// NIK yang sudah terdaftar (termasuk Tempat Sampah) beserta pesan duplikatnya
+export const getNikTerdaftar = async () => {
+  try {
+    const peternakList = await getSemuaPeternak();
+    return new Map(
+      peternakList.map((peternak) => [
+        peternak.nik,
+        getPesanNikDuplikat(peternak),
+      ])
+    );
+  } catch (error) {
+    console.error("Error getting registered NIK:", error);
+    throw error;
+  }
+};
+
+// IMPORT: simpan banyak peternak baru sekaligus dengan writeBatch.
+// Setiap peternak butuh 3 tulisan (peternak, data publik, audit) sehingga
+// satu batch (maks. 500 operasi) memuat IMPORT_BATCH_SIZE peternak.
+// Batch yang sudah di-commit tidak dibatalkan jika batch berikutnya gagal;
+// peternak yang sudah tersimpan dilampirkan di error.created.
+const IMPORT_BATCH_SIZE = 150;
+
+export const importPeternak = async (peternakList) => {
+  const created = [];
+  try {
+    const finalList = peternakList.map(buildPeternakBaru);
+
+    // Cek ulang NIK tepat sebelum menulis, data bisa berubah sejak preview
+    const nikTerdaftar = await getNikTerdaftar();
+    const nikDalamImpor = new Set();
+    for (const peternak of finalList) {
+      if (nikTerdaftar.has(peternak.nik) || nikDalamImpor.has(peternak.nik)) {
+        throw new Error(
+          `${nikTerdaftar.get(peternak.nik) || "NIK duplikat"}: ${peternak.nik}`
+        );
+      }
+      nikDalamImpor.add(peternak.nik);
+    }
+
+    for (let i = 0; i < finalList.length; i += IMPORT_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      const createdBatch = [];
+      finalList.slice(i, i + IMPORT_BATCH_SIZE).forEach((finalData) => {
+        const peternakRef = doc(collection(db, COLLECTION_PETERNAK));
+        batch.set(peternakRef, finalData);
+        batch.set(
+          doc(db, COLLECTION_PETERNAK_PUBLIK, peternakRef.id),
+          toPeternakPublik(finalData)
+        );
+        addAuditEntry(batch, {
+          entity: AUDIT_ENTITY.PETERNAK,
+          entityId: peternakRef.id,
+          action: AUDIT_ACTION.CREATE,
+          label: finalData.namaLengkap,
+          idPeternak: peternakRef.id,
+          sebelum: null,
+          sesudah: finalData,
+        });
+        createdBatch.push({ id: peternakRef.id, ...finalData });
+      });
+      await batch.commit();
+      created.push(...createdBatch);
+    }
+
+    return created;
+  } catch (error) {
+    console.error("Error importing peternak:", error);
+    error.created = created;
+    throw error;
+  }
+};
+
+const getSemuaPeternak = async () => {
+  const querySnapshot = await getDocs(collection(db, COLLECTION_PETERNAK));
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+};
+
+// READ ALL (tanpa data di Tempat Sampah)
 export const getAllPeternak = async () => {
   try {
-    const querySnapshot = await getDocs(collection(db, COLLECTION_PETERNAK));
-    return querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+    return withoutDeleted(await getSemuaPeternak());
   } catch (error) {
     console.error("Error getting all peternak:", error);
     throw error;
   }
 };
 
+// SUBSCRIBE ALL (tanpa data di Tempat Sampah): onChange dipanggil setiap
+// kali data peternak berubah. Mengembalikan fungsi unsubscribe.
+export const subscribePeternak = (onChange, onError) =>
+  onSnapshot(
+    collection(db, COLLECTION_PETERNAK),
+    (querySnapshot) =>
+      onChange(
+        withoutDeleted(
+          querySnapshot.docs.map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+          }))
+        )
+      ),
+    (error) => {
+      console.error("Error subscribing peternak:", error);
+      if (onError) onError(error);
+    }
+  );
+
+// READ TEMPAT SAMPAH
+export const getDeletedPeternak = async () => {
+  try {
+    return onlyDeleted(await getSemuaPeternak());
+  } catch (error) {
+    console.error("Error getting deleted peternak:", error);
+    throw error;
+  }
+};
+
 // READ BY ID
 export const getPeternakById = async (peternakId) => {
   try {
@@ -108,39 +432,364 @@ export const updatePeternak = async (peternakId, updateData) => {
         (doc) => doc.id !== peternakId
       );
       if (duplicateDoc) {
-        throw new Error("NIK sudah terdaftar");
+        throw new Error(getPesanNikDuplikat(duplicateDoc.data()));
       }
     }
 
-    await updateDoc(doc(db, COLLECTION_PETERNAK, peternakId), updateData);
-    return { id: peternakId, ...updateData };
+    const sebelum = await getPeternakById(peternakId);
+    if (isDeleted(sebelum)) {
+      throw new Error("Data peternak ada di Tempat Sampah");
+    }
+    // Triwulan program dan periode laporan yang tersimpan dihitung dari
+    // tanggalDaftar, dan saldo ternak setiap laporan dihitung dari
+    // jumlahTernakAwal, jadi keduanya terkunci setelah ada laporan
+    const tanggalDaftarBerubah =
+      updateData.tanggalDaftar !== undefined &&
+      updateData.tanggalDaftar !== sebelum.tanggalDaftar;
+    const jumlahTernakAwalBerubah =
+      updateData.jumlahTernakAwal !== undefined &&
+      Number(updateData.jumlahTernakAwal) !== Number(sebelum.jumlahTernakAwal);
+    const sudahAdaLaporan =
+      (tanggalDaftarBerubah || jumlahTernakAwalBerubah) &&
+      (sebelum.jumlahLaporan ?? (await countLaporanPeternak(peternakId))) > 0;
+    if (tanggalDaftarBerubah && sudahAdaLaporan) {
+      throw new Error(
+        "Tanggal daftar tidak dapat diubah karena peternak sudah memiliki laporan"
+      );
+    }
+    // Ternak awal generasi berikutnya mengikuti pengembalian sumbernya
+    if (jumlahTernakAwalBerubah && sebelum.idPengembalianSumber) {
+      throw new Error(
+        "Jumlah ternak awal mengikuti pengembalian sumber dan tidak dapat diubah"
+      );
+    }
+    if (jumlahTernakAwalBerubah && sudahAdaLaporan) {
+      throw new Error(
+        "Jumlah ternak awal tidak dapat diubah karena peternak sudah memiliki laporan"
+      );
+    }
+    // Tanpa laporan, ternak terkini sama dengan ternak awal
+    const dataPeternak = jumlahTernakAwalBerubah
+      ? {
+          ...updateData,
+          jumlahTernakTerkini: Number(updateData.jumlahTernakAwal) || 0,
+        }
+      : updateData;
+    await commitPeternak(
+      peternakId,
+      AUDIT_ACTION.UPDATE,
+      sebelum,
+      { ...sebelum, ...dataPeternak },
+      (batch, peternakRef) => batch.update(peternakRef, dataPeternak)
+    );
+    // Foto lama dihapus dari Storage setelah fotonya diganti atau dihapus
+    if (
+      sebelum.pathFotoPeternak &&
+      updateData.pathFotoPeternak !== undefined &&
+      updateData.pathFotoPeternak !== sebelum.pathFotoPeternak
+    ) {
+      await deleteFotoTidakDipakai([sebelum.pathFotoPeternak]);
+    }
+    return { id: peternakId, ...dataPeternak };
   } catch (error) {
     console.error("Error updating peternak:", error);
     throw error;
   }
 };
 
-// DELETE
+// Laporan milik peternak, termasuk yang ada di Tempat Sampah
+const getLaporanDocsPeternak = async (peternakId) => {
+  const laporanQuery = query(
+    collection(db, COLLECTION_LAPORAN),
+    where("idPeternak", "==", peternakId)
+  );
+  const laporanSnapshot = await getDocs(laporanQuery);
+  return laporanSnapshot.docs;
+};
+
+const addLaporanAudit = (batch, peternak, laporanDoc, action, sesudah) =>
+  addAuditEntry(batch, {
+    entity: AUDIT_ENTITY.LAPORAN,
+    entityId: laporanDoc.id,
+    action,
+    label: `${peternak.namaLengkap} - Triwulan ${laporanDoc.data().quarter}`,
+    idPeternak: peternak.id,
+    sebelum: laporanDoc.data(),
+    sesudah,
+  });
+
+// DELETE: pindahkan peternak beserta laporannya ke Tempat Sampah
 export const deletePeternak = async (peternakId) => {
   try {
-    await deleteDoc(doc(db, COLLECTION_PETERNAK, peternakId));
-    return { success: true };
+    const sebelum = await getPeternakById(peternakId);
+    if (isDeleted(sebelum)) {
+      throw new Error("Data peternak sudah ada di Tempat Sampah");
+    }
+    const marker = createDeletedMarker();
+    const laporanDocs = (await getLaporanDocsPeternak(peternakId)).filter(
+      (laporanDoc) => !isDeleted(laporanDoc.data())
+    );
+
+    await commitPeternak(
+      peternakId,
+      AUDIT_ACTION.DELETE,
+      sebelum,
+      { ...sebelum, ...marker },
+      (batch, peternakRef) => {
+        batch.update(peternakRef, { ...marker, ...naikkanVersiLaporan() });
+        laporanDocs.forEach((laporanDoc) => {
+          const laporanMarker = { ...marker, dihapusBersamaPeternak: true };
+          batch.update(laporanDoc.ref, laporanMarker);
+          addLaporanAudit(batch, sebelum, laporanDoc, AUDIT_ACTION.DELETE, {
+            ...laporanDoc.data(),
+            ...laporanMarker,
+          });
+        });
+      }
+    );
+    await tandaiFaqLaporanDihapus(
+      laporanDocs.map((laporanDoc) => laporanDoc.id),
+      ALASAN_TINJAU_FAQ.TEMPAT_SAMPAH
+    );
+    return { success: true, jumlahLaporan: laporanDocs.length };
   } catch (error) {
     console.error("Error deleting peternak:", error);
     throw error;
   }
 };
 
+// RESTORE: pulihkan peternak dan laporan yang ikut terhapus bersamanya
+export const restorePeternak = async (peternakId) => {
+  try {
+    const { deletedAt, deletedBy, ...sesudah } =
+      await getPeternakById(peternakId);
+    if (!deletedAt) {
+      throw new Error("Data peternak tidak ada di Tempat Sampah");
+    }
+    const laporanDocs = (await getLaporanDocsPeternak(peternakId)).filter(
+      (laporanDoc) => laporanDoc.data().dihapusBersamaPeternak
+    );
+
+    await commitPeternak(
+      peternakId,
+      AUDIT_ACTION.RESTORE,
+      { ...sesudah, deletedAt, deletedBy },
+      sesudah,
+      (batch, peternakRef) => {
+        batch.update(peternakRef, {
+          ...clearDeletedMarker(),
+          ...naikkanVersiLaporan(),
+        });
+        laporanDocs.forEach((laporanDoc) => {
+          const {
+            deletedAt: laporanDeletedAt,
+            deletedBy: laporanDeletedBy,
+            dihapusBersamaPeternak,
+            ...laporanSesudah
+          } = laporanDoc.data();
+          batch.update(laporanDoc.ref, {
+            ...clearDeletedMarker(),
+            dihapusBersamaPeternak: deleteField(),
+          });
+          addLaporanAudit(
+            batch,
+            sesudah,
+            laporanDoc,
+            AUDIT_ACTION.RESTORE,
+            laporanSesudah
+          );
+        });
+      }
+    );
+    return { success: true, jumlahLaporan: laporanDocs.length };
+  } catch (error) {
+    console.error("Error restoring peternak:", error);
+    throw error;
+  }
+};
+
+// PURGE: hapus permanen peternak di Tempat Sampah beserta semua laporan,
+// catatan pengembalian, ternak, catatan kesehatan dan fotonya. Pengembalian
+// yang menjadi sumber ternaknya dilepas kembali agar bisa diteruskan ke
+// peternak lain. Peternak yang pengembaliannya sudah diteruskan ke generasi
+// berikutnya tidak bisa dihapus agar silsilah gaduh tetap utuh.
+// Satu writeBatch maksimal 500 operasi, sehingga data terkait dihapus per
+// PURGE_BATCH_SIZE dokumen (laporan butuh 2 operasi: hapus dan audit, ternak
+// juga 2: hapus dan lepas eartag) dan dokumen peternak dihapus paling akhir.
+// Jika terputus di tengah, purge bisa diulang dari Tempat Sampah.
+const PURGE_BATCH_SIZE = 200;
+
+const hapusPerBatch = async (docs, write) => {
+  for (let i = 0; i < docs.length; i += PURGE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    docs.slice(i, i + PURGE_BATCH_SIZE).forEach((item) => write(batch, item));
+    await batch.commit();
+  }
+};
+
+const getDocsPeternak = async (collectionName, peternakId) =>
+  (
+    await getDocs(
+      query(
+        collection(db, collectionName),
+        where("idPeternak", "==", peternakId)
+      )
+    )
+  ).docs;
+
+export const purgePeternak = async (peternakId) => {
+  try {
+    assertSuperAdmin();
+    const sebelum = await getPeternakById(peternakId);
+    if (!isDeleted(sebelum)) {
+      throw new Error(
+        "Pindahkan data peternak ke Tempat Sampah terlebih dahulu"
+      );
+    }
+    const pengembalianDocs = await getDocsPeternak(
+      COLLECTION_PENGEMBALIAN,
+      peternakId
+    );
+    const jumlahDiteruskan = pengembalianDocs.filter(
+      (pengembalianDoc) => pengembalianDoc.data().idPeternakPenerima
+    ).length;
+    if (jumlahDiteruskan > 0) {
+      throw new Error(
+        `${jumlahDiteruskan} pengembalian peternak ini sudah diteruskan ke peternak generasi berikutnya, data tidak dapat dihapus permanen`
+      );
+    }
+    const laporanDocs = await getLaporanDocsPeternak(peternakId);
+    const ternakDocs = await getDocsPeternak(COLLECTION_TERNAK, peternakId);
+    const kesehatanDocs = await getDocsPeternak(
+      COLLECTION_KESEHATAN,
+      peternakId
+    );
+    const pengembalianSumberRef = sebelum.idPengembalianSumber
+      ? doc(db, COLLECTION_PENGEMBALIAN, sebelum.idPengembalianSumber)
+      : null;
+    const pengembalianSumberAda =
+      pengembalianSumberRef && (await getDoc(pengembalianSumberRef)).exists();
+
+    await hapusPerBatch(laporanDocs, (batch, laporanDoc) => {
+      batch.delete(laporanDoc.ref);
+      addLaporanAudit(batch, sebelum, laporanDoc, AUDIT_ACTION.PURGE, null);
+    });
+    await hapusPerBatch(ternakDocs, (batch, ternakDoc) => {
+      batch.delete(ternakDoc.ref);
+      lepasEartag(batch, ternakDoc.data().nomorTag);
+    });
+    await hapusPerBatch(
+      [...pengembalianDocs, ...kesehatanDocs],
+      (batch, dataDoc) => batch.delete(dataDoc.ref)
+    );
+    await commitPeternak(
+      peternakId,
+      AUDIT_ACTION.PURGE,
+      sebelum,
+      null,
+      (batch, peternakRef) => {
+        batch.delete(peternakRef);
+        if (pengembalianSumberAda) {
+          batch.update(pengembalianSumberRef, {
+            idPeternakPenerima: deleteField(),
+          });
+        }
+      }
+    );
+    await tandaiFaqLaporanDihapus(
+      laporanDocs.map((laporanDoc) => laporanDoc.id),
+      ALASAN_TINJAU_FAQ.DIHAPUS_PERMANEN
+    );
+    await deleteFotoTidakDipakai([
+      sebelum.pathFotoPeternak,
+      ...laporanDocs.flatMap((laporanDoc) =>
+        getPathFoto(laporanDoc.data().fotoLaporan)
+      ),
+    ]);
+    return { success: true };
+  } catch (error) {
+    console.error("Error purging peternak:", error);
+    throw error;
+  }
+};
+
+// STATUS KINERJA
+// Semua perubahan status lewat validateTransisiStatus agar transisi ilegal
+// ditolak di service, bukan hanya disembunyikan di UI.
+const countLaporanPeternak = async (peternakId) =>
+  (await getLaporanDocsPeternak(peternakId)).filter(
+    (laporanDoc) => !isDeleted(laporanDoc.data())
+  ).length;
+
+const applyStatusKinerja = async (peternakId, statusBaru, extraData = {}) => {
+  const peternak = await getPeternakById(peternakId);
+  if (isDeleted(peternak)) {
+    throw new Error("Data peternak ada di Tempat Sampah");
+  }
+  const statusLama = getStatusKinerja(peternak);
+  const jumlahLaporan = await countLaporanPeternak(peternakId);
+
+  const errorMessage = validateTransisiStatus(statusLama, statusBaru, {
+    jumlahLaporan,
+  });
+  if (errorMessage) {
+    throw new Error(errorMessage);
+  }
+
+  const admin = getCurrentAdmin();
+  const diubahOleh = admin ? { id: admin.id, name: admin.name } : null;
+  const diubahPada = new Date().toISOString();
+  const updateData = {
+    statusKinerja: statusBaru,
+    statusKinerjaDiubahOleh: diubahOleh,
+    statusKinerjaDiubahPada: diubahPada,
+    ...extraData,
+  };
+
+  await commitPeternak(
+    peternakId,
+    AUDIT_ACTION.UPDATE,
+    peternak,
+    { ...peternak, ...updateData },
+    (batch, peternakRef) =>
+      batch.update(peternakRef, {
+        ...updateData,
+        riwayatStatusKinerja: arrayUnion({
+          dari: statusLama,
+          ke: statusBaru,
+          diubahOleh,
+          diubahPada,
+        }),
+      })
+  );
+  return { id: peternakId, ...updateData };
+};
+
+// Baru -> Progress setelah laporan pertama dibuat
 export const updateStatusKinerjaOtomatis = async (
   peternakId,
   statusKinerja
 ) => {
   try {
-    const peternakRef = doc(db, COLLECTION_PETERNAK, peternakId);
-    await updateDoc(peternakRef, { statusKinerja });
-    return { id: peternakId, statusKinerja };
+    return await applyStatusKinerja(peternakId, statusKinerja);
   } catch (error) {
     console.error("Error updating status kinerja:", error);
     throw error;
   }
 };
+
+// Penilaian akhir (Bagus/Biasa/Kurang) setelah 8 triwulan, menutup siklus
+export const updateStatusKinerjaFinal = async (peternakId, statusKinerja) => {
+  try {
+    if (!isStatusFinal(statusKinerja)) {
+      throw new Error(`Status ${statusKinerja} bukan status kinerja akhir`);
+    }
+    return await applyStatusKinerja(peternakId, statusKinerja, {
+      statusSiklus: "Selesai",
+      tanggalSelesai: new Date().toISOString(),
+    });
+  } catch (error) {
+    console.error("Error updating status kinerja final:", error);
+    throw error;
+  }
+};
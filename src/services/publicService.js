@@ -0,0 +1,67 @@
+import { collection, getDocs } from "firebase/firestore";
+import { db } from "../firebase/config";
+import { getAllLaporan } from "./laporanService";
+import { getSisaPengembalian } from "../utils/pengembalian";
+
+// Proyeksi read-only untuk halaman publik (transparansi).
+// Data peternak dibaca dari peternakPublik (salinan tanpa NIK yang dikelola
+// peternakService), karena collection peternak hanya bisa dibaca Admin.
+const COLLECTION_PETERNAK_PUBLIK = "peternakPublik";
+
+const toPublicLaporan = (laporan) => ({
+  id: laporan.id,
+  idPeternak: laporan.idPeternak,
+  quarter: laporan.quarter,
+  year: laporan.year,
+  displayPeriod: laporan.displayPeriod,
+  tanggalLaporan: laporan.tanggalLaporan,
+  jumlahTernakAwal: laporan.jumlahTernakAwal || 0,
+  jumlahLahir: laporan.jumlahLahir || 0,
+  jumlahKematian: laporan.jumlahKematian || 0,
+  jumlahTerjual: laporan.jumlahTerjual || 0,
+  jumlahDikembalikan: laporan.jumlahDikembalikan || 0,
+  jumlahTernakSaatIni: laporan.jumlahTernakSaatIni || 0,
+  kendala: laporan.kendala || "",
+  solusi: laporan.solusi || "",
+  keterangan: laporan.catatan || laporan.keterangan || "",
+});
+
+const toPublicPeternak = (peternak) => ({
+  id: peternak.id,
+  namaLengkap: peternak.namaLengkap,
+  alamat: peternak.alamat,
+  urlFotoPeternak: peternak.urlFotoPeternak || "",
+  statusKinerja: peternak.statusKinerja || "Baru",
+  statusSiklus: peternak.statusSiklus,
+  tanggalDaftar: peternak.tanggalDaftar,
+  programAktif: peternak.statusSiklus === "Mulai",
+  jumlahTernakAwal: peternak.jumlahTernakAwal || 0,
+  jumlahTernakSaatIni: peternak.jumlahTernakTerkini || 0,
+  targetPengembalian: peternak.targetPengembalian || 0,
+  jumlahDikembalikan: peternak.jumlahDikembalikan || 0,
+  sisaPengembalian: getSisaPengembalian(peternak),
+});
+
+// Urutkan laporan dari yang paling lama ke yang paling baru
+const sortLaporanAsc = (a, b) =>
+  Number(a.year) - Number(b.year) || Number(a.quarter) - Number(b.quarter);
+
+// READ DATA TRANSPARANSI
+export const getPublicTransparansiData = async () => {
+  try {
+    const [peternakSnapshot, laporanList] = await Promise.all([
+      getDocs(collection(db, COLLECTION_PETERNAK_PUBLIK)),
+      getAllLaporan(),
+    ]);
+
+    const laporan = laporanList.map(toPublicLaporan).sort(sortLaporanAsc);
+    const peternak = peternakSnapshot.docs.map((doc) =>
+      toPublicPeternak({ id: doc.id, ...doc.data() })
+    );
+
+    return { peternak, laporan };
+  } catch (error) {
+    console.error("Error getting public transparansi data:", error);
+    throw error;
+  }
+};
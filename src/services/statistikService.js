@@ -0,0 +1,77 @@
+import { getAllPeternak } from "./peternakService";
+import { getAllLaporan } from "./laporanService";
+import { getPublicTransparansiData } from "./publicService";
+
+// Status kinerja akhir yang dihitung sebagai program berhasil
+const STATUS_BERHASIL = ["Bagus", "Biasa"];
+
+const isLaporanLebihBaru = (a, b) =>
+  Number(a.year) - Number(b.year) ||
+  Number(a.quarter) - Number(b.quarter) ||
+  (a.tanggalLaporan || "").localeCompare(b.tanggalLaporan || "");
+
+// Ambil laporan terbaru untuk setiap peternak
+const getLaporanTerbaruPerPeternak = (laporanList) =>
+  laporanList.reduce((latest, laporan) => {
+    const current = latest[laporan.idPeternak];
+    if (!current || isLaporanLebihBaru(laporan, current) > 0) {
+      latest[laporan.idPeternak] = laporan;
+    }
+    return latest;
+  }, {});
+
+// Hitung statistik program dari data peternak dan laporan
+export const hitungStatistik = (peternakList, laporanList) => {
+  const laporanTerbaru = getLaporanTerbaruPerPeternak(laporanList);
+
+  const totalTernak = peternakList.reduce((total, peternak) => {
+    const laporan = laporanTerbaru[peternak.id];
+    const jumlah = laporan
+      ? laporan.jumlahTernakSaatIni
+      : peternak.jumlahTernakAwal;
+    return total + (Number(jumlah) || 0);
+  }, 0);
+
+  const peternakSelesai = peternakList.filter(
+    (peternak) => peternak.statusSiklus === "Selesai"
+  );
+  const peternakBerhasil = peternakSelesai.filter((peternak) =>
+    STATUS_BERHASIL.includes(peternak.statusKinerja)
+  );
+
+  return {
+    totalPeternak: peternakList.length,
+    totalTernak,
+    programAktif: peternakList.filter(
+      (peternak) => peternak.statusSiklus === "Mulai"
+    ).length,
+    tingkatKeberhasilan: peternakSelesai.length
+      ? Math.round((peternakBerhasil.length / peternakSelesai.length) * 100)
+      : 0,
+  };
+};
+
+// READ STATISTIK PROGRAM
+export const getStatistikProgram = async () => {
+  try {
+    const [peternakList, laporanList] = await Promise.all([
+      getAllPeternak(),
+      getAllLaporan(),
+    ]);
+    return hitungStatistik(peternakList, laporanList);
+  } catch (error) {
+    console.error("Error getting statistik program:", error);
+    throw error;
+  }
+};
+
+// READ STATISTIK UNTUK HALAMAN PUBLIK (dari data publik tanpa login)
+export const getStatistikPublik = async () => {
+  try {
+    const { peternak, laporan } = await getPublicTransparansiData();
+    return hitungStatistik(peternak, laporan);
+  } catch (error) {
+    console.error("Error getting statistik publik:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,525 @@
+import {
+  collection,
+  getDocs,
+  doc,
+  query,
+  where,
+  getDoc,
+  writeBatch,
+  arrayUnion,
+  runTransaction,
+} from "firebase/firestore";
+import { db } from "../firebase/config";
+import { getCurrentAdmin } from "../utils/currentAdmin";
+import { isDeleted } from "../utils/softDelete";
+import { toDateString } from "../utils/programQuarter";
+import {
+  STATUS_TERNAK,
+  STATUS_TERNAK_LABEL,
+  JENIS_KELAMIN_TERNAK,
+  PERISTIWA_TERNAK,
+  normalizeNomorTag,
+  isNomorTagValid,
+  validateKelahiran,
+} from "../utils/ternak";
+import { AUDIT_ENTITY, AUDIT_ACTION, addAuditEntry } from "./auditService";
+
+// Registri ternak per ekor (lihat utils/ternak).
+// Service ini tidak mengimpor service lain agar bisa dipakai peternakService,
+// laporanService dan pengembalianService di dalam transaksi mereka. Fungsi
+// yang menerima transaction selalu membaca dokumen ternak terlebih dahulu,
+// jadi harus dipanggil sebelum transaksi menulis apa pun.
+const COLLECTION_TERNAK = "ternak";
+const COLLECTION_PETERNAK = "peternak";
+const COLLECTION_EARTAG = "eartag";
+
+const getDicatatOleh = () => {
+  const admin = getCurrentAdmin();
+  return admin ? { id: admin.id, name: admin.name } : null;
+};
+
+const buildRiwayat = (peristiwa, data) => ({
+  peristiwa,
+  status: data.status,
+  idPeternak: data.idPeternak,
+  idLaporan: data.idLaporan || null,
+  idPengembalian: data.idPengembalian || null,
+  tanggal: data.tanggal,
+  dicatatOleh: getDicatatOleh(),
+  dicatatPada: new Date().toISOString(),
+});
+
+const addTernakAudit = (writer, ternakId, action, sebelum, sesudah) =>
+  addAuditEntry(writer, {
+    entity: AUDIT_ENTITY.TERNAK,
+    entityId: ternakId,
+    action,
+    label: (sesudah || sebelum).nomorTag,
+    idPeternak: (sesudah || sebelum).idPeternak,
+    sebelum,
+    sesudah,
+  });
+
+// Nomor eartag unik di seluruh desa. kecualiIds untuk ternak yang sedang
+// dipulihkan/diubah sehingga tidak bentrok dengan dirinya sendiri.
+// Query ini hanya cek awal dan menangkap ternak lama yang didaftarkan
+// sebelum ada dokumen eartag; jaminan unik ada di pesanEartag.
+const assertNomorTagBelumDipakai = async (nomorTagList, kecualiIds = []) => {
+  const snapshots = await Promise.all(
+    nomorTagList.map((nomorTag) =>
+      getDocs(
+        query(
+          collection(db, COLLECTION_TERNAK),
+          where("nomorTag", "==", nomorTag)
+        )
+      )
+    )
+  );
+  snapshots.forEach((snapshot, index) => {
+    if (snapshot.docs.some((ternakDoc) => !kecualiIds.includes(ternakDoc.id))) {
+      throw new Error(`Nomor eartag ${nomorTagList[index]} sudah terdaftar`);
+    }
+  });
+};
+
+// Setiap nomor eartag dipesan di dokumen eartag/{nomorTag} yang dibaca di
+// dalam transaksi yang sama dengan pembuatan ternaknya, sehingga dua admin
+// yang mendaftarkan nomor yang sama bersamaan tidak bisa sama-sama berhasil.
+const getEartagRef = (nomorTag) => doc(db, COLLECTION_EARTAG, nomorTag);
+
+// ternakList: [{ id, nomorTag }]. Baca pesanan di dalam transaksi, tolak
+// nomor yang sudah dipesan ternak lain, lalu kembalikan fungsi penulis
+// yang harus dipanggil setelah semua pembacaan transaksi selesai.
+const pesanEartag = async (transaction, ternakList) => {
+  const eartagDocs = await Promise.all(
+    ternakList.map(({ nomorTag }) => transaction.get(getEartagRef(nomorTag)))
+  );
+  eartagDocs.forEach((eartagDoc, index) => {
+    if (
+      eartagDoc.exists() &&
+      eartagDoc.data().idTernak !== ternakList[index].id
+    ) {
+      throw new Error(
+        `Nomor eartag ${ternakList[index].nomorTag} sudah terdaftar`
+      );
+    }
+  });
+  return () =>
+    ternakList
+      .filter((_, index) => !eartagDocs[index].exists())
+      .forEach(({ id, nomorTag }) =>
+        transaction.set(getEartagRef(nomorTag), {
+          idTernak: id,
+          createdAt: new Date().toISOString(),
+        })
+      );
+};
+
+// Lepas pesanan eartag saat ternaknya dihapus (batch atau transaksi)
+export const lepasEartag = (writer, nomorTag) =>
+  writer.delete(getEartagRef(nomorTag));
+
+// Induk harus ternak betina milik peternak yang sama
+const assertIndukValid = (induk, idPeternak) => {
+  if (!induk) {
+    throw new Error("Data induk tidak ditemukan");
+  }
+  if (induk.idPeternak !== idPeternak) {
+    throw new Error(`Induk ${induk.nomorTag} bukan milik peternak ini`);
+  }
+  if (induk.jenisKelamin !== "Betina") {
+    throw new Error(`Induk ${induk.nomorTag} bukan ternak betina`);
+  }
+};
+
+// Baca ternak di dalam transaksi dan pastikan masih dimiliki peternak
+// dengan status yang diharapkan
+const getTernakUntukPeristiwa = async (
+  transaction,
+  idTernakList,
+  idPeternak,
+  statusSeharusnya
+) => {
+  const ternakDocs = await Promise.all(
+    idTernakList.map((idTernak) =>
+      transaction.get(doc(db, COLLECTION_TERNAK, idTernak))
+    )
+  );
+  return ternakDocs.map((ternakDoc) => {
+    if (!ternakDoc.exists()) {
+      throw new Error("Data ternak tidak ditemukan");
+    }
+    const ternak = ternakDoc.data();
+    if (ternak.idPeternak !== idPeternak) {
+      throw new Error(`Ternak ${ternak.nomorTag} bukan milik peternak ini`);
+    }
+    if (ternak.status !== statusSeharusnya) {
+      throw new Error(
+        `Status ternak ${ternak.nomorTag} sudah ${
+          STATUS_TERNAK_LABEL[ternak.status] || ternak.status
+        }`
+      );
+    }
+    return { ref: ternakDoc.ref, id: ternakDoc.id, ternak };
+  });
+};
+
+// Ubah status sekumpulan ternak dan catat peristiwanya
+const writePerubahanStatus = (transaction, ternakItems, peristiwa, data) =>
+  ternakItems.forEach(({ ref, id, ternak }) => {
+    const perubahan = {
+      status: data.status,
+      idPeternak: data.idPeternak || ternak.idPeternak,
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.update(ref, {
+      ...perubahan,
+      riwayat: arrayUnion(
+        buildRiwayat(peristiwa, { ...data, idPeternak: perubahan.idPeternak })
+      ),
+    });
+    addTernakAudit(transaction, id, AUDIT_ACTION.UPDATE, ternak, {
+      ...ternak,
+      ...perubahan,
+    });
+  });
+
+// CREATE: daftarkan ternak yang sudah dimiliki peternak (mis. distribusi awal)
+export const createTernak = async (ternakData) => {
+  try {
+    const { idPeternak, jenisKelamin, tanggalLahir = "" } = ternakData;
+    const nomorTag = normalizeNomorTag(ternakData.nomorTag);
+    const idInduk = ternakData.idInduk || null;
+    if (!idPeternak) {
+      throw new Error("Peternak wajib dipilih");
+    }
+    if (!nomorTag) {
+      throw new Error("Nomor eartag wajib diisi");
+    }
+    if (!isNomorTagValid(nomorTag)) {
+      throw new Error(
+        "Nomor eartag hanya boleh berisi huruf, angka dan tanda hubung"
+      );
+    }
+    if (!JENIS_KELAMIN_TERNAK.includes(jenisKelamin)) {
+      throw new Error("Jenis kelamin ternak wajib dipilih");
+    }
+    if (tanggalLahir && !/^\d{4}-\d{2}-\d{2}$/.test(tanggalLahir)) {
+      throw new Error("Format tanggal lahir tidak valid");
+    }
+
+    const peternakDoc = await getDoc(doc(db, COLLECTION_PETERNAK, idPeternak));
+    if (!peternakDoc.exists() || isDeleted(peternakDoc.data())) {
+      throw new Error("Data peternak tidak ditemukan");
+    }
+    if (idInduk) {
+      const indukDoc = await getDoc(doc(db, COLLECTION_TERNAK, idInduk));
+      assertIndukValid(indukDoc.exists() ? indukDoc.data() : null, idPeternak);
+    }
+    await assertNomorTagBelumDipakai([nomorTag]);
+
+    const tanggalDaftar = toDateString(new Date());
+    const finalData = {
+      idPeternak,
+      nomorTag,
+      jenisKelamin,
+      tanggalLahir,
+      idInduk,
+      status: STATUS_TERNAK.HIDUP,
+      keterangan: (ternakData.keterangan || "").trim(),
+      riwayat: [
+        buildRiwayat(PERISTIWA_TERNAK.DIDAFTARKAN, {
+          status: STATUS_TERNAK.HIDUP,
+          idPeternak,
+          tanggal: tanggalDaftar,
+        }),
+      ],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    const ternakRef = doc(collection(db, COLLECTION_TERNAK));
+    await runTransaction(db, async (transaction) => {
+      const tulisEartag = await pesanEartag(transaction, [
+        { id: ternakRef.id, nomorTag },
+      ]);
+      tulisEartag();
+      transaction.set(ternakRef, finalData);
+      addTernakAudit(
+        transaction,
+        ternakRef.id,
+        AUDIT_ACTION.CREATE,
+        null,
+        finalData
+      );
+    });
+
+    return { id: ternakRef.id, ...finalData };
+  } catch (error) {
+    console.error("Error creating ternak:", error);
+    throw error;
+  }
+};
+
+// READ ALL BY PETERNAK (urut nomor eartag)
+export const getTernakByPeternak = async (idPeternak) => {
+  try {
+    const ternakQuery = query(
+      collection(db, COLLECTION_TERNAK),
+      where("idPeternak", "==", idPeternak)
+    );
+    const querySnapshot = await getDocs(ternakQuery);
+    return querySnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+      }))
+      .sort((a, b) => a.nomorTag.localeCompare(b.nomorTag));
+  } catch (error) {
+    console.error("Error getting ternak by peternak:", error);
+    throw error;
+  }
+};
+
+// DELETE: hanya untuk salah input, yaitu ternak yang belum punya peristiwa
+// selain pendaftaran
+export const deleteTernak = async (ternakId) => {
+  try {
+    const ternakRef = doc(db, COLLECTION_TERNAK, ternakId);
+    const ternakDoc = await getDoc(ternakRef);
+    if (!ternakDoc.exists()) {
+      throw new Error("Data ternak tidak ditemukan");
+    }
+    const ternak = ternakDoc.data();
+    const hanyaDidaftarkan = (ternak.riwayat || []).every(
+      (riwayat) => riwayat.peristiwa === PERISTIWA_TERNAK.DIDAFTARKAN
+    );
+    if (!hanyaDidaftarkan) {
+      throw new Error(
+        "Ternak yang sudah punya riwayat peristiwa tidak dapat dihapus"
+      );
+    }
+
+    const batch = writeBatch(db);
+    batch.delete(ternakRef);
+    lepasEartag(batch, ternak.nomorTag);
+    addTernakAudit(batch, ternakId, AUDIT_ACTION.DELETE, ternak, null);
+    await batch.commit();
+    return { success: true };
+  } catch (error) {
+    console.error("Error deleting ternak:", error);
+    throw error;
+  }
+};
+
+// PERISTIWA LAPORAN
+// Siapkan kelahiran sebelum transaksi laporan: validasi, cek eartag dan
+// induk, lalu beri id dokumen agar laporan bisa menyimpan id ternak barunya.
+// kecualiIds dipakai saat memulihkan laporan yang kelahirannya sudah punya id.
+export const prepareKelahiran = async (
+  idPeternak,
+  lahirList,
+  tanggalLaporan,
+  kecualiIds = []
+) => {
+  const errorMessage = validateKelahiran(lahirList, tanggalLaporan);
+  if (errorMessage) {
+    throw new Error(errorMessage);
+  }
+  const kelahiran = lahirList.map((anak) => ({
+    id: anak.id || doc(collection(db, COLLECTION_TERNAK)).id,
+    nomorTag: normalizeNomorTag(anak.nomorTag),
+    jenisKelamin: anak.jenisKelamin,
+    tanggalLahir: anak.tanggalLahir,
+    idInduk: anak.idInduk || null,
+  }));
+  await assertNomorTagBelumDipakai(
+    kelahiran.map((anak) => anak.nomorTag),
+    kecualiIds
+  );
+  const idIndukList = [
+    ...new Set(kelahiran.map((anak) => anak.idInduk).filter(Boolean)),
+  ];
+  const indukDocs = await Promise.all(
+    idIndukList.map((idInduk) => getDoc(doc(db, COLLECTION_TERNAK, idInduk)))
+  );
+  indukDocs.forEach((indukDoc) =>
+    assertIndukValid(indukDoc.exists() ? indukDoc.data() : null, idPeternak)
+  );
+  return kelahiran;
+};
+
+// Terapkan peristiwa laporan: buat ternak yang lahir, tandai yang mati
+// dan dijual
+export const applyPeristiwaLaporan = async (
+  transaction,
+  { idPeternak, idLaporan, peristiwa, tanggalLaporan }
+) => {
+  const [matiItems, dijualItems, tulisEartag] = await Promise.all([
+    getTernakUntukPeristiwa(
+      transaction,
+      peristiwa.mati,
+      idPeternak,
+      STATUS_TERNAK.HIDUP
+    ),
+    getTernakUntukPeristiwa(
+      transaction,
+      peristiwa.dijual,
+      idPeternak,
+      STATUS_TERNAK.HIDUP
+    ),
+    pesanEartag(transaction, peristiwa.lahir),
+  ]);
+
+  tulisEartag();
+  peristiwa.lahir.forEach(({ id, ...anak }) => {
+    const ternakBaru = {
+      ...anak,
+      idPeternak,
+      status: STATUS_TERNAK.HIDUP,
+      keterangan: "",
+      riwayat: [
+        buildRiwayat(PERISTIWA_TERNAK.LAHIR, {
+          status: STATUS_TERNAK.HIDUP,
+          idPeternak,
+          idLaporan,
+          tanggal: anak.tanggalLahir,
+        }),
+      ],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+    transaction.set(doc(db, COLLECTION_TERNAK, id), ternakBaru);
+    addTernakAudit(transaction, id, AUDIT_ACTION.CREATE, null, ternakBaru);
+  });
+  writePerubahanStatus(transaction, matiItems, PERISTIWA_TERNAK.MATI, {
+    status: STATUS_TERNAK.MATI,
+    idLaporan,
+    tanggal: tanggalLaporan,
+  });
+  writePerubahanStatus(transaction, dijualItems, PERISTIWA_TERNAK.DIJUAL, {
+    status: STATUS_TERNAK.DIJUAL,
+    idLaporan,
+    tanggal: tanggalLaporan,
+  });
+};
+
+// Batalkan peristiwa laporan yang dipindah ke Tempat Sampah: ternak yang
+// lahir dihapus, ternak yang mati/dijual kembali hidup
+export const batalkanPeristiwaLaporan = async (
+  transaction,
+  { idPeternak, idLaporan, peristiwa }
+) => {
+  const [lahirItems, matiItems, dijualItems] = await Promise.all([
+    getTernakUntukPeristiwa(
+      transaction,
+      peristiwa.lahir.map((anak) => anak.id),
+      idPeternak,
+      STATUS_TERNAK.HIDUP
+    ),
+    getTernakUntukPeristiwa(
+      transaction,
+      peristiwa.mati,
+      idPeternak,
+      STATUS_TERNAK.MATI
+    ),
+    getTernakUntukPeristiwa(
+      transaction,
+      peristiwa.dijual,
+      idPeternak,
+      STATUS_TERNAK.DIJUAL
+    ),
+  ]);
+
+  lahirItems.forEach(({ ref, id, ternak }) => {
+    if ((ternak.riwayat || []).length > 1) {
+      throw new Error(
+        `Ternak ${ternak.nomorTag} yang lahir di laporan ini sudah punya peristiwa lain`
+      );
+    }
+    transaction.delete(ref);
+    lepasEartag(transaction, ternak.nomorTag);
+    addTernakAudit(transaction, id, AUDIT_ACTION.DELETE, ternak, null);
+  });
+  writePerubahanStatus(
+    transaction,
+    [...matiItems, ...dijualItems],
+    PERISTIWA_TERNAK.DIBATALKAN,
+    {
+      status: STATUS_TERNAK.HIDUP,
+      idLaporan,
+      tanggal: toDateString(new Date()),
+    }
+  );
+};
+
+// PERISTIWA PENGEMBALIAN
+export const applyPengembalianTernak = async (
+  transaction,
+  { idPeternak, idPengembalian, idTernakList, tanggalPengembalian }
+) => {
+  const ternakItems = await getTernakUntukPeristiwa(
+    transaction,
+    idTernakList,
+    idPeternak,
+    STATUS_TERNAK.HIDUP
+  );
+  writePerubahanStatus(
+    transaction,
+    ternakItems,
+    PERISTIWA_TERNAK.DIKEMBALIKAN,
+    {
+      status: STATUS_TERNAK.DIKEMBALIKAN,
+      idPengembalian,
+      tanggal: tanggalPengembalian,
+    }
+  );
+};
+
+export const batalkanPengembalianTernak = async (
+  transaction,
+  { idPeternak, idPengembalian, idTernakList }
+) => {
+  const ternakItems = await getTernakUntukPeristiwa(
+    transaction,
+    idTernakList,
+    idPeternak,
+    STATUS_TERNAK.DIKEMBALIKAN
+  );
+  writePerubahanStatus(transaction, ternakItems, PERISTIWA_TERNAK.DIBATALKAN, {
+    status: STATUS_TERNAK.HIDUP,
+    idPengembalian,
+    tanggal: toDateString(new Date()),
+  });
+};
+
+// Pindahkan ternak pengembalian ke peternak generasi berikutnya. Ternak
+// yang sudah tidak ada (peternak asal dihapus permanen) dilewati.
+export const teruskanTernak = async (
+  transaction,
+  { idPeternakAsal, idPeternakBaru, idPengembalian, idTernakList, tanggal }
+) => {
+  const ternakDocs = await Promise.all(
+    idTernakList.map((idTernak) =>
+      transaction.get(doc(db, COLLECTION_TERNAK, idTernak))
+    )
+  );
+  const ternakItems = ternakDocs
+    .filter(
+      (ternakDoc) =>
+        ternakDoc.exists() &&
+        ternakDoc.data().idPeternak === idPeternakAsal &&
+        ternakDoc.data().status === STATUS_TERNAK.DIKEMBALIKAN
+    )
+    .map((ternakDoc) => ({
+      ref: ternakDoc.ref,
+      id: ternakDoc.id,
+      ternak: ternakDoc.data(),
+    }));
+  writePerubahanStatus(transaction, ternakItems, PERISTIWA_TERNAK.DITERUSKAN, {
+    status: STATUS_TERNAK.HIDUP,
+    idPeternak: idPeternakBaru,
+    idPengembalian,
+    tanggal,
+  });
+};
@@ -1,12 +1,26 @@
 import { Navigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
 
-const ProtectedRoute = ({ children }) => {
-  const token = localStorage.getItem("adminToken");
+const ProtectedRoute = ({ children, roles }) => {
+  const { currentUser, loading } = useAuth();
 
-  if (!token) {
+  if (loading) {
+    return (
+      <div className="h-screen w-full flex items-center justify-center bg-gray-100">
+        <div className="animate-spin rounded-full h-12 w-12 border-4 border-green-200 border-t-green-600"></div>
+      </div>
+    );
+  }
+
+  if (!currentUser) {
     return <Navigate to="/admin/login" replace />;
   }
 
+  // Batasi akses berdasarkan role jika prop roles diberikan
+  if (roles && !roles.includes(currentUser.role)) {
+    return <Navigate to="/admin/dashboard" replace />;
+  }
+
   return children;
 };
 
@@ -0,0 +1,56 @@
+import { gabungPerubahanLaporan } from "../antrianLaporan";
+
+const dasar = { jumlahLahir: 1, kendala: "", catatan: "awal" };
+
+describe("gabungPerubahanLaporan", () => {
+  test("field yang hanya diubah offline memakai nilai lokal", () => {
+    expect(
+      gabungPerubahanLaporan(dasar, { jumlahLahir: 2 }, { ...dasar })
+    ).toEqual({ data: { jumlahLahir: 2 }, konflik: [] });
+  });
+
+  test("field yang hanya diubah orang lain memakai nilai server", () => {
+    expect(
+      gabungPerubahanLaporan(
+        dasar,
+        { jumlahLahir: 1, catatan: "awal" },
+        { ...dasar, catatan: "diubah admin lain" }
+      )
+    ).toEqual({
+      data: { jumlahLahir: 1, catatan: "diubah admin lain" },
+      konflik: [],
+    });
+  });
+
+  test("field yang diubah di kedua sisi dengan nilai berbeda menjadi konflik", () => {
+    expect(
+      gabungPerubahanLaporan(
+        dasar,
+        { jumlahLahir: 2, kendala: "Pakan" },
+        { ...dasar, jumlahLahir: 3, kendala: "Pakan" }
+      )
+    ).toEqual({ data: { kendala: "Pakan" }, konflik: ["jumlahLahir"] });
+  });
+
+  test("field di luar form edit dan field yang tidak dikirim diabaikan", () => {
+    expect(
+      gabungPerubahanLaporan(
+        dasar,
+        { idPeternak: "p2", quarter: 3 },
+        { ...dasar, jumlahLahir: 4 }
+      )
+    ).toEqual({ data: {}, konflik: [] });
+  });
+
+  test("foto dibandingkan berdasarkan isinya", () => {
+    const foto = [{ path: "laporan/p1/a.jpg", kategori: "ternak" }];
+
+    expect(
+      gabungPerubahanLaporan(
+        { fotoLaporan: foto },
+        { fotoLaporan: [{ ...foto[0] }] },
+        { fotoLaporan: [] }
+      )
+    ).toEqual({ data: { fotoLaporan: [] }, konflik: [] });
+  });
+});
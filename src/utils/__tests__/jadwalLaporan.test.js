@@ -0,0 +1,83 @@
+import {
+  STATUS_JADWAL_LAPORAN,
+  getBatasLaporan,
+  getJadwalLaporanPeternak,
+  getTriwulanTerlewat,
+  hitungJadwalLaporan,
+} from "../jadwalLaporan";
+import { getProgramQuarters } from "../programQuarter";
+
+const peternak = { id: "p1", tanggalDaftar: "2024-01-01" };
+const tanggal = (value) => new Date(`${value}T00:00:00`);
+
+test("getBatasLaporan memberi masa tenggang 14 hari setelah triwulan berakhir", () => {
+  expect(getBatasLaporan("2024-01-01", 1)).toBe("2024-04-14");
+  expect(getBatasLaporan("2024-01-01", 2)).toBe("2024-07-14");
+});
+
+describe("getJadwalLaporanPeternak", () => {
+  test("triwulan lewat batas terlambat, triwulan yang hampir berakhir segera", () => {
+    const jadwal = getJadwalLaporanPeternak(
+      peternak,
+      [],
+      tanggal("2024-06-20")
+    );
+
+    expect(jadwal).toEqual([
+      expect.objectContaining({
+        id: "p1-1",
+        idPeternak: "p1",
+        quarter: 1,
+        batasLaporan: "2024-04-14",
+        sisaHari: -67,
+        status: STATUS_JADWAL_LAPORAN.TERLAMBAT,
+      }),
+      expect.objectContaining({
+        quarter: 2,
+        batasLaporan: "2024-07-14",
+        sisaHari: 24,
+        status: STATUS_JADWAL_LAPORAN.SEGERA,
+      }),
+    ]);
+  });
+
+  test("triwulan yang sudah dilaporkan atau belum dekat batasnya tidak muncul", () => {
+    expect(
+      getJadwalLaporanPeternak(
+        peternak,
+        [{ quarter: 1 }],
+        tanggal("2024-05-01")
+      )
+    ).toEqual([]);
+    expect(
+      getJadwalLaporanPeternak(
+        { id: "p2", tanggalDaftar: "" },
+        [],
+        tanggal("2024-05-01")
+      )
+    ).toEqual([]);
+  });
+});
+
+test("getTriwulanTerlewat hanya memberi triwulan yang terlambat", () => {
+  expect(getTriwulanTerlewat(peternak, [], tanggal("2024-06-20"))).toEqual([1]);
+  expect(
+    getTriwulanTerlewat(peternak, [{ quarter: 2 }], tanggal("2024-07-20"))
+  ).toEqual([1]);
+});
+
+test("hitungJadwalLaporan mengurutkan yang paling terlambat lebih dulu dan melewati program selesai", () => {
+  const peternakSelesai = { id: "p2", tanggalDaftar: "2021-01-01" };
+  const laporanSelesai = getProgramQuarters(peternakSelesai.tanggalDaftar).map(
+    ({ quarter }) => ({ idPeternak: "p2", quarter })
+  );
+  const peternakBaru = { id: "p3", tanggalDaftar: "2024-03-20" };
+
+  const jadwal = hitungJadwalLaporan(
+    [peternakBaru, peternak, peternakSelesai],
+    [...laporanSelesai, { idPeternak: "p1", quarter: 1 }],
+    tanggal("2024-06-20")
+  );
+
+  expect(jadwal.map((item) => item.id)).toEqual(["p3-1", "p1-2"]);
+});
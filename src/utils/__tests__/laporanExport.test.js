@@ -0,0 +1,28 @@
+import { escapeCsv } from "../laporanExport";
+
+describe("escapeCsv", () => {
+  test("nilai biasa dan kosong ditulis apa adanya", () => {
+    expect(escapeCsv("Budi")).toBe("Budi");
+    expect(escapeCsv(12)).toBe("12");
+    expect(escapeCsv(null)).toBe("");
+    expect(escapeCsv(undefined)).toBe("");
+  });
+
+  test("koma, kutip dan baris baru dibungkus tanda kutip", () => {
+    expect(escapeCsv("Pakan, air")).toBe('"Pakan, air"');
+    expect(escapeCsv('Kambing "etawa"')).toBe('"Kambing ""etawa"""');
+    expect(escapeCsv("baris 1\nbaris 2")).toBe('"baris 1\nbaris 2"');
+  });
+
+  test("teks yang dibaca sebagai formula diberi awalan '", () => {
+    expect(escapeCsv('=HYPERLINK("x")')).toBe('"\'=HYPERLINK(""x"")"');
+    expect(escapeCsv("+62812")).toBe("'+62812");
+    expect(escapeCsv("-1")).toBe("'-1");
+    expect(escapeCsv("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(escapeCsv("\tkendala")).toBe("'\tkendala");
+  });
+
+  test("angka negatif tetap angka", () => {
+    expect(escapeCsv(-1)).toBe("-1");
+  });
+});
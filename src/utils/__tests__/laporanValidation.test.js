@@ -0,0 +1,116 @@
+import {
+  LaporanValidationError,
+  assertLaporanValid,
+  validateLaporanData,
+} from "../laporanValidation";
+import { toDateString } from "../programQuarter";
+
+const buatLaporan = (data = {}) => ({
+  jumlahTernakAwal: 5,
+  jumlahLahir: 2,
+  jumlahKematian: 1,
+  jumlahTerjual: 0,
+  jumlahDikembalikan: 1,
+  jumlahTernakSaatIni: 5,
+  tanggalLaporan: "2024-03-01",
+  ...data,
+});
+
+describe("validateLaporanData", () => {
+  test("laporan dengan saldo yang sesuai valid", () => {
+    expect(validateLaporanData(buatLaporan())).toEqual({});
+  });
+
+  test("angka kosong, negatif atau pecahan ditolak per field", () => {
+    const fieldErrors = validateLaporanData(
+      buatLaporan({ jumlahLahir: "", jumlahKematian: -1, jumlahTerjual: 1.5 })
+    );
+
+    expect(fieldErrors).toEqual({
+      jumlahLahir: "Jumlah lahir harus diisi (minimal 0)",
+      jumlahKematian: "Jumlah mati harus berupa bilangan bulat 0 atau lebih",
+      jumlahTerjual: "Jumlah dijual harus berupa bilangan bulat 0 atau lebih",
+    });
+  });
+
+  test("jumlah saat ini harus sama dengan awal + lahir - mati - dijual - dikembalikan", () => {
+    expect(
+      validateLaporanData(buatLaporan({ jumlahTernakSaatIni: 6 }))
+    ).toEqual({
+      jumlahTernakSaatIni:
+        "Jumlah saat ini harus sama dengan awal + lahir - mati - dijual - dikembalikan (5)",
+    });
+    expect(
+      validateLaporanData(buatLaporan({ jumlahKematian: 9 }))
+        .jumlahTernakSaatIni
+    ).toMatch(/melebihi jumlah awal/);
+  });
+
+  test("laporan lama tanpa jumlahDikembalikan dianggap 0", () => {
+    expect(
+      validateLaporanData(
+        buatLaporan({ jumlahDikembalikan: undefined, jumlahTernakSaatIni: 6 })
+      )
+    ).toEqual({});
+  });
+
+  test("jumlah awal dan dikembalikan dicocokkan dengan context", () => {
+    const fieldErrors = validateLaporanData(buatLaporan(), {
+      jumlahTernakAwalSeharusnya: 4,
+      jumlahDikembalikanSeharusnya: 2,
+    });
+
+    expect(Object.keys(fieldErrors).sort()).toEqual([
+      "jumlahDikembalikan",
+      "jumlahTernakAwal",
+    ]);
+    expect(
+      validateLaporanData(buatLaporan(), { jumlahTernakAwalBerikutnya: 4 })
+        .jumlahTernakSaatIni
+    ).toMatch(/jumlah awal triwulan berikutnya \(4\)/);
+  });
+
+  test("tanggal laporan harus ada, tidak di masa depan dan di dalam periode", () => {
+    const besok = new Date();
+    besok.setDate(besok.getDate() + 1);
+    const periode = { startDate: "2024-01-01", endDate: "2024-03-31" };
+
+    expect(
+      validateLaporanData(buatLaporan({ tanggalLaporan: "" })).tanggalLaporan
+    ).toBe("Tanggal laporan harus diisi");
+    expect(
+      validateLaporanData(buatLaporan({ tanggalLaporan: "01/03/2024" }))
+        .tanggalLaporan
+    ).toBe("Format tanggal laporan tidak valid");
+    expect(
+      validateLaporanData(buatLaporan({ tanggalLaporan: toDateString(besok) }))
+        .tanggalLaporan
+    ).toBe("Tanggal laporan tidak boleh di masa depan");
+    expect(
+      validateLaporanData(buatLaporan({ tanggalLaporan: "2024-04-01" }), {
+        periode,
+      }).tanggalLaporan
+    ).toMatch(/dalam periode triwulan/);
+    expect(
+      validateLaporanData(buatLaporan({ tanggalLaporan: "2024-03-31T08:00" }), {
+        periode,
+      })
+    ).toEqual({});
+  });
+});
+
+test("assertLaporanValid melempar LaporanValidationError dengan fieldErrors", () => {
+  expect(() => assertLaporanValid(buatLaporan())).not.toThrow();
+
+  let error;
+  try {
+    assertLaporanValid(buatLaporan({ jumlahLahir: -1 }));
+  } catch (err) {
+    error = err;
+  }
+  expect(error).toBeInstanceOf(LaporanValidationError);
+  expect(error.message).toBe(
+    "Jumlah lahir harus berupa bilangan bulat 0 atau lebih"
+  );
+  expect(error.fieldErrors).toHaveProperty("jumlahLahir");
+});
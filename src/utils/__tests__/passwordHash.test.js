@@ -0,0 +1,46 @@
+/** @jest-environment node */
+import { getHashParams, hashPassword, verifyPassword } from "../passwordHash";
+
+// jest-environment-node bawaan react-scripts tidak meneruskan Web Crypto
+beforeAll(() => {
+  global.crypto = require("crypto").webcrypto;
+});
+
+afterAll(() => {
+  delete global.crypto;
+});
+
+describe("passwordHash", () => {
+  let hash;
+
+  beforeAll(async () => {
+    hash = await hashPassword("rahasia123");
+  });
+
+  test("hash menyimpan algoritma, iterasi dan salt", () => {
+    expect(hash).toMatch(/^pbkdf2-sha256\$210000\$[^$]+\$[^$]+$/);
+    expect(getHashParams(hash)).toEqual({
+      algorithm: "pbkdf2-sha256",
+      iterations: 210000,
+      salt: hash.split("$")[2],
+    });
+  });
+
+  test("salt baru setiap kali hash dibuat", async () => {
+    expect(await hashPassword("rahasia123")).not.toBe(hash);
+  });
+
+  test("hash dengan params yang sama bisa dibandingkan langsung", async () => {
+    expect(await hashPassword("rahasia123", getHashParams(hash))).toBe(hash);
+    expect(await hashPassword("salah", getHashParams(hash))).not.toBe(hash);
+  });
+
+  test("verifyPassword hanya menerima password yang benar", async () => {
+    await expect(verifyPassword("rahasia123", hash)).resolves.toBe(true);
+    await expect(verifyPassword("rahasia124", hash)).resolves.toBe(false);
+    await expect(verifyPassword("rahasia123", "")).resolves.toBe(false);
+    await expect(
+      verifyPassword("rahasia123", hash.replace("pbkdf2-sha256", "md5"))
+    ).resolves.toBe(false);
+  });
+});
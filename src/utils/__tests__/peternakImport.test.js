@@ -0,0 +1,24 @@
+import { parseTanggalDaftar } from "../peternakImport";
+
+describe("parseTanggalDaftar", () => {
+  test("menerima YYYY-MM-DD, DD/MM/YYYY dan sel tanggal XLSX", () => {
+    expect(parseTanggalDaftar("2024-02-29")).toBe("2024-02-29");
+    expect(parseTanggalDaftar(" 5/3/2024 ")).toBe("2024-03-05");
+    expect(parseTanggalDaftar("05.03.2024")).toBe("2024-03-05");
+    expect(parseTanggalDaftar(new Date(2024, 2, 5))).toBe("2024-03-05");
+  });
+
+  test("tanggal yang tidak ada di kalender ditolak", () => {
+    expect(parseTanggalDaftar("2025-02-29")).toBeNull();
+    expect(parseTanggalDaftar("31/04/2024")).toBeNull();
+    expect(parseTanggalDaftar("2024-13-01")).toBeNull();
+    expect(parseTanggalDaftar(new Date("bukan tanggal"))).toBeNull();
+  });
+
+  test("format lain dan nilai kosong ditolak", () => {
+    expect(parseTanggalDaftar("2024/03/05")).toBeNull();
+    expect(parseTanggalDaftar("5 Maret 2024")).toBeNull();
+    expect(parseTanggalDaftar("")).toBeNull();
+    expect(parseTanggalDaftar(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  TOTAL_TRIWULAN_PROGRAM,
+  getNextProgramQuarter,
+  getProgramQuarter,
+  getProgramQuarters,
+  getQuarterNumberForDate,
+  getTahunProgram,
+  toDateString,
+  validateQuarterSequence,
+} from "../programQuarter";
+
+const tambahHari = (hari) => {
+  const tanggal = new Date();
+  tanggal.setDate(tanggal.getDate() + hari);
+  return toDateString(tanggal);
+};
+
+describe("getProgramQuarter", () => {
+  test("triwulan dihitung 3 bulan sejak tanggal daftar", () => {
+    expect(getProgramQuarter("2024-02-10", 1)).toMatchObject({
+      quarter: 1,
+      year: 2024,
+      startDate: "2024-02-10",
+      endDate: "2024-05-09",
+    });
+    expect(getProgramQuarter("2024-02-10", 4)).toMatchObject({
+      year: 2024,
+      startDate: "2024-11-10",
+      endDate: "2025-02-09",
+    });
+    expect(getProgramQuarter("2024-02-10", 5).year).toBe(2025);
+  });
+
+  test("tanggal akhir bulan tidak melompat ke bulan berikutnya", () => {
+    expect(getProgramQuarter("2023-11-30", 2)).toMatchObject({
+      startDate: "2024-02-29",
+      endDate: "2024-05-29",
+    });
+  });
+
+  test("getProgramQuarters menghasilkan 8 triwulan yang bersambung", () => {
+    const quarters = getProgramQuarters("2024-01-15");
+
+    expect(quarters).toHaveLength(TOTAL_TRIWULAN_PROGRAM);
+    quarters.slice(1).forEach((quarter, index) => {
+      const akhirSebelumnya = new Date(`${quarters[index].endDate}T00:00:00`);
+      akhirSebelumnya.setDate(akhirSebelumnya.getDate() + 1);
+      expect(quarter.startDate).toBe(toDateString(akhirSebelumnya));
+    });
+  });
+});
+
+test("getTahunProgram mengambil tahun awal triwulan semua peternak", () => {
+  expect(getTahunProgram(["2024-01-15"])).toEqual([2024, 2025]);
+  expect(getTahunProgram(["2024-11-01", "", "2023-02-01", null])).toEqual([
+    2023, 2024, 2025, 2026,
+  ]);
+  expect(getTahunProgram([])).toEqual([]);
+});
+
+test("getQuarterNumberForDate memberi 0 sebelum program dan 9 sesudahnya", () => {
+  expect(getQuarterNumberForDate("2024-01-15", "2024-01-14")).toBe(0);
+  expect(getQuarterNumberForDate("2024-01-15", "2024-01-15")).toBe(1);
+  expect(getQuarterNumberForDate("2024-01-15", "2024-04-14")).toBe(1);
+  expect(getQuarterNumberForDate("2024-01-15", "2024-04-15")).toBe(2);
+  expect(getQuarterNumberForDate("2024-01-15", "2026-01-15")).toBe(9);
+});
+
+describe("getNextProgramQuarter", () => {
+  test("triwulan berikutnya adalah triwulan terakhir + 1", () => {
+    const hasil = getNextProgramQuarter("2020-01-01", [
+      { quarter: 2 },
+      { quarter: 1 },
+    ]);
+
+    expect(hasil).toMatchObject({ canCreate: true, quarterNumber: 3 });
+    expect(hasil.existingReports.map((laporan) => laporan.quarter)).toEqual([
+      1, 2,
+    ]);
+  });
+
+  test("triwulan yang belum dimulai belum bisa dilaporkan", () => {
+    expect(getNextProgramQuarter(tambahHari(1), [])).toMatchObject({
+      canCreate: false,
+      quarterNumber: 1,
+    });
+  });
+
+  test("program yang sudah 8 laporan tidak bisa ditambah", () => {
+    const laporanList = getProgramQuarters("2020-01-01");
+
+    expect(getNextProgramQuarter("2020-01-01", laporanList)).toMatchObject({
+      canCreate: false,
+      quarterNumber: null,
+    });
+  });
+});
+
+test("validateQuarterSequence menolak duplikat, celah dan di luar 1-8", () => {
+  const laporanList = [{ quarter: 1 }, { quarter: 2 }];
+
+  expect(validateQuarterSequence(laporanList, 3)).toBeNull();
+  expect(validateQuarterSequence(laporanList, "3")).toBeNull();
+  expect(validateQuarterSequence(laporanList, 2)).toBe(
+    "Laporan triwulan 2 sudah ada"
+  );
+  expect(validateQuarterSequence(laporanList, 4)).toBe(
+    "Laporan harus berurutan, triwulan berikutnya adalah triwulan 3"
+  );
+  expect(validateQuarterSequence([], 0)).toBe("Triwulan harus antara 1 dan 8");
+  expect(validateQuarterSequence([], 9)).toBe("Triwulan harus antara 1 dan 8");
+});
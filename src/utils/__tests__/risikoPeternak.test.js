@@ -0,0 +1,226 @@
+import {
+  LEVEL_RISIKO,
+  hitungRisikoDariRingkasan,
+  hitungRisikoPeternak,
+  hitungRisikoSemuaPeternak,
+} from "../risikoPeternak";
+
+const buatPeternak = (data = {}) => ({
+  id: "p1",
+  tanggalDaftar: "2024-01-01",
+  jumlahTernakAwal: 10,
+  targetPengembalian: 0,
+  jumlahDikembalikan: 0,
+  ...data,
+});
+
+// Laporan tepat waktu: dibuat di hari terakhir triwulannya
+const TANGGAL_LAPORAN = ["2024-03-31", "2024-06-30", "2024-09-30"];
+
+const buatLaporan = (quarter, data = {}) => ({
+  idPeternak: "p1",
+  quarter,
+  tanggalLaporan: TANGGAL_LAPORAN[quarter - 1],
+  jumlahLahir: 0,
+  jumlahKematian: 0,
+  jumlahTerjual: 0,
+  jumlahTernakSaatIni: 10,
+  kendala: "",
+  ...data,
+});
+
+const tanggal = (value) => new Date(`${value}T00:00:00`);
+
+test("peternak tanpa alasan berisiko rendah", () => {
+  expect(
+    hitungRisikoPeternak(
+      buatPeternak(),
+      [buatLaporan(1)],
+      tanggal("2024-04-05")
+    )
+  ).toEqual({ level: LEVEL_RISIKO.RENDAH, alasan: [] });
+});
+
+describe("tingkat kematian", () => {
+  test("15% ke atas sedang, 30% ke atas tinggi", () => {
+    const sedang = hitungRisikoPeternak(
+      buatPeternak({ targetPengembalian: 5 }),
+      [buatLaporan(1, { jumlahKematian: 2, jumlahTernakSaatIni: 8 })],
+      tanggal("2024-04-05")
+    );
+    const tinggi = hitungRisikoPeternak(
+      buatPeternak({ targetPengembalian: 5 }),
+      [buatLaporan(1, { jumlahKematian: 3, jumlahTernakSaatIni: 7 })],
+      tanggal("2024-04-05")
+    );
+
+    expect(sedang).toEqual({
+      level: LEVEL_RISIKO.SEDANG,
+      alasan: [
+        {
+          level: LEVEL_RISIKO.SEDANG,
+          pesan: "Tingkat kematian 20% (2 dari 10 ekor)",
+        },
+      ],
+    });
+    expect(tinggi.level).toBe(LEVEL_RISIKO.TINGGI);
+  });
+});
+
+describe("jumlah ternak", () => {
+  test("jumlah awal di bawah sisa pengembalian tidak ditandai", () => {
+    expect(
+      hitungRisikoPeternak(
+        buatPeternak({ jumlahTernakAwal: 3, targetPengembalian: 5 }),
+        [buatLaporan(1, { jumlahLahir: 1, jumlahTernakSaatIni: 4 })],
+        tanggal("2024-04-05")
+      ).level
+    ).toBe(LEVEL_RISIKO.RENDAH);
+  });
+
+  test("ternak yang menyusut di bawah sisa pengembalian berisiko tinggi", () => {
+    const risiko = hitungRisikoPeternak(
+      buatPeternak({ jumlahTernakAwal: 3, targetPengembalian: 5 }),
+      [
+        buatLaporan(1, { jumlahLahir: 1, jumlahTernakSaatIni: 4 }),
+        buatLaporan(2, { jumlahTerjual: 1, jumlahTernakSaatIni: 3 }),
+      ],
+      tanggal("2024-07-05")
+    );
+
+    expect(risiko.alasan).toEqual([
+      {
+        level: LEVEL_RISIKO.TINGGI,
+        pesan:
+          "Jumlah ternak 3 ekor kurang dari sisa kewajiban pengembalian 5 ekor",
+      },
+    ]);
+  });
+
+  test("jumlah ternak turun dua triwulan berturut-turut berisiko sedang", () => {
+    const risiko = hitungRisikoPeternak(
+      buatPeternak(),
+      [
+        buatLaporan(1),
+        buatLaporan(2, { jumlahTerjual: 1, jumlahTernakSaatIni: 9 }),
+        buatLaporan(3, { jumlahTerjual: 1, jumlahTernakSaatIni: 8 }),
+      ],
+      tanggal("2024-10-05")
+    );
+
+    expect(risiko.alasan).toEqual([
+      {
+        level: LEVEL_RISIKO.SEDANG,
+        pesan: "Jumlah ternak turun dua triwulan berturut-turut",
+      },
+    ]);
+  });
+});
+
+describe("ketepatan laporan", () => {
+  test("satu triwulan terlewat sedang, dua atau lebih tinggi", () => {
+    expect(
+      hitungRisikoPeternak(buatPeternak(), [], tanggal("2024-04-20")).alasan
+    ).toEqual([
+      { level: LEVEL_RISIKO.SEDANG, pesan: "Belum melaporkan Triwulan 1" },
+    ]);
+    expect(
+      hitungRisikoPeternak(buatPeternak(), [], tanggal("2024-07-20")).alasan
+    ).toEqual([
+      { level: LEVEL_RISIKO.TINGGI, pesan: "Belum melaporkan Triwulan 1, 2" },
+    ]);
+  });
+
+  test("dua laporan yang dibuat setelah batasnya berisiko sedang", () => {
+    const risiko = hitungRisikoPeternak(
+      buatPeternak(),
+      [
+        buatLaporan(1, { tanggalLaporan: "2024-04-20" }),
+        buatLaporan(2, { tanggalLaporan: "2024-07-20" }),
+      ],
+      tanggal("2024-07-25")
+    );
+
+    expect(risiko.alasan).toEqual([
+      {
+        level: LEVEL_RISIKO.SEDANG,
+        pesan:
+          "2 laporan dibuat lebih dari 14 hari setelah triwulannya berakhir",
+      },
+    ]);
+  });
+});
+
+test("kendala di 2 dari 3 laporan terakhir berisiko sedang", () => {
+  const risiko = hitungRisikoPeternak(
+    buatPeternak(),
+    [
+      buatLaporan(1, { kendala: "Pakan kurang" }),
+      buatLaporan(2),
+      buatLaporan(3, { kendala: "Kandang bocor" }),
+    ],
+    tanggal("2024-10-05")
+  );
+
+  expect(risiko.alasan).toEqual([
+    {
+      level: LEVEL_RISIKO.SEDANG,
+      pesan: "Ada kendala di 2 dari 3 laporan terakhir",
+    },
+  ]);
+});
+
+test("alasan diurutkan dari level tertinggi", () => {
+  const risiko = hitungRisikoPeternak(
+    buatPeternak({ targetPengembalian: 5 }),
+    [],
+    tanggal("2024-04-20")
+  );
+  const risikoGabungan = hitungRisikoPeternak(
+    buatPeternak({ targetPengembalian: 5 }),
+    [buatLaporan(1, { jumlahKematian: 3, jumlahTernakSaatIni: 7 })],
+    tanggal("2024-07-20")
+  );
+
+  expect(risiko.level).toBe(LEVEL_RISIKO.SEDANG);
+  expect(risikoGabungan.level).toBe(LEVEL_RISIKO.TINGGI);
+  expect(risikoGabungan.alasan.map((item) => item.level)).toEqual([
+    LEVEL_RISIKO.TINGGI,
+    LEVEL_RISIKO.SEDANG,
+  ]);
+});
+
+test("hitungRisikoSemuaPeternak mengelompokkan laporan per peternak", () => {
+  const risiko = hitungRisikoSemuaPeternak(
+    [buatPeternak(), buatPeternak({ id: "p2" })],
+    [buatLaporan(1)],
+    tanggal("2024-04-20")
+  );
+
+  expect(risiko.p1.level).toBe(LEVEL_RISIKO.RENDAH);
+  expect(risiko.p2.alasan).toEqual([
+    { level: LEVEL_RISIKO.SEDANG, pesan: "Belum melaporkan Triwulan 1" },
+  ]);
+});
+
+test("hitungRisikoDariRingkasan memakai ringkasanLaporan dan adaKendala", () => {
+  const ringkasanLaporan = [1, 2, 3].map((quarter) => {
+    const { kendala, ...ringkasan } = buatLaporan(quarter);
+    return { ...ringkasan, adaKendala: quarter !== 2 };
+  });
+
+  expect(
+    hitungRisikoDariRingkasan(
+      [buatPeternak({ ringkasanLaporan })],
+      tanggal("2024-10-05")
+    ).p1
+  ).toEqual({
+    level: LEVEL_RISIKO.SEDANG,
+    alasan: [
+      {
+        level: LEVEL_RISIKO.SEDANG,
+        pesan: "Ada kendala di 2 dari 3 laporan terakhir",
+      },
+    ],
+  });
+});
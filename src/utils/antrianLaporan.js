@@ -0,0 +1,80 @@
+// Antrian laporan offline. Laporan yang disimpan tanpa koneksi disimpan di
+// localStorage lalu dikirim ulang lewat laporanService saat perangkat online
+// kembali, sehingga validasi dan transaksi tetap berjalan di server.
+//
+// Perubahan (update) digabung tiga arah terhadap versi laporan saat mulai
+// diedit (dasar): field yang hanya diubah offline memakai nilai lokal, field
+// yang hanya diubah orang lain memakai nilai server. Field yang diubah di
+// kedua sisi dengan nilai berbeda menjadi konflik yang dipilih admin.
+
+export const JENIS_ANTRIAN = {
+  CREATE: "create",
+  UPDATE: "update",
+};
+
+export const STATUS_ANTRIAN = {
+  MENUNGGU: "menunggu",
+  KONFLIK: "konflik",
+};
+
+// Field laporan yang bisa diubah lewat form edit
+export const FIELD_LAPORAN_EDITABLE = [
+  "jumlahTernakAwal",
+  "jumlahLahir",
+  "jumlahKematian",
+  "jumlahTerjual",
+  "jumlahDikembalikan",
+  "jumlahTernakSaatIni",
+  "targetPengembalian",
+  "tanggalLaporan",
+  "kendala",
+  "solusi",
+  "catatan",
+  "fotoLaporan",
+];
+
+export const FIELD_LAPORAN_LABEL = {
+  jumlahTernakAwal: "Jumlah Awal",
+  jumlahLahir: "Jumlah Lahir",
+  jumlahKematian: "Jumlah Mati",
+  jumlahTerjual: "Jumlah Dijual",
+  jumlahDikembalikan: "Jumlah Dikembalikan",
+  jumlahTernakSaatIni: "Jumlah Saat Ini",
+  targetPengembalian: "Wajib Pengembalian",
+  tanggalLaporan: "Tanggal Laporan",
+  kendala: "Kendala",
+  solusi: "Solusi",
+  catatan: "Keterangan",
+  fotoLaporan: "Foto Bukti",
+};
+
+const isSama = (a, b) =>
+  JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Gabungkan perubahan lokal dengan laporan terbaru di server.
+// Menghasilkan { data, konflik }: data berisi field editable hasil gabungan,
+// konflik berisi nama field yang diubah di kedua sisi.
+export const gabungPerubahanLaporan = (dasar, lokal, server) =>
+  FIELD_LAPORAN_EDITABLE.reduce(
+    (hasil, field) => {
+      if (lokal[field] === undefined) {
+        return hasil;
+      }
+      const diubahLokal = !isSama(lokal[field], dasar[field]);
+      const diubahServer = !isSama(server[field], dasar[field]);
+      if (!diubahLokal) {
+        return { ...hasil, data: { ...hasil.data, [field]: server[field] } };
+      }
+      if (diubahServer && !isSama(lokal[field], server[field])) {
+        return { ...hasil, konflik: [...hasil.konflik, field] };
+      }
+      return { ...hasil, data: { ...hasil.data, [field]: lokal[field] } };
+    },
+    { data: {}, konflik: [] }
+  );
+
+// Error Firestore karena tidak ada koneksi; antrian dicoba lagi nanti
+export const isErrorJaringan = (error) =>
+  !navigator.onLine ||
+  error?.code === "unavailable" ||
+  error?.code === "deadline-exceeded";
@@ -0,0 +1,14 @@
+// Admin yang sedang login (disimpan AuthContext di localStorage).
+// Dipakai service untuk mencatat siapa yang melakukan perubahan data.
+export const getCurrentAdmin = () => {
+  try {
+    const user = localStorage.getItem("adminUser");
+    if (!user) {
+      return null;
+    }
+    const { id, name, role } = JSON.parse(user);
+    return { id, name, role };
+  } catch (error) {
+    return null;
+  }
+};
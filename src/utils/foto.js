@@ -0,0 +1,77 @@
+// Foto peternak dan foto bukti laporan triwulan. Foto dikompres di browser
+// (diperkecil lalu disimpan sebagai JPEG) sebelum diunggah ke Firebase
+// Storage agar hemat kuota dan tetap ringan dibuka dari HP.
+
+export const KATEGORI_FOTO = {
+  TERNAK: "ternak",
+  KANDANG: "kandang",
+};
+
+export const KATEGORI_FOTO_LABEL = {
+  [KATEGORI_FOTO.TERNAK]: "Foto Ternak",
+  [KATEGORI_FOTO.KANDANG]: "Kondisi Kandang",
+};
+
+export const MAKS_FOTO_LAPORAN = 8;
+export const MAKS_UKURAN_FILE_MB = 15;
+
+const SISI_TERPANJANG = 1600;
+const KUALITAS_JPEG = 0.8;
+
+// Pesan error untuk file yang dipilih, null jika valid
+export const validateFileFoto = (file) => {
+  if (!file || !file.type.startsWith("image/")) {
+    return "File harus berupa gambar (JPG, PNG, dsb.)";
+  }
+  if (file.size > MAKS_UKURAN_FILE_MB * 1024 * 1024) {
+    return `Ukuran foto maksimal ${MAKS_UKURAN_FILE_MB} MB`;
+  }
+  return null;
+};
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Foto tidak dapat dibaca"));
+    };
+    image.src = url;
+  });
+
+// Perkecil foto hingga sisi terpanjangnya SISI_TERPANJANG piksel lalu
+// simpan sebagai JPEG. Menghasilkan Blob image/jpeg.
+export const compressImage = async (file) => {
+  const image = await loadImage(file);
+  const skala = Math.min(
+    1,
+    SISI_TERPANJANG / Math.max(image.naturalWidth, image.naturalHeight)
+  );
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.naturalWidth * skala);
+  canvas.height = Math.round(image.naturalHeight * skala);
+
+  const context = canvas.getContext("2d");
+  // Latar putih untuk PNG transparan, JPEG tidak punya kanal alfa
+  context.fillStyle = "#ffffff";
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Gagal mengompres foto")),
+      "image/jpeg",
+      KUALITAS_JPEG
+    );
+  });
+};
+
+// Path Storage dari daftar foto laporan, untuk membandingkan sebelum/sesudah
+export const getPathFoto = (fotoList) =>
+  (fotoList || []).map((foto) => foto.path);
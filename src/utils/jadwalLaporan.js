@@ -0,0 +1,114 @@
+// Jadwal laporan triwulan: batas waktu setiap triwulan program dihitung dari
+// tanggalDaftar (lihat programQuarter). Laporan triwulan yang sudah berakhir
+// masih diberi masa tenggang sebelum dianggap terlambat.
+
+import {
+  TOTAL_TRIWULAN_PROGRAM,
+  getProgramQuarters,
+  getProgramQuarter,
+  toDateString,
+} from "./programQuarter";
+
+export const STATUS_JADWAL_LAPORAN = {
+  TERLAMBAT: "terlambat",
+  SEGERA: "segera",
+};
+
+// Laporan dianggap terlambat jika belum dibuat lebih dari sekian hari
+// setelah triwulannya berakhir
+export const HARI_TENGGANG_LAPORAN = 14;
+// Laporan "segera" jika triwulannya berakhir dalam sekian hari ke depan
+export const HARI_LAPORAN_SEGERA = 14;
+
+const tambahHari = (tanggal, hari) => {
+  const hasil = new Date(`${tanggal}T00:00:00`);
+  hasil.setDate(hasil.getDate() + hari);
+  return toDateString(hasil);
+};
+
+const selisihHari = (dari, sampai) =>
+  Math.round(
+    (new Date(`${sampai}T00:00:00`) - new Date(`${dari}T00:00:00`)) /
+      (1000 * 60 * 60 * 24)
+  );
+
+// Batas akhir laporan triwulan: tanggal akhir triwulan + masa tenggang
+export const getBatasLaporan = (tanggalDaftar, quarterNumber) =>
+  tambahHari(
+    getProgramQuarter(tanggalDaftar, quarterNumber).endDate,
+    HARI_TENGGANG_LAPORAN
+  );
+
+// Triwulan yang belum dilaporkan beserta status jadwalnya pada tanggal
+// tertentu. Triwulan yang belum dekat batasnya tidak ikut dikembalikan.
+export const getJadwalLaporanPeternak = (
+  peternak,
+  laporanList,
+  tanggal = new Date()
+) => {
+  if (!peternak?.tanggalDaftar) {
+    return [];
+  }
+  const hariIni = toDateString(tanggal);
+  const sudahDilaporkan = new Set(
+    laporanList.map((laporan) => Number(laporan.quarter))
+  );
+  return getProgramQuarters(peternak.tanggalDaftar)
+    .filter(
+      (periode) =>
+        !sudahDilaporkan.has(periode.quarter) && periode.startDate <= hariIni
+    )
+    .map((periode) => {
+      const batasLaporan = getBatasLaporan(
+        peternak.tanggalDaftar,
+        periode.quarter
+      );
+      const sisaHari = selisihHari(hariIni, batasLaporan);
+      return {
+        id: `${peternak.id}-${periode.quarter}`,
+        idPeternak: peternak.id,
+        ...periode,
+        batasLaporan,
+        sisaHari,
+        status:
+          batasLaporan < hariIni
+            ? STATUS_JADWAL_LAPORAN.TERLAMBAT
+            : selisihHari(hariIni, periode.endDate) <= HARI_LAPORAN_SEGERA
+              ? STATUS_JADWAL_LAPORAN.SEGERA
+              : null,
+      };
+    })
+    .filter((jadwal) => jadwal.status);
+};
+
+// Nomor triwulan yang sudah lewat batas laporannya tetapi belum dilaporkan
+export const getTriwulanTerlewat = (
+  peternak,
+  laporanList,
+  tanggal = new Date()
+) =>
+  getJadwalLaporanPeternak(peternak, laporanList, tanggal)
+    .filter((jadwal) => jadwal.status === STATUS_JADWAL_LAPORAN.TERLAMBAT)
+    .map((jadwal) => jadwal.quarter);
+
+// Jadwal semua peternak: terlambat paling lama lebih dulu, lalu yang segera
+// berakhir. Peternak yang programnya selesai (8 laporan) tidak muncul.
+export const hitungJadwalLaporan = (
+  peternakList,
+  laporanList,
+  tanggal = new Date()
+) =>
+  peternakList
+    .filter(
+      (peternak) =>
+        laporanList.filter((laporan) => laporan.idPeternak === peternak.id)
+          .length < TOTAL_TRIWULAN_PROGRAM
+    )
+    .flatMap((peternak) =>
+      getJadwalLaporanPeternak(
+        peternak,
+        laporanList.filter((laporan) => laporan.idPeternak === peternak.id),
+        tanggal
+      )
+    )
+    .sort((a, b) => a.sisaHari - b.sisaHari);
@@ -0,0 +1,157 @@
+import { getProgramQuarters } from "./programQuarter";
+import { getCurrentAdmin } from "./currentAdmin";
+import { getSisaPengembalian } from "./pengembalian";
+
+// Kartu program per peternak: 8 triwulan program beserta isian laporannya
+// dan kolom tanda tangan. Dibuat di browser lalu dicetak / disimpan sebagai
+// PDF lewat dialog cetak.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatTanggal = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("id-ID", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+      })
+    : "-";
+
+const getJumlah = (laporan, field, legacyField) =>
+  laporan ? Number(laporan[field] ?? laporan[legacyField]) || 0 : "";
+
+const renderBarisTriwulan = (quarterInfo, laporan) => `
+  <tr>
+    <td class="tengah">${quarterInfo.quarter}</td>
+    <td>${escapeHtml(formatTanggal(quarterInfo.startDate))} -<br />${escapeHtml(
+      formatTanggal(quarterInfo.endDate)
+    )}</td>
+    <td>${laporan ? escapeHtml(formatTanggal(laporan.tanggalLaporan)) : ""}</td>
+    <td class="tengah">${getJumlah(laporan, "jumlahTernakAwal", "jumlah_awal")}</td>
+    <td class="tengah">${getJumlah(laporan, "jumlahLahir", "jumlah_lahir")}</td>
+    <td class="tengah">${getJumlah(laporan, "jumlahKematian", "jumlah_mati")}</td>
+    <td class="tengah">${getJumlah(laporan, "jumlahTerjual", "jumlah_dijual")}</td>
+    <td class="tengah">${laporan ? Number(laporan.jumlahDikembalikan) || 0 : ""}</td>
+    <td class="tengah">${getJumlah(
+      laporan,
+      "jumlahTernakSaatIni",
+      "jumlah_saat_ini"
+    )}</td>
+    <td>${laporan ? escapeHtml(laporan.kendala) : ""}</td>
+    <td>${laporan ? escapeHtml(laporan.solusi) : ""}</td>
+    <td></td>
+  </tr>`;
+
+const renderTandaTangan = (jabatan, nama) => `
+  <div class="ttd">
+    <div>${escapeHtml(jabatan)}</div>
+    <div class="ttd-ruang"></div>
+    <div class="ttd-nama">${nama ? escapeHtml(nama) : "(.............................)"}</div>
+  </div>`;
+
+export const buildKartuProgramHtml = (peternak, laporanList) => {
+  const laporanByQuarter = new Map(
+    laporanList.map((laporan) => [Number(laporan.quarter), laporan])
+  );
+  const quarters = peternak.tanggalDaftar
+    ? getProgramQuarters(peternak.tanggalDaftar)
+    : [];
+  const admin = getCurrentAdmin();
+
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="utf-8" />
+  <title>Kartu Program - ${escapeHtml(peternak.namaLengkap)}</title>
+  <style>
+    @page { size: A4 landscape; margin: 12mm; }
+    body { font-family: Arial, sans-serif; font-size: 11px; color: #111; }
+    h1 { font-size: 16px; text-align: center; margin: 0; }
+    h2 { font-size: 13px; text-align: center; margin: 4px 0 16px; font-weight: normal; }
+    .identitas { display: grid; grid-template-columns: 1fr 1fr; gap: 4px 24px; margin-bottom: 12px; }
+    .identitas span { display: inline-block; width: 150px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #333; padding: 4px 6px; vertical-align: top; }
+    th { background: #eee; }
+    .tengah { text-align: center; }
+    .tanda-tangan { display: flex; justify-content: space-between; margin-top: 28px; page-break-inside: avoid; }
+    .ttd { width: 30%; text-align: center; }
+    .ttd-ruang { height: 64px; }
+    .ttd-nama { font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>KARTU PROGRAM GADUH TERNAK</h1>
+  <h2>Desa Bono</h2>
+  <div class="identitas">
+    <div><span>Nama Peternak</span>: ${escapeHtml(peternak.namaLengkap)}</div>
+    <div><span>Tanggal Daftar</span>: ${escapeHtml(
+      formatTanggal(peternak.tanggalDaftar)
+    )}</div>
+    <div><span>NIK</span>: ${escapeHtml(peternak.nik)}</div>
+    <div><span>Jumlah Ternak Awal</span>: ${escapeHtml(
+      peternak.jumlahTernakAwal ?? 0
+    )} ekor</div>
+    <div><span>Alamat</span>: ${escapeHtml(peternak.alamat)}</div>
+    <div><span>Target Pengembalian</span>: ${escapeHtml(
+      peternak.targetPengembalian ?? 0
+    )} ekor (sisa ${getSisaPengembalian(peternak)} ekor)</div>
+    <div><span>Nomor Telepon</span>: ${escapeHtml(peternak.nomorTelepon)}</div>
+    <div><span>Status Kinerja</span>: ${escapeHtml(
+      peternak.statusKinerja || "-"
+    )}</div>
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>Triwulan</th>
+        <th>Periode</th>
+        <th>Tanggal Laporan</th>
+        <th>Awal</th>
+        <th>Lahir</th>
+        <th>Mati</th>
+        <th>Terjual</th>
+        <th>Kembali</th>
+        <th>Akhir</th>
+        <th>Kendala</th>
+        <th>Solusi</th>
+        <th>Paraf Petugas</th>
+      </tr>
+    </thead>
+    <tbody>
+      ${quarters
+        .map((quarterInfo) =>
+          renderBarisTriwulan(
+            quarterInfo,
+            laporanByQuarter.get(quarterInfo.quarter)
+          )
+        )
+        .join("")}
+    </tbody>
+  </table>
+  <div class="tanda-tangan">
+    ${renderTandaTangan("Peternak", peternak.namaLengkap)}
+    ${renderTandaTangan("Petugas Pendamping", admin?.name)}
+    ${renderTandaTangan("Kepala Desa Bono", null)}
+  </div>
+</body>
+</html>`;
+};
+
+// Buka kartu di jendela baru lalu tampilkan dialog cetak
+export const printKartuProgram = (peternak, laporanList) => {
+  const printWindow = window.open("", "_blank");
+  if (!printWindow) {
+    throw new Error("Jendela cetak diblokir browser, izinkan pop-up");
+  }
+  printWindow.document.open();
+  printWindow.document.write(buildKartuProgramHtml(peternak, laporanList));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
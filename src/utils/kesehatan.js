@@ -0,0 +1,99 @@
+// Catatan kesehatan ternak (collection kesehatan): pengobatan, vaksinasi
+// dan pemberian obat cacing. Catatan boleh berisi tanggalJatuhTempo untuk
+// tindakan berikutnya. Jadwal satu kelompok (peternak, ternak, jenis)
+// ditentukan oleh catatan terbarunya: catatan baru dengan jenis yang sama
+// menggantikan jadwal dari catatan sebelumnya.
+
+import { toDateString } from "./programQuarter";
+
+export const JENIS_KESEHATAN = {
+  PENGOBATAN: "pengobatan",
+  VAKSINASI: "vaksinasi",
+  OBAT_CACING: "obatCacing",
+};
+
+export const JENIS_KESEHATAN_LABEL = {
+  [JENIS_KESEHATAN.PENGOBATAN]: "Pengobatan",
+  [JENIS_KESEHATAN.VAKSINASI]: "Vaksinasi",
+  [JENIS_KESEHATAN.OBAT_CACING]: "Obat Cacing",
+};
+
+export const STATUS_JADWAL = {
+  TERLAMBAT: "terlambat",
+  SEGERA: "segera",
+  TERJADWAL: "terjadwal",
+};
+
+// Jadwal dianggap "segera" jika jatuh tempo dalam 14 hari ke depan
+export const HARI_JADWAL_SEGERA = 14;
+
+const tambahHari = (tanggal, hari) => {
+  const date = new Date(`${tanggal}T00:00:00`);
+  date.setDate(date.getDate() + hari);
+  return toDateString(date);
+};
+
+export const getStatusJadwal = (tanggalJatuhTempo, hariIni) => {
+  if (tanggalJatuhTempo < hariIni) {
+    return STATUS_JADWAL.TERLAMBAT;
+  }
+  if (tanggalJatuhTempo <= tambahHari(hariIni, HARI_JADWAL_SEGERA)) {
+    return STATUS_JADWAL.SEGERA;
+  }
+  return STATUS_JADWAL.TERJADWAL;
+};
+
+const getKunciJadwal = (catatan) =>
+  [catatan.idPeternak, catatan.idTernak || "-", catatan.jenis].join("|");
+
+// Jadwal aktif: catatan terbaru per kelompok yang punya tanggalJatuhTempo,
+// diurutkan dari jatuh tempo paling awal
+export const getJadwalKesehatan = (catatanList, hariIni) => {
+  const terbaru = new Map();
+  catatanList.forEach((catatan) => {
+    const kunci = getKunciJadwal(catatan);
+    const sebelumnya = terbaru.get(kunci);
+    if (
+      !sebelumnya ||
+      catatan.tanggal > sebelumnya.tanggal ||
+      (catatan.tanggal === sebelumnya.tanggal &&
+        catatan.createdAt > sebelumnya.createdAt)
+    ) {
+      terbaru.set(kunci, catatan);
+    }
+  });
+
+  return [...terbaru.values()]
+    .filter((catatan) => catatan.tanggalJatuhTempo)
+    .map((catatan) => ({
+      ...catatan,
+      statusJadwal: getStatusJadwal(catatan.tanggalJatuhTempo, hariIni),
+    }))
+    .sort((a, b) => a.tanggalJatuhTempo.localeCompare(b.tanggalJatuhTempo));
+};
+
+// Pesan error untuk catatan kesehatan baru, null jika valid
+export const validateCatatanKesehatan = (catatan, hariIni) => {
+  if (!Object.values(JENIS_KESEHATAN).includes(catatan.jenis)) {
+    return "Jenis tindakan wajib dipilih";
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(catatan.tanggal || "")) {
+    return "Tanggal tindakan wajib diisi";
+  }
+  if (catatan.tanggal > hariIni) {
+    return "Tanggal tindakan tidak boleh di masa depan";
+  }
+  if (!String(catatan.namaObat || "").trim()) {
+    return "Nama obat/vaksin wajib diisi";
+  }
+  if (!String(catatan.petugas || "").trim()) {
+    return "Petugas wajib diisi";
+  }
+  if (
+    catatan.tanggalJatuhTempo &&
+    catatan.tanggalJatuhTempo <= catatan.tanggal
+  ) {
+    return "Jadwal berikutnya harus setelah tanggal tindakan";
+  }
+  return null;
+};
@@ -0,0 +1,123 @@
+import * as XLSX from "xlsx";
+
+// Ekspor rekap laporan triwulan untuk dikirim ke kantor desa.
+// Baris dibentuk dari laporan yang sudah difilter di halaman sehingga
+// hasil ekspor selalu sama dengan yang sedang ditampilkan.
+
+const formatTanggal = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("id-ID", {
+        day: "2-digit",
+        month: "2-digit",
+        year: "numeric",
+      })
+    : "";
+
+// Field laporan lama memakai snake_case (lihat LaporanTriwulanForm)
+const getJumlah = (laporan, field, legacyField) =>
+  Number(laporan[field] ?? laporan[legacyField]) || 0;
+
+export const buildLaporanRows = (laporanList, peternakList) => {
+  const peternakById = new Map(
+    peternakList.map((peternak) => [peternak.id, peternak])
+  );
+
+  return [...laporanList]
+    .map((laporan) => ({
+      laporan,
+      peternak: peternakById.get(laporan.idPeternak) || {},
+    }))
+    .sort(
+      (a, b) =>
+        (a.peternak.namaLengkap || "").localeCompare(
+          b.peternak.namaLengkap || ""
+        ) || Number(a.laporan.quarter) - Number(b.laporan.quarter)
+    )
+    .map(({ laporan, peternak }, index) => ({
+      No: index + 1,
+      "Nama Peternak": peternak.namaLengkap || "",
+      NIK: peternak.nik || "",
+      Triwulan: Number(laporan.quarter) || "",
+      Tahun: laporan.year || "",
+      Periode: laporan.displayPeriod || "",
+      "Tanggal Laporan": formatTanggal(laporan.tanggalLaporan),
+      "Jumlah Awal": getJumlah(laporan, "jumlahTernakAwal", "jumlah_awal"),
+      Lahir: getJumlah(laporan, "jumlahLahir", "jumlah_lahir"),
+      Mati: getJumlah(laporan, "jumlahKematian", "jumlah_mati"),
+      Terjual: getJumlah(laporan, "jumlahTerjual", "jumlah_dijual"),
+      Dikembalikan: Number(laporan.jumlahDikembalikan) || 0,
+      "Jumlah Akhir": getJumlah(
+        laporan,
+        "jumlahTernakSaatIni",
+        "jumlah_saat_ini"
+      ),
+      Kendala: laporan.kendala || "",
+      Solusi: laporan.solusi || "",
+      Keterangan: laporan.catatan || laporan.keterangan || "",
+    }));
+};
+
+// Nama file mengikuti filter aktif, mis. "laporan-gaduh-budi-triwulan-2-2025"
+export const getExportFileName = ({ namaPeternak, triwulan, tahun }) =>
+  ["laporan-gaduh", namaPeternak, triwulan && `triwulan-${triwulan}`, tahun]
+    .filter(Boolean)
+    .join("-")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]+/g, "-");
+
+// Teks bebas (kendala, solusi, nama) yang diawali karakter ini dibaca
+// sebagai formula oleh Excel/Sheets, jadi diberi awalan ' (CSV injection).
+// Sel XLSX dari json_to_sheet sudah bertipe teks dan tidak perlu diubah.
+const AWALAN_FORMULA = /^[=+\-@\t\r]/;
+
+export const escapeCsv = (value) => {
+  const text =
+    typeof value === "string" && AWALAN_FORMULA.test(value)
+      ? `'${value}`
+      : String(value ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const exportLaporanCsv = (rows, fileName) => {
+  if (rows.length === 0) {
+    throw new Error("Tidak ada laporan untuk diekspor");
+  }
+  const headers = Object.keys(rows[0]);
+  const lines = [
+    headers.map(escapeCsv).join(","),
+    ...rows.map((row) =>
+      headers.map((header) => escapeCsv(row[header])).join(",")
+    ),
+  ];
+  // BOM agar Excel membaca UTF-8 dengan benar
+  const blob = new Blob(["\uFEFF" + lines.join("\r\n")], {
+    type: "text/csv;charset=utf-8",
+  });
+  downloadBlob(blob, `${fileName}.csv`);
+};
+
+export const exportLaporanXlsx = (rows, fileName) => {
+  if (rows.length === 0) {
+    throw new Error("Tidak ada laporan untuk diekspor");
+  }
+  const worksheet = XLSX.utils.json_to_sheet(rows);
+  worksheet["!cols"] = Object.keys(rows[0]).map((header) => ({
+    wch: ["Kendala", "Solusi", "Keterangan", "Periode"].includes(header)
+      ? 40
+      : Math.max(header.length + 2, 8),
+  }));
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Laporan Triwulan");
+  XLSX.writeFile(workbook, `${fileName}.xlsx`);
+};
@@ -0,0 +1,51 @@
+// Query laporan bertahap per halaman (cursor startAfter) dengan filter
+// idPeternak, year dan quarter. Setiap kombinasi filter dan urutan memakai
+// composite index di firestore.indexes.json.
+
+export const URUTAN_LAPORAN = {
+  TERBARU: "terbaru",
+  TERLAMA: "terlama",
+};
+
+export const URUTAN_LAPORAN_OPTIONS = [
+  {
+    value: URUTAN_LAPORAN.TERBARU,
+    label: "Terbaru",
+    subtitle: "Tahun dan triwulan terbaru lebih dulu",
+  },
+  {
+    value: URUTAN_LAPORAN.TERLAMA,
+    label: "Terlama",
+    subtitle: "Tahun dan triwulan terlama lebih dulu",
+  },
+];
+
+export const JUMLAH_LAPORAN_PER_HALAMAN = 10;
+
+// Field yang bisa difilter sama dengan (==), urut sesuai definisi index
+export const FIELD_FILTER_LAPORAN = ["idPeternak", "year", "quarter"];
+
+// Field pengurutan; field yang sedang difilter tidak ikut diurutkan
+export const FIELD_URUTAN_LAPORAN = ["year", "quarter", "tanggalLaporan"];
+
+// Ubah nilai filter dari dropdown ('' berarti semua) menjadi filter query.
+// Triwulan dari dropdown berupa string, di Firestore disimpan sebagai angka.
+export const buatFilterLaporan = ({ idPeternak, tahun, triwulan } = {}) => ({
+  idPeternak: idPeternak || null,
+  year: tahun === "" || tahun == null ? null : Number(tahun),
+  quarter: triwulan === "" || triwulan == null ? null : Number(triwulan),
+});
+
+export const getFilterAktif = (filter = {}) =>
+  FIELD_FILTER_LAPORAN.filter(
+    (field) => filter[field] !== null && filter[field] !== undefined
+  );
+
+// Saring ringkasanLaporan satu peternak dengan filter yang sama seperti
+// query laporan, tanpa membaca koleksi laporan
+export const saringRingkasanLaporan = (ringkasanList = [], filter = {}) =>
+  ringkasanList.filter((ringkasan) =>
+    getFilterAktif(filter)
+      .filter((field) => field !== "idPeternak")
+      .every((field) => Number(ringkasan[field]) === filter[field])
+  );
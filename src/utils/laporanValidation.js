@@ -0,0 +1,130 @@
+// Validasi laporan triwulan yang dipakai bersama oleh LaporanTriwulanForm
+// dan laporanService. Hasilnya berupa objek { namaField: pesan } dengan
+// nama field sesuai dokumen laporan di Firestore.
+
+import { toDateString } from "./programQuarter";
+
+const NUMBER_FIELDS = {
+  jumlahTernakAwal: "Jumlah awal",
+  jumlahLahir: "Jumlah lahir",
+  jumlahKematian: "Jumlah mati",
+  jumlahTerjual: "Jumlah dijual",
+  jumlahTernakSaatIni: "Jumlah saat ini",
+};
+
+export class LaporanValidationError extends Error {
+  constructor(fieldErrors) {
+    super(Object.values(fieldErrors)[0]);
+    this.name = "LaporanValidationError";
+    this.fieldErrors = fieldErrors;
+  }
+}
+
+const isEmpty = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// context:
+// - jumlahTernakAwalSeharusnya: jumlahTernakSaatIni triwulan sebelumnya
+//   (atau jumlahTernakAwal peternak untuk triwulan 1)
+// - jumlahTernakAwalBerikutnya: jumlahTernakAwal triwulan sesudahnya, jika ada
+// - jumlahDikembalikanSeharusnya: total pengembalian tercatat untuk laporan
+//   ini (lihat utils/pengembalian)
+// - periode: { startDate, endDate } triwulan laporan
+export const validateLaporanData = (laporan, context = {}) => {
+  const fieldErrors = {};
+  const values = {};
+
+  Object.entries(NUMBER_FIELDS).forEach(([field, label]) => {
+    if (isEmpty(laporan[field])) {
+      fieldErrors[field] = `${label} harus diisi (minimal 0)`;
+      return;
+    }
+    const value = Number(laporan[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      fieldErrors[field] = `${label} harus berupa bilangan bulat 0 atau lebih`;
+      return;
+    }
+    values[field] = value;
+  });
+
+  // Laporan lama belum punya jumlahDikembalikan, anggap 0
+  const dikembalikan = isEmpty(laporan.jumlahDikembalikan)
+    ? 0
+    : Number(laporan.jumlahDikembalikan);
+  if (!Number.isInteger(dikembalikan) || dikembalikan < 0) {
+    fieldErrors.jumlahDikembalikan =
+      "Jumlah dikembalikan harus berupa bilangan bulat 0 atau lebih";
+  }
+
+  const {
+    jumlahTernakAwalSeharusnya,
+    jumlahTernakAwalBerikutnya,
+    jumlahDikembalikanSeharusnya,
+    periode,
+  } = context;
+
+  if (
+    !fieldErrors.jumlahDikembalikan &&
+    jumlahDikembalikanSeharusnya !== undefined &&
+    dikembalikan !== Number(jumlahDikembalikanSeharusnya)
+  ) {
+    fieldErrors.jumlahDikembalikan = `Jumlah dikembalikan harus sama dengan pengembalian yang tercatat untuk laporan ini (${jumlahDikembalikanSeharusnya})`;
+  }
+
+  if (
+    values.jumlahTernakAwal !== undefined &&
+    jumlahTernakAwalSeharusnya !== undefined &&
+    values.jumlahTernakAwal !== Number(jumlahTernakAwalSeharusnya)
+  ) {
+    fieldErrors.jumlahTernakAwal = `Jumlah awal harus sama dengan jumlah ternak akhir triwulan sebelumnya (${jumlahTernakAwalSeharusnya})`;
+  }
+
+  // Persamaan saldo: saat ini = awal + lahir - mati - dijual - dikembalikan
+  if (
+    Object.keys(values).length === Object.keys(NUMBER_FIELDS).length &&
+    !fieldErrors.jumlahDikembalikan
+  ) {
+    const hitung =
+      values.jumlahTernakAwal +
+      values.jumlahLahir -
+      values.jumlahKematian -
+      values.jumlahTerjual -
+      dikembalikan;
+    if (hitung < 0) {
+      fieldErrors.jumlahTernakSaatIni =
+        "Total kambing yang mati, dijual dan dikembalikan melebihi jumlah awal ditambah kelahiran";
+    } else if (values.jumlahTernakSaatIni !== hitung) {
+      fieldErrors.jumlahTernakSaatIni = `Jumlah saat ini harus sama dengan awal + lahir - mati - dijual - dikembalikan (${hitung})`;
+    } else if (
+      jumlahTernakAwalBerikutnya !== undefined &&
+      values.jumlahTernakSaatIni !== Number(jumlahTernakAwalBerikutnya)
+    ) {
+      fieldErrors.jumlahTernakSaatIni = `Jumlah saat ini sudah dipakai sebagai jumlah awal triwulan berikutnya (${jumlahTernakAwalBerikutnya})`;
+    }
+  }
+
+  if (isEmpty(laporan.tanggalLaporan)) {
+    fieldErrors.tanggalLaporan = "Tanggal laporan harus diisi";
+  } else {
+    const tanggal = String(laporan.tanggalLaporan).split("T")[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(tanggal)) {
+      fieldErrors.tanggalLaporan = "Format tanggal laporan tidak valid";
+    } else if (tanggal > toDateString(new Date())) {
+      fieldErrors.tanggalLaporan = "Tanggal laporan tidak boleh di masa depan";
+    } else if (
+      periode &&
+      (tanggal < periode.startDate || tanggal > periode.endDate)
+    ) {
+      fieldErrors.tanggalLaporan = `Tanggal laporan harus dalam periode triwulan (${periode.startDate} s/d ${periode.endDate})`;
+    }
+  }
+
+  return fieldErrors;
+};
+
+export const assertLaporanValid = (laporan, context) => {
+  const fieldErrors = validateLaporanData(laporan, context);
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new LaporanValidationError(fieldErrors);
+  }
+};
@@ -0,0 +1,70 @@
+// Hash password untuk akun Admin (collection-based login).
+// Format tersimpan: "pbkdf2-sha256$<iterasi>$<salt base64>$<hash base64>"
+// sehingga parameter bisa dinaikkan tanpa merusak hash lama.
+
+const ALGORITHM = "pbkdf2-sha256";
+const ITERATIONS = 210000;
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+const fromBase64 = (value) =>
+  Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+const derive = async (password, salt, iterations) => {
+  const key = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"]
+  );
+  return crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    key,
+    HASH_BITS
+  );
+};
+
+// Bandingkan dua hash tanpa berhenti di byte pertama yang berbeda
+const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+};
+
+// Tanpa params dibuat salt baru. Dengan params { salt, iterations } dari
+// getHashParams hasilnya bisa dibandingkan langsung dengan hash tersimpan
+// (dipakai saat login, karena hash Admin tidak bisa dibaca sebelum login).
+export const hashPassword = async (password, params = null) => {
+  const salt = params
+    ? fromBase64(params.salt)
+    : crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iterations = params ? Number(params.iterations) : ITERATIONS;
+  const hash = await derive(password, salt, iterations);
+  return `${ALGORITHM}$${iterations}$${toBase64(salt)}$${toBase64(hash)}`;
+};
+
+// Parameter publik dari hash tersimpan (tanpa nilai hash-nya)
+export const getHashParams = (storedHash) => {
+  const [algorithm, iterations, salt] = storedHash.split("$");
+  return { algorithm, iterations: Number(iterations), salt };
+};
+
+export const verifyPassword = async (password, storedHash) => {
+  if (!storedHash) {
+    return false;
+  }
+  const [algorithm, iterations, salt, hash] = storedHash.split("$");
+  if (algorithm !== ALGORITHM || !salt || !hash) {
+    return false;
+  }
+  const computed = await derive(password, fromBase64(salt), Number(iterations));
+  return constantTimeEqual(new Uint8Array(computed), fromBase64(hash));
+};
@@ -0,0 +1,27 @@
+// Perhitungan pengembalian ternak ke program desa.
+// Setiap pengembalian masuk ke laporan pertama yang tanggalnya sama atau
+// sesudah tanggal pengembalian: laporan triwulan N mencatat pengembalian
+// dengan tanggal (tanggalLaporan N-1, tanggalLaporan N].
+
+// Total ternak yang dikembalikan dalam rentang (sejakTanggal, sampaiTanggal].
+// null pada salah satu batas berarti tidak dibatasi.
+export const hitungJumlahDikembalikan = (
+  pengembalianList,
+  sejakTanggal = null,
+  sampaiTanggal = null
+) =>
+  pengembalianList
+    .filter(
+      (pengembalian) =>
+        (!sejakTanggal || pengembalian.tanggalPengembalian > sejakTanggal) &&
+        (!sampaiTanggal || pengembalian.tanggalPengembalian <= sampaiTanggal)
+    )
+    .reduce((total, pengembalian) => total + pengembalian.jumlahTernak, 0);
+
+// Sisa kewajiban pengembalian, tidak pernah negatif
+export const getSisaPengembalian = (peternak) =>
+  Math.max(
+    (Number(peternak.targetPengembalian) || 0) -
+      (Number(peternak.jumlahDikembalikan) || 0),
+    0
+  );
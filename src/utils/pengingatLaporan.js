@@ -0,0 +1,49 @@
+// Pesan pengingat laporan triwulan untuk peternak. Template memakai
+// placeholder {nama}, {triwulan}, {periode}, {batas} dan {hari}.
+
+import { STATUS_JADWAL_LAPORAN } from "./jadwalLaporan";
+
+export const TEMPLATE_PENGINGAT = {
+  [STATUS_JADWAL_LAPORAN.TERLAMBAT]:
+    "Yth. Bapak/Ibu {nama}, laporan Triwulan {triwulan} ({periode}) program e-Gaduh Bono belum kami terima. Batas laporan sudah lewat {hari} hari pada {batas}. Mohon segera hubungi pendamping untuk menyampaikan laporan. Terima kasih.",
+  [STATUS_JADWAL_LAPORAN.SEGERA]:
+    "Yth. Bapak/Ibu {nama}, Triwulan {triwulan} ({periode}) program e-Gaduh Bono segera berakhir. Mohon siapkan data kelahiran, kematian dan penjualan ternak untuk laporan paling lambat {batas}. Terima kasih.",
+};
+
+export const isiTemplate = (template, nilai) =>
+  template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    nilai[key] !== undefined ? String(nilai[key]) : placeholder
+  );
+
+// Nomor telepon Indonesia dalam format internasional tanpa "+" (62xxx).
+// Kembalikan string kosong jika nomor tidak valid.
+export const normalisasiNomorTelepon = (nomorTelepon) => {
+  const angka = String(nomorTelepon || "").replace(/\D/g, "");
+  const nomor = angka.startsWith("0") ? `62${angka.slice(1)}` : angka;
+  return /^628\d{7,11}$/.test(nomor) ? nomor : "";
+};
+
+const formatTanggal = (tanggal) =>
+  new Date(`${tanggal}T00:00:00`).toLocaleDateString("id-ID", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+// Pengingat untuk satu jadwal laporan (lihat utils/jadwalLaporan)
+export const buatPengingat = (jadwal, peternak) => ({
+  id: jadwal.id,
+  idPeternak: peternak.id,
+  namaPeternak: peternak.namaLengkap,
+  nomorTelepon: normalisasiNomorTelepon(peternak.nomorTelepon),
+  status: jadwal.status,
+  pesan: isiTemplate(TEMPLATE_PENGINGAT[jadwal.status], {
+    nama: peternak.namaLengkap,
+    triwulan: jadwal.quarter,
+    periode: `${formatTanggal(jadwal.startDate)} - ${formatTanggal(
+      jadwal.endDate
+    )}`,
+    batas: formatTanggal(jadwal.batasLaporan),
+    hari: Math.abs(jadwal.sisaHari),
+  }),
+});
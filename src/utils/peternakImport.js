@@ -0,0 +1,239 @@
+import * as XLSX from "xlsx";
+import { toDateString } from "./programQuarter";
+
+// Impor massal peternak dari CSV/XLSX.
+// Baris pertama file adalah header; header dicocokkan ke field createPeternak
+// lewat IMPORT_COLUMNS (tidak peka huruf besar/kecil, spasi dan tanda baca).
+
+export const IMPORT_COLUMNS = [
+  { field: "namaLengkap", label: "Nama Lengkap", aliases: ["nama"] },
+  { field: "nik", label: "NIK", aliases: [] },
+  { field: "alamat", label: "Alamat", aliases: [] },
+  {
+    field: "nomorTelepon",
+    label: "Nomor Telepon",
+    aliases: ["telepon", "no telepon", "no hp", "nomor hp"],
+  },
+  {
+    field: "jenisKelamin",
+    label: "Jenis Kelamin",
+    aliases: ["gender", "jk"],
+  },
+  { field: "statusSiklus", label: "Status Siklus", aliases: ["siklus"] },
+  {
+    field: "tanggalDaftar",
+    label: "Tanggal Daftar",
+    aliases: ["tanggal pendaftaran"],
+  },
+  {
+    field: "jumlahTernakAwal",
+    label: "Jumlah Ternak Awal",
+    aliases: ["jumlah kambing awal", "ternak awal"],
+  },
+  {
+    field: "targetPengembalian",
+    label: "Target Pengembalian",
+    aliases: ["wajib pengembalian"],
+  },
+];
+
+const JENIS_KELAMIN = ["Laki-laki", "Perempuan"];
+const STATUS_SIKLUS = ["Mulai", "Selesai"];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const HEADER_TO_FIELD = IMPORT_COLUMNS.reduce((map, column) => {
+  [column.field, column.label, ...column.aliases].forEach((name) => {
+    map[normalizeHeader(name)] = column.field;
+  });
+  return map;
+}, {});
+
+// Pilihan teks dicocokkan tanpa peka huruf besar/kecil ("laki laki", "L")
+const matchPilihan = (value, pilihan) => {
+  const text = normalizeHeader(value);
+  return (
+    pilihan.find(
+      (item) => normalizeHeader(item) === text || item[0].toLowerCase() === text
+    ) || null
+  );
+};
+
+// Tanggal dari teks harus benar-benar ada di kalender: Date menggulirkan
+// "31/02/2025" ke Maret dan bulan 13 ke tahun berikutnya, jadi tahun, bulan
+// dan tanggalnya dicek ulang setelah dibuat
+const buatTanggal = (year, month, day) => {
+  const tanggal = new Date(Number(year), Number(month) - 1, Number(day));
+  return tanggal.getFullYear() === Number(year) &&
+    tanggal.getMonth() === Number(month) - 1 &&
+    tanggal.getDate() === Number(day)
+    ? toDateString(tanggal)
+    : null;
+};
+
+// Tanggal bisa berupa Date (sel tanggal XLSX), "YYYY-MM-DD" atau "DD/MM/YYYY"
+export const parseTanggalDaftar = (value) => {
+  if (value instanceof Date && !isNaN(value)) {
+    return toDateString(value);
+  }
+  const text = String(value ?? "").trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const [, year, month, day] = iso;
+    return buatTanggal(year, month, day);
+  }
+  const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (match) {
+    const [, day, month, year] = match;
+    return buatTanggal(year, month, day);
+  }
+  return null;
+};
+
+const toText = (value) => String(value ?? "").trim();
+
+// Ubah satu baris sheet menjadi data peternak dan daftar error-nya
+const parseRow = (rawRow) => {
+  const values = {};
+  Object.entries(rawRow).forEach(([header, value]) => {
+    const field = HEADER_TO_FIELD[normalizeHeader(header)];
+    if (field) {
+      values[field] = value;
+    }
+  });
+
+  const errors = [];
+  IMPORT_COLUMNS.forEach(({ field, label }) => {
+    if (toText(values[field]) === "") {
+      errors.push(`${label} wajib diisi`);
+    }
+  });
+
+  const data = {
+    namaLengkap: toText(values.namaLengkap),
+    nik: toText(values.nik).replace(/\s+/g, ""),
+    alamat: toText(values.alamat),
+    nomorTelepon: toText(values.nomorTelepon),
+    jenisKelamin: matchPilihan(values.jenisKelamin, JENIS_KELAMIN),
+    statusSiklus: matchPilihan(values.statusSiklus, STATUS_SIKLUS),
+    tanggalDaftar: parseTanggalDaftar(values.tanggalDaftar),
+    jumlahTernakAwal: Number(values.jumlahTernakAwal),
+    targetPengembalian: Number(values.targetPengembalian),
+  };
+
+  if (data.nik && !/^\d{16}$/.test(data.nik)) {
+    errors.push("NIK harus 16 digit angka");
+  }
+  if (toText(values.jenisKelamin) && !data.jenisKelamin) {
+    errors.push(`Jenis Kelamin harus ${JENIS_KELAMIN.join(" atau ")}`);
+  }
+  if (toText(values.statusSiklus) && !data.statusSiklus) {
+    errors.push(`Status Siklus harus ${STATUS_SIKLUS.join(" atau ")}`);
+  }
+  if (toText(values.tanggalDaftar) && !data.tanggalDaftar) {
+    errors.push(
+      "Tanggal Daftar harus tanggal yang valid dengan format YYYY-MM-DD atau DD/MM/YYYY"
+    );
+  }
+  if (data.tanggalDaftar && data.tanggalDaftar > toDateString(new Date())) {
+    errors.push("Tanggal Daftar tidak boleh di masa depan");
+  }
+  ["jumlahTernakAwal", "targetPengembalian"].forEach((field) => {
+    if (
+      toText(values[field]) &&
+      (!Number.isInteger(data[field]) || data[field] < 1)
+    ) {
+      const { label } = IMPORT_COLUMNS.find((column) => column.field === field);
+      errors.push(`${label} harus bilangan bulat minimal 1`);
+    }
+  });
+
+  return { data, errors };
+};
+
+// Baca file CSV/XLSX menjadi baris mentah { header: nilai }
+export const readImportFile = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), {
+    cellDates: true,
+    // Nilai CSV tetap teks agar NIK 16 digit tidak dibulatkan sebagai angka
+    raw: true,
+  });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) {
+    throw new Error("File tidak berisi sheet data");
+  }
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: "" });
+  if (rows.length === 0) {
+    throw new Error("File tidak berisi baris data");
+  }
+  const headers = new Set(
+    Object.keys(rows[0]).map(
+      (header) => HEADER_TO_FIELD[normalizeHeader(header)]
+    )
+  );
+  const kolomHilang = IMPORT_COLUMNS.filter(
+    ({ field }) => !headers.has(field)
+  ).map(({ label }) => label);
+  if (kolomHilang.length > 0) {
+    throw new Error(`Kolom tidak ditemukan: ${kolomHilang.join(", ")}`);
+  }
+  return rows;
+};
+
+// Validasi semua baris untuk preview.
+// registeredNiks: Map NIK -> pesan duplikat untuk NIK yang sudah ada di
+// Firestore (termasuk Tempat Sampah). Hasil: [{ rowNumber, data, errors }]
+// dengan rowNumber mengikuti nomor baris di spreadsheet (header = baris 1).
+export const validateImportRows = (rawRows, registeredNiks) => {
+  const rows = rawRows.map((rawRow, index) => ({
+    rowNumber: index + 2,
+    ...parseRow(rawRow),
+  }));
+
+  const barisPerNik = rows.reduce((map, row) => {
+    if (row.data.nik) {
+      map.set(row.data.nik, [...(map.get(row.data.nik) || []), row.rowNumber]);
+    }
+    return map;
+  }, new Map());
+
+  return rows.map((row) => {
+    const errors = [...row.errors];
+    const { nik } = row.data;
+    if (registeredNiks.has(nik)) {
+      errors.push(registeredNiks.get(nik));
+    }
+    const barisLain = (barisPerNik.get(nik) || []).filter(
+      (rowNumber) => rowNumber !== row.rowNumber
+    );
+    if (barisLain.length > 0) {
+      errors.push(`NIK sama dengan baris ${barisLain.join(", ")} di file`);
+    }
+    return { ...row, errors };
+  });
+};
+
+// Template berisi header yang dikenali dan satu baris contoh
+export const downloadImportTemplate = () => {
+  const worksheet = XLSX.utils.aoa_to_sheet([
+    IMPORT_COLUMNS.map(({ label }) => label),
+    [
+      "Contoh Peternak",
+      "3300000000000001",
+      "Dusun Bono RT 01/RW 02",
+      "081234567890",
+      "Laki-laki",
+      "Mulai",
+      toDateString(new Date()),
+      5,
+      6,
+    ],
+  ]);
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, worksheet, "Peternak");
+  XLSX.writeFile(workbook, "template-impor-peternak.xlsx");
+};
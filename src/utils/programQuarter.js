@@ -0,0 +1,161 @@
+// Model triwulan program gaduh.
+// Program berjalan 8 triwulan (2 tahun) dihitung dari tanggalDaftar peternak:
+// triwulan N dimulai 3 * (N - 1) bulan setelah tanggal daftar dan berakhir
+// sehari sebelum triwulan berikutnya. Field laporan yang memakai model ini:
+// quarter (1-8), year (tahun kalender awal triwulan), startDate, endDate,
+// displayPeriod.
+
+export const TOTAL_TRIWULAN_PROGRAM = 8;
+
+// Parse "YYYY-MM-DD" sebagai tanggal lokal (new Date("YYYY-MM-DD") memakai UTC)
+const parseTanggal = (value) => {
+  if (value instanceof Date) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  const [year, month, day] = String(value)
+    .split("T")[0]
+    .split("-")
+    .map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const toDateString = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// Tambah bulan tanpa melompat ke bulan berikutnya (31 Jan + 1 bulan = 28/29 Feb)
+const addMonths = (date, months) => {
+  const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(
+    target.getFullYear(),
+    target.getMonth() + 1,
+    0
+  ).getDate();
+  target.setDate(Math.min(date.getDate(), lastDay));
+  return target;
+};
+
+const formatTanggalPendek = (date) =>
+  date.toLocaleDateString("id-ID", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+export const getProgramQuarter = (tanggalDaftar, quarterNumber) => {
+  const mulaiProgram = parseTanggal(tanggalDaftar);
+  const start = addMonths(mulaiProgram, (quarterNumber - 1) * 3);
+  const end = addMonths(mulaiProgram, quarterNumber * 3);
+  end.setDate(end.getDate() - 1);
+
+  return {
+    quarter: quarterNumber,
+    year: start.getFullYear(),
+    startDate: toDateString(start),
+    endDate: toDateString(end),
+    displayPeriod: `Triwulan ${quarterNumber} (${formatTanggalPendek(
+      start
+    )} - ${formatTanggalPendek(end)})`,
+  };
+};
+
+export const getProgramQuarters = (tanggalDaftar) =>
+  Array.from({ length: TOTAL_TRIWULAN_PROGRAM }, (_, index) =>
+    getProgramQuarter(tanggalDaftar, index + 1)
+  );
+
+// Tahun kalender yang dilalui program para peternak, yaitu nilai field year
+// laporan yang mungkin muncul (tahun awal triwulan), urut naik
+export const getTahunProgram = (tanggalDaftarList) =>
+  [
+    ...new Set(
+      tanggalDaftarList
+        .filter(Boolean)
+        .flatMap((tanggalDaftar) =>
+          getProgramQuarters(tanggalDaftar).map((quarter) => quarter.year)
+        )
+    ),
+  ].sort((a, b) => a - b);
+
+// Triwulan program yang sedang berjalan pada tanggal tertentu.
+// 0 berarti sebelum program dimulai, > 8 berarti program sudah lewat.
+export const getQuarterNumberForDate = (
+  tanggalDaftar,
+  tanggal = new Date()
+) => {
+  const target = toDateString(parseTanggal(tanggal));
+  if (target < getProgramQuarter(tanggalDaftar, 1).startDate) {
+    return 0;
+  }
+  let quarterNumber = 1;
+  while (target > getProgramQuarter(tanggalDaftar, quarterNumber).endDate) {
+    quarterNumber++;
+  }
+  return quarterNumber;
+};
+
+const getLastQuarter = (laporanList) =>
+  laporanList.reduce(
+    (max, laporan) => Math.max(max, Number(laporan.quarter) || 0),
+    0
+  );
+
+// Laporan harus berurutan: triwulan berikutnya selalu (triwulan terakhir + 1)
+export const getNextProgramQuarter = (tanggalDaftar, laporanList) => {
+  const existingReports = [...laporanList].sort(
+    (a, b) => Number(a.quarter) - Number(b.quarter)
+  );
+  const quarterNumber = getLastQuarter(existingReports) + 1;
+
+  if (quarterNumber > TOTAL_TRIWULAN_PROGRAM) {
+    return {
+      canCreate: false,
+      reason: `Semua ${TOTAL_TRIWULAN_PROGRAM} laporan triwulan sudah dibuat`,
+      quarterNumber: null,
+      quarterInfo: null,
+      existingReports,
+    };
+  }
+
+  const quarterInfo = getProgramQuarter(tanggalDaftar, quarterNumber);
+  if (quarterInfo.startDate > toDateString(new Date())) {
+    return {
+      canCreate: false,
+      reason: `Triwulan ${quarterNumber} baru dimulai pada ${quarterInfo.startDate}`,
+      quarterNumber,
+      quarterInfo,
+      existingReports,
+    };
+  }
+
+  return {
+    canCreate: true,
+    reason: null,
+    quarterNumber,
+    quarterInfo,
+    existingReports,
+  };
+};
+
+// Kembalikan pesan error jika quarter membuat duplikat atau celah, null jika valid
+export const validateQuarterSequence = (laporanList, quarterNumber) => {
+  const quarter = Number(quarterNumber);
+  if (
+    !Number.isInteger(quarter) ||
+    quarter < 1 ||
+    quarter > TOTAL_TRIWULAN_PROGRAM
+  ) {
+    return `Triwulan harus antara 1 dan ${TOTAL_TRIWULAN_PROGRAM}`;
+  }
+  if (laporanList.some((laporan) => Number(laporan.quarter) === quarter)) {
+    return `Laporan triwulan ${quarter} sudah ada`;
+  }
+  const expected = getLastQuarter(laporanList) + 1;
+  if (quarter !== expected) {
+    return `Laporan harus berurutan, triwulan berikutnya adalah triwulan ${expected}`;
+  }
+  return null;
+};
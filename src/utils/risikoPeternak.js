@@ -0,0 +1,224 @@
+// Penilaian risiko peternak berbasis aturan, dihitung ulang dari seluruh
+// laporan setiap kali data berubah. Tiap aturan yang terpenuhi menambah
+// satu alasan dengan levelnya; level risiko peternak adalah level alasan
+// tertinggi. Berbeda dengan status kinerja (penilaian akhir setelah 8
+// triwulan), risiko dipakai untuk menemukan peternak yang perlu didampingi
+// selama program masih berjalan.
+
+import {
+  HARI_TENGGANG_LAPORAN,
+  getBatasLaporan,
+  getTriwulanTerlewat,
+} from "./jadwalLaporan";
+import { getSisaPengembalian } from "./pengembalian";
+import { buatDataTren, getPeringatanTren } from "./trenTernak";
+
+export const LEVEL_RISIKO = {
+  RENDAH: "rendah",
+  SEDANG: "sedang",
+  TINGGI: "tinggi",
+};
+
+export const LEVEL_RISIKO_LABEL = {
+  [LEVEL_RISIKO.RENDAH]: "Risiko Rendah",
+  [LEVEL_RISIKO.SEDANG]: "Risiko Sedang",
+  [LEVEL_RISIKO.TINGGI]: "Risiko Tinggi",
+};
+
+const URUTAN_LEVEL = [
+  LEVEL_RISIKO.RENDAH,
+  LEVEL_RISIKO.SEDANG,
+  LEVEL_RISIKO.TINGGI,
+];
+
+// Batas aturan risiko
+export const BATAS_KEMATIAN_SEDANG = 0.15;
+export const BATAS_KEMATIAN_TINGGI = 0.3;
+// Kendala berulang: ada kendala di minimal 2 dari 3 laporan terakhir
+const JUMLAH_LAPORAN_KENDALA = 3;
+const MIN_KENDALA_BERULANG = 2;
+
+const alasan = (level, pesan) => ({ level, pesan });
+
+const cekKematian = (peternak, laporanList) => {
+  const totalMati = laporanList.reduce(
+    (total, laporan) => total + (Number(laporan.jumlahKematian) || 0),
+    0
+  );
+  const totalTernak =
+    (Number(peternak.jumlahTernakAwal) || 0) +
+    laporanList.reduce(
+      (total, laporan) => total + (Number(laporan.jumlahLahir) || 0),
+      0
+    );
+  if (totalMati === 0 || totalTernak === 0) {
+    return [];
+  }
+  const rasio = totalMati / totalTernak;
+  const pesan = `Tingkat kematian ${Math.round(
+    rasio * 100
+  )}% (${totalMati} dari ${totalTernak} ekor)`;
+  if (rasio >= BATAS_KEMATIAN_TINGGI) {
+    return [alasan(LEVEL_RISIKO.TINGGI, pesan)];
+  }
+  if (rasio >= BATAS_KEMATIAN_SEDANG) {
+    return [alasan(LEVEL_RISIKO.SEDANG, pesan)];
+  }
+  return [];
+};
+
+// Jumlah ternak yang menyusut sampai di bawah sisa kewajiban pengembalian
+// (targetPengembalian dikurangi yang sudah dikembalikan). Jumlah awal
+// biasanya memang di bawah target, jadi pembandingnya jumlah tertinggi
+// sebelumnya (jumlah awal atau laporan mana pun sebelum yang terakhir):
+// ternak yang turun lalu tetap di jumlah itu tetap ditandai.
+const cekJumlahTernak = (peternak, laporanList) => {
+  const dataTren = buatDataTren(laporanList);
+  if (dataTren.length === 0) {
+    return [];
+  }
+  const hasil = [];
+  const terakhir = dataTren[dataTren.length - 1].jumlahTernakSaatIni;
+  const tertinggiSebelumnya = Math.max(
+    Number(peternak.jumlahTernakAwal) || 0,
+    ...dataTren.slice(0, -1).map((data) => data.jumlahTernakSaatIni)
+  );
+  const sisa = getSisaPengembalian(peternak);
+  if (terakhir < tertinggiSebelumnya && terakhir < sisa) {
+    hasil.push(
+      alasan(
+        LEVEL_RISIKO.TINGGI,
+        `Jumlah ternak ${terakhir} ekor kurang dari sisa kewajiban pengembalian ${sisa} ekor`
+      )
+    );
+  }
+  if (getPeringatanTren(dataTren).turunBeruntun) {
+    hasil.push(
+      alasan(
+        LEVEL_RISIKO.SEDANG,
+        "Jumlah ternak turun dua triwulan berturut-turut"
+      )
+    );
+  }
+  return hasil;
+};
+
+const cekKetepatanLaporan = (peternak, laporanList, tanggal) => {
+  const hasil = [];
+  const terlewat = getTriwulanTerlewat(peternak, laporanList, tanggal);
+  if (terlewat.length > 0) {
+    hasil.push(
+      alasan(
+        terlewat.length >= 2 ? LEVEL_RISIKO.TINGGI : LEVEL_RISIKO.SEDANG,
+        `Belum melaporkan Triwulan ${terlewat.join(", ")}`
+      )
+    );
+  }
+  const terlambat = peternak?.tanggalDaftar
+    ? laporanList.filter(
+        (laporan) =>
+          laporan.tanggalLaporan &&
+          String(laporan.tanggalLaporan).split("T")[0] >
+            getBatasLaporan(peternak.tanggalDaftar, Number(laporan.quarter))
+      )
+    : [];
+  if (terlambat.length >= 2) {
+    hasil.push(
+      alasan(
+        LEVEL_RISIKO.SEDANG,
+        `${terlambat.length} laporan dibuat lebih dari ${HARI_TENGGANG_LAPORAN} hari setelah triwulannya berakhir`
+      )
+    );
+  }
+  return hasil;
+};
+
+// laporanList bisa berupa laporan lengkap (kendala) atau ringkasanLaporan
+// di dokumen peternak (adaKendala)
+const adaKendala = (laporan) =>
+  laporan.adaKendala ?? Boolean(String(laporan.kendala || "").trim());
+
+const cekKendalaBerulang = (laporanList) => {
+  const terakhir = [...laporanList]
+    .sort((a, b) => Number(a.quarter) - Number(b.quarter))
+    .slice(-JUMLAH_LAPORAN_KENDALA);
+  const jumlahKendala = terakhir.filter(adaKendala).length;
+  if (jumlahKendala < MIN_KENDALA_BERULANG) {
+    return [];
+  }
+  return [
+    alasan(
+      LEVEL_RISIKO.SEDANG,
+      `Ada kendala di ${jumlahKendala} dari ${terakhir.length} laporan terakhir`
+    ),
+  ];
+};
+
+// Hitung risiko satu peternak dari laporannya.
+// Menghasilkan { level, alasan }: alasan urut dari level tertinggi.
+export const hitungRisikoPeternak = (
+  peternak,
+  laporanList = [],
+  tanggal = new Date()
+) => {
+  const semuaAlasan = [
+    ...cekKematian(peternak, laporanList),
+    ...cekJumlahTernak(peternak, laporanList),
+    ...cekKetepatanLaporan(peternak, laporanList, tanggal),
+    ...cekKendalaBerulang(laporanList),
+  ].sort(
+    (a, b) => URUTAN_LEVEL.indexOf(b.level) - URUTAN_LEVEL.indexOf(a.level)
+  );
+  return {
+    level: semuaAlasan[0]?.level || LEVEL_RISIKO.RENDAH,
+    alasan: semuaAlasan,
+  };
+};
+
+// Risiko semua peternak sekaligus: { [idPeternak]: { level, alasan } }
+export const hitungRisikoSemuaPeternak = (
+  peternakList,
+  laporanList,
+  tanggal = new Date()
+) => {
+  const laporanPerPeternak = laporanList.reduce(
+    (hasil, laporan) => ({
+      ...hasil,
+      [laporan.idPeternak]: [...(hasil[laporan.idPeternak] || []), laporan],
+    }),
+    {}
+  );
+  return Object.fromEntries(
+    peternakList.map((peternak) => [
+      peternak.id,
+      hitungRisikoPeternak(
+        peternak,
+        laporanPerPeternak[peternak.id] || [],
+        tanggal
+      ),
+    ])
+  );
+};
+
+// Risiko semua peternak dari ringkasanLaporan di dokumen peternak, tanpa
+// membaca koleksi laporan: { [idPeternak]: { level, alasan } }
+export const hitungRisikoDariRingkasan = (peternakList, tanggal = new Date()) =>
+  Object.fromEntries(
+    peternakList.map((peternak) => [
+      peternak.id,
+      hitungRisikoPeternak(peternak, peternak.ringkasanLaporan || [], tanggal),
+    ])
+  );
+
+// Peternak dengan risiko sedang/tinggi, yang tertinggi dan alasan
+// terbanyak lebih dulu
+export const getPeternakBerisiko = (peternakList, risikoPerPeternak) =>
+  peternakList
+    .map((peternak) => ({ peternak, risiko: risikoPerPeternak[peternak.id] }))
+    .filter(({ risiko }) => risiko && risiko.level !== LEVEL_RISIKO.RENDAH)
+    .sort(
+      (a, b) =>
+        URUTAN_LEVEL.indexOf(b.risiko.level) -
+          URUTAN_LEVEL.indexOf(a.risiko.level) ||
+        b.risiko.alasan.length - a.risiko.alasan.length
+    );
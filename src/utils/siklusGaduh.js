@@ -0,0 +1,53 @@
+// Model siklus gaduh bergulir.
+// Generasi 1 adalah penerima distribusi awal program. Ternak yang
+// dikembalikan peternak (collection pengembalian) bisa diteruskan ke peternak
+// baru: peternak baru mencatat idPeternakSumber dan idPengembalianSumber,
+// generasinya = generasi sumber + 1, dan pengembalian mencatat
+// idPeternakPenerima agar tidak diteruskan dua kali.
+
+export const getGenerasi = (peternak) => Number(peternak?.generasi) || 1;
+
+// Pengembalian yang ternaknya belum diteruskan ke peternak lain
+export const isPengembalianTersedia = (pengembalian) =>
+  !pengembalian.idPeternakPenerima;
+
+// Susun pohon silsilah: [{ peternak, keturunan: [...] }].
+// Peternak yang sumbernya tidak ditemukan (mis. sudah dihapus permanen)
+// ditampilkan sebagai akar dengan sumberHilang = true.
+export const buildSilsilah = (peternakList) => {
+  const byId = new Map(peternakList.map((peternak) => [peternak.id, peternak]));
+  const keturunanById = new Map();
+  const akar = [];
+
+  peternakList.forEach((peternak) => {
+    const sumberAda =
+      peternak.idPeternakSumber && byId.has(peternak.idPeternakSumber);
+    if (sumberAda) {
+      keturunanById.set(peternak.idPeternakSumber, [
+        ...(keturunanById.get(peternak.idPeternakSumber) || []),
+        peternak,
+      ]);
+    } else {
+      akar.push(peternak);
+    }
+  });
+
+  const urutkan = (list) =>
+    [...list].sort((a, b) =>
+      (a.tanggalDaftar || "").localeCompare(b.tanggalDaftar || "")
+    );
+
+  const buildNode = (peternak) => ({
+    peternak,
+    sumberHilang:
+      Boolean(peternak.idPeternakSumber) &&
+      !byId.has(peternak.idPeternakSumber),
+    keturunan: urutkan(keturunanById.get(peternak.id) || []).map(buildNode),
+  });
+
+  return urutkan(akar).map(buildNode);
+};
+
+// Jumlah seluruh keturunan sebuah node silsilah
+export const countKeturunan = (node) =>
+  node.keturunan.reduce((total, anak) => total + 1 + countKeturunan(anak), 0);
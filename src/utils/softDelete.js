@@ -0,0 +1,31 @@
+// Soft delete: data yang dihapus admin hanya ditandai deletedAt/deletedBy
+// dan dipindah ke Tempat Sampah. Hapus permanen hanya untuk Super Admin.
+import { getCurrentAdmin } from "./currentAdmin";
+
+export const isDeleted = (data) => Boolean(data?.deletedAt);
+
+export const withoutDeleted = (list) => list.filter((item) => !isDeleted(item));
+
+export const onlyDeleted = (list) => list.filter(isDeleted);
+
+export const createDeletedMarker = () => {
+  const admin = getCurrentAdmin();
+  return {
+    deletedAt: new Date().toISOString(),
+    deletedBy: admin ? { id: admin.id, name: admin.name } : null,
+  };
+};
+
+// Data aktif menyimpan deletedAt: null secara eksplisit, karena query
+// where("deletedAt", "==", null) tidak mencocokkan dokumen tanpa field itu.
+// Dipakai saat membuat laporan dan memulihkan data dari Tempat Sampah.
+export const clearDeletedMarker = () => ({
+  deletedAt: null,
+  deletedBy: null,
+});
+
+export const assertSuperAdmin = () => {
+  if (getCurrentAdmin()?.role !== "Super Admin") {
+    throw new Error("Hanya Super Admin yang dapat menghapus data permanen");
+  }
+};
@@ -0,0 +1,64 @@
+// Siklus status kinerja peternak:
+// Baru -> Progress (setelah laporan triwulan pertama)
+// Progress -> Bagus/Biasa/Kurang (penilaian akhir setelah 8 triwulan)
+// Status akhir tidak bisa diubah lagi.
+
+import { TOTAL_TRIWULAN_PROGRAM } from "./programQuarter";
+
+export const STATUS_KINERJA = {
+  BARU: "Baru",
+  PROGRESS: "Progress",
+  BAGUS: "Bagus",
+  BIASA: "Biasa",
+  KURANG: "Kurang",
+};
+
+export const STATUS_KINERJA_FINAL = [
+  STATUS_KINERJA.BAGUS,
+  STATUS_KINERJA.BIASA,
+  STATUS_KINERJA.KURANG,
+];
+
+const TRANSISI_STATUS = {
+  [STATUS_KINERJA.BARU]: [STATUS_KINERJA.PROGRESS],
+  [STATUS_KINERJA.PROGRESS]: STATUS_KINERJA_FINAL,
+  [STATUS_KINERJA.BAGUS]: [],
+  [STATUS_KINERJA.BIASA]: [],
+  [STATUS_KINERJA.KURANG]: [],
+};
+
+// Peternak lama yang belum punya statusKinerja dianggap "Baru"
+export const getStatusKinerja = (peternak) =>
+  peternak?.statusKinerja || STATUS_KINERJA.BARU;
+
+export const isStatusFinal = (status) => STATUS_KINERJA_FINAL.includes(status);
+
+// Kembalikan pesan error jika transisi tidak diizinkan, null jika valid
+export const validateTransisiStatus = (
+  statusLama,
+  statusBaru,
+  { jumlahLaporan }
+) => {
+  if (!TRANSISI_STATUS[statusBaru]) {
+    return `Status kinerja ${statusBaru} tidak dikenal`;
+  }
+  if (!(TRANSISI_STATUS[statusLama] || []).includes(statusBaru)) {
+    return `Perubahan status dari ${statusLama} ke ${statusBaru} tidak diizinkan`;
+  }
+  if (statusBaru === STATUS_KINERJA.PROGRESS && jumlahLaporan < 1) {
+    return "Status Progress membutuhkan minimal satu laporan triwulan";
+  }
+  if (isStatusFinal(statusBaru) && jumlahLaporan < TOTAL_TRIWULAN_PROGRAM) {
+    return `Penilaian akhir hanya bisa diberikan setelah ${TOTAL_TRIWULAN_PROGRAM} triwulan (saat ini ${jumlahLaporan})`;
+  }
+  return null;
+};
+
+// Status yang seharusnya dimiliki peternak berdasarkan jumlah laporannya.
+// Status akhir hasil penilaian admin tidak pernah diubah otomatis.
+export const getStatusKinerjaOtomatis = (statusSaatIni, jumlahLaporan) => {
+  if (isStatusFinal(statusSaatIni)) {
+    return statusSaatIni;
+  }
+  return jumlahLaporan > 0 ? STATUS_KINERJA.PROGRESS : STATUS_KINERJA.BARU;
+};
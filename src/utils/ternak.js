@@ -0,0 +1,104 @@
+// Registri ternak per ekor (collection ternak).
+// Setiap ekor punya nomor eartag unik, pemilik (idPeternak) dan status.
+// Perubahan status terjadi lewat peristiwa: lahir/mati/dijual dicatat di
+// laporan triwulan, dikembalikan dicatat di pengembalian. Setiap peristiwa
+// ditambahkan ke riwayat ternak tersebut.
+
+export const STATUS_TERNAK = {
+  HIDUP: "hidup",
+  MATI: "mati",
+  DIJUAL: "dijual",
+  DIKEMBALIKAN: "dikembalikan",
+};
+
+export const STATUS_TERNAK_LABEL = {
+  [STATUS_TERNAK.HIDUP]: "Hidup",
+  [STATUS_TERNAK.MATI]: "Mati",
+  [STATUS_TERNAK.DIJUAL]: "Dijual",
+  [STATUS_TERNAK.DIKEMBALIKAN]: "Dikembalikan",
+};
+
+export const JENIS_KELAMIN_TERNAK = ["Betina", "Jantan"];
+
+export const PERISTIWA_TERNAK = {
+  DIDAFTARKAN: "didaftarkan",
+  LAHIR: "lahir",
+  MATI: "mati",
+  DIJUAL: "dijual",
+  DIKEMBALIKAN: "dikembalikan",
+  DITERUSKAN: "diteruskan",
+  DIBATALKAN: "dibatalkan",
+};
+
+export const PERISTIWA_TERNAK_LABEL = {
+  [PERISTIWA_TERNAK.DIDAFTARKAN]: "Didaftarkan",
+  [PERISTIWA_TERNAK.LAHIR]: "Lahir",
+  [PERISTIWA_TERNAK.MATI]: "Mati",
+  [PERISTIWA_TERNAK.DIJUAL]: "Dijual",
+  [PERISTIWA_TERNAK.DIKEMBALIKAN]: "Dikembalikan ke program",
+  [PERISTIWA_TERNAK.DITERUSKAN]: "Diteruskan ke peternak baru",
+  [PERISTIWA_TERNAK.DIBATALKAN]: "Peristiwa dibatalkan",
+};
+
+export const isTernakHidup = (ternak) => ternak.status === STATUS_TERNAK.HIDUP;
+
+// Nomor eartag dibandingkan tanpa spasi dan huruf besar/kecil
+export const normalizeNomorTag = (nomorTag) =>
+  String(nomorTag || "")
+    .replace(/\s+/g, "")
+    .toUpperCase();
+
+// Nomor eartag yang sudah dinormalisasi juga menjadi id dokumen
+// eartag/{nomorTag}, jadi hanya boleh huruf, angka dan tanda hubung
+// (firestore.rules memeriksa pola yang sama)
+export const POLA_NOMOR_TAG = /^[A-Z0-9-]+$/;
+
+export const isNomorTagValid = (nomorTag) => POLA_NOMOR_TAG.test(nomorTag);
+
+// Peristiwa ternak satu laporan:
+// { lahir: [{ id, nomorTag, jenisKelamin, tanggalLahir, idInduk }],
+//   mati: [idTernak], dijual: [idTernak] }
+export const PERISTIWA_LAPORAN_KOSONG = { lahir: [], mati: [], dijual: [] };
+
+export const hasPeristiwaTernak = (peristiwa) =>
+  Boolean(
+    peristiwa &&
+    (peristiwa.lahir?.length ||
+      peristiwa.mati?.length ||
+      peristiwa.dijual?.length)
+  );
+
+// Jumlah lahir/mati/dijual laporan diturunkan dari peristiwa ternaknya
+export const hitungJumlahPeristiwa = (peristiwa) => ({
+  jumlahLahir: peristiwa?.lahir?.length || 0,
+  jumlahKematian: peristiwa?.mati?.length || 0,
+  jumlahTerjual: peristiwa?.dijual?.length || 0,
+});
+
+// Pesan error untuk daftar kelahiran baru, null jika valid
+export const validateKelahiran = (lahirList, tanggalLaporan) => {
+  const tagDipakai = new Set();
+  for (const anak of lahirList) {
+    const nomorTag = normalizeNomorTag(anak.nomorTag);
+    if (!nomorTag) {
+      return "Nomor eartag ternak yang lahir wajib diisi";
+    }
+    if (!isNomorTagValid(nomorTag)) {
+      return `Nomor eartag ${nomorTag} hanya boleh berisi huruf, angka dan tanda hubung`;
+    }
+    if (tagDipakai.has(nomorTag)) {
+      return `Nomor eartag ${nomorTag} dipakai lebih dari sekali`;
+    }
+    tagDipakai.add(nomorTag);
+    if (!JENIS_KELAMIN_TERNAK.includes(anak.jenisKelamin)) {
+      return `Jenis kelamin ternak ${nomorTag} wajib dipilih`;
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(anak.tanggalLahir || "")) {
+      return `Tanggal lahir ternak ${nomorTag} wajib diisi`;
+    }
+    if (tanggalLaporan && anak.tanggalLahir > tanggalLaporan) {
+      return `Tanggal lahir ternak ${nomorTag} tidak boleh setelah tanggal laporan`;
+    }
+  }
+  return null;
+};
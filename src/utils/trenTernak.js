@@ -0,0 +1,65 @@
+// Tren ternak per triwulan program dari laporan seorang peternak: kelahiran,
+// kematian, penjualan dan jumlah ternak saat ini. Dipakai grafik di detail
+// laporan admin dan halaman transparansi untuk melihat populasi yang menurun
+// sebelum program berakhir.
+
+import { TOTAL_TRIWULAN_PROGRAM } from "./programQuarter";
+
+const toAngka = (value) => Number(value) || 0;
+
+// Satu titik per triwulan yang sudah dilaporkan, urut triwulan 1..8
+export const buatDataTren = (laporanList = []) =>
+  [...laporanList]
+    .filter((laporan) => Number(laporan.quarter) >= 1)
+    .sort((a, b) => Number(a.quarter) - Number(b.quarter))
+    .map((laporan) => ({
+      quarter: Number(laporan.quarter),
+      jumlahLahir: toAngka(laporan.jumlahLahir),
+      jumlahKematian: toAngka(laporan.jumlahKematian),
+      jumlahTerjual: toAngka(laporan.jumlahTerjual),
+      jumlahTernakSaatIni: toAngka(laporan.jumlahTernakSaatIni),
+    }));
+
+// Peringatan dari laporan terakhir:
+// - turunBeruntun: jumlah ternak turun di dua laporan terakhir berturut-turut
+// - diBawahTarget: jumlah ternak terakhir kurang dari targetPengembalian
+// - selisih: perubahan jumlah ternak dari laporan pertama ke terakhir
+export const getPeringatanTren = (dataTren, targetPengembalian) => {
+  if (dataTren.length === 0) {
+    return { turunBeruntun: false, diBawahTarget: false, selisih: 0 };
+  }
+  const jumlah = dataTren.map((titik) => titik.jumlahTernakSaatIni);
+  const terakhir = jumlah[jumlah.length - 1];
+  const turunBeruntun =
+    jumlah.length >= 3 &&
+    jumlah[jumlah.length - 1] < jumlah[jumlah.length - 2] &&
+    jumlah[jumlah.length - 2] < jumlah[jumlah.length - 3];
+  return {
+    turunBeruntun,
+    diBawahTarget:
+      toAngka(targetPengembalian) > 0 && terakhir < toAngka(targetPengembalian),
+    selisih: terakhir - jumlah[0],
+  };
+};
+
+// Batas atas sumbu Y: nilai terbesar dari data dan target, dibulatkan ke
+// kelipatan langkah garis bantu
+export const getSkalaTren = (dataTren, targetPengembalian, jumlahGaris = 4) => {
+  const maks = Math.max(
+    1,
+    toAngka(targetPengembalian),
+    ...dataTren.flatMap((titik) => [
+      titik.jumlahLahir,
+      titik.jumlahKematian,
+      titik.jumlahTerjual,
+      titik.jumlahTernakSaatIni,
+    ])
+  );
+  const langkah = Math.ceil(maks / jumlahGaris);
+  return { maks: langkah * jumlahGaris, langkah };
+};
+
+export const TRIWULAN_TREN = Array.from(
+  { length: TOTAL_TRIWULAN_PROGRAM },
+  (_, index) => index + 1
+);